@@ -0,0 +1,494 @@
+// chat-export.js - Rendu d'une conversation en Markdown, PDF, DOCX ou JSON
+//
+//   renderChatExport(format, conversation) → { body, contentType, extension }
+//   parseChatImport(data)                  → { title, messages } (JSON exporté)
+//
+// conversation = { title, created_at, updated_at, exported_at, exported_by,
+//                  timeZone, messages: [{ role, author, content, created_at, model, sources }] }
+//
+// Le Markdown des réponses est découpé en blocs (titres, paragraphes, listes,
+// tableaux, code, citations) puis rendu nativement en PDF et DOCX : les
+// tableaux restent des tableaux.
+
+const EXPORT_FORMATS = ['md', 'pdf', 'docx', 'json'];
+const JSON_EXPORT_FORMAT = 'aios-chat';
+const JSON_EXPORT_VERSION = 1;
+const MAX_IMPORT_MESSAGES = 5000;
+
+// ========== MARKDOWN ==========
+
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// Blocs : { type: 'heading', level, text } | { type: 'paragraph', text }
+//       | { type: 'list', ordered, items } | { type: 'table', rows }
+//       | { type: 'code', text } | { type: 'quote', text }
+function parseMarkdownBlocks(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        if (/^\s*```/.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^\s*```/.test(lines[i])) {
+                code.push(lines[i++]);
+            }
+            i++;
+            blocks.push({ type: 'code', text: code.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].trim() });
+            i++;
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1])) {
+            const rows = [splitTableRow(line)];
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                rows.push(splitTableRow(lines[i++]));
+            }
+            blocks.push({ type: 'table', rows });
+            continue;
+        }
+
+        const listItem = /^\s*([-*+]|\d+[.)])\s+/;
+        if (listItem.test(line)) {
+            const ordered = /^\s*\d/.test(line);
+            const items = [];
+            while (i < lines.length && listItem.test(lines[i])) {
+                items.push(lines[i++].replace(listItem, '').trim());
+            }
+            blocks.push({ type: 'list', ordered, items });
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quote.push(lines[i++].replace(/^\s*>\s?/, ''));
+            }
+            blocks.push({ type: 'quote', text: quote.join(' ') });
+            continue;
+        }
+
+        const paragraph = [];
+        while (
+            i < lines.length &&
+            lines[i].trim() &&
+            !/^\s*```/.test(lines[i]) &&
+            !/^#{1,6}\s/.test(lines[i]) &&
+            !listItem.test(lines[i]) &&
+            !/^\s*>/.test(lines[i]) &&
+            !(lines[i].includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1]))
+        ) {
+            paragraph.push(lines[i++].trim());
+        }
+        blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    }
+
+    return blocks;
+}
+
+// Segments d'une ligne : [{ text, bold, italic, code }]
+function parseInline(text) {
+    const segments = [];
+    const pattern = /(\*\*|__)(.+?)\1|(\*|_)(?!\s)(.+?)\3|`([^`]+)`/g;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > last) {
+            segments.push({ text: text.slice(last, match.index) });
+        }
+        if (match[2] !== undefined) segments.push({ text: match[2], bold: true });
+        else if (match[4] !== undefined) segments.push({ text: match[4], italic: true });
+        else segments.push({ text: match[5], code: true });
+        last = pattern.lastIndex;
+    }
+
+    if (last < text.length) {
+        segments.push({ text: text.slice(last) });
+    }
+    return segments;
+}
+
+function plainText(text) {
+    return parseInline(text).map(segment => segment.text).join('');
+}
+
+// ========== MÉTADONNÉES ==========
+
+function formatDate(value, timeZone) {
+    if (!value) return '';
+    return new Date(value).toLocaleString('fr-FR', { dateStyle: 'long', timeStyle: 'short', timeZone });
+}
+
+function formatSource(source) {
+    const location = [
+        source.page ? `p. ${source.page}` : null,
+        source.sheet ? `feuille ${source.sheet}` : null,
+        source.section || null
+    ].filter(Boolean).join(', ');
+
+    return `[${source.n}] ${source.filename || 'Document'}${location ? ` (${location})` : ''}`;
+}
+
+function messageHeading(message, timeZone) {
+    const author = message.role === 'user'
+        ? message.author || 'Utilisateur'
+        : `Assistant${message.model ? ` (${message.model})` : ''}`;
+    return `${author} · ${formatDate(message.created_at, timeZone)}`;
+}
+
+function conversationMeta(conversation) {
+    const { timeZone } = conversation;
+    return [
+        `Créée le ${formatDate(conversation.created_at, timeZone)}`,
+        `Mise à jour le ${formatDate(conversation.updated_at, timeZone)}`,
+        `Exportée le ${formatDate(conversation.exported_at, timeZone)}${conversation.exported_by ? ` par ${conversation.exported_by}` : ''}`
+    ];
+}
+
+// ========== MARKDOWN / JSON ==========
+
+function renderMarkdown(conversation) {
+    const parts = [
+        `# ${conversation.title}`,
+        conversationMeta(conversation).map(line => `*${line}*`).join('  \n')
+    ];
+
+    for (const message of conversation.messages) {
+        parts.push('---', `## ${message.role === 'user' ? '👤' : '🤖'} ${messageHeading(message, conversation.timeZone)}`, message.content);
+
+        if (message.sources?.length) {
+            parts.push(`**Sources :**\n\n${message.sources.map(source => `- ${formatSource(source)}`).join('\n')}`);
+        }
+    }
+
+    return parts.join('\n\n') + '\n';
+}
+
+function renderJson(conversation) {
+    return JSON.stringify({
+        format: JSON_EXPORT_FORMAT,
+        version: JSON_EXPORT_VERSION,
+        exported_at: conversation.exported_at,
+        chat: {
+            title: conversation.title,
+            created_at: conversation.created_at,
+            updated_at: conversation.updated_at
+        },
+        messages: conversation.messages.map(message => ({
+            role: message.role,
+            author: message.author || null,
+            content: message.content,
+            created_at: message.created_at,
+            model: message.model || null,
+            sources: message.sources || null
+        }))
+    }, null, 2);
+}
+
+// ========== PDF ==========
+
+// Polices standard PDF (WinAnsi) : emojis et symboles hors Latin-1 retirés
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+function pdfSafe(text) {
+    return Array.from(String(text || ''))
+        .filter(char => char === '\n' || (char >= ' ' && char <= 'ÿ') || WIN_ANSI_EXTRAS.includes(char))
+        .join('');
+}
+
+function renderPdf(conversation) {
+    const PDFDocument = require('pdfkit');
+    const doc = new PDFDocument({ margin: 50, size: 'A4', info: { Title: pdfSafe(conversation.title) } });
+    const chunks = [];
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    doc.on('data', chunk => chunks.push(chunk));
+
+    const ensureSpace = height => {
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+    };
+
+    const writeInline = (text, options = {}) => {
+        const segments = parseInline(pdfSafe(text));
+        if (segments.length === 0) segments.push({ text: '' });
+
+        segments.forEach((segment, index) => {
+            doc.font(segment.code ? 'Courier' : segment.bold ? 'Helvetica-Bold' : segment.italic ? 'Helvetica-Oblique' : 'Helvetica')
+                .text(segment.text, { ...options, continued: index < segments.length - 1 });
+        });
+    };
+
+    const writeTable = rows => {
+        const columns = Math.max(...rows.map(row => row.length));
+        const columnWidth = width / columns;
+        const padding = 4;
+
+        doc.fontSize(9);
+        rows.forEach((row, rowIndex) => {
+            const cells = Array.from({ length: columns }, (_, c) => pdfSafe(plainText(row[c] || '')));
+            doc.font(rowIndex === 0 ? 'Helvetica-Bold' : 'Helvetica');
+            const height = Math.max(...cells.map(cell => doc.heightOfString(cell, { width: columnWidth - 2 * padding }))) + 2 * padding;
+
+            ensureSpace(height);
+            const y = doc.y;
+            cells.forEach((cell, c) => {
+                const x = left + c * columnWidth;
+                if (rowIndex === 0) doc.rect(x, y, columnWidth, height).fillAndStroke('#f0f0f0', '#999999');
+                else doc.rect(x, y, columnWidth, height).stroke('#999999');
+                doc.fillColor('#000000').text(cell, x + padding, y + padding, { width: columnWidth - 2 * padding });
+            });
+            doc.x = left;
+            doc.y = y + height;
+        });
+        doc.moveDown(0.5);
+    };
+
+    const writeBlocks = blocks => {
+        for (const block of blocks) {
+            doc.fillColor('#000000');
+            doc.x = left;
+
+            if (block.type === 'heading') {
+                ensureSpace(30);
+                doc.fontSize(Math.max(15 - block.level, 11));
+                writeInline(block.text);
+                doc.moveDown(0.3);
+            } else if (block.type === 'paragraph') {
+                doc.fontSize(10);
+                writeInline(block.text, { align: 'left' });
+                doc.moveDown(0.5);
+            } else if (block.type === 'list') {
+                doc.fontSize(10);
+                block.items.forEach((item, index) => {
+                    writeInline(`${block.ordered ? `${index + 1}.` : '•'} ${item}`, { indent: 10 });
+                });
+                doc.moveDown(0.5);
+            } else if (block.type === 'quote') {
+                doc.fontSize(10).fillColor('#555555');
+                writeInline(block.text, { indent: 15 });
+                doc.moveDown(0.5);
+            } else if (block.type === 'code') {
+                doc.font('Courier').fontSize(9).text(pdfSafe(block.text), { indent: 10 });
+                doc.moveDown(0.5);
+            } else if (block.type === 'table') {
+                writeTable(block.rows);
+            }
+        }
+    };
+
+    doc.font('Helvetica-Bold').fontSize(18).text(pdfSafe(conversation.title));
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor('#555555');
+    conversationMeta(conversation).forEach(line => doc.text(pdfSafe(line)));
+    doc.moveDown();
+
+    for (const message of conversation.messages) {
+        ensureSpace(50);
+        doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke('#cccccc');
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(message.role === 'user' ? '#1d4ed8' : '#047857')
+            .text(pdfSafe(messageHeading(message, conversation.timeZone)));
+        doc.moveDown(0.3);
+
+        writeBlocks(parseMarkdownBlocks(message.content));
+
+        if (message.sources?.length) {
+            doc.font('Helvetica-Bold').fontSize(9).fillColor('#555555').text('Sources :');
+            doc.font('Helvetica');
+            message.sources.forEach(source => doc.text(pdfSafe(formatSource(source)), { indent: 10 }));
+            doc.moveDown(0.5);
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        doc.end();
+    });
+}
+
+// ========== DOCX ==========
+
+function renderDocx(conversation) {
+    const {
+        Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell,
+        WidthType, ShadingType, BorderStyle
+    } = require('docx');
+
+    const HEADINGS = [HeadingLevel.HEADING_3, HeadingLevel.HEADING_4, HeadingLevel.HEADING_5, HeadingLevel.HEADING_6];
+
+    const runs = (text, style = {}) => parseInline(text).map(segment => new TextRun({
+        text: segment.text,
+        bold: segment.bold || style.bold,
+        italics: segment.italic || style.italics,
+        font: segment.code ? 'Courier New' : undefined,
+        color: style.color
+    }));
+
+    const table = rows => {
+        const columns = Math.max(...rows.map(row => row.length));
+        return new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            rows: rows.map((row, rowIndex) => new TableRow({
+                tableHeader: rowIndex === 0,
+                children: Array.from({ length: columns }, (_, c) => new TableCell({
+                    shading: rowIndex === 0 ? { type: ShadingType.CLEAR, fill: 'F0F0F0' } : undefined,
+                    children: [new Paragraph({ children: runs(row[c] || '', { bold: rowIndex === 0 }) })]
+                }))
+            }))
+        });
+    };
+
+    const blockElements = block => {
+        if (block.type === 'heading') {
+            return [new Paragraph({ heading: HEADINGS[Math.min(block.level, HEADINGS.length) - 1], children: runs(block.text) })];
+        }
+        if (block.type === 'list') {
+            return block.items.map((item, index) => block.ordered
+                ? new Paragraph({ indent: { left: 360 }, children: [new TextRun(`${index + 1}. `), ...runs(item)] })
+                : new Paragraph({ bullet: { level: 0 }, children: runs(item) }));
+        }
+        if (block.type === 'quote') {
+            return [new Paragraph({
+                indent: { left: 360 },
+                border: { left: { style: BorderStyle.SINGLE, size: 6, color: 'AAAAAA', space: 8 } },
+                children: runs(block.text, { italics: true, color: '555555' })
+            })];
+        }
+        if (block.type === 'code') {
+            return block.text.split('\n').map(line => new Paragraph({
+                shading: { type: ShadingType.CLEAR, fill: 'F5F5F5' },
+                children: [new TextRun({ text: line, font: 'Courier New', size: 18 })]
+            }));
+        }
+        if (block.type === 'table') {
+            return [table(block.rows), new Paragraph('')];
+        }
+        return [new Paragraph({ spacing: { after: 120 }, children: runs(block.text) })];
+    };
+
+    const children = [
+        new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(conversation.title)] }),
+        ...conversationMeta(conversation).map(line => new Paragraph({
+            children: [new TextRun({ text: line, italics: true, color: '555555', size: 18 })]
+        }))
+    ];
+
+    for (const message of conversation.messages) {
+        children.push(new Paragraph({
+            heading: HeadingLevel.HEADING_2,
+            border: { top: { style: BorderStyle.SINGLE, size: 4, color: 'CCCCCC', space: 8 } },
+            children: [new TextRun({
+                text: messageHeading(message, conversation.timeZone),
+                color: message.role === 'user' ? '1D4ED8' : '047857'
+            })]
+        }));
+
+        parseMarkdownBlocks(message.content).forEach(block => children.push(...blockElements(block)));
+
+        if (message.sources?.length) {
+            children.push(new Paragraph({ children: [new TextRun({ text: 'Sources :', bold: true, size: 18 })] }));
+            message.sources.forEach(source => children.push(new Paragraph({
+                bullet: { level: 0 },
+                children: [new TextRun({ text: formatSource(source), size: 18 })]
+            })));
+        }
+    }
+
+    const doc = new Document({
+        title: conversation.title,
+        sections: [{ children }]
+    });
+
+    return Packer.toBuffer(doc);
+}
+
+// ========== POINT D'ENTRÉE ==========
+
+async function renderChatExport(format, conversation) {
+    switch (format) {
+        case 'md':
+            return { body: renderMarkdown(conversation), contentType: 'text/markdown; charset=utf-8', extension: 'md' };
+        case 'json':
+            return { body: renderJson(conversation), contentType: 'application/json; charset=utf-8', extension: 'json' };
+        case 'pdf':
+            return { body: await renderPdf(conversation), contentType: 'application/pdf', extension: 'pdf' };
+        case 'docx':
+            return {
+                body: await renderDocx(conversation),
+                contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+                extension: 'docx'
+            };
+        default:
+            throw new Error(`Format d'export inconnu : ${format}`);
+    }
+}
+
+// Valide un export JSON ; lève une erreur au message affichable sinon
+function parseChatImport(data) {
+    if (!data || data.format !== JSON_EXPORT_FORMAT) {
+        throw new Error(`Fichier non reconnu (format "${JSON_EXPORT_FORMAT}" attendu)`);
+    }
+    if (data.version > JSON_EXPORT_VERSION) {
+        throw new Error(`Version d'export ${data.version} non prise en charge`);
+    }
+    if (!Array.isArray(data.messages) || data.messages.length === 0) {
+        throw new Error('Aucun message à importer');
+    }
+    if (data.messages.length > MAX_IMPORT_MESSAGES) {
+        throw new Error(`${MAX_IMPORT_MESSAGES} messages maximum par conversation`);
+    }
+
+    const messages = data.messages.map((message, index) => {
+        if (!['user', 'assistant'].includes(message?.role) || typeof message.content !== 'string') {
+            throw new Error(`Message ${index + 1} invalide (role user/assistant et content requis)`);
+        }
+        return {
+            role: message.role,
+            content: message.content,
+            created_at: new Date(message.created_at),
+            model: typeof message.model === 'string' ? message.model : null,
+            sources: Array.isArray(message.sources) ? message.sources : null
+        };
+    });
+
+    // L'ordre des messages suit created_at : dates absentes ou désordonnées
+    // remplacées par une suite à la seconde se terminant maintenant
+    const ordered = messages.every((message, i) =>
+        !isNaN(message.created_at) && (i === 0 || message.created_at >= messages[i - 1].created_at));
+    const start = Date.now() - messages.length * 1000;
+
+    messages.forEach((message, i) => {
+        message.created_at = (ordered ? message.created_at : new Date(start + i * 1000)).toISOString();
+    });
+
+    const title = typeof data.chat?.title === 'string' && data.chat.title.trim()
+        ? data.chat.title.trim().slice(0, 200)
+        : 'Conversation importée';
+
+    return { title, messages };
+}
+
+module.exports = { EXPORT_FORMATS, renderChatExport, parseChatImport };
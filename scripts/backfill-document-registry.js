@@ -0,0 +1,124 @@
+// Migration one-shot : inscrit dans `documents` / `document_chunks` les
+// vecteurs ingérés avant le registre Supabase (namespaces org-<organization_id>).
+//
+// Usage :
+//   node scripts/backfill-document-registry.js [--dry-run]
+//
+// À lancer après migrate-namespaces et les migrations SQL (version 1 de chaque
+// document inscrite dans document_versions). Les documents déjà présents dans le
+// registre sont ignorés. Taille et hash sont calculés sur le texte indexé.
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { Pinecone } = require('@pinecone-database/pinecone');
+const { createClient } = require('@supabase/supabase-js');
+
+const BATCH_SIZE = 100;
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+    const index = pinecone.index(process.env.PINECONE_INDEX || 'testt', process.env.PINECONE_INDEX_HOST);
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    const stats = await index.describeIndexStats();
+    const namespaces = Object.keys(stats.namespaces || {}).filter(name => name.startsWith('org-'));
+
+    console.log(`🗂️ Backfill du registre documents${dryRun ? ' (dry-run)' : ''} : ${namespaces.length} organisations`);
+
+    for (const namespaceName of namespaces) {
+        const organizationId = namespaceName.slice('org-'.length);
+        const namespace = index.namespace(namespaceName);
+        const documents = new Map();
+        let paginationToken;
+
+        // 1. Regrouper les chunks par document
+        do {
+            const page = await namespace.listPaginated({ limit: BATCH_SIZE, paginationToken });
+            const ids = (page.vectors || []).map(v => v.id);
+            paginationToken = page.pagination?.next;
+
+            if (ids.length === 0) continue;
+
+            const { records } = await namespace.fetch(ids);
+
+            for (const record of Object.values(records)) {
+                const docId = record.id.replace(/-chunk-\d+$/, '');
+                if (!documents.has(docId)) documents.set(docId, []);
+                documents.get(docId).push({ id: record.id, metadata: record.metadata || {} });
+            }
+        } while (paginationToken);
+
+        // 2. Ignorer les documents déjà inscrits
+        const { data: existing, error: existingError } = await supabase
+            .from('documents')
+            .select('id')
+            .eq('organization_id', organizationId);
+
+        if (existingError) throw existingError;
+        const known = new Set(existing.map(doc => doc.id));
+
+        let added = 0;
+        for (const [docId, chunks] of documents) {
+            if (known.has(docId)) continue;
+
+            chunks.sort((a, b) => (a.metadata.chunkIndex || 0) - (b.metadata.chunkIndex || 0));
+            const first = chunks[0].metadata;
+            const text = chunks.map(c => (c.metadata.text || '').slice(c.metadata.overlapChars || 0)).join('');
+
+            added++;
+            if (dryRun) continue;
+
+            const { error: docError } = await supabase.from('documents').insert({
+                organization_id: organizationId,
+                id: docId,
+                uploaded_by: first.uploadedBy || null,
+                filename: first.source || docId,
+                size_bytes: Buffer.byteLength(text),
+                content_hash: crypto.createHash('sha256').update(text).digest('hex'),
+                chunk_count: chunks.length,
+                status: 'ready',
+                current_version: 1,
+                created_at: first.uploadedAt || new Date().toISOString()
+            });
+            if (docError) throw docError;
+
+            const { error: versionError } = await supabase.from('document_versions').insert({
+                organization_id: organizationId,
+                document_id: docId,
+                version: 1,
+                text,
+                filename: first.source || docId,
+                content_hash: crypto.createHash('sha256').update(text).digest('hex'),
+                size_bytes: Buffer.byteLength(text),
+                chunk_count: chunks.length,
+                created_by: first.uploadedBy || null,
+                created_at: first.uploadedAt || new Date().toISOString()
+            });
+            if (versionError) throw versionError;
+
+            const { error: chunksError } = await supabase.from('document_chunks').insert(
+                chunks.map((chunk, chunkIndex) => ({
+                    organization_id: organizationId,
+                    id: chunk.id,
+                    document_id: docId,
+                    chunk_index: chunkIndex,
+                    text: chunk.metadata.text || '',
+                    overlap_chars: chunk.metadata.overlapChars || 0,
+                    section: chunk.metadata.section || null,
+                    page: chunk.metadata.page || null,
+                    sheet: chunk.metadata.sheet || null
+                }))
+            );
+            if (chunksError) throw chunksError;
+        }
+
+        console.log(`✅ ${namespaceName}: ${added} documents ajoutés (${documents.size} trouvés)`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Backfill error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,105 @@
+// Migration one-shot : déplace les vecteurs du namespace Pinecone partagé ('')
+// vers le namespace de l'organisation de l'uploader (org-<organization_id>).
+//
+// Usage :
+//   node scripts/migrate-namespaces.js --default-org <uuid> [--dry-run]
+//
+// Les vecteurs antérieurs à la séparation n'ont pas de métadonnée `uploadedBy` :
+// ils sont rattachés à --default-org (le cabinet qui les a uploadés). Sans
+// --default-org, ils restent dans le namespace partagé et sont listés.
+
+require('dotenv').config();
+const { Pinecone } = require('@pinecone-database/pinecone');
+const { createClient } = require('@supabase/supabase-js');
+
+const BATCH_SIZE = 100;
+
+function parseArgs(argv) {
+    const args = { defaultOrg: null, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--default-org') args.defaultOrg = argv[++i];
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+    }
+    return args;
+}
+
+async function main() {
+    const { defaultOrg, dryRun } = parseArgs(process.argv.slice(2));
+
+    const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+    const index = pinecone.index(process.env.PINECONE_INDEX || 'testt', process.env.PINECONE_INDEX_HOST);
+    const legacy = index.namespace('');
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    // Cache uploader → organisation
+    const orgByUser = new Map();
+    async function organizationOf(userId) {
+        if (!userId) return null;
+        if (!orgByUser.has(userId)) {
+            const { data } = await supabase
+                .from('users')
+                .select('organization_id')
+                .eq('id', userId)
+                .maybeSingle();
+            orgByUser.set(userId, data?.organization_id || null);
+        }
+        return orgByUser.get(userId);
+    }
+
+    console.log(`🚚 Migration des namespaces${dryRun ? ' (dry-run)' : ''}`);
+
+    const counts = {};
+    const unassigned = [];
+    let paginationToken;
+
+    do {
+        const page = await legacy.listPaginated({ limit: BATCH_SIZE, paginationToken });
+        const ids = (page.vectors || []).map(v => v.id);
+        paginationToken = page.pagination?.next;
+
+        if (ids.length === 0) continue;
+
+        const { records } = await legacy.fetch(ids);
+        const byOrg = new Map();
+
+        for (const record of Object.values(records)) {
+            const organizationId = record.metadata?.organizationId
+                || await organizationOf(record.metadata?.uploadedBy)
+                || defaultOrg;
+
+            if (!organizationId) {
+                unassigned.push(record.id);
+                continue;
+            }
+
+            if (!byOrg.has(organizationId)) byOrg.set(organizationId, []);
+            byOrg.get(organizationId).push({
+                id: record.id,
+                values: record.values,
+                metadata: { ...record.metadata, organizationId }
+            });
+        }
+
+        for (const [organizationId, batch] of byOrg) {
+            counts[organizationId] = (counts[organizationId] || 0) + batch.length;
+            if (dryRun) continue;
+
+            await index.namespace(`org-${organizationId}`).upsert(batch);
+            await legacy.deleteMany(batch.map(r => r.id));
+        }
+    } while (paginationToken);
+
+    for (const [organizationId, count] of Object.entries(counts)) {
+        console.log(`✅ org-${organizationId}: ${count} vecteurs`);
+    }
+
+    if (unassigned.length > 0) {
+        console.log(`⚠️ ${unassigned.length} vecteurs sans organisation (relancer avec --default-org) :`);
+        unassigned.forEach(id => console.log(`   - ${id}`));
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+});
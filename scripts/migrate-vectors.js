@@ -0,0 +1,127 @@
+// Copie les vecteurs d'une organisation d'un vector store vers un autre
+// (pinecone, pgvector, file), puis bascule éventuellement l'organisation.
+//
+// Usage :
+//   node scripts/migrate-vectors.js --org <uuid> --to <store> [--from <store>]
+//                                   [--switch] [--delete-source] [--dry-run]
+//
+// --from : défaut = store actuel de l'organisation (organizations.vector_store,
+//          sinon VECTOR_STORE).
+// --switch : enregistre --to comme store de l'organisation une fois la copie vérifiée.
+// --delete-source : supprime les vecteurs copiés du store d'origine (exige --switch).
+//
+// Les ids et métadonnées sont conservés : le registre Supabase (document_chunks)
+// reste valable sans réindexation.
+
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { VECTOR_STORE_NAMES, createVectorStores } = require('../vector-store');
+
+const BATCH_SIZE = 100;
+
+function parseArgs(argv) {
+    const args = { org: null, from: null, to: null, switchStore: false, deleteSource: false, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--org') args.org = argv[++i];
+        else if (argv[i] === '--from') args.from = argv[++i];
+        else if (argv[i] === '--to') args.to = argv[++i];
+        else if (argv[i] === '--switch') args.switchStore = true;
+        else if (argv[i] === '--delete-source') args.deleteSource = true;
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+    }
+    return args;
+}
+
+async function main() {
+    const { org, from, to, switchStore, deleteSource, dryRun } = parseArgs(process.argv.slice(2));
+
+    if (!org || !VECTOR_STORE_NAMES.includes(to)) {
+        throw new Error(`Usage : --org <uuid> --to <${VECTOR_STORE_NAMES.join('|')}> [--from <store>] [--switch] [--delete-source] [--dry-run]`);
+    }
+    if (deleteSource && !switchStore) {
+        throw new Error('--delete-source exige --switch (sinon l\'organisation perd ses vecteurs)');
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    const vectorStores = createVectorStores({
+        supabase,
+        dimension: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 768
+    });
+
+    const { data: organization, error } = await supabase
+        .from('organizations')
+        .select('id, vector_store')
+        .eq('id', org)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!organization) throw new Error(`Organisation introuvable : ${org}`);
+
+    const sourceName = from || organization.vector_store || vectorStores.defaultName;
+    if (sourceName === to) {
+        throw new Error(`Source et destination identiques : ${to}`);
+    }
+
+    const source = vectorStores.get(sourceName);
+    const target = vectorStores.get(to);
+
+    console.log(`🚚 Migration des vecteurs de ${org} : ${sourceName} → ${to}${dryRun ? ' (dry-run)' : ''}`);
+
+    const copiedIds = [];
+    let cursor = null;
+
+    do {
+        const page = await source.list(org, { limit: BATCH_SIZE, cursor });
+        cursor = page.cursor;
+
+        if (page.ids.length === 0) continue;
+
+        const records = await source.fetch(org, page.ids);
+        if (!dryRun) await target.upsert(org, records);
+
+        copiedIds.push(...records.map(record => record.id));
+        console.log(`   ${copiedIds.length} vecteurs copiés`);
+    } while (cursor);
+
+    if (dryRun) {
+        console.log(`✅ ${copiedIds.length} vecteurs à copier`);
+        return;
+    }
+
+    // Vérification : chaque id copié doit être lisible dans la destination
+    let missing = 0;
+    for (let i = 0; i < copiedIds.length; i += BATCH_SIZE) {
+        const batch = copiedIds.slice(i, i + BATCH_SIZE);
+        const found = await target.fetch(org, batch);
+        missing += batch.length - found.length;
+    }
+
+    if (missing > 0) {
+        throw new Error(`${missing} vecteurs absents de ${to} après copie : organisation non basculée`);
+    }
+
+    console.log(`✅ ${copiedIds.length} vecteurs copiés et vérifiés dans ${to}`);
+
+    if (!switchStore) {
+        console.log(`ℹ️ L'organisation utilise toujours ${sourceName} (relancer avec --switch pour basculer)`);
+        return;
+    }
+
+    const { error: switchError } = await supabase
+        .from('organizations')
+        .update({ vector_store: to })
+        .eq('id', org);
+
+    if (switchError) throw switchError;
+    console.log(`🔀 Organisation basculée sur ${to} (prise en compte par le serveur sous 1 min)`);
+
+    if (deleteSource) {
+        await source.deleteMany(org, copiedIds);
+        console.log(`🗑️ ${copiedIds.length} vecteurs supprimés de ${sourceName}`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+});
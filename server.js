@@ -5,28 +5,46 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { Pinecone } = require('@pinecone-database/pinecone');
 const { createClient } = require('@supabase/supabase-js');
 const multer = require('multer');
 const mammoth = require('mammoth');
 const XLSX = require('xlsx');
+const { createVectorStores } = require('./vector-store');
+const { EXPORT_FORMATS, renderChatExport, parseChatImport } = require('./chat-export');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Derrière un reverse proxy (Render, Vercel) : req.ip lu dans X-Forwarded-For,
+// nombre de proxys de confiance TRUST_PROXY (défaut 1, 0 en accès direct)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY ?? '1', 10));
+
 
 // ========== CHAT MEMORY CONFIG ==========
 const CHAT_CONFIG = {
     // RAM (Gemini context)
     MAX_HISTORY_GEMINI: 20,        // Sliding window
     
+    // Mémoire longue (résumé glissant + rappel)
+    SUMMARY_BATCH: 6,              // Messages hors fenêtre avant de mettre à jour le résumé
+    MEMORY_RECALL_TOP_K: 3,        // Anciens messages rappelés par question
+    MEMORY_RECALL_MIN_SCORE: 0.7,  // Similarité minimale pour un rappel
+    
     // DB (Supabase limits)
-    MAX_MESSAGES_PER_CHAT: 200,    // Hard limit DB
+    MAX_MESSAGES_PER_CHAT: 1000,   // Garde-fou DB (l'ancien contexte est résumé)
     SUGGEST_NEW_CHAT_AT: 100,      // Warning soft
     WARN_LONG_CHAT_AT: 50,         // Info
 };
 
+// ========== CHUNKING CONFIG ==========
+const CHUNK_CONFIG = {
+    CHUNK_SIZE: parseInt(process.env.CHUNK_SIZE, 10) || 1500,       // Caractères visés par chunk
+    CHUNK_OVERLAP: parseInt(process.env.CHUNK_OVERLAP, 10) || 200,  // Repris du chunk précédent
+    EMBED_BATCH: 100,                                               // Max par batchEmbedContents
+};
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -40,11 +58,380 @@ const upload = multer({
     limits: { fileSize: 20 * 1024 * 1024 } // 20MB max
 });
 
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+// ========== LLM PROVIDERS ==========
+// Interface commune à tous les fournisseurs :
+//   generate(request)      → { text, usage }
+//   stream(request)        → itérable async de { text } puis { usage }
+//   embed(texts, { model })→ vecteurs EMBEDDING_DIMENSIONS
+//   countTokens(request)   → nombre de tokens d'entrée
+//   supportsInput(mime)    → fichier accepté en entrée (multimodal)
+// request = { model, system?, messages, temperature?, maxOutputTokens?, json?, signal? }
+// messages = [{ role: 'user' | 'assistant', parts: [{ text } | { inlineData: { mimeType, data } }] }]
+// usage = { inputTokens, outputTokens, thoughtsTokens }
+//
+// Un modèle se désigne par "fournisseur:modèle" (ex. "openai:gpt-4o-mini",
+// "local:llama3.1:8b") ; sans préfixe, Gemini.
+
+// Dimension des index vectoriels (Pinecone, document_vectors, messages.embedding) :
+// en changer impose de recréer l'index et les colonnes vector(768)
+const EMBEDDING_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 768;
+
+// Modèles par usage (chat et embedding surchargeables par organisation)
+const LLM_DEFAULTS = {
+    chat: process.env.LLM_CHAT_MODEL || 'gemini:gemini-2.5-flash',
+    fast: process.env.LLM_FAST_MODEL || 'gemini:gemini-2.5-flash-lite',                 // Routage RAG, re-ranking
+    background: process.env.LLM_BACKGROUND_MODEL || 'gemini:gemini-2.5-flash',         // Extraction PDF, entités, résumés
+    embedding: process.env.LLM_EMBEDDING_MODEL || 'gemini:text-embedding-004'
+};
+
+// Estimation sans tokenizer (~4 caractères par token)
+function estimateTokens({ system, messages }) {
+    const chars = (system || '').length + messages
+        .flatMap(message => message.parts)
+        .reduce((total, part) => total + (part.text || '').length, 0);
+    return Math.ceil(chars / 4);
+}
+
+function createGeminiProvider({ apiKey }) {
+    const client = new GoogleGenerativeAI(apiKey);
+
+    const toGemini = ({ model, system, messages, temperature, maxOutputTokens, json }) => ({
+        generativeModel: client.getGenerativeModel({
+            model,
+            ...(system ? { systemInstruction: system } : {})
+        }),
+        request: {
+            contents: messages.map(message => ({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: message.parts
+            })),
+            generationConfig: {
+                temperature,
+                maxOutputTokens,
+                ...(json ? { responseMimeType: 'application/json' } : {})
+            }
+        }
+    });
+
+    const usageOf = usageMetadata => ({
+        inputTokens: usageMetadata?.promptTokenCount || 0,
+        outputTokens: usageMetadata?.candidatesTokenCount || 0,
+        thoughtsTokens: usageMetadata?.thoughtsTokenCount || 0
+    });
+
+    return {
+        name: 'gemini',
+
+        supportsInput: mimeType => /^(image|audio|video)\//.test(mimeType) || mimeType === 'application/pdf',
+
+        async generate(options) {
+            const { generativeModel, request } = toGemini(options);
+            const result = await generativeModel.generateContent(request, { signal: options.signal });
+            return { text: result.response.text(), usage: usageOf(result.response.usageMetadata) };
+        },
+
+        async *stream(options) {
+            const { generativeModel, request } = toGemini(options);
+            const result = await generativeModel.generateContentStream(request, { signal: options.signal });
+            // La promesse agrégée rejette aussi en cas d'abort : éviter un unhandledRejection
+            result.response.catch(() => {});
+
+            let usageMetadata = null;
+            for await (const chunk of result.stream) {
+                usageMetadata = chunk.usageMetadata || usageMetadata;
+                const text = chunk.text();
+                if (text) yield { text };
+            }
+
+            yield { usage: usageOf(usageMetadata) };
+        },
+
+        // Un appel batchEmbedContents par EMBED_BATCH textes
+        async embed(texts, { model }) {
+            const embeddingModel = client.getGenerativeModel({ model });
+            const embeddings = [];
+
+            for (let i = 0; i < texts.length; i += CHUNK_CONFIG.EMBED_BATCH) {
+                const batch = texts.slice(i, i + CHUNK_CONFIG.EMBED_BATCH);
+                const result = await embeddingModel.batchEmbedContents({
+                    requests: batch.map(text => ({
+                        content: { role: 'user', parts: [{ text }] }
+                    }))
+                });
+                embeddings.push(...result.embeddings.map(e => e.values));
+            }
+
+            return embeddings;
+        },
+
+        async countTokens(options) {
+            const { generativeModel, request } = toGemini(options);
+            const { totalTokens } = await generativeModel.countTokens({ contents: request.contents });
+            return totalTokens;
+        }
+    };
+}
+
+// API OpenAI (/chat/completions, /embeddings) : OpenAI, mais aussi un serveur
+// local compatible (Ollama, llama.cpp, vLLM...)
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey }) {
+    const headers = {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    };
+
+    const toContent = parts => parts.every(part => part.text !== undefined)
+        ? parts.map(part => part.text).join('\n')
+        : parts.map(part => part.inlineData
+            ? { type: 'image_url', image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } }
+            : { type: 'text', text: part.text });
+
+    const body = ({ model, system, messages, temperature, maxOutputTokens, json }) => ({
+        model,
+        messages: [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            ...messages.map(message => ({ role: message.role, content: toContent(message.parts) }))
+        ],
+        temperature,
+        max_tokens: maxOutputTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    const usageOf = usage => ({
+        inputTokens: usage?.prompt_tokens || 0,
+        outputTokens: usage?.completion_tokens || 0,
+        thoughtsTokens: usage?.completion_tokens_details?.reasoning_tokens || 0
+    });
+
+    async function post(path, payload, signal) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(payload),
+            signal
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`${name} ${response.status}: ${detail.slice(0, 500)}`);
+        }
+
+        return response;
+    }
+
+    return {
+        name,
+
+        supportsInput: mimeType => mimeType.startsWith('image/'),
+
+        async generate(options) {
+            const response = await post('/chat/completions', body(options), options.signal);
+            const data = await response.json();
+            return { text: data.choices?.[0]?.message?.content || '', usage: usageOf(data.usage) };
+        },
+
+        async *stream(options) {
+            const response = await post('/chat/completions', {
+                ...body(options),
+                stream: true,
+                stream_options: { include_usage: true }
+            }, options.signal);
+
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let usage = null;
+
+            for await (const bytes of response.body) {
+                buffer += decoder.decode(bytes, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const payload = line.startsWith('data:') ? line.slice(5).trim() : '';
+                    if (!payload || payload === '[DONE]') continue;
+
+                    const event = JSON.parse(payload);
+                    usage = event.usage || usage;
+                    const text = event.choices?.[0]?.delta?.content;
+                    if (text) yield { text };
+                }
+            }
+
+            yield { usage: usageOf(usage) };
+        },
+
+        async embed(texts, { model }) {
+            const embeddings = [];
+
+            for (let i = 0; i < texts.length; i += CHUNK_CONFIG.EMBED_BATCH) {
+                const response = await post('/embeddings', {
+                    model,
+                    input: texts.slice(i, i + CHUNK_CONFIG.EMBED_BATCH),
+                    // Seuls les modèles text-embedding-3 acceptent une dimension réduite
+                    ...(model.startsWith('text-embedding-3') ? { dimensions: EMBEDDING_DIMENSIONS } : {})
+                });
+                const data = await response.json();
+                embeddings.push(...data.data
+                    .sort((a, b) => a.index - b.index)
+                    .map(item => item.embedding));
+            }
+
+            return embeddings;
+        },
+
+        // Pas d'endpoint de comptage standard
+        async countTokens(options) {
+            return estimateTokens(options);
+        }
+    };
+}
+
+// Déterministe, sans réseau : tests hors ligne
+function createMockProvider() {
+    const reply = ({ model, messages, json }) => {
+        if (json) return '{}';
+
+        const lastUser = [...messages].reverse().find(message => message.role === 'user');
+        const text = (lastUser?.parts || []).map(part => part.text || `[${part.inlineData?.mimeType}]`).join(' ');
+        return `[mock:${model}] ${text.slice(0, 200)}`;
+    };
+
+    // Sac de mots haché : des textes proches donnent des vecteurs proches
+    const embedText = text => {
+        const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+        for (const token of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+            const hash = crypto.createHash('sha1').update(token).digest();
+            vector[hash.readUInt32BE(0) % EMBEDDING_DIMENSIONS] += hash[4] & 1 ? 1 : -1;
+        }
+        const norm = Math.hypot(...vector) || 1;
+        return vector.map(value => value / norm);
+    };
+
+    return {
+        name: 'mock',
+
+        supportsInput: () => true,
+
+        async generate(options) {
+            const text = reply(options);
+            return { text, usage: { inputTokens: estimateTokens(options), outputTokens: Math.ceil(text.length / 4), thoughtsTokens: 0 } };
+        },
+
+        async *stream(options) {
+            const { text, usage } = await this.generate(options);
+            for (const word of text.match(/\S+\s*/g) || []) {
+                yield { text: word };
+            }
+            yield { usage };
+        },
+
+        async embed(texts) {
+            return texts.map(embedText);
+        },
+
+        async countTokens(options) {
+            return estimateTokens(options);
+        }
+    };
+}
+
+// Fournisseurs configurés (clé ou URL présente dans l'environnement)
+const LLM_PROVIDERS = {};
+
+if (process.env.GEMINI_API_KEY) {
+    LLM_PROVIDERS.gemini = createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY });
+}
+if (process.env.OPENAI_API_KEY) {
+    LLM_PROVIDERS.openai = createOpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY
+    });
+}
+if (process.env.LOCAL_LLM_BASE_URL) {
+    LLM_PROVIDERS.local = createOpenAICompatibleProvider({
+        name: 'local',
+        baseUrl: process.env.LOCAL_LLM_BASE_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY
+    });
+}
+// Opt-in explicite : un déploiement sans NODE_ENV=production ne doit pas l'exposer
+if (process.env.LLM_ENABLE_MOCK === 'true') {
+    LLM_PROVIDERS.mock = createMockProvider();
+}
+
+// "fournisseur:modèle" → { provider, model, id }
+function resolveModelSpec(spec) {
+    const [providerName, ...rest] = spec.includes(':') ? spec.split(':') : ['gemini', spec];
+    const provider = LLM_PROVIDERS[providerName];
+
+    if (!provider) {
+        throw new Error(`Fournisseur LLM non configuré : ${providerName}`);
+    }
+
+    const model = rest.join(':');
+    return { provider, model, id: `${providerName}:${model}` };
+}
+
+const LLM_SETTINGS_CACHE_TTL_MS = 60 * 1000;
+const llmSettingsCache = new Map(); // organizationId → { settings, expiresAt }
+
+// Modèles choisis par l'organisation (null → défaut serveur)
+async function getOrgLLMSettings(organizationId) {
+    const empty = { llm_chat_model: null, llm_embedding_model: null };
+    if (!organizationId) return empty;
+
+    const cached = llmSettingsCache.get(organizationId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.settings;
+    }
+
+    const { data, error } = await supabase
+        .from('organizations')
+        .select('llm_chat_model, llm_embedding_model')
+        .eq('id', organizationId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('⚠️ LLM settings error:', error);
+        return empty;
+    }
+
+    const settings = { ...empty, ...data };
+    llmSettingsCache.set(organizationId, { settings, expiresAt: Date.now() + LLM_SETTINGS_CACHE_TTL_MS });
+    return settings;
+}
+
+// Modèle à utiliser pour un usage (chat, fast, background, embedding)
+async function getLLM(role, organizationId = null) {
+    let spec = LLM_DEFAULTS[role];
+
+    if (role === 'chat' || role === 'embedding') {
+        const settings = await getOrgLLMSettings(organizationId);
+        spec = settings[`llm_${role}_model`] || spec;
+    }
+
+    return resolveModelSpec(spec);
+}
+
+// Génération simple (non streamée) + log d'usage attribué (voir logLLMUsage)
+async function generateText(role, request, organizationId = null, attribution = {}) {
+    const llm = await getLLM(role, organizationId);
+    const startedAt = Date.now();
+    const result = await llm.provider.generate({ ...request, model: llm.model });
+    logLLMUsage(llm, result.usage, { ...attribution, organizationId, latencyMs: Date.now() - startedAt });
+    return { ...result, model: llm.model };
+}
+
+// ========== AUTO-TITLE GENERATION ==========
+// Premier message : titre local immédiat (mots-clés). Première réponse : titre
+// court par le modèle 'fast', hors quota utilisateur (journalisé 'chat_title'),
+// qui remplace le titre local sauf renommage entre-temps. Modèle indisponible :
+// le titre local reste. chats.title_source : default | heuristic | model | user
+
+const DEFAULT_CHAT_TITLE = 'Nouvelle conversation';
+const AUTO_TITLE_SOURCES = ['default', 'heuristic'];
 
-// ========== AUTO-TITLE GENERATION (LOCAL - NO GEMINI) ==========
 function generateChatTitleLocal(message) {
     // Fallback si message trop vague
     const vagueMessages = ['salut', 'hello', 'bonjour', 'hi', 'hey', 'coucou', 'yo'];
@@ -77,14 +464,131 @@ function generateChatTitleLocal(message) {
     return title.slice(0, 40);
 }
 
-// Initialize Pinecone
-const pc = new Pinecone({
-    apiKey: process.env.PINECONE_API_KEY
-});
+// Titre par le modèle à partir du premier échange ; lève si indisponible ou vide
+async function generateChatTitleModel(question, answer, organizationId, attribution = {}) {
+    const result = await generateText('fast', {
+        messages: [{
+            role: 'user',
+            parts: [{ text: `Donne un titre court (3 à 6 mots) à cette conversation entre un collaborateur d'un cabinet d'expertise comptable et un assistant IA.
+- Dans la langue de la question
+- Nomme le client, le sujet ou le document concerné s'il y en a un
+- Sans guillemets, sans point final, sans emoji
+
+Réponds uniquement avec le titre.
+
+QUESTION : ${question.slice(0, 2000)}
+
+RÉPONSE : ${answer.slice(0, 2000)}` }]
+        }],
+        temperature: 0.3,
+        maxOutputTokens: 30
+    }, organizationId, { ...attribution, feature: 'chat_title' });
+
+    const title = (result.text || '')
+        .split('\n')[0]
+        .replace(/^titre\s*:\s*/i, '')
+        .replace(/^[\s"'«*#]+|[\s"'»*.]+$/g, '')
+        .slice(0, 80);
+
+    if (!title) throw new Error('Titre vide');
+    return title;
+}
+
+// Premier message user et première réponse du chat
+async function loadFirstExchange(chatId) {
+    const { data, error } = await supabase
+        .from('messages')
+        .select('role, content')
+        .eq('chat_id', chatId)
+        .order('created_at', { ascending: true })
+        .limit(10);
+
+    if (error) throw error;
+
+    return {
+        question: data.find(m => m.role === 'user')?.content || '',
+        answer: data.find(m => m.role === 'assistant')?.content || ''
+    };
+}
+
+// Titre du modèle en texte brut : balises HTML, liens et emphase Markdown retirés
+function sanitizeChatTitle(title) {
+    return title
+        .replace(/<[^>]*>?/g, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`~#<>]/g, '')
+        .replace(/[\s\u0000-\u001f\u007f]+/g, ' ')
+        .trim();
+}
+
+// { title, source } : modèle, sinon heuristique locale
+async function computeChatTitle({ question, answer }, organizationId, attribution = {}) {
+    try {
+        const title = sanitizeChatTitle(await generateChatTitleModel(question, answer, organizationId, attribution));
+        if (!title) throw new Error('Titre vide');
+        return { title, source: 'model' };
+    } catch (error) {
+        console.error('⚠️ Model title error, local fallback:', error.message);
+        return { title: generateChatTitleLocal(question), source: 'heuristic' };
+    }
+}
+
+// Titre local au premier message user (ne lève jamais : /api/chat l'appelle sans await)
+async function autoTitleChatIfNeeded(chatId, content) {
+    try {
+        const newTitle = generateChatTitleLocal(content);
+
+        // Conditionnel : seul un chat encore sans titre est concerné
+        const { data, error } = await supabase
+            .from('chats')
+            .update({ title: newTitle, title_source: 'heuristic' })
+            .eq('id', chatId)
+            .eq('title_source', 'default')
+            .select('id');
+
+        if (error) throw error;
+        if (data.length > 0) {
+            console.log(`✅ Chat title (local): "${newTitle}"`);
+        }
+    } catch (error) {
+        console.error('❌ Auto-title error:', error);
+    }
+}
+
+// Titre modèle après la première réponse. Renvoie le titre appliqué, sinon null
+// (pas le premier échange, chat renommé, erreur) ; ne lève jamais.
+async function titleChatAfterFirstAnswer(chatId, organizationId, attribution = {}) {
+    try {
+        const [{ data: chat }, { count }] = await Promise.all([
+            supabase.from('chats').select('title_source').eq('id', chatId).single(),
+            supabase.from('messages').select('id', { count: 'exact', head: true }).eq('chat_id', chatId).eq('role', 'assistant')
+        ]);
+
+        if (!chat || !AUTO_TITLE_SOURCES.includes(chat.title_source) || count !== 1) return null;
+
+        const exchange = await loadFirstExchange(chatId);
+        if (!exchange.question || !exchange.answer) return null;
+
+        const { title, source } = await computeChatTitle(exchange, organizationId, attribution);
+
+        // Un renommage pendant la génération l'emporte
+        const { data, error } = await supabase
+            .from('chats')
+            .update({ title, title_source: source })
+            .eq('id', chatId)
+            .in('title_source', AUTO_TITLE_SOURCES)
+            .select('id');
+
+        if (error) throw error;
+        if (data.length === 0) return null;
 
-// Connect to index
-const indexName = 'testt';
-const index = pc.index(indexName, process.env.PINECONE_INDEX_HOST);
+        console.log(`🎯 Chat title (${source}): "${title}"`);
+        return title;
+    } catch (error) {
+        console.error('❌ Auto-title error:', error);
+        return null;
+    }
+}
 
 // Initialize Supabase
 const supabase = createClient(
@@ -92,35 +596,113 @@ const supabase = createClient(
     process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Store conversation histories
-const conversations = new Map();
+// Vector stores (Pinecone, pgvector, fichier local) : voir vector-store.js
+const vectorStores = createVectorStores({ supabase, dimension: EMBEDDING_DIMENSIONS });
 
-// ========== MIDDLEWARE AUTH ==========
-async function authenticateUser(req, res, next) {
-    try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) {
-            return res.status(401).json({ error: 'No authorization header' });
-        }
+// ========== STREAMING (SSE) ==========
+// Le client active le streaming avec `stream: true` (JSON ou FormData).
+// Événements envoyés : `delta` (morceau de texte), `done` (payload final), `error`,
+// puis `title` ({ chatId, title }) si le chat vient de recevoir son titre modèle.
 
-        const token = authHeader.replace('Bearer ', '');
-        const { data: { user }, error } = await supabase.auth.getUser(token);
+function wantsStream(req) {
+    const flag = req.body?.stream;
+    return flag === true || flag === 'true';
+}
 
-        if (error || !user) {
-            return res.status(401).json({ error: 'Invalid token' });
+function initSSE(res) {
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Désactiver buffering proxy
+    res.flushHeaders();
+}
+
+function sendSSE(res, event, data) {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Consomme un stream LLM (provider.stream) et pousse chaque morceau au client.
+// Si le client ferme la connexion (bouton Stop), la requête au modèle est annulée.
+async function streamLLMToClient(res, startStream) {
+    const controller = new AbortController();
+    const onClose = () => {
+        if (!res.writableEnded) controller.abort();
+    };
+    res.on('close', onClose);
+
+    let text = '';
+    let usage = null;
+
+    try {
+        for await (const event of startStream({ signal: controller.signal })) {
+            usage = event.usage || usage;
+            if (event.text) {
+                text += event.text;
+                sendSSE(res, 'delta', { text: event.text });
+            }
         }
 
-        req.user = user;
-        next();
+        return { text, usage, aborted: false };
     } catch (error) {
-        console.error('Auth error:', error);
-        res.status(401).json({ error: 'Authentication failed' });
+        if (controller.signal.aborted) {
+            console.log('⏹ Stream annulé par le client');
+            return { text, usage, aborted: true };
+        }
+        throw error;
+    } finally {
+        res.off('close', onClose);
+    }
+}
+
+// Termine une réponse en erreur, que le stream SSE soit ouvert ou non
+function sendStreamError(res, status, payload) {
+    if (res.headersSent) {
+        sendSSE(res, 'error', payload);
+        return res.end();
     }
+    res.status(status).json(payload);
+}
+
+// 📊 Logger usage (asynchrone, ne bloque pas la réponse).
+// Chaque appel est attribué dans llm_calls ; attribution =
+// { organizationId, userId, chatId, route, feature, usedRag, latencyMs, aborted }.
+// gemini_usage garde en plus les totaux Gemini de la plateforme (tarif Gemini).
+function logLLMUsage(llm, usage, attribution = {}) {
+    supabase.from('llm_calls').insert({
+        organization_id: attribution.organizationId || null,
+        user_id: attribution.userId || null,
+        chat_id: attribution.chatId || null,
+        route: attribution.route || 'internal',
+        feature: attribution.feature || 'other',
+        provider: llm.provider.name,
+        model: llm.model,
+        input_tokens: usage?.inputTokens || 0,
+        output_tokens: usage?.outputTokens || 0,
+        thoughts_tokens: usage?.thoughtsTokens || 0,
+        cost_usd: estimateLLMCost(llm, usage),
+        latency_ms: attribution.latencyMs ?? null,
+        used_rag: !!attribution.usedRag,
+        aborted: !!attribution.aborted
+    }).then(({ error }) => {
+        if (error) console.error('⚠️ Failed to log LLM call:', error);
+    });
+
+    if (llm.provider.name !== 'gemini') return;
+
+    supabase.rpc('log_gemini_usage', {
+        p_date: new Date().toISOString().split('T')[0],
+        p_input_tokens: usage?.inputTokens || 0,
+        p_output_tokens: usage?.outputTokens || 0,
+        p_thoughts_tokens: usage?.thoughtsTokens || 0
+    }).then(({ error }) => {
+        if (error) console.error('⚠️ Failed to log Gemini usage:', error);
+    });
 }
 
 // ========== ÉTAPE 9 + 10 + 11 + 12 + 13: ENDPOINT GENERATE COMPLET ==========
-// ✅ ÉTAPE 13: Incrémentation usage journalier
-app.post('/api/generate', authenticateUser, upload.single('file'), async (req, res) => {
+// ✅ ÉTAPE 13: Quota réservé par checkQuota, décompté après succès du modèle
+app.post('/api/generate', authenticateUser, requirePermission('chat'), upload.single('file'), checkQuota, async (req, res) => {
     try {
         // ✅ Support JSON ET FormData
         const prompt = req.body.prompt;
@@ -130,65 +712,16 @@ app.post('/api/generate', authenticateUser, upload.single('file'), async (req, r
             return res.status(400).json({ error: 'Prompt requis' });
         }
 
-        const userId = req.user.id;
-        console.log('📨 /api/generate - User:', userId, '| File:', file ? file.originalname : 'none');
-
-        // ✅ ÉTAPE 13: Date courante UTC (clé daily_usage)
-        const today = new Date().toISOString().split('T')[0]; // Format: YYYY-MM-DD
-
-        // ✅ ÉTAPE 11: Récupérer le profil métier (quota)
-        const { data: userData, error: userError } = await supabase
-            .from('users')
-            .select('daily_message_quota')
-            .eq('id', userId)
-            .single();
-
-        if (userError) {
-            console.error('❌ Erreur lecture profil:', userError);
-        }
-
-        const quota = userData?.daily_message_quota;
-        req.quota = quota;
+        console.log('📨 /api/generate - User:', req.user.id, '| File:', file ? file.originalname : 'none');
 
-        // ✅ ÉTAPE 11: Lire l'usage du jour
-        const { data: usageData, error: usageError } = await supabase
-            .from('daily_usage')
-            .select('prompts_count')
-            .eq('user_id', userId)
-            .eq('date', today)
-            .single();
-
-        const usedToday = usageData?.prompts_count || 0; // Si pas de ligne, usage = 0
-        req.usedToday = usedToday;
-
-        console.log('📊 Quota:', quota, '| Utilisé:', usedToday);
-
-        // ✅ ÉTAPE 12: Vérifier quota
-        if (quota !== null && usedToday >= quota) {
-            console.log('⛔ ÉTAPE 12 - Quota dépassé');
-            return res.status(403).json({
-                error: 'DAILY_QUOTA_EXCEEDED',
-                message: 'Quota journalier atteint',
-                quota: quota,
-                used: usedToday
-            });
-        }
-
-        console.log('✅ ÉTAPE 12 - Quota OK, appel Gemini autorisé');
-
-        // ✅ Préparer le contenu pour Gemini
-        let geminiContent;
+        // ✅ Modèle de chat de l'organisation
+        const organizationId = await resolveOrganizationId(req);
+        const llm = await getLLM('chat', organizationId);
+        let parts;
 
         if (!file) {
             // CAS 1: Texte seul (sans fichier)
-            geminiContent = {
-                contents: [
-                    {
-                        role: 'user',
-                        parts: [{ text: prompt }]
-                    }
-                ]
-            };
+            parts = [{ text: prompt }];
         } else {
             // CAS 2: Avec fichier (image/PDF)
             const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
@@ -200,6 +733,13 @@ app.post('/api/generate', authenticateUser, upload.single('file'), async (req, r
                 });
             }
 
+            if (!llm.provider.supportsInput(file.mimetype)) {
+                return res.status(400).json({
+                    error: 'FILE_TYPE_NOT_SUPPORTED',
+                    message: `Le modèle ${llm.id} ne prend pas en charge les fichiers ${file.mimetype}`
+                });
+            }
+
             console.log('📎 Fichier reçu:', file.originalname, `(${(file.size / 1024).toFixed(2)} KB)`);
 
             // Convertir fichier en base64
@@ -210,77 +750,65 @@ app.post('/api/generate', authenticateUser, upload.single('file'), async (req, r
                 }
             };
 
-            geminiContent = {
-                contents: [
-                    {
-                        role: 'user',
-                        parts: [
-                            { text: prompt },
-                            fileData
-                        ]
-                    }
-                ]
-            };
+            parts = [
+                { text: prompt },
+                fileData
+            ];
         }
 
-        // Appel Gemini avec format correct pour 2.5 Pro
-        const result = await model.generateContent(geminiContent);
-        const response = result.response;
-        const content = response.text();
-
-        console.log('✅ Gemini - Réponse reçue');
-
-        // ✅ ÉTAPE 13: Incrémenter l'usage APRÈS succès Gemini
-        // Cas 1: Aucune ligne existante → INSERT
-        // Cas 2: Ligne existante → UPDATE
-        
-        if (!usageData) {
-            // Cas 1: Créer nouvelle ligne
-            const { error: insertError } = await supabase
-                .from('daily_usage')
-                .insert({
-                    user_id: userId,
-                    date: today,
-                    prompts_count: 1
-                });
+        const request = {
+            model: llm.model,
+            messages: [{ role: 'user', parts }]
+        };
 
-            if (insertError) {
-                console.error('❌ ÉTAPE 13 - Erreur INSERT daily_usage:', insertError);
-            } else {
-                console.log('✅ ÉTAPE 13 - INSERT daily_usage (count: 1)');
+        const stream = wantsStream(req);
+        const startedAt = Date.now();
+        let content;
+        let usage;
+        let aborted = false;
+
+        if (stream) {
+            initSSE(res);
+            const streamed = await streamLLMToClient(res, (options) =>
+                llm.provider.stream({ ...request, ...options })
+            );
+            ({ text: content, usage, aborted } = streamed);
+
+            // Annulé avant le premier token → rien à décompter
+            if (aborted && !content) {
+                return res.end();
             }
         } else {
-            // Cas 2: Incrémenter ligne existante
-            const { error: updateError } = await supabase
-                .from('daily_usage')
-                .update({
-                    prompts_count: usedToday + 1
-                })
-                .eq('user_id', userId)
-                .eq('date', today);
-
-            if (updateError) {
-                console.error('❌ ÉTAPE 13 - Erreur UPDATE daily_usage:', updateError);
-            } else {
-                console.log(`✅ ÉTAPE 13 - UPDATE daily_usage (count: ${usedToday} → ${usedToday + 1})`);
-            }
+            ({ text: content, usage } = await llm.provider.generate(request));
         }
 
-        // ✅ ÉTAPE 14: Exposer infos quota dans la réponse
-        const newUsed = usedToday + 1;
-        
-        res.json({ 
-            content,
-            quota: {
-                used: newUsed,
-                limit: quota
-            }
+        console.log(`✅ ${llm.id} - Réponse reçue`);
+        logLLMUsage(llm, usage, {
+            organizationId,
+            userId: req.user.id,
+            route: '/api/generate',
+            feature: 'generate',
+            latencyMs: Date.now() - startedAt,
+            aborted
         });
 
+        // ✅ ÉTAPE 13: Décompter tokens et coût APRÈS succès du modèle
+        const quota = await settleQuota(req, llm, usageOrEstimate(usage, request, content));
+
+        // ✅ ÉTAPE 14: Exposer infos quota dans la réponse
+        const payload = { content, quota };
+
+        if (stream) {
+            sendSSE(res, 'done', { ...payload, aborted });
+            return res.end();
+        }
+
+        res.json(payload);
+
     } catch (error) {
         console.error('❌ /api/generate - Erreur:', error);
-        // ⚠️ ÉTAPE 13: Si Gemini échoue, l'incrémentation n'est jamais atteinte
-        res.status(500).json({ error: 'Erreur génération', message: error.message });
+        // ⚠️ ÉTAPE 13: Si le modèle échoue, la réservation est rendue (checkQuota)
+        sendStreamError(res, 500, { error: 'Erreur génération', message: error.message });
     }
 });
 
@@ -289,7 +817,7 @@ app.get('/api/users/me/permissions', authenticateUser, async (req, res) => {
     try {
         const { data: userData, error: dbError } = await supabase
             .from('users')
-            .select('role, can_use_rag, can_upload_documents, can_edit_documents, can_delete_documents, daily_message_quota, first_name, email')
+            .select('role, organization_id, daily_message_quota, daily_token_quota, monthly_token_quota, first_name, email')
             .eq('id', req.user.id)
             .single();
 
@@ -298,17 +826,20 @@ app.get('/api/users/me/permissions', authenticateUser, async (req, res) => {
             return res.status(500).json({ error: 'Failed to load permissions' });
         }
 
+        const access = await loadUserAccess(req);
+        const roles = await listOrganizationRoles(userData.organization_id);
+
         res.json({
             success: true,
-            role: userData.role || 'employee',
+            role: access.role,
+            role_name: roles.find(role => role.key === access.role)?.name || access.role,
             first_name: userData.first_name,
             email: userData.email,
-            permissions: {
-                can_use_rag: userData.can_use_rag !== false,
-                can_upload_documents: userData.can_upload_documents || false,
-                can_edit_documents: userData.can_edit_documents || false,
-                can_delete_documents: userData.can_delete_documents || false,
-                daily_message_quota: userData.daily_message_quota || 50
+            permissions: access.permissions,
+            quotas: {
+                daily_message_quota: userData.daily_message_quota ?? null,
+                daily_token_quota: userData.daily_token_quota ?? null,
+                monthly_token_quota: userData.monthly_token_quota ?? null
             }
         });
 
@@ -318,17 +849,36 @@ app.get('/api/users/me/permissions', authenticateUser, async (req, res) => {
     }
 });
 
-// Function to generate embeddings using Gemini
-async function generateEmbedding(text) {
-    const embeddingModel = genAI.getGenerativeModel({ model: 'text-embedding-004' });
-    const result = await embeddingModel.embedContent(text);
-    return result.embedding.values;
+// Embeddings avec le modèle de l'organisation
+async function generateEmbedding(text, organizationId = null, attribution = {}) {
+    const [embedding] = await generateEmbeddings([text], organizationId, attribution);
+    return embedding;
+}
+
+async function generateEmbeddings(texts, organizationId = null, attribution = {}) {
+    const llm = await getLLM('embedding', organizationId);
+    const startedAt = Date.now();
+    const embeddings = await llm.provider.embed(texts, { model: llm.model });
+
+    // Les API d'embedding ne renvoient pas toujours l'usage : estimation
+    logLLMUsage(llm, { inputTokens: estimateTokens({ messages: [{ parts: texts.map(text => ({ text })) }] }) }, {
+        feature: 'embedding',
+        ...attribution,
+        organizationId,
+        latencyMs: Date.now() - startedAt
+    });
+
+    if (embeddings.some(values => values.length !== EMBEDDING_DIMENSIONS)) {
+        throw new Error(`Le modèle d'embedding ${llm.id} ne produit pas des vecteurs de ${EMBEDDING_DIMENSIONS} dimensions`);
+    }
+
+    return embeddings;
 }
 
 // ========== FILE PARSERS (GEMINI NATIVE PDF) ==========
 
-// Prepare file for Gemini based on type
-async function prepareGeminiFileContent(file) {
+// Prepare file part (inlineData pour les fichiers natifs du modèle, texte sinon)
+async function prepareFileContent(file) {
     const { mimetype, buffer, originalname } = file;
     
     console.log(`📎 Preparing file: ${originalname} (${mimetype})`);
@@ -343,9 +893,9 @@ async function prepareGeminiFileContent(file) {
         };
     }
     
-    // PDF - NATIVE GEMINI SUPPORT
+    // PDF - Support natif du modèle (Gemini)
     if (mimetype === 'application/pdf') {
-        console.log('📄 PDF - Using Gemini native support');
+        console.log('📄 PDF - Using native model support');
         return {
             inlineData: {
                 mimeType: 'application/pdf',
@@ -419,15 +969,17 @@ async function parseXLSX(buffer) {
     }
 }
 
+const PARSABLE_EXTENSIONS = ['pdf', 'docx', 'doc', 'xlsx', 'xls', 'txt', 'md', 'xml', 'json', 'csv'];
+
 // Parse file based on extension (for /api/upload-file endpoint)
-async function parseFile(buffer, filename) {
+async function parseFile(buffer, filename, organizationId = null, attribution = {}) {
     const ext = filename.toLowerCase().split('.').pop();
     
     switch(ext) {
         case 'pdf':
             const pdfBase64 = buffer.toString('base64');
-            const result = await model.generateContent({
-                contents: [
+            const result = await generateText('background', {
+                messages: [
                     {
                         role: 'user',
                         parts: [
@@ -437,13 +989,12 @@ async function parseFile(buffer, filename) {
                                     data: pdfBase64
                                 }
                             },
-                            { text: 'Extrais tout le texte de ce PDF. Donne uniquement le texte brut, sans commentaire.' }
+                            { text: 'Extrais tout le texte de ce PDF. Donne uniquement le texte brut, sans commentaire. Commence chaque page par une ligne [[PAGE n]] où n est le numéro de la page.' }
                         ]
                     }
                 ]
-            });
-            const response = await result.response;
-            return response.text();
+            }, organizationId, { ...attribution, feature: 'pdf_extraction' });
+            return result.text;
         
         case 'docx':
         case 'doc':
@@ -465,1622 +1016,6331 @@ async function parseFile(buffer, filename) {
     }
 }
 
-// Function to retrieve relevant context from Pinecone
-async function getRelevantContext(query, topK = 3) {
-    try {
-        const queryEmbedding = await generateEmbedding(query);
-        const queryResponse = await index.namespace('').query({
-            vector: queryEmbedding,
-            topK: topK,
-            includeMetadata: true
-        });
-        
-        const contexts = queryResponse.matches.map(match => {
-            return `[Source: ${match.metadata?.source || 'Unknown'}]\n${match.metadata?.text || ''}`;
-        });
-        
-        return contexts.join('\n\n---\n\n');
-    } catch (error) {
-        console.error('Pinecone query error:', error);
-        return '';
+// ========== CHUNKING ==========
+// Découpage structurel : titres → paragraphes → phrases, avec recouvrement.
+// Chaque chunk garde sa position dans le texte pour que la concaténation des
+// chunks (sans leur recouvrement `overlapChars`) redonne le document.
+
+const HEADING_REGEX = /^(#{1,6}\s+.+|[A-ZÀ-Ý0-9][A-ZÀ-Ý0-9 '’\-.,:()]{2,79})$/;
+const PAGE_MARKER_REGEX = /^\[\[PAGE (\d+)\]\]\s*$/m;
+
+// Format de découpage selon l'extension
+function chunkFormatFor(filename) {
+    const ext = filename.toLowerCase().split('.').pop();
+    if (ext === 'xlsx' || ext === 'xls') return 'xlsx';
+    if (ext === 'csv') return 'csv';
+    if (ext === 'pdf') return 'pdf';
+    return 'text';
+}
+
+// Point d'entrée : renvoie [{ text, overlapChars, section?, page?, sheet? }]
+function chunkDocument(text, format = 'text', options = {}) {
+    const chunkSize = options.chunkSize || CHUNK_CONFIG.CHUNK_SIZE;
+    const overlap = Math.min(options.overlap ?? CHUNK_CONFIG.CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+
+    switch (format) {
+        case 'xlsx':
+            return chunkSpreadsheet(text, chunkSize);
+        case 'csv':
+            return chunkRows(null, text.split('\n'), chunkSize);
+        case 'pdf':
+            return chunkPages(text, chunkSize, overlap);
+        default:
+            return chunkText(text, chunkSize, overlap).chunks;
     }
 }
 
-// Simple detection: check if message contains specific entity names from documents
-function containsSpecificEntityNames(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    const entityNames = [
-        'pétrin', 'petrin', 'pétrin d\'or', 'petrin d\'or',
-        'rousseau', 'antoine rousseau',
-        'jean moreau', 'moreau',
-        'nathalie girard', 'nathalie',
-        'julie martin', 'julie',
-        'thomas durand', 'thomas',
-        'expertise rousseau',
-        'bella vita', 'tech solutions',
-    ];
-    
-    const cabinetPhrases = [
-        'notre cabinet', 'notre équipe', 'notre ca', 'notre chiffre',
-        'nos clients', 'nos projets', 'nos honoraires',
-        'mon cabinet', 'mon client', 'mon équipe'
-    ];
-    
-    const hasEntity = entityNames.some(name => lowerMessage.includes(name));
-    const hasCabinetPhrase = cabinetPhrases.some(phrase => lowerMessage.includes(phrase));
-    
-    return hasEntity || hasCabinetPhrase;
+// Titre de section si la ligne en est un
+function headingOf(line) {
+    const trimmed = line.trim();
+    if (!trimmed || !HEADING_REGEX.test(trimmed)) return null;
+    // Une ligne en majuscules doit contenir au moins 3 lettres
+    if (!trimmed.startsWith('#') && (trimmed.match(/[A-ZÀ-Ý]/g) || []).length < 3) return null;
+    return trimmed.replace(/^#+\s*/, '');
 }
 
-// ========== AUTHENTICATION MIDDLEWARE ==========
-async function authenticateUser(req, res, next) {
-    try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ error: 'Token manquant' });
+// Meilleure coupure dans ]start + min, end] : paragraphe > phrase > espace
+function findBreak(text, start, end) {
+    const window = text.slice(start, end);
+    const minOffset = Math.floor(window.length / 2);
+
+    const candidates = [
+        /\n\s*\n/g,           // Paragraphe
+        /[.!?;:](?=\s)/g,      // Fin de phrase
+        /\n/g,                 // Ligne
+        /\s/g                  // Mot
+    ];
+
+    for (const regex of candidates) {
+        let best = -1;
+        let match;
+        while ((match = regex.exec(window)) !== null) {
+            const offset = match.index + match[0].length;
+            if (offset > minOffset) best = offset;
         }
-        
-        const token = authHeader.substring(7);
-        
-        // Verify token with Supabase
-        const { data: { user }, error } = await supabase.auth.getUser(token);
-        
-        if (error || !user) {
-            return res.status(401).json({ error: 'Token invalide' });
+        if (best !== -1) return start + best;
+    }
+
+    return end;
+}
+
+// Début du recouvrement : premier début de phrase (ou mot) après `from`
+function findOverlapStart(text, from, limit) {
+    if (from >= limit) return limit;
+    const window = text.slice(from, limit);
+
+    const sentence = /[.!?]\s+(?=\S)/.exec(window);
+    if (sentence) return from + sentence.index + sentence[0].length;
+
+    const word = /\s+(?=\S)/.exec(window);
+    return word ? from + word.index + word[0].length : limit;
+}
+
+// Sections délimitées par les titres : [{ title, start, end }]
+function splitSections(text, initialTitle = null) {
+    const sections = [];
+    let current = { title: initialTitle, start: 0 };
+    let offset = 0;
+
+    for (const line of text.split('\n')) {
+        const title = headingOf(line);
+        if (title && offset > current.start) {
+            sections.push({ ...current, end: offset });
+            current = { title, start: offset };
+        } else if (title) {
+            current.title = title;
         }
-        
-        // Decode JWT to get custom claims (app_role, organization_id)
-        const decoded = jwt.decode(token);
-        
-        // Attach user with custom claims to request
-        req.user = {
-            id: user.id,
-            email: user.email,
-            app_role: decoded?.app_role || null,
-            organization_id: decoded?.organization_id || null,
-            role: decoded?.app_role || null // For backward compatibility
-        };
-        
-        next();
-        
-    } catch (error) {
-        console.error('Auth middleware error:', error);
-        res.status(401).json({ error: 'Authentification échouée' });
+        offset += line.length + 1;
     }
+
+    sections.push({ ...current, end: text.length });
+    return sections;
 }
 
-// Middleware to check specific permission
-async function requirePermission(permissionName) {
-    return async (req, res, next) => {
-        try {
-            const userId = req.user.id;
-            
-            const { data: user, error } = await supabase
-                .from('users')
-                .select(`role, ${permissionName}`)
-                .eq('id', userId)
-                .single();
-            
-            if (error || !user) {
-                return res.status(500).json({ error: 'Erreur vérification permission' });
-            }
-            
-            // Admins have all permissions
-            if (user.role === 'admin') {
-                return next();
-            }
-            
-            // Check specific permission for employees
-            if (!user[permissionName]) {
-                return res.status(403).json({ 
-                    error: 'Permission refusée',
-                    required: permissionName
+// Texte libre : renvoie { chunks, lastSection } (lastSection sert aux pages suivantes)
+function chunkText(text, chunkSize, overlap, initialSection = null) {
+    const chunks = [];
+    const sections = splitSections(text, initialSection);
+
+    for (const section of sections) {
+        let start = section.start;
+
+        while (start < section.end) {
+            const end = section.end - start <= chunkSize
+                ? section.end
+                : findBreak(text, start, start + chunkSize);
+
+            // Recouvrement limité à la section courante
+            const overlapStart = start > section.start
+                ? findOverlapStart(text, Math.max(section.start, start - overlap), start)
+                : start;
+
+            const chunkText = text.slice(overlapStart, end);
+            if (text.slice(start, end).trim()) {
+                chunks.push({
+                    text: chunkText,
+                    overlapChars: start - overlapStart,
+                    ...(section.title && { section: section.title })
                 });
             }
-            
-            next();
-            
-        } catch (error) {
-            console.error('Check permission error:', error);
-            res.status(500).json({ error: 'Erreur vérification permission' });
+
+            start = end;
         }
-    };
+    }
+
+    return { chunks, lastSection: sections[sections.length - 1].title };
 }
 
-// ========== QUOTA MANAGEMENT ==========
+// PDF : pages marquées [[PAGE n]] à l'extraction, jamais de chunk à cheval
+function chunkPages(text, chunkSize, overlap) {
+    const parts = text.split(PAGE_MARKER_REGEX);
 
-// Check if user has reached daily quota
-async function checkDailyQuota(req, res, next) {
-    try {
-        const userId = req.user.id;
-        
-        // Get user quota and role
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('daily_message_quota, role')
-            .eq('id', userId)
-            .single();
-        
-        if (userError || !user) {
-            console.error('Quota check - user error:', userError);
-            return next(); // Don't block on error
-        }
-        
-        // Admin or null quota = unlimited
-        if (user.role === 'admin' || user.daily_message_quota === null) {
-            return next();
-        }
-        
-        const limit = user.daily_message_quota;
-        
-        // Check today's usage
-        const today = new Date().toISOString().split('T')[0];
-        
-        const { data: usage } = await supabase
-            .from('daily_usage')
-            .select('prompts_count')
-            .eq('user_id', userId)
-            .eq('date', today)
-            .single();
-        
-        const currentCount = usage?.prompts_count || 0;
-        
-        if (currentCount >= limit) {
-            return res.status(429).json({ 
-                error: 'Quota journalier atteint',
-                limit: limit,
-                used: currentCount
-            });
-        }
-        
-        // Attach current usage to request for incrementing later
-        req.userDbId = userId;
-        req.currentUsage = currentCount;
-        req.usageDate = today;
-        
-        next();
-        
-    } catch (error) {
-        console.error('Check quota error:', error);
-        next(); // Don't block on quota check errors
+    // Pas de marqueur : texte libre
+    if (parts.length === 1) {
+        return chunkText(text, chunkSize, overlap).chunks;
+    }
+
+    const chunks = [];
+    let section = null;
+
+    // parts = [avant, n1, page1, n2, page2, ...]
+    if (parts[0].trim()) {
+        const result = chunkText(parts[0], chunkSize, overlap);
+        chunks.push(...result.chunks);
+        section = result.lastSection;
     }
+
+    for (let i = 1; i < parts.length; i += 2) {
+        const page = parseInt(parts[i], 10);
+        const result = chunkText(parts[i + 1] || '', chunkSize, overlap, section);
+        chunks.push(...result.chunks.map(chunk => ({ ...chunk, page })));
+        section = result.lastSection;
+    }
+
+    return chunks;
 }
 
-// Middleware: Vérifier permission RAG
-async function requireRagPermission(req, res, next) {
-    try {
-        const { data: user, error } = await supabase
-            .from('users')
-            .select('can_use_rag, role')
-            .eq('id', req.user.id)
-            .single();
+// Sortie de parseXLSX : "=== Feuille ===" puis CSV, une feuille à la fois
+function chunkSpreadsheet(text, chunkSize) {
+    const chunks = [];
+    const sheets = text.split(/^=== (.+) ===$/m);
 
-        if (error || !user) {
-            return res.status(403).json({ error: 'Permissions introuvables' });
-        }
+    // sheets = [avant, nom1, csv1, nom2, csv2, ...]
+    for (let i = 1; i < sheets.length; i += 2) {
+        const rows = sheets[i + 1].split('\n').filter(row => row.trim());
+        chunks.push(...chunkRows(sheets[i], rows, chunkSize));
+    }
+
+    return chunks.length > 0 ? chunks : chunkRows(null, text.split('\n'), chunkSize);
+}
 
-        // Admin = toujours autorisé
-        if (user.role === 'admin') {
-            return next();
+// Lignes groupées sans jamais couper une ligne ; l'en-tête est répété
+function chunkRows(sheet, rows, chunkSize) {
+    const chunks = [];
+    const dataRows = rows.filter(row => row.trim());
+    if (dataRows.length === 0) return chunks;
+
+    const [header, ...body] = dataRows;
+    const title = sheet ? `=== ${sheet} ===\n` : '';
+    const prefix = `${title}${header}\n`;
+
+    let current = [];
+    let currentLength = prefix.length;
+
+    const flush = () => {
+        const isFirst = chunks.length === 0;
+        chunks.push({
+            text: `${prefix}${current.join('\n')}\n`,
+            // Le premier chunk porte l'en-tête, les suivants le répètent
+            overlapChars: isFirst ? 0 : prefix.length,
+            ...(sheet && { sheet, section: sheet })
+        });
+        current = [];
+        currentLength = prefix.length;
+    };
+
+    for (const row of body) {
+        if (current.length > 0 && currentLength + row.length + 1 > chunkSize) {
+            flush();
         }
+        current.push(row);
+        currentLength += row.length + 1;
+    }
 
-        if (!user.can_use_rag) {
-            return res.status(403).json({
-                error: 'Accès RAG désactivé pour votre compte'
-            });
+    if (current.length > 0 || chunks.length === 0) {
+        flush();
+    }
+
+    return chunks;
+}
+
+// Reconstruit le texte d'un document depuis ses chunks triés ({ text, overlapChars })
+function joinChunks(chunks) {
+    return chunks
+        .map(chunk => (chunk.text || '').slice(chunk.overlapChars || 0))
+        .join('');
+}
+
+// Libellé de source pour le contexte RAG
+function chunkSourceLabel(metadata = {}) {
+    const details = [
+        metadata.sheet ? `feuille ${metadata.sheet}` : metadata.section,
+        metadata.page ? `p. ${metadata.page}` : null
+    ].filter(Boolean);
+
+    const source = metadata.source || 'Unknown';
+    return details.length > 0 ? `${source} — ${details.join(', ')}` : source;
+}
+
+// Id de vecteur adressé par contenu : un chunk inchangé garde son id (et son
+// embedding) d'une version à l'autre
+function chunkEmbeddingInput(chunk) {
+    return chunk.section ? `${chunk.section}\n${chunk.text}` : chunk.text;
+}
+
+function chunkIds(docId, chunks) {
+    const seen = new Map();
+    return chunks.map(chunk => {
+        const hash = crypto.createHash('sha1').update(chunkEmbeddingInput(chunk)).digest('hex').slice(0, 16);
+        const occurrence = (seen.get(hash) || 0) + 1;
+        seen.set(hash, occurrence);
+        return occurrence > 1 ? `${docId}-${hash}-${occurrence}` : `${docId}-${hash}`;
+    });
+}
+
+// Embed + upsert de chunks ({ id, chunkIndex, text, ... }) dans le namespace de l'organisation
+async function upsertChunkVectors(organizationId, docId, chunks, metadata) {
+    if (chunks.length === 0) return;
+
+    const embeddings = await generateEmbeddings(chunks.map(chunkEmbeddingInput), organizationId, {
+        userId: metadata.uploadedBy,
+        route: 'ingestion',
+        feature: 'document_embedding'
+    });
+
+    const store = await getOrgVectorStore(organizationId);
+    const records = chunks.map(({ id, ...chunk }, i) => ({
+        id,
+        values: embeddings[i],
+        metadata: {
+            ...metadata,
+            ...chunk,
+            documentId: docId,
+            organizationId,
+            uploadedAt: new Date().toISOString()
         }
+    }));
 
-        next();
-    } catch (e) {
-        console.error('RAG permission error:', e);
-        res.status(500).json({ error: 'Erreur permission RAG' });
+    await store.upsert(organizationId, records);
+}
+
+async function deleteVectors(organizationId, ids) {
+    if (ids.length === 0) return;
+
+    const store = await getOrgVectorStore(organizationId);
+    await store.deleteMany(organizationId, ids);
+}
+
+// ========== DOCUMENT REGISTRY ==========
+// Tables Supabase `documents` / `document_chunks` écrites à l'ingestion :
+// listing, lecture et suppression ne passent plus par le vector store.
+
+const DOCUMENT_SORTS = {
+    uploadedAt: 'created_at',
+    filename: 'filename',
+    size: 'size_bytes'
+};
+
+// ?page=&limit= bornés (20 par défaut, 100 au plus)
+function documentListPage(query) {
+    return {
+        page: Math.max(parseInt(query.page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100)
+    };
+}
+
+// Page de documents de l'organisation (?sort=, ?order=asc, ?search= sur le nom de fichier)
+function documentListQuery(organizationId, query) {
+    const { page, limit } = documentListPage(query);
+    const sort = DOCUMENT_SORTS[query.sort] || DOCUMENT_SORTS.uploadedAt;
+    const search = (query.search || '').trim();
+
+    let request = supabase
+        .from('documents')
+        .select('*', { count: 'exact' })
+        .eq('organization_id', organizationId);
+
+    if (search) {
+        request = request.ilike('filename', `%${search.replace(/[%_\\]/g, '\\$&')}%`);
     }
+
+    return request
+        .order(sort, { ascending: query.order === 'asc' })
+        .range((page - 1) * limit, page * limit - 1);
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Format API d'une ligne `documents`
+function documentResponse(doc) {
+    return {
+        id: doc.id,
+        source: doc.filename,
+        mimeType: doc.mime_type,
+        size: doc.size_bytes,
+        hash: doc.content_hash,
+        status: doc.status,
+        error: doc.error,
+        chunkCount: doc.chunk_count,
+        currentVersion: doc.current_version,
+        uploadedBy: doc.uploaded_by,
+        uploadedAt: doc.created_at,
+        updatedAt: doc.updated_at
+    };
 }
 
-// Increment daily usage after successful prompt
-async function incrementDailyUsage(userDbId, date) {
+// Document de l'organisation, ou null
+async function getOrgDocument(organizationId, docId) {
+    const { data, error } = await supabase
+        .from('documents')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('id', docId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Nouvelle version d'un document : découpe, n'embed que les chunks nouveaux,
+// puis bascule atomique (RPC commit_document_version) avant de retirer les
+// vecteurs devenus orphelins. `expectedVersion` : verrou optimiste (409).
+// `content` = fichier ou texte brut (taille + hash) ; `text` = texte extrait.
+async function writeDocumentVersion({ organizationId, userId, docId, filename, mimeType, content, text, format, expectedVersion = null }) {
+    const plan = await planDocumentVersion(organizationId, docId, text, format);
+
+    await upsertChunkVectors(organizationId, docId, plan.toEmbed, {
+        source: filename,
+        uploadedBy: userId
+    });
+
     try {
-        // Try to update existing record
-        const { data: existing } = await supabase
-            .from('daily_usage')
-            .select('*')
-            .eq('user_id', userDbId)
-            .eq('date', date)
-            .single();
-        
-        if (existing) {
-            // Update
-            await supabase
-                .from('daily_usage')
-                .update({ prompts_count: existing.prompts_count + 1 })
-                .eq('user_id', userDbId)
-                .eq('date', date);
-        } else {
-            // Insert
-            await supabase
-                .from('daily_usage')
-                .insert([{
-                    user_id: userDbId,
-                    date: date,
-                    prompts_count: 1
-                }]);
-        }
-        
+        return await commitDocumentVersion(plan, {
+            organizationId,
+            userId,
+            docId,
+            filename,
+            mimeType,
+            sizeBytes: Buffer.byteLength(content),
+            contentHash: hashContent(content),
+            text,
+            format,
+            expectedVersion
+        });
     } catch (error) {
-        console.error('Increment usage error:', error);
-        // Don't throw - usage tracking shouldn't break the app
+        // Version non publiée : retirer les vecteurs ajoutés pour elle, sauf ceux
+        // qu'une version concurrente au contenu identique vient de publier
+        await deleteUnpublishedVectors(organizationId, docId, plan.toEmbed.map(chunk => chunk.id))
+            .catch(cleanupError => console.error('⚠️ Vector cleanup error:', cleanupError));
+        throw error;
     }
 }
 
-// ========== PERMISSIONS API ==========
+// Supprime les vecteurs `ids` qu'aucun chunk publié du document ne référence.
+// Les ids sont dérivés du contenu (chunkIds) : deux écritures identiques les
+// partagent, la liste publiée est donc relue au moment du nettoyage.
+async function deleteUnpublishedVectors(organizationId, docId, ids) {
+    if (ids.length === 0) return;
+
+    const { data: published, error } = await supabase
+        .from('document_chunks')
+        .select('id')
+        .eq('organization_id', organizationId)
+        .eq('document_id', docId)
+        .in('id', ids);
+
+    if (error) throw error;
+
+    const publishedIds = new Set(published.map(chunk => chunk.id));
+    await deleteVectors(organizationId, ids.filter(id => !publishedIds.has(id)));
+}
+
+// Découpage + chunks à embedder (ceux dont l'id n'est pas déjà en ligne)
+async function planDocumentVersion(organizationId, docId, text, format) {
+    const chunks = chunkDocument(text, format);
+    const ids = chunkIds(docId, chunks);
+    console.log(`📦 Document split into ${chunks.length} chunks`);
+
+    const { data: liveChunks, error: liveError } = await supabase
+        .from('document_chunks')
+        .select('id')
+        .eq('organization_id', organizationId)
+        .eq('document_id', docId);
+
+    if (liveError) throw liveError;
+
+    const liveIds = new Set(liveChunks.map(chunk => chunk.id));
+    const toEmbed = chunks
+        .map((chunk, chunkIndex) => ({ ...chunk, id: ids[chunkIndex], chunkIndex }))
+        .filter(chunk => !liveIds.has(chunk.id));
+
+    return { chunks, ids, liveIds, toEmbed };
+}
+
+// Publie la version planifiée (vecteurs déjà upsertés) et nettoie les orphelins
+async function commitDocumentVersion(plan, { organizationId, userId, docId, filename, mimeType, sizeBytes, contentHash, text, format, expectedVersion = null }) {
+    const { chunks, ids, liveIds, toEmbed } = plan;
+
+    const { data: version, error } = await supabase.rpc('commit_document_version', {
+        p_organization_id: organizationId,
+        p_document_id: docId,
+        p_filename: filename,
+        p_mime_type: mimeType,
+        p_size_bytes: sizeBytes,
+        p_content_hash: contentHash,
+        p_text: text,
+        p_chunk_format: format,
+        p_user_id: userId,
+        p_expected_version: expectedVersion,
+        p_chunks: chunks.map((chunk, chunkIndex) => ({
+            id: ids[chunkIndex],
+            chunk_index: chunkIndex,
+            text: chunk.text,
+            overlap_chars: chunk.overlapChars,
+            section: chunk.section || null,
+            page: chunk.page || null,
+            sheet: chunk.sheet || null
+        }))
+    });
+
+    if (error) throw error;
+
+    // Chunks de l'ancienne version absents de la nouvelle (et de toute version
+    // publiée entre-temps)
+    const newIds = new Set(ids);
+    const orphanIds = [...liveIds].filter(id => !newIds.has(id));
+    await deleteUnpublishedVectors(organizationId, docId, orphanIds)
+        .catch(cleanupError => console.error('⚠️ Vector cleanup error:', cleanupError));
+
+    console.log(`✅ ${docId} v${version}: ${toEmbed.length} chunks embeddés, ${ids.length - toEmbed.length} réutilisés`);
+
+    // 🏷️ Alimenter le dictionnaire d'entités (asynchrone)
+    extractDocumentEntities(organizationId, docId, text, userId);
+
+    return { version, ids, embedded: toEmbed.length, reused: ids.length - toEmbed.length };
+}
+
+function isVersionConflict(error) {
+    return /version_conflict/.test(error?.message || '');
+}
+
+// Ligne 'processing' visible dans la liste pendant l'ingestion
+async function insertPendingDocument({ organizationId, userId, docId, filename, mimeType, content }) {
+    const { error } = await supabase
+        .from('documents')
+        .insert({
+            organization_id: organizationId,
+            id: docId,
+            uploaded_by: userId,
+            filename,
+            mime_type: mimeType,
+            size_bytes: Buffer.byteLength(content),
+            content_hash: hashContent(content),
+            status: 'processing'
+        });
+
+    if (error) throw error;
+}
+
+// Échec d'une première ingestion (un document déjà publié garde sa version)
+async function markDocumentFailed(organizationId, docId, message) {
+    await supabase
+        .from('documents')
+        .update({ status: 'failed', error: message, updated_at: new Date().toISOString() })
+        .eq('organization_id', organizationId)
+        .eq('id', docId)
+        .eq('current_version', 0);
+}
+
+// Upload : crée le document puis sa version
+async function ingestDocument(params) {
+    const { organizationId, docId } = params;
+    const existing = await getOrgDocument(organizationId, docId);
+
+    if (!existing) {
+        await insertPendingDocument(params);
+    }
 
-// POST /api/chat
-app.post('/api/chat', authenticateUser, checkDailyQuota, async (req, res) => {
     try {
-        const { 
-            message, 
-            conversationId = 'default', 
-            forceRAG = false,
-            chatId = null
-        } = req.body;
+        const { ids } = await writeDocumentVersion(params);
+        return ids;
+    } catch (error) {
+        await markDocumentFailed(organizationId, docId, error.message);
+        throw error;
+    }
+}
 
-        if (!message) {
-            return res.status(400).json({ error: 'Message requis' });
-        }
+// ========== DOCUMENT VERSIONS ==========
 
-        let uiMessage = null;
-        
-        if (chatId) {
-            const { count: messageCount } = await supabase
-                .from('messages')
-                .select('*', { count: 'exact' })
-                .eq('chat_id', chatId);
-            
-            if (messageCount >= CHAT_CONFIG.MAX_MESSAGES_PER_CHAT) {
-                return res.status(400).json({ 
-                    error: 'chat_limit_reached',
-                    message: 'Ce chat a atteint la limite de 200 messages. Créez un nouveau chat pour continuer.',
-                    messageCount: messageCount
-                });
-            }
-            
-            if (messageCount >= CHAT_CONFIG.SUGGEST_NEW_CHAT_AT && messageCount < CHAT_CONFIG.SUGGEST_NEW_CHAT_AT + 2) {
-                uiMessage = {
-                    type: 'warning',
-                    text: `💡 Ce chat a ${messageCount} messages. Pour un nouveau sujet, créez un nouveau chat.`,
-                    count: messageCount
-                };
-            }
-            else if (messageCount >= CHAT_CONFIG.WARN_LONG_CHAT_AT && messageCount < CHAT_CONFIG.WARN_LONG_CHAT_AT + 2) {
-                uiMessage = {
-                    type: 'info',
-                    text: `ℹ️ Chat long (${messageCount} messages). Les messages les plus anciens ne sont plus dans le contexte.`,
-                    count: messageCount
-                };
-            }
-        }
+const DIFF_CONTEXT_LINES = 3;
+const DIFF_MAX_CELLS = 4000000; // Au-delà : bloc supprimé/ajouté sans LCS
 
-        let history = conversations.get(conversationId) || [];
+// Opérations ligne à ligne [op, texte] avec op ∈ ' ', '-', '+'
+function diffLineOps(oldLines, newLines) {
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
 
-        if (history.length > CHAT_CONFIG.MAX_HISTORY_GEMINI) {
-            const removed = history.length - CHAT_CONFIG.MAX_HISTORY_GEMINI;
-            history = history.slice(-CHAT_CONFIG.MAX_HISTORY_GEMINI);
-            console.log(`📦 Sliding window: gardé ${CHAT_CONFIG.MAX_HISTORY_GEMINI} messages (archivé: ${removed})`);
-        }
+    let endOld = oldLines.length;
+    let endNew = newLines.length;
+    while (endOld > start && endNew > start && oldLines[endOld - 1] === newLines[endNew - 1]) {
+        endOld--;
+        endNew--;
+    }
 
-        let needsContext = false;
-        
-        // Vérifier permission RAG si demandé
-        if (forceRAG || containsSpecificEntityNames(message)) {
-            const { data: user } = await supabase
-                .from('users')
-                .select('can_use_rag, role')
-                .eq('id', req.user.id)
-                .single();
-            
-            if (user && user.role !== 'admin' && !user.can_use_rag) {
-                return res.status(403).json({
-                    error: 'Accès RAG désactivé pour votre compte'
-                });
+    const a = oldLines.slice(start, endOld);
+    const b = newLines.slice(start, endNew);
+    const middle = [];
+
+    if (a.length * b.length > DIFF_MAX_CELLS) {
+        a.forEach(line => middle.push(['-', line]));
+        b.forEach(line => middle.push(['+', line]));
+    } else {
+        // LCS : lcs[i][j] = longueur commune de a[i:] et b[j:]
+        const width = b.length + 1;
+        const lcs = new Int32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[i] === b[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
             }
         }
-        
-        if (forceRAG) {
-            needsContext = true;
-            console.log('🔍 RAG FORCÉ par user');
-        } else {
-            needsContext = containsSpecificEntityNames(message);
-            if (needsContext) {
-                console.log('🔍 RAG AUTO détecté');
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                middle.push([' ', a[i++]]);
+                j++;
+            } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                middle.push(['-', a[i++]]);
             } else {
-                console.log('💡 Question générale (pas RAG)');
+                middle.push(['+', b[j++]]);
             }
         }
-        
-        let context = '';
-        if (needsContext) {
-            context = await getRelevantContext(message);
-            console.log('📄 Context retrieved:', context ? 'Yes' : 'No');
+        while (i < a.length) middle.push(['-', a[i++]]);
+        while (j < b.length) middle.push(['+', b[j++]]);
+    }
+
+    return [
+        ...oldLines.slice(0, start).map(line => [' ', line]),
+        ...middle,
+        ...oldLines.slice(endOld).map(line => [' ', line])
+    ];
+}
+
+// Diff unifié (hunks @@ avec DIFF_CONTEXT_LINES lignes de contexte)
+function unifiedDiff(oldText, newText) {
+    const ops = diffLineOps(oldText.split('\n'), newText.split('\n'));
+    const changed = ops.map(([op]) => op !== ' ');
+    const lines = [];
+    let added = 0;
+    let removed = 0;
+    let oldLine = 1;
+    let newLine = 1;
+    let i = 0;
+
+    while (i < ops.length) {
+        if (!changed[i]) {
+            oldLine++;
+            newLine++;
+            i++;
+            continue;
         }
 
-        let enhancedMessage = message;
-        if (context) {
-            enhancedMessage = `CONTEXTE DOCUMENTAIRE :\n${context}\n\n---\n\nQUESTION : ${message}\n\nUtilise le contexte ci-dessus pour répondre avec précision.`;
+        // Étendre le hunk tant que deux changements sont séparés de peu de contexte
+        const hunkStart = Math.max(0, i - DIFF_CONTEXT_LINES);
+        let hunkEnd = i;
+        let k = i;
+        while (k < ops.length) {
+            if (changed[k]) {
+                hunkEnd = k;
+            } else if (k - hunkEnd > DIFF_CONTEXT_LINES * 2) {
+                break;
+            }
+            k++;
+        }
+        hunkEnd = Math.min(ops.length - 1, hunkEnd + DIFF_CONTEXT_LINES);
+
+        const before = i - hunkStart;
+        const hunk = ops.slice(hunkStart, hunkEnd + 1);
+        const oldCount = hunk.filter(([op]) => op !== '+').length;
+        const newCount = hunk.filter(([op]) => op !== '-').length;
+
+        lines.push(`@@ -${oldLine - before},${oldCount} +${newLine - before},${newCount} @@`);
+        for (const [op, text] of hunk) {
+            lines.push(`${op}${text}`);
+            if (op === '+') added++;
+            if (op === '-') removed++;
         }
 
-        const chat = model.startChat({
-            history: history,
-            generationConfig: {
-                temperature: 0.7,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 8000,
-            },
-            systemInstruction: `Tu es un assistant IA professionnel pour un cabinet d'expertise comptable.
+        oldLine += oldCount - before;
+        newLine += newCount - before;
+        i = hunkEnd + 1;
+    }
 
-Tu as accès à une base documentaire contenant :
-- Informations clients (CA, résultats, projets, etc.)
-- Données internes du cabinet
+    return { diff: lines.join('\n'), added, removed };
+}
+
+async function getDocumentVersion(organizationId, docId, version) {
+    const { data, error } = await supabase
+        .from('document_versions')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('document_id', docId)
+        .eq('version', version)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// ========== INGESTION JOBS ==========
+// Upload de fichier → job en file (table ingest_jobs, fichier dans le bucket
+// Storage). Le worker in-process traite les jobs avec une concurrence bornée ;
+// en serverless, GET /api/ingest-jobs/run (cron) prend le relais. Les ids déjà
+// embeddés sont enregistrés au fil de l'eau : une reprise ne les refait pas.
+
+const INGEST_CONFIG = {
+    BUCKET: 'ingest-uploads',
+    JOB_CONCURRENCY: parseInt(process.env.INGEST_JOB_CONCURRENCY, 10) || 2,
+    EMBED_CONCURRENCY: parseInt(process.env.INGEST_EMBED_CONCURRENCY, 10) || 3,
+    LOCK_SECONDS: 300,                          // Au-delà, un job 'running' est repris
+    BATCH_RETRIES: 3,                           // Tentatives par lot d'embeddings
+    RETRY_DELAYS_MS: [10000, 60000, 300000],    // Entre deux tentatives d'un job
+    POLL_INTERVAL_MS: 15000,
+    CRON_BUDGET_MS: 50000
+};
+
+// Début de chaque étape, en pourcentage
+const INGEST_STAGE_PROGRESS = {
+    parsing: 0,
+    chunking: 10,
+    embedding: 15,
+    indexing: 90,
+    done: 100
+};
+
+let ingestWorkers = 0;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function withRetry(fn, retries, label) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries) throw error;
+            console.warn(`⚠️ ${label} (tentative ${attempt}/${retries}): ${error.message}`);
+            await sleep(1000 * 2 ** (attempt - 1));
+        }
+    }
+}
+
+// Appelle fn sur chaque élément, au plus `limit` à la fois. À la première
+// erreur, plus aucun élément n'est lancé ; elle est relancée une fois les
+// appels en cours terminés.
+async function mapWithConcurrency(items, limit, fn) {
+    let next = 0;
+    let failure = null;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (!failure && next < items.length) {
+            const i = next++;
+            try {
+                await fn(items[i], i);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    });
+
+    await Promise.all(runners);
+    if (failure) throw failure;
+}
+
+function ingestJobResponse(job) {
+    return {
+        id: job.id,
+        documentId: job.document_id,
+        filename: job.filename,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        chunksTotal: job.chunks_total,
+        chunksDone: job.chunks_done,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        error: job.error,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at,
+        completedAt: job.completed_at
+    };
+}
+
+async function updateIngestJob(jobId, fields) {
+    const { error } = await supabase
+        .from('ingest_jobs')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', jobId);
+
+    if (error) throw error;
+}
+
+function lockedUntil() {
+    return new Date(Date.now() + INGEST_CONFIG.LOCK_SECONDS * 1000).toISOString();
+}
+
+// Stocke le fichier, crée le document 'processing' et le job, puis réveille le worker
+async function enqueueIngestJob({ organizationId, userId, docId, file }) {
+    const jobId = crypto.randomUUID();
+    const storagePath = `${organizationId}/${jobId}/${file.originalname.replace(/[^a-z0-9.]/gi, '-')}`;
+
+    const { error: storageError } = await supabase.storage
+        .from(INGEST_CONFIG.BUCKET)
+        .upload(storagePath, file.buffer, { contentType: file.mimetype });
+
+    if (storageError) throw storageError;
+
+    await insertPendingDocument({
+        organizationId,
+        userId,
+        docId,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        content: file.buffer
+    });
+
+    const { data: job, error } = await supabase
+        .from('ingest_jobs')
+        .insert({
+            id: jobId,
+            organization_id: organizationId,
+            user_id: userId,
+            document_id: docId,
+            filename: file.originalname,
+            mime_type: file.mimetype,
+            size_bytes: file.size,
+            content_hash: hashContent(file.buffer),
+            storage_path: storagePath,
+            chunk_format: chunkFormatFor(file.originalname)
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    kickIngestWorker();
+    return job;
+}
+
+// Lance des workers jusqu'à JOB_CONCURRENCY ; chacun vide la file puis s'arrête.
+// En serverless l'instance est gelée après la réponse : seul le cron traite la file.
+function kickIngestWorker() {
+    if (isServerless) return;
+
+    while (ingestWorkers < INGEST_CONFIG.JOB_CONCURRENCY) {
+        ingestWorkers++;
+        drainIngestQueue()
+            .catch(error => console.error('❌ Ingest worker error:', error))
+            .finally(() => ingestWorkers--);
+    }
+}
+
+// Traite les jobs prêts un par un jusqu'à file vide (ou `deadline`)
+async function drainIngestQueue(deadline = Infinity) {
+    let processed = 0;
+
+    while (Date.now() < deadline) {
+        const { data, error } = await supabase.rpc('claim_ingest_job', {
+            p_lock_seconds: INGEST_CONFIG.LOCK_SECONDS
+        });
+
+        if (error) throw error;
+
+        const job = data?.[0];
+        if (!job) break;
+
+        await runIngestJob(job);
+        processed++;
+    }
+
+    return processed;
+}
+
+async function runIngestJob(job) {
+    console.log(`⚙️ Ingest job ${job.id} (${job.filename}), tentative ${job.attempts}/${job.max_attempts}`);
+
+    try {
+        // Job repris après la disparition de son worker, tentatives épuisées
+        if (job.attempts > job.max_attempts) {
+            throw Object.assign(new Error('Nombre maximal de tentatives atteint'), { retryable: false });
+        }
+
+        await processIngestJob(job);
+    } catch (error) {
+        console.error(`❌ Ingest job ${job.id} error:`, error);
+        await failIngestJob(job, error)
+            .catch(updateError => console.error('⚠️ Ingest job update error:', updateError));
+    }
+}
+
+async function processIngestJob(job) {
+    const { organization_id: organizationId, document_id: docId } = job;
+    let text = job.text;
+
+    if (!text) {
+        await updateIngestJob(job.id, { stage: 'parsing', progress: INGEST_STAGE_PROGRESS.parsing, error: null });
+
+        const { data: blob, error: downloadError } = await supabase.storage
+            .from(INGEST_CONFIG.BUCKET)
+            .download(job.storage_path);
+
+        if (downloadError) throw downloadError;
+
+        text = await parseFile(Buffer.from(await blob.arrayBuffer()), job.filename, organizationId, {
+            userId: job.user_id,
+            route: 'ingestion'
+        });
+
+        if (!text || text.trim().length === 0) {
+            throw Object.assign(new Error('Fichier vide ou illisible'), { retryable: false });
+        }
+
+        console.log(`✅ Extracted ${text.length} characters from ${job.filename}`);
+        await updateIngestJob(job.id, { text });
+    }
+
+    await updateIngestJob(job.id, { stage: 'chunking', progress: INGEST_STAGE_PROGRESS.chunking, error: null });
+
+    const plan = await planDocumentVersion(organizationId, docId, text, job.chunk_format);
+
+    // Vecteurs upsertés par une tentative précédente : pas de nouvel embedding
+    const embeddedIds = new Set(job.embedded_ids);
+    const pending = plan.toEmbed.filter(chunk => !embeddedIds.has(chunk.id));
+    const total = plan.ids.length;
+    let done = total - pending.length;
+
+    const embeddingProgress = () => INGEST_STAGE_PROGRESS.embedding + Math.floor(
+        (INGEST_STAGE_PROGRESS.indexing - INGEST_STAGE_PROGRESS.embedding) * done / Math.max(total, 1)
+    );
+
+    await updateIngestJob(job.id, {
+        stage: 'embedding',
+        chunks_total: total,
+        chunks_done: done,
+        progress: embeddingProgress(),
+        locked_until: lockedUntil()
+    });
+
+    const batches = [];
+    for (let i = 0; i < pending.length; i += CHUNK_CONFIG.EMBED_BATCH) {
+        batches.push(pending.slice(i, i + CHUNK_CONFIG.EMBED_BATCH));
+    }
+
+    // Points de reprise écrits dans l'ordre (lots terminés en parallèle)
+    let checkpoint = Promise.resolve();
+
+    await mapWithConcurrency(batches, INGEST_CONFIG.EMBED_CONCURRENCY, async batch => {
+        await withRetry(
+            () => upsertChunkVectors(organizationId, docId, batch, {
+                source: job.filename,
+                uploadedBy: job.user_id
+            }),
+            INGEST_CONFIG.BATCH_RETRIES,
+            `Embedding ${job.filename}`
+        );
+
+        batch.forEach(chunk => embeddedIds.add(chunk.id));
+        done += batch.length;
+
+        checkpoint = checkpoint.then(() => updateIngestJob(job.id, {
+            embedded_ids: [...embeddedIds],
+            chunks_done: done,
+            progress: embeddingProgress(),
+            locked_until: lockedUntil()
+        }));
+        await checkpoint;
+    });
+
+    await updateIngestJob(job.id, { stage: 'indexing', progress: INGEST_STAGE_PROGRESS.indexing });
+
+    // Document supprimé pendant le traitement (cascade sur le job) : ne pas le recréer
+    const { data: jobRow } = await supabase
+        .from('ingest_jobs')
+        .select('id')
+        .eq('id', job.id)
+        .maybeSingle();
+
+    if (!jobRow) {
+        await deleteVectors(organizationId, [...embeddedIds]);
+        console.log(`🗑️ Ingest job ${job.id} abandonné (document supprimé)`);
+        return;
+    }
+
+    await commitDocumentVersion(plan, {
+        organizationId,
+        userId: job.user_id,
+        docId,
+        filename: job.filename,
+        mimeType: job.mime_type,
+        sizeBytes: job.size_bytes,
+        contentHash: job.content_hash,
+        text,
+        format: job.chunk_format
+    });
+
+    await updateIngestJob(job.id, {
+        status: 'completed',
+        stage: 'done',
+        progress: INGEST_STAGE_PROGRESS.done,
+        chunks_done: total,
+        embedded_ids: [],
+        text: null,
+        locked_until: null,
+        completed_at: new Date().toISOString()
+    });
+
+    await supabase.storage.from(INGEST_CONFIG.BUCKET).remove([job.storage_path])
+        .catch(cleanupError => console.error('⚠️ Storage cleanup error:', cleanupError));
+
+    console.log(`✅ Ingest job ${job.id} terminé (${total} chunks)`);
+}
+
+// Délai avant la prochaine tentative (croissant), null si le job échoue définitivement
+function ingestRetryDelay(job, error) {
+    if (error.retryable === false || job.attempts >= job.max_attempts) return null;
+    return INGEST_CONFIG.RETRY_DELAYS_MS[Math.min(job.attempts, INGEST_CONFIG.RETRY_DELAYS_MS.length) - 1];
+}
+
+// Replanifie le job, ou l'échoue définitivement.
+// Les vecteurs déjà upsertés sont conservés pour la prochaine tentative.
+async function failIngestJob(job, error) {
+    const delay = ingestRetryDelay(job, error);
+
+    if (delay !== null) {
+        await updateIngestJob(job.id, {
+            status: 'queued',
+            error: error.message,
+            run_after: new Date(Date.now() + delay).toISOString(),
+            locked_until: null
+        });
+
+        setTimeout(kickIngestWorker, delay).unref();
+        return;
+    }
+
+    await updateIngestJob(job.id, {
+        status: 'failed',
+        error: error.message,
+        locked_until: null
+    });
+
+    await markDocumentFailed(job.organization_id, job.document_id, error.message);
+}
+
+// ========== HYBRID SEARCH ==========
+// Recherche vectorielle (vector store de l'organisation) + mots-clés (full-text Postgres sur
+// document_chunks), fusionnées par Reciprocal Rank Fusion puis, en option,
+// re-classées par un petit modèle. Les tokens exacts (n° de facture, SIRET,
+// compte 401000, années) sont retrouvés même quand l'embedding les rate.
+
+const RRF_K = 60;
+const HYBRID_CANDIDATES = 20;   // Candidats par méthode avant fusion
+const RERANK_CANDIDATES = 10;   // Candidats soumis au re-ranking
+
+const KEYWORD_STOPWORDS = new Set([
+    'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'en', 'au', 'aux',
+    'ce', 'ces', 'cet', 'cette', 'est', 'sont', 'pour', 'par', 'sur', 'dans', 'avec',
+    'qui', 'que', 'quoi', 'quel', 'quelle', 'quels', 'quelles', 'comment', 'combien',
+    'il', 'elle', 'ils', 'elles', 'on', 'nous', 'vous', 'je', 'tu', 'mon', 'ma', 'mes',
+    'notre', 'nos', 'votre', 'vos', 'son', 'sa', 'ses', 'leur', 'leurs', 'pas', 'ne',
+    'plus', 'moins', 'tout', 'tous', 'toutes', 'se', 'a', 'y', 'l', 'd', 'qu'
+]);
+
+// Tokens significatifs d'une question
+function keywordTokens(query) {
+    const tokens = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return [...new Set(tokens.filter(token => token.length >= 2 && !KEYWORD_STOPWORDS.has(token)))];
+}
+
+// Chiffres groupés recollés ("123 456 789" → "123456789"), minuscules
+function collapseDigits(text) {
+    return text.toLowerCase().replace(/(\d)[\s.](?=\d)/g, '$1');
+}
+
+// Références exactes de la question : n° de facture, compte, SIREN/SIRET…
+// (au moins 5 chiffres, une année seule n'en est pas une)
+function exactTokens(query) {
+    const references = collapseDigits(query).match(/[\p{L}\p{N}]+(?:[-/][\p{L}\p{N}]+)*/gu) || [];
+    return [...new Set(references.filter(ref => (ref.match(/\d/g) || []).length >= 5))];
+}
+
+// Candidats vectoriels : { id, metadata, vectorScore }
+async function vectorSearch(query, organizationId, limit, attribution = {}) {
+    const queryEmbedding = await generateEmbedding(query, organizationId, { ...attribution, feature: 'rag_search' });
+    const store = await getOrgVectorStore(organizationId);
+    const matches = await store.query(organizationId, {
+        vector: queryEmbedding,
+        topK: limit
+    });
+
+    // Le registre fait foi : seuls les chunks de la version publiée comptent
+    const live = await loadLiveChunks(organizationId, matches.map(match => match.id));
+
+    return matches
+        .filter(match => live.has(match.id))
+        .map(match => ({
+            id: match.id,
+            metadata: live.get(match.id),
+            vectorScore: match.score
+        }));
+}
+
+// Métadonnées des chunks publiés (document_chunks + nom de fichier), par id
+async function loadLiveChunks(organizationId, ids) {
+    const live = new Map();
+    if (ids.length === 0) return live;
+
+    const { data: chunks, error } = await supabase
+        .from('document_chunks')
+        .select('id, document_id, chunk_index, text, section, page, sheet')
+        .eq('organization_id', organizationId)
+        .in('id', ids);
+
+    if (error) throw error;
+
+    const documentIds = [...new Set(chunks.map(chunk => chunk.document_id))];
+    const { data: documents, error: documentsError } = await supabase
+        .from('documents')
+        .select('id, filename')
+        .eq('organization_id', organizationId)
+        .in('id', documentIds);
+
+    if (documentsError) throw documentsError;
+
+    const filenames = new Map(documents.map(doc => [doc.id, doc.filename]));
+    for (const chunk of chunks) {
+        live.set(chunk.id, {
+            text: chunk.text,
+            source: filenames.get(chunk.document_id) || 'Unknown',
+            documentId: chunk.document_id,
+            chunkIndex: chunk.chunk_index,
+            section: chunk.section,
+            page: chunk.page,
+            sheet: chunk.sheet
+        });
+    }
+
+    return live;
+}
+
+// Candidats mots-clés (tsvector sur document_chunks) : { id, metadata, keywordScore }
+async function keywordSearch(query, organizationId, limit) {
+    const tokens = keywordTokens(query);
+    if (tokens.length === 0) return [];
+
+    try {
+        const { data, error } = await supabase.rpc('search_document_chunks', {
+            p_organization_id: organizationId,
+            p_query: tokens.join(' | '),
+            p_match_count: limit
+        });
+
+        if (error) throw error;
+
+        return (data || []).map(row => ({
+            id: row.id,
+            metadata: {
+                text: row.text,
+                source: row.filename,
+                documentId: row.document_id,
+                chunkIndex: row.chunk_index,
+                section: row.section,
+                page: row.page,
+                sheet: row.sheet
+            },
+            keywordScore: row.rank
+        }));
+    } catch (error) {
+        console.error('⚠️ Keyword search error:', error);
+        return [];
+    }
+}
+
+// Reciprocal Rank Fusion pondérée
+function fuseRankings(vectorMatches, keywordMatches, settings) {
+    const fused = new Map();
+
+    const addRanking = (matches, weight, scoreField) => {
+        matches.forEach((match, rank) => {
+            const entry = fused.get(match.id) || { id: match.id, metadata: match.metadata, fusionScore: 0 };
+            entry[scoreField] = match[scoreField];
+            entry.fusionScore += weight / (RRF_K + rank + 1);
+            fused.set(match.id, entry);
+        });
+    };
+
+    addRanking(vectorMatches, settings.rag_vector_weight, 'vectorScore');
+    addRanking(keywordMatches, settings.rag_keyword_weight, 'keywordScore');
+
+    return [...fused.values()].sort((a, b) => b.fusionScore - a.fusionScore);
+}
+
+// Re-ranking optionnel par un petit modèle ; en cas d'échec, ordre de fusion conservé
+async function rerankCandidates(query, candidates, organizationId, attribution = {}) {
+    if (candidates.length <= 1) return candidates;
+
+    try {
+        const passages = candidates
+            .map((candidate, i) => `[${i}] ${(candidate.metadata.text || '').slice(0, 800)}`)
+            .join('\n\n');
+
+        const result = await generateText('fast', {
+            messages: [{
+                role: 'user',
+                parts: [{ text: `Note la pertinence de chaque passage pour répondre à la question, de 0 (inutile) à 10 (contient la réponse).
+
+Réponds uniquement en JSON : {"scores": [{"i": 0, "score": 7}, ...]}
+
+QUESTION : ${query}
+
+PASSAGES :
+${passages}` }]
+            }],
+            temperature: 0,
+            json: true
+        }, organizationId, { ...attribution, feature: 'rag_rerank' });
+
+        const scores = new Map();
+        for (const { i, score } of JSON.parse(result.text).scores || []) {
+            scores.set(i, Number(score) || 0);
+        }
+
+        return candidates
+            .map((candidate, i) => ({ ...candidate, rerankScore: scores.get(i) ?? 0, fusionRank: i }))
+            .sort((a, b) => (b.rerankScore - a.rerankScore) || (a.fusionRank - b.fusionRank));
+    } catch (error) {
+        console.error('⚠️ Rerank error:', error);
+        return candidates;
+    }
+}
+
+// Source citable [n] renvoyée au client avec la réponse
+function citationSource(match, n) {
+    const metadata = match.metadata || {};
+    return {
+        n,
+        documentId: metadata.documentId || match.id.replace(/-chunk-\d+$/, ''),
+        chunkId: match.id,
+        filename: metadata.source || 'Unknown',
+        chunkIndex: metadata.chunkIndex || 0,
+        section: metadata.section || null,
+        page: metadata.page || null,
+        sheet: metadata.sheet || null,
+        score: match.vectorScore ?? null,
+        keywordScore: match.keywordScore ?? null,
+        ...(match.rerankScore !== undefined && { rerankScore: match.rerankScore })
+    };
+}
+
+// Extrait [n] du contexte : même numéro que citationSource(match, n)
+function contextExcerpt(match, n) {
+    return `[${n}] Source: ${chunkSourceLabel(match.metadata)}\n${match.metadata.text || ''}`;
+}
+
+// Contexte documentaire de l'organisation (recherche hybride).
+// Renvoie { context, sources, topScore, exactMatch } : chaque extrait est numéroté [n] pour être cité
+async function getRelevantContext(query, organizationId, settings = RAG_DEFAULTS, attribution = {}) {
+    const empty = { context: '', sources: [], topScore: null, exactMatch: false };
+    if (!organizationId) return empty;
+
+    try {
+        const candidateCount = Math.max(HYBRID_CANDIDATES, settings.rag_top_k * 4);
+        const [vectorMatches, keywordMatches] = await Promise.all([
+            vectorSearch(query, organizationId, candidateCount, attribution),
+            keywordSearch(query, organizationId, candidateCount)
+        ]);
+
+        let ranked = fuseRankings(vectorMatches, keywordMatches, settings);
+        if (settings.rag_rerank_enabled) {
+            const reranked = await rerankCandidates(query, ranked.slice(0, RERANK_CANDIDATES), organizationId, attribution);
+            ranked = [...reranked, ...ranked.slice(RERANK_CANDIDATES)];
+        }
+
+        const results = ranked.slice(0, settings.rag_top_k);
+        if (results.length === 0) return empty;
+
+        const contexts = results.map((match, i) => contextExcerpt(match, i + 1));
+
+        // Une référence exacte de la question présente dans un extrait retenu
+        const exact = exactTokens(query);
+        const exactMatch = exact.length > 0 && results.some(match =>
+            match.keywordScore !== undefined
+            && exact.some(token => collapseDigits(match.metadata.text || '').includes(token))
+        );
+
+        return {
+            context: contexts.join('\n\n---\n\n'),
+            sources: results.map((match, i) => citationSource(match, i + 1)),
+            topScore: vectorMatches[0]?.vectorScore ?? null,
+            exactMatch
+        };
+    } catch (error) {
+        console.error('Hybrid search error:', error);
+        return empty;
+    }
+}
+
+// ========== ENTITY DICTIONARY ==========
+// Noms propres de chaque organisation (sociétés clientes, personnes, SIREN),
+// extraits à l'ingestion ou saisis par un admin. Sert à la détection auto-RAG.
+
+const ENTITY_TYPES = ['company', 'person', 'siren', 'other'];
+const ENTITY_CACHE_TTL_MS = 60 * 1000;
+const entityCache = new Map(); // organizationId → { entries, expiresAt }
+
+const CABINET_PHRASES = [
+    'notre cabinet', 'notre equipe', 'notre ca', 'notre chiffre',
+    'nos clients', 'nos projets', 'nos honoraires',
+    'mon cabinet', 'mon client', 'mon equipe'
+];
+
+// Minuscules, sans accents, ponctuation → espaces, chiffres regroupés (SIREN "123 456 789")
+function normalizeEntity(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[’]/g, "'")
+        .replace(/(\d)[\s.](?=\d)/g, '$1')
+        .replace(/[^a-z0-9']+/g, ' ')
+        .trim();
+}
+
+// Clé de Luhn (SIREN valide)
+function isValidSiren(digits) {
+    if (!/^\d{9}$/.test(digits)) return false;
+    let sum = 0;
+    for (let i = 0; i < 9; i++) {
+        let digit = parseInt(digits[8 - i], 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// SIREN valides cités dans un texte ("123 456 789", "123.456.789"), sans doublon
+function documentSirens(text) {
+    return [...new Set(
+        (text.match(/\b\d{3}[\s.]?\d{3}[\s.]?\d{3}\b/g) || [])
+            .map(match => match.replace(/\D/g, ''))
+            .filter(isValidSiren)
+    )];
+}
+
+async function getOrgEntities(organizationId) {
+    const cached = entityCache.get(organizationId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.entries;
+    }
+
+    const { data, error } = await supabase
+        .from('org_entities')
+        .select('normalized')
+        .eq('organization_id', organizationId);
+
+    if (error) throw error;
+
+    const entries = data.map(entity => entity.normalized);
+    entityCache.set(organizationId, { entries, expiresAt: Date.now() + ENTITY_CACHE_TTL_MS });
+    return entries;
+}
+
+// Ajoute des entités (doublons ignorés grâce à l'index unique)
+async function addOrgEntities(organizationId, entities, fields = {}) {
+    const rows = [];
+    const seen = new Set();
+
+    for (const entity of entities) {
+        const name = (entity.name || '').trim();
+        const normalized = normalizeEntity(name);
+        if (normalized.length < 3 || seen.has(normalized)) continue;
+
+        seen.add(normalized);
+        rows.push({
+            organization_id: organizationId,
+            name,
+            normalized,
+            type: ENTITY_TYPES.includes(entity.type) ? entity.type : 'other',
+            ...fields
+        });
+    }
+
+    if (rows.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('org_entities')
+        .upsert(rows, { onConflict: 'organization_id,normalized', ignoreDuplicates: true })
+        .select();
+
+    if (error) throw error;
+
+    entityCache.delete(organizationId);
+    return data;
+}
+
+// Extraction à l'ingestion : SIREN par regex, noms propres par Gemini.
+// Ne lève jamais : appelé sans await une fois le document indexé.
+async function extractDocumentEntities(organizationId, docId, text, userId = null) {
+    try {
+        const sirens = documentSirens(text);
+
+        const result = await generateText('background', {
+            messages: [{
+                role: 'user',
+                parts: [{ text: `Extrais les entités nommées de ce document d'un cabinet d'expertise comptable.
+
+Réponds uniquement en JSON : {"companies": [], "persons": []}
+- companies : raisons sociales / noms commerciaux des sociétés clientes ou tierces
+- persons : noms complets (prénom + nom) des personnes
+N'invente rien, n'inclus pas les termes génériques ("la société", "le client").
+
+DOCUMENT :
+${text.slice(0, 30000)}` }]
+            }],
+            temperature: 0,
+            json: true
+        }, organizationId, { userId, route: 'ingestion', feature: 'entity_extraction' });
+
+        const parsed = JSON.parse(result.text);
+
+        const entities = [
+            ...(parsed.companies || []).map(name => ({ name, type: 'company' })),
+            ...(parsed.persons || []).map(name => ({ name, type: 'person' })),
+            ...sirens.map(name => ({ name, type: 'siren' }))
+        ].filter(entity => typeof entity.name === 'string');
+
+        const added = await addOrgEntities(organizationId, entities, {
+            source: 'auto',
+            document_id: docId
+        });
+
+        console.log(`🏷️ Entities for ${docId}: ${added.length} added (${entities.length} found)`);
+    } catch (error) {
+        console.error('⚠️ Entity extraction error:', error);
+    }
+}
+
+// Détection auto-RAG : la question cite-t-elle une entité de l'organisation ?
+async function containsSpecificEntityNames(message, organizationId) {
+    const normalizedMessage = ` ${normalizeEntity(message)} `;
+
+    const hasCabinetPhrase = CABINET_PHRASES.some(phrase => normalizedMessage.includes(` ${phrase} `));
+    if (hasCabinetPhrase || !organizationId) {
+        return hasCabinetPhrase;
+    }
+
+    try {
+        const entities = await getOrgEntities(organizationId);
+        return entities.some(entity => normalizedMessage.includes(` ${entity} `));
+    } catch (error) {
+        console.error('⚠️ Entity dictionary error:', error);
+        return false;
+    }
+}
+
+// ========== RAG ROUTING ==========
+// Mode 'keywords' : RAG seulement si forcé ou entité citée (comportement historique).
+// Mode 'adaptive' : recherche systématique, contexte injecté si le meilleur score
+// atteint le seuil de l'organisation ; zone grise → petit classifieur optionnel.
+
+const RAG_DEFAULTS = {
+    rag_mode: 'adaptive',
+    rag_min_score: 0.75,
+    rag_borderline_margin: 0.1,
+    rag_classifier_enabled: false,
+
+    // Recherche hybride
+    rag_top_k: 3,
+    rag_vector_weight: 1,
+    rag_keyword_weight: 1,
+    rag_rerank_enabled: false
+};
+const RAG_SETTINGS_CACHE_TTL_MS = 60 * 1000;
+const ragSettingsCache = new Map(); // organizationId → { settings, expiresAt }
+
+async function getOrgRagSettings(organizationId) {
+    if (!organizationId) return RAG_DEFAULTS;
+
+    const cached = ragSettingsCache.get(organizationId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.settings;
+    }
+
+    const { data, error } = await supabase
+        .from('organizations')
+        .select(Object.keys(RAG_DEFAULTS).join(', '))
+        .eq('id', organizationId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('⚠️ RAG settings error:', error);
+        return RAG_DEFAULTS;
+    }
+
+    const settings = { ...RAG_DEFAULTS };
+    for (const key of Object.keys(settings)) {
+        if (data?.[key] !== null && data?.[key] !== undefined) settings[key] = data[key];
+    }
+
+    ragSettingsCache.set(organizationId, { settings, expiresAt: Date.now() + RAG_SETTINGS_CACHE_TTL_MS });
+    return settings;
+}
+
+// Zone grise : la question porte-t-elle sur des données internes du cabinet ?
+async function classifyNeedsInternalData(message, organizationId, attribution = {}) {
+    try {
+        const result = await generateText('fast', {
+            messages: [{
+                role: 'user',
+                parts: [{ text: `Un collaborateur d'un cabinet d'expertise comptable pose une question à l'assistant.
+Faut-il consulter les documents internes du cabinet (dossiers clients, chiffres, contrats, procédures internes) pour y répondre, ou les connaissances générales suffisent-elles ?
+
+Réponds uniquement en JSON : {"internal": true} ou {"internal": false}
+
+QUESTION : ${message}` }]
+            }],
+            temperature: 0,
+            maxOutputTokens: 20,
+            json: true
+        }, organizationId, { ...attribution, feature: 'rag_classifier' });
+
+        return JSON.parse(result.text).internal === true;
+    } catch (error) {
+        console.error('⚠️ RAG classifier error:', error);
+        return false;
+    }
+}
+
+// Décision pour un contexte trouvé : forced, entity, exact_token, score,
+// borderline (zone grise, tranchée par le classifieur) ou general
+function retrievalDecision(retrieved, settings, { forceRAG, mentionsEntity }) {
+    if (forceRAG) return 'forced';
+    if (mentionsEntity) return 'entity';
+    if (retrieved.exactMatch) return 'exact_token';
+    if (retrieved.topScore >= settings.rag_min_score) return 'score';
+    if (settings.rag_classifier_enabled
+        && retrieved.topScore >= settings.rag_min_score - settings.rag_borderline_margin) {
+        return 'borderline';
+    }
+    return 'general';
+}
+
+// Décide si la question reçoit du contexte documentaire.
+// Renvoie { context, sources, routing } ; routing est renvoyé tel quel au client.
+async function routeRetrieval({ message, organizationId, forceRAG, canUseRag, attribution = {} }) {
+    const settings = await getOrgRagSettings(organizationId);
+    const routing = {
+        mode: settings.rag_mode,
+        decision: 'general',
+        usedContext: false,
+        topScore: null,
+        threshold: settings.rag_mode === 'adaptive' ? settings.rag_min_score : null
+    };
+    const none = { context: '', sources: [], routing };
+
+    if (!canUseRag) {
+        routing.decision = 'no_permission';
+        return none;
+    }
+
+    const mentionsEntity = await containsSpecificEntityNames(message, organizationId);
+
+    // Mode historique : pas de recherche sans déclencheur
+    if (!forceRAG && !mentionsEntity && settings.rag_mode !== 'adaptive') {
+        return none;
+    }
+
+    const retrieved = await getRelevantContext(message, organizationId, settings, attribution);
+    routing.topScore = retrieved.topScore;
+    routing.scores = retrieved.sources.map(source => source.score);
+
+    if (!retrieved.context) {
+        routing.decision = 'no_match';
+        return none;
+    }
+
+    routing.decision = retrievalDecision(retrieved, settings, { forceRAG, mentionsEntity });
+
+    if (routing.decision === 'borderline') {
+        const internal = await classifyNeedsInternalData(message, organizationId, attribution);
+        routing.decision = internal ? 'classifier' : 'general';
+        routing.classifier = internal ? 'internal' : 'general';
+    }
+
+    routing.usedContext = routing.decision !== 'general';
+    if (!routing.usedContext) return none;
+
+    return { context: retrieved.context, sources: retrieved.sources, routing };
+}
+
+// ========== AUTHENTICATION MIDDLEWARE ==========
+// `Authorization: Bearer <jwt Supabase>` ou `Bearer aios_...` (clé API personnelle).
+// Une clé API agit au nom de son propriétaire (mêmes quotas et permissions),
+// limitée aux routes de API_KEY_ROUTE_SCOPES couvertes par ses scopes.
+async function authenticateUser(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+        
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({ error: 'Token manquant' });
+        }
+        
+        const token = authHeader.substring(7);
+
+        if (token.startsWith(API_KEY_PREFIX)) {
+            return authenticateApiKey(token, req, res, next);
+        }
+        
+        // Verify token with Supabase
+        const { data: { user }, error } = await supabase.auth.getUser(token);
+        
+        if (error || !user) {
+            return res.status(401).json({ error: 'Token invalide' });
+        }
+        
+        // Decode JWT to get custom claims (app_role, organization_id)
+        const decoded = jwt.decode(token);
+        
+        // Attach user with custom claims to request
+        req.user = {
+            id: user.id,
+            email: user.email,
+            app_role: decoded?.app_role || null,
+            organization_id: decoded?.organization_id || null,
+            role: decoded?.app_role || null // For backward compatibility
+        };
+
+        // 🔐 Première requête d'une session : connexion journalisée (asynchrone)
+        recordSessionLogin(req, decoded?.session_id);
+        
+        next();
+        
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        res.status(401).json({ error: 'Authentification échouée' });
+    }
+}
+
+// ========== API KEYS ==========
+// Format : aios_<43 caractères base64url>. Table api_keys (migration 015) : hash
+// SHA-256, scopes, last_used_at, révocation. La gestion des clés exige une session.
+
+const API_KEY_PREFIX = 'aios_';
+const API_KEY_SCOPES = ['chat', 'documents:read', 'documents:write', 'admin'];
+const API_KEY_LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Scope requis par route ('METHOD chemin Express'). Route absente = session obligatoire.
+const API_KEY_ROUTE_SCOPES = {
+    'POST /api/generate': 'chat',
+    'POST /api/chat': 'chat',
+    'POST /api/chat-with-file': 'chat',
+    'GET /api/chats': 'chat',
+    'POST /api/chats': 'chat',
+    'GET /api/chats/:id': 'chat',
+    'PUT /api/chats/:id': 'chat',
+    'DELETE /api/chats/:id': 'chat',
+    'POST /api/chats/:id/messages': 'chat',
+    'POST /api/chats/:id/title': 'chat',
+    'PUT /api/chats/:id/active-branch': 'chat',
+    'GET /api/chats/:id/export': 'chat',
+    'POST /api/chats/import': 'chat',
+    'GET /api/search': 'chat',
+    'GET /api/chats/:id/shares': 'chat',
+    'PUT /api/chats/:id/shares': 'chat',
+    'GET /api/users/me/quota': 'chat',
+    'GET /api/users/me/permissions': 'chat',
+
+    'GET /api/documents': 'documents:read',
+    'GET /api/documents/:id': 'documents:read',
+    'GET /api/documents/:id/versions': 'documents:read',
+    'GET /api/documents/:id/diff': 'documents:read',
+    'GET /api/ingest-jobs/:id': 'documents:read',
+    'GET /api/vector-stats': 'documents:read',
+
+    'POST /api/upload-file': 'documents:write',
+    'POST /api/upload-document': 'documents:write',
+    'POST /api/ingest-jobs/:id/retry': 'documents:write',
+    'PUT /api/documents/:id': 'documents:write',
+    'POST /api/documents/:id/versions/:version/restore': 'documents:write',
+    'DELETE /api/documents/:id': 'documents:write',
+
+    'GET /api/organizations/me': 'admin',
+    'GET /api/organizations/me/rag-settings': 'admin',
+    'PATCH /api/organizations/me/rag-settings': 'admin',
+    'GET /api/organizations/me/llm-settings': 'admin',
+    'PATCH /api/organizations/me/llm-settings': 'admin',
+    'GET /api/organizations/me/budget': 'admin',
+    'PATCH /api/organizations/me/budget': 'admin',
+    'PATCH /api/organizations/:id/permissions': 'admin',
+    'PATCH /api/users/:id/permissions': 'admin',
+    'GET /api/organizations/me/members': 'admin',
+    'GET /api/roles': 'admin',
+    'POST /api/roles': 'admin',
+    'PATCH /api/roles/:key': 'admin',
+    'DELETE /api/roles/:key': 'admin',
+    'GET /api/invitations': 'admin',
+    'POST /api/invitations': 'admin',
+    'DELETE /api/invitations/:id': 'admin',
+    'PATCH /api/organizations/me/join-settings': 'admin',
+    'GET /api/join-requests': 'admin',
+    'POST /api/join-requests/:id/approve': 'admin',
+    'POST /api/join-requests/:id/reject': 'admin',
+    'GET /api/entities': 'admin',
+    'POST /api/entities': 'admin',
+    'DELETE /api/entities/:id': 'admin',
+    'GET /api/usage/breakdown': 'admin',
+    'GET /api/audit-log': 'admin',
+    'GET /api/stats/gemini': 'admin'
+};
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateApiKey() {
+    const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), hash: hashApiKey(key) };
+}
+
+function requiredApiKeyScope(req) {
+    // Routes déclarées avec plusieurs chemins : le premier fait foi
+    const routePath = [].concat(req.route?.path)[0];
+    return API_KEY_ROUTE_SCOPES[`${req.method} ${routePath}`] || null;
+}
+
+// Corps du 403 si la route refuse les clés API ou si la clé n'a pas le scope requis, sinon null
+function apiKeyScopeError(apiKey, req) {
+    const scope = requiredApiKeyScope(req);
+    if (!scope) {
+        return { error: 'Route non accessible avec une clé API' };
+    }
+    if (!apiKey.scopes.includes(scope)) {
+        return { error: 'Scope manquant pour cette clé API', required: scope };
+    }
+    return null;
+}
+
+async function authenticateApiKey(key, req, res, next) {
+    const { data: apiKey, error } = await supabase
+        .from('api_keys')
+        .select('id, user_id, scopes, last_used_at, expires_at, revoked_at')
+        .eq('key_hash', hashApiKey(key))
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!apiKey || apiKey.revoked_at || (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date())) {
+        return res.status(401).json({ error: 'Clé API invalide, expirée ou révoquée' });
+    }
+
+    const scopeError = apiKeyScopeError(apiKey, req);
+    if (scopeError) {
+        return res.status(403).json(scopeError);
+    }
+
+    const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('id, email, role, organization_id')
+        .eq('id', apiKey.user_id)
+        .maybeSingle();
+
+    if (userError) throw userError;
+    if (!user) {
+        return res.status(401).json({ error: 'Clé API invalide, expirée ou révoquée' });
+    }
+
+    req.user = {
+        id: user.id,
+        email: user.email,
+        app_role: user.role,
+        organization_id: user.organization_id,
+        role: user.role,
+        api_key_id: apiKey.id
+    };
+
+    // last_used_at à la minute près : pas d'écriture à chaque requête
+    if (!apiKey.last_used_at
+        || Date.now() - new Date(apiKey.last_used_at).getTime() > API_KEY_LAST_USED_RESOLUTION_MS) {
+        supabase
+            .from('api_keys')
+            .update({ last_used_at: new Date().toISOString() })
+            .eq('id', apiKey.id)
+            .then(({ error: updateError }) => {
+                if (updateError) console.error('API key last_used_at error:', updateError.message);
+            });
+    }
+
+    next();
+}
+
+// ========== ORGANIZATION SCOPING ==========
+// Vecteurs cloisonnés par organisation dans son vector store (organizations.vector_store,
+// défaut VECTOR_STORE) : ingestion, recherche et suppression ne touchent jamais les
+// documents d'un autre cabinet.
+
+const VECTOR_STORE_CACHE_TTL_MS = 60 * 1000;
+const vectorStoreCache = new Map(); // organizationId → { name, expiresAt }
+
+async function getOrgVectorStore(organizationId) {
+    if (!organizationId) {
+        throw new Error('organization_id requis pour accéder aux documents');
+    }
+
+    const cached = vectorStoreCache.get(organizationId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return vectorStores.get(cached.name);
+    }
+
+    const { data, error } = await supabase
+        .from('organizations')
+        .select('vector_store')
+        .eq('id', organizationId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    const name = data?.vector_store || vectorStores.defaultName;
+    vectorStoreCache.set(organizationId, { name, expiresAt: Date.now() + VECTOR_STORE_CACHE_TTL_MS });
+    return vectorStores.get(name);
+}
+
+// Organisation de l'utilisateur : claim JWT, sinon table users
+async function resolveOrganizationId(req) {
+    if (req.user.organization_id) {
+        return req.user.organization_id;
+    }
+
+    const { data: user, error } = await supabase
+        .from('users')
+        .select('organization_id')
+        .eq('id', req.user.id)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    req.user.organization_id = user?.organization_id || null;
+    return req.user.organization_id;
+}
+
+// Middleware: refuse l'accès aux documents sans organisation
+async function requireOrganization(req, res, next) {
+    try {
+        const organizationId = await resolveOrganizationId(req);
+
+        if (!organizationId) {
+            return res.status(403).json({ error: 'Aucune organisation associée à ce compte' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Resolve organization error:', error);
+        res.status(500).json({ error: 'Erreur vérification organisation' });
+    }
+}
+
+// ========== ROLES & PERMISSIONS ==========
+// users.role = clé d'un rôle intégré (BUILT_IN_ROLES) ou d'un rôle personnalisé de
+// l'organisation (table roles, migration 016). Chaque route déclare la permission
+// requise avec requirePermission().
+
+const PERMISSIONS = {
+    'chat': 'Utiliser le chat IA',
+    'chat:rag': 'Rechercher dans les documents internes',
+    'chats:read': 'Consulter ses conversations et celles partagées',
+    'documents:read': 'Consulter les documents',
+    'documents:upload': 'Ajouter des documents',
+    'documents:edit': 'Modifier des documents',
+    'documents:delete': 'Supprimer des documents',
+    'stats:view': "Voir l'utilisation IA de l'organisation",
+    'org:settings': "Modifier les réglages de l'organisation",
+    'users:manage': 'Gérer les membres et leurs rôles',
+    'roles:manage': 'Gérer les rôles personnalisés',
+    'audit:view': "Consulter le journal d'audit"
+};
+
+const EMPLOYEE_PERMISSIONS = ['chat', 'chat:rag', 'chats:read', 'documents:read', 'documents:upload'];
+
+const BUILT_IN_ROLES = {
+    'owner': { name: 'Propriétaire', permissions: Object.keys(PERMISSIONS) },
+    'admin': { name: 'Administrateur', permissions: Object.keys(PERMISSIONS) },
+    'manager': {
+        name: 'Manager',
+        permissions: [...EMPLOYEE_PERMISSIONS, 'documents:edit', 'documents:delete', 'stats:view']
+    },
+    'employee': { name: 'Employé', permissions: EMPLOYEE_PERMISSIONS },
+    'read-only': { name: 'Lecture seule', permissions: ['chats:read', 'documents:read'] }
+};
+
+// Sans limites personnelles de quota : seul le plafond de l'organisation s'applique
+const UNLIMITED_QUOTA_ROLES = ['owner', 'admin'];
+
+// Jamais dans le rôle par défaut : tout nouveau membre les recevrait
+const DEFAULT_ROLE_EXCLUDED_PERMISSIONS = ['users:manage', 'roles:manage', 'org:settings'];
+
+// Quotas personnels acceptés par PATCH /api/users/:id/permissions (integer, bigint)
+const USER_QUOTA_MAX = {
+    daily_message_quota: 2147483647,
+    daily_token_quota: Number.MAX_SAFE_INTEGER,
+    monthly_token_quota: Number.MAX_SAFE_INTEGER
+};
+
+// Permissions d'un rôle (intégré ou personnalisé de l'organisation)
+async function getRolePermissions(role, organizationId) {
+    if (BUILT_IN_ROLES[role]) {
+        return BUILT_IN_ROLES[role].permissions;
+    }
+
+    if (!role || !organizationId) return [];
+
+    const { data, error } = await supabase
+        .from('roles')
+        .select('permissions')
+        .eq('organization_id', organizationId)
+        .eq('key', role)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data?.permissions || [];
+}
+
+// Rôles attribuables dans l'organisation : intégrés puis personnalisés
+async function listOrganizationRoles(organizationId) {
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([key, role]) => ({
+        key,
+        name: role.name,
+        permissions: role.permissions,
+        built_in: true
+    }));
+
+    if (!organizationId) return builtIn;
+
+    const { data, error } = await supabase
+        .from('roles')
+        .select('key, name, permissions')
+        .eq('organization_id', organizationId)
+        .order('name');
+
+    if (error) throw error;
+    return [...builtIn, ...data.map(role => ({ ...role, built_in: false }))];
+}
+
+// Rôle et permissions de l'utilisateur courant, lus une fois par requête
+async function loadUserAccess(req) {
+    if (req.access) return req.access;
+
+    const { data: user, error } = await supabase
+        .from('users')
+        .select('role, organization_id')
+        .eq('id', req.user.id)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    const role = user?.role || null;
+    const organizationId = user?.organization_id || null;
+    req.user.organization_id = req.user.organization_id || organizationId;
+
+    req.access = {
+        role,
+        organizationId,
+        permissions: await getRolePermissions(role, organizationId)
+    };
+    return req.access;
+}
+
+function hasPermission(access, permission) {
+    return access.permissions.includes(permission);
+}
+
+// Middleware: 403 sans la permission ; req.access = { role, organizationId, permissions }
+function requirePermission(permission) {
+    return async (req, res, next) => {
+        try {
+            const access = await loadUserAccess(req);
+
+            if (!hasPermission(access, permission)) {
+                return res.status(403).json({
+                    error: 'Permission refusée',
+                    required: permission
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Check permission error:', error);
+            res.status(500).json({ error: 'Erreur vérification permission' });
+        }
+    };
+}
+
+// ========== AUDIT LOG ==========
+// Table audit_log (migration 018, ajout seul) : acteur, action, cible, valeurs
+// avant/après, IP et date de chaque mutation sensible (droits, réglages,
+// documents, chats, clés API) et des connexions. Appelé après la mutation ;
+// un échec d'écriture est journalisé sans faire échouer la requête.
+
+async function recordAudit(req, { action, organizationId, targetType = null, targetId = null, before = null, after = null }) {
+    const { error } = await supabase
+        .from('audit_log')
+        .insert([{
+            organization_id: organizationId || req.access?.organizationId || req.user?.organization_id || null,
+            actor_id: req.user?.id || null,
+            actor_email: req.user?.email || null,
+            api_key_id: req.user?.api_key_id || null,
+            action,
+            target_type: targetType,
+            target_id: targetId === null || targetId === undefined ? null : String(targetId),
+            before,
+            after,
+            ip: req.ip || null,
+            user_agent: req.get('user-agent')?.slice(0, 500) || null
+        }]);
+
+    if (error) {
+        console.error(`❌ Audit log error (${action}):`, error.message);
+    }
+}
+
+// Sessions déjà vues par cette instance (évite une écriture par requête)
+const SEEN_SESSIONS_MAX = 10000;
+const seenSessions = new Set();
+
+// `auth.login` à la première requête d'une session Supabase (table auth_sessions,
+// migration 018 : une ligne par session, quelle que soit l'instance). Ne lève jamais.
+async function recordSessionLogin(req, sessionId) {
+    if (!sessionId || seenSessions.has(sessionId)) return;
+
+    if (seenSessions.size >= SEEN_SESSIONS_MAX) seenSessions.clear();
+    seenSessions.add(sessionId);
+
+    try {
+        const { data, error } = await supabase
+            .from('auth_sessions')
+            .upsert([{ session_id: sessionId, user_id: req.user.id }], { onConflict: 'session_id', ignoreDuplicates: true })
+            .select('session_id');
+
+        if (error) throw error;
+        if (data.length === 0) return; // Session déjà journalisée
+
+        await recordAudit(req, {
+            action: 'auth.login',
+            organizationId: await resolveOrganizationId(req),
+            targetType: 'user',
+            targetId: req.user.id
+        });
+    } catch (error) {
+        seenSessions.delete(sessionId);
+        console.error('❌ Login audit error:', error.message);
+    }
+}
+
+// Champs de `row` limités à `fields` (valeurs avant/après d'un audit)
+function pickFields(row, fields) {
+    if (!row) return null;
+    return Object.fromEntries(fields.filter(field => row[field] !== undefined).map(field => [field, row[field]]));
+}
+
+// ========== QUOTA ENGINE ==========
+// Un seul contrat pour toutes les routes qui appellent le modèle de chat :
+// - checkQuota (middleware) vérifie et réserve un prompt via la RPC reserve_quota,
+//   atomique : prompts du jour, tokens jour/mois de l'utilisateur, coût mensuel de
+//   l'organisation ;
+// - settleQuota enregistre les tokens et le coût réels une fois la réponse obtenue ;
+// - une réservation non réglée à la fin de la requête (validation refusée, erreur,
+//   Stop avant le premier token) est rendue.
+// Limite atteinte → 429 QUOTA_EXCEEDED. Base indisponible → 503 : pas d'appel non compté.
+
+// Tarifs USD par million de tokens (thoughts facturés au tarif sortie).
+// LLM_PRICING (JSON) complète ou remplace : {"openai:gpt-4.1": {"input": 2, "output": 8}}
+const LLM_PRICING = {
+    'gemini:gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini:gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini:gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini:text-embedding-004': { input: 0, output: 0 },
+    'openai:gpt-4o': { input: 2.50, output: 10 },
+    'openai:gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'openai:text-embedding-3-small': { input: 0.02, output: 0 },
+    ...JSON.parse(process.env.LLM_PRICING || '{}')
+};
+
+// Modèle absent de LLM_PRICING : tarif du fournisseur (modèles locaux gratuits)
+const LLM_PROVIDER_PRICING = {
+    gemini: { input: 0.30, output: 2.50 },
+    openai: { input: 2.50, output: 10 },
+    local: { input: 0, output: 0 },
+    mock: { input: 0, output: 0 }
+};
+
+const QUOTA_MESSAGES = {
+    daily_prompts: 'Quota journalier de messages atteint',
+    daily_tokens: 'Quota journalier de tokens atteint',
+    monthly_tokens: 'Quota mensuel de tokens atteint',
+    monthly_cost: 'Budget IA mensuel de l\'organisation atteint'
+};
+
+function llmPricing(modelId) {
+    return LLM_PRICING[modelId] || LLM_PROVIDER_PRICING[modelId.split(':')[0]] || { input: 0, output: 0 };
+}
+
+function estimateLLMCost(llm, usage) {
+    const pricing = llmPricing(llm.id);
+    const outputTokens = (usage?.outputTokens || 0) + (usage?.thoughtsTokens || 0);
+    return ((usage?.inputTokens || 0) * pricing.input + outputTokens * pricing.output) / 1e6;
+}
+
+function usageTotalTokens(usage) {
+    return (usage?.inputTokens || 0) + (usage?.outputTokens || 0) + (usage?.thoughtsTokens || 0);
+}
+
+// Stream interrompu : le fournisseur n'a pas forcément renvoyé l'usage, on l'estime
+function usageOrEstimate(usage, request, text) {
+    return usage || {
+        inputTokens: estimateTokens(request),
+        outputTokens: Math.ceil((text || '').length / 4),
+        thoughtsTokens: 0
+    };
+}
+
+// Prochaine remise à zéro (UTC) d'une limite journalière ou mensuelle
+function quotaResetsAt(limitType, date) {
+    const reset = new Date(`${date}T00:00:00Z`);
+    if (limitType.startsWith('daily')) {
+        reset.setUTCDate(reset.getUTCDate() + 1);
+    } else {
+        reset.setUTCMonth(reset.getUTCMonth() + 1, 1);
+    }
+    return reset.toISOString();
+}
+
+// Limites applicables (null = illimité). Les admins n'ont pas de limite
+// personnelle ; le budget de l'organisation s'applique à tous.
+async function loadQuotaLimits(userId, organizationId) {
+    const { data: user, error } = await supabase
+        .from('users')
+        .select('role, daily_message_quota, daily_token_quota, monthly_token_quota')
+        .eq('id', userId)
+        .single();
+
+    if (error) throw error;
+
+    let monthlyCost = null;
+    if (organizationId) {
+        const { data: org, error: orgError } = await supabase
+            .from('organizations')
+            .select('monthly_cost_limit_usd')
+            .eq('id', organizationId)
+            .maybeSingle();
+
+        if (orgError) throw orgError;
+        monthlyCost = org?.monthly_cost_limit_usd ?? null;
+    }
+
+    const personal = !UNLIMITED_QUOTA_ROLES.includes(user.role);
+
+    return {
+        dailyPrompts: personal ? user.daily_message_quota ?? null : null,
+        dailyTokens: personal ? user.daily_token_quota ?? null : null,
+        monthlyTokens: personal ? user.monthly_token_quota ?? null : null,
+        monthlyCost: monthlyCost === null ? null : Number(monthlyCost)
+    };
+}
+
+async function reserveQuota(userId, organizationId) {
+    const date = new Date().toISOString().split('T')[0];
+    const limits = await loadQuotaLimits(userId, organizationId);
+
+    const { data, error } = await supabase.rpc('reserve_quota', {
+        p_user_id: userId,
+        p_organization_id: organizationId,
+        p_date: date,
+        p_daily_prompts: limits.dailyPrompts,
+        p_daily_tokens: limits.dailyTokens,
+        p_monthly_tokens: limits.monthlyTokens,
+        p_monthly_cost: limits.monthlyCost
+    });
+
+    if (error) throw error;
+
+    return { ...data, userId, organizationId, date, limits, settled: false };
+}
+
+function releaseQuota(reservation) {
+    supabase.rpc('release_quota', {
+        p_user_id: reservation.userId,
+        p_date: reservation.date
+    }).then(({ error }) => {
+        if (error) console.error('⚠️ Release quota error:', error);
+    });
+}
+
+// Corps de la réponse 429 (même forme pour toutes les routes)
+function quotaExceededPayload(reservation) {
+    return {
+        error: 'QUOTA_EXCEEDED',
+        limit_type: reservation.limit_type,
+        message: QUOTA_MESSAGES[reservation.limit_type],
+        limit: Number(reservation.limit),
+        used: Number(reservation.used),
+        resets_at: quotaResetsAt(reservation.limit_type, reservation.date)
+    };
+}
+
+// Middleware : réserve un prompt avant l'appel au modèle (req.quota)
+async function checkQuota(req, res, next) {
+    let reservation;
+
+    try {
+        reservation = await reserveQuota(req.user.id, await resolveOrganizationId(req));
+    } catch (error) {
+        console.error('❌ Quota check error:', error);
+        return res.status(503).json({
+            error: 'QUOTA_UNAVAILABLE',
+            message: 'Vérification du quota impossible, réessayez dans un instant'
+        });
+    }
+
+    if (!reservation.allowed) {
+        console.log(`⛔ Quota ${reservation.limit_type} atteint: ${req.user.id}`);
+        return res.status(429).json(quotaExceededPayload(reservation));
+    }
+
+    req.quota = reservation;
+    res.once('close', () => {
+        if (reservation.settled) return;
+        reservation.released = true;
+        releaseQuota(reservation);
+    });
+
+    next();
+}
+
+// Enregistre la consommation réelle ; renvoie les infos quota pour le client
+async function settleQuota(req, llm, usage) {
+    const reservation = req.quota;
+    reservation.settled = true;
+
+    const tokens = usageTotalTokens(usage);
+    const { error } = await supabase.rpc('record_quota_usage', {
+        p_user_id: reservation.userId,
+        p_organization_id: reservation.organizationId,
+        p_date: reservation.date,
+        p_input_tokens: usage?.inputTokens || 0,
+        p_output_tokens: usage?.outputTokens || 0,
+        p_thoughts_tokens: usage?.thoughtsTokens || 0,
+        p_cost_usd: estimateLLMCost(llm, usage),
+        // Stop en cours de stream : réservation déjà rendue, mais une réponse partielle compte
+        p_prompts: reservation.released ? 1 : 0
+    });
+
+    if (error) console.error('⚠️ Record quota usage error:', error);
+
+    return {
+        used: reservation.prompts,
+        limit: reservation.limits.dailyPrompts,
+        tokens: {
+            today: reservation.daily_tokens + tokens,
+            daily_limit: reservation.limits.dailyTokens,
+            month: reservation.monthly_tokens === null ? null : reservation.monthly_tokens + tokens,
+            monthly_limit: reservation.limits.monthlyTokens
+        }
+    };
+}
+
+// ========== CHAT ACCESS ==========
+// Le propriétaire a tous les droits. Un chat partagé (table chat_shares) est
+// visible d'un collègue précis ou de toute l'organisation du propriétaire :
+// 'viewer' en lecture seule, 'contributor' peut aussi y poser des questions.
+
+const CHAT_ACCESS_LEVELS = { viewer: 1, contributor: 2, owner: 3 };
+
+// { chat, access } si l'utilisateur voit le chat, sinon null
+async function getChatAccess(chatId, req) {
+    const { data: chat, error } = await supabase
+        .from('chats')
+        .select('*')
+        .eq('id', chatId)
+        .maybeSingle();
+
+    // 22P02 : identifiant qui n'est pas un uuid
+    if (error && error.code !== '22P02') throw error;
+    if (!chat) return null;
+
+    if (chat.user_id === req.user.id) {
+        return { chat, access: 'owner' };
+    }
+
+    const organizationId = await resolveOrganizationId(req);
+    let query = supabase
+        .from('chat_shares')
+        .select('role')
+        .eq('chat_id', chatId);
+
+    query = organizationId
+        ? query.or(`shared_with_user_id.eq.${req.user.id},and(shared_with_user_id.is.null,organization_id.eq.${organizationId})`)
+        : query.eq('shared_with_user_id', req.user.id);
+
+    const { data: shares, error: sharesError } = await query;
+    if (sharesError) throw sharesError;
+
+    const access = shareAccess(shares);
+    return access ? { chat, access } : null;
+}
+
+// Niveau accordé par les partages qui visent l'utilisateur (le sien et celui de
+// l'organisation) : le plus élevé l'emporte, null sans partage
+function shareAccess(shares) {
+    if (!shares.length) return null;
+    return shares.some(share => share.role === 'contributor') ? 'contributor' : 'viewer';
+}
+
+// Middleware: req.chat / req.chatAccess ; 404 si le chat n'est pas visible,
+// 403 si le niveau d'accès est insuffisant
+function requireChatAccess(level) {
+    return async (req, res, next) => {
+        try {
+            const result = await getChatAccess(req.params.id, req);
+
+            if (!result) {
+                return res.status(404).json({ error: 'Chat introuvable' });
+            }
+
+            if (CHAT_ACCESS_LEVELS[result.access] < CHAT_ACCESS_LEVELS[level]) {
+                return res.status(403).json({
+                    error: level === 'owner'
+                        ? 'Action réservée au propriétaire du chat'
+                        : 'Ce chat est partagé avec vous en lecture seule'
+                });
+            }
+
+            req.chat = result.chat;
+            req.chatAccess = result.access;
+            next();
+        } catch (error) {
+            console.error('Chat access error:', error);
+            res.status(500).json({ error: 'Erreur vérification accès chat' });
+        }
+    };
+}
+
+// Rôles qu'un niveau d'accès peut poster via /api/chats/:id/messages : une
+// réponse 'assistant' d'un contributeur serait une réponse IA fabriquée
+function postableMessageRoles(access) {
+    return access === 'owner' ? ['user', 'assistant'] : ['user'];
+}
+
+// ========== CHAT PERSISTENCE ==========
+// L'historique Gemini est reconstruit depuis la table `messages` (source unique,
+// aussi lue par la sidebar) : plus de Map en mémoire perdue à chaque cold start.
+
+// Messages non résumés du chemin au format Gemini (fenêtre glissante).
+// `after` = chats.summary_until : tout ce qui précède est couvert par le résumé.
+async function loadChatHistory(chatId, leafId, after = null) {
+    // Borne haute : fenêtre + un lot en attente de résumé
+    const path = await loadChatPath(chatId, leafId, {
+        after,
+        limit: CHAT_CONFIG.MAX_HISTORY_GEMINI + CHAT_CONFIG.SUMMARY_BATCH
+    });
+
+    return toModelHistory(path);
+}
+
+// Messages stockés → tours du modèle ({ role, parts })
+function toModelHistory(messages) {
+    const history = messages.map(msg => ({
+        role: msg.role === 'user' ? 'user' : 'assistant',
+        parts: [{ text: msg.content }]
+    }));
+
+    // Les modèles exigent un historique qui commence par un tour user
+    while (history.length > 0 && history[0].role !== 'user') {
+        history.shift();
+    }
+
+    return history;
+}
+
+// Insère un message sous `parent` (null : racine), en fait la feuille active
+// du chat et rafraîchit updated_at
+async function saveChatMessage(chatId, parent, fields) {
+    const { data, error } = await supabase
+        .from('messages')
+        .insert([{
+            chat_id: chatId,
+            parent_id: parent ? parent.id : null,
+            depth: parent ? parent.depth + 1 : 0,
+            ...fields
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await supabase
+        .from('chats')
+        .update({ updated_at: new Date().toISOString(), active_message_id: data.id })
+        .eq('id', chatId);
+
+    return data;
+}
+
+// Colonnes modèle/tokens stockées sur le message assistant
+function messageUsageFields(llm, usage) {
+    return {
+        model: llm.model,
+        input_tokens: usage?.inputTokens || 0,
+        output_tokens: usage?.outputTokens || 0,
+        thoughts_tokens: usage?.thoughtsTokens || 0
+    };
+}
+
+// ========== CHAT BRANCHES ==========
+// Modifier un message user ou régénérer une réponse crée une version sœur (même
+// parent_id) : les messages d'un chat forment un arbre. chats.active_message_id
+// est la feuille de la branche affichée ; historique, résumé, rappel et limite de
+// messages ne portent que sur le chemin racine → feuille.
+
+// Tour user avec fichier joint ("📎 fichier\ntexte") : le fichier n'est pas
+// conservé, le message ne peut être ni modifié ni régénéré
+const FILE_MESSAGE_PREFIX = '📎 ';
+
+// Chemin racine → feuille (avec sibling_ids), [] si pas de feuille.
+// `after` : messages postérieurs à summary_until ; `limit` : les N derniers.
+async function loadChatPath(chatId, leafId, { after = null, limit = null } = {}) {
+    if (!leafId) return [];
+
+    const { data, error } = await supabase.rpc('chat_message_path', {
+        p_chat_id: chatId,
+        p_leaf_id: leafId,
+        p_after: after,
+        p_limit: limit
+    });
+
+    if (error) throw error;
+    return data || [];
+}
+
+// Message du chat (null si absent ou identifiant invalide)
+async function loadChatMessage(chatId, messageId) {
+    const { data, error } = await supabase
+        .from('messages')
+        .select('id, parent_id, role, content, depth, created_at')
+        .eq('chat_id', chatId)
+        .eq('id', messageId)
+        .maybeSingle();
+
+    // 22P02 : identifiant qui n'est pas un uuid
+    if (error && error.code !== '22P02') throw error;
+    return data;
+}
+
+// Feuille de la branche qui passe par un message (dernier enfant à chaque niveau)
+async function resolveBranchLeaf(chatId, messageId) {
+    const { data, error } = await supabase.rpc('chat_branch_leaf', {
+        p_chat_id: chatId,
+        p_message_id: messageId
+    });
+
+    if (error && error.code !== '22P02') throw error;
+    return data || null;
+}
+
+// Branche à afficher pour un message : la branche active si elle le contient,
+// sinon celle de sa dernière version en dessous. { leafId, messages } ou null.
+async function loadBranchThrough(chat, messageId) {
+    const active = await loadChatPath(chat.id, chat.active_message_id);
+    if (active.some(m => m.id === messageId)) {
+        return { leafId: chat.active_message_id, messages: active };
+    }
+
+    const leafId = await resolveBranchLeaf(chat.id, messageId);
+    if (!leafId) return null;
+
+    return { leafId, messages: await loadChatPath(chat.id, leafId) };
+}
+
+// Le résumé replie le chemin actif jusqu'au message daté summary_until. Sur une
+// branche qui ne contient pas ce message, il est repris de zéro.
+async function syncChatSummaryWithPath(chat, path) {
+    if (!chat.summary_until || path.some(m => m.created_at === chat.summary_until)) {
+        return chat;
+    }
+
+    const { error } = await supabase
+        .from('chats')
+        .update({ summary: null, summary_until: null })
+        .eq('id', chat.id)
+        .eq('summary_until', chat.summary_until);
+
+    if (error) throw error;
+
+    console.log(`🌿 Chat ${chat.id}: résumé réinitialisé (changement de branche)`);
+    return { ...chat, summary: null, summary_until: null };
+}
+
+// Place d'un nouveau tour dans l'arbre du chat :
+// - par défaut à la suite de la branche active (ou de `parentMessageId`) ;
+// - `editMessageId` : nouvelle version d'un message user, sous le même parent ;
+// - `regenerateMessageId` : nouvelle réponse à la question d'une réponse existante
+//   (`question` : tour user existant, pas de nouveau tour user).
+// Renvoie { parent, question, fork } ou { error } si la cible est invalide.
+// `fork` : le tour ne prolonge pas la branche active.
+async function resolveChatTurn(chat, { parentMessageId = null, editMessageId = null, regenerateMessageId = null } = {}) {
+    if (regenerateMessageId) {
+        const answer = await loadChatMessage(chat.id, regenerateMessageId);
+        if (!answer || answer.role !== 'assistant') {
+            return { error: 'Réponse à régénérer introuvable dans ce chat' };
+        }
+
+        const question = answer.parent_id ? await loadChatMessage(chat.id, answer.parent_id) : null;
+        if (!question || question.role !== 'user') {
+            return { error: 'Cette réponse ne fait suite à aucune question' };
+        }
+        if (question.content.startsWith(FILE_MESSAGE_PREFIX)) {
+            return { error: 'Une réponse à un fichier joint ne peut pas être régénérée' };
+        }
+
+        return { parent: null, question, fork: true };
+    }
+
+    if (editMessageId) {
+        const edited = await loadChatMessage(chat.id, editMessageId);
+        if (!edited || edited.role !== 'user') {
+            return { error: 'Message à modifier introuvable dans ce chat' };
+        }
+        if (edited.content.startsWith(FILE_MESSAGE_PREFIX)) {
+            return { error: 'Un message avec fichier joint ne peut pas être modifié' };
+        }
+
+        const parent = edited.parent_id ? await loadChatMessage(chat.id, edited.parent_id) : null;
+        return { parent, question: null, fork: true };
+    }
+
+    const parentId = parentMessageId || chat.active_message_id;
+    if (!parentId) {
+        return { parent: null, question: null, fork: false };
+    }
+
+    const parent = await loadChatMessage(chat.id, parentId);
+    if (!parent) {
+        return { error: 'Message parent introuvable dans ce chat' };
+    }
+
+    return { parent, question: null, fork: parent.id !== chat.active_message_id };
+}
+
+// Longueur du chemin avant la réponse (limite et avertissements de chat long)
+function chatTurnPathLength(turn) {
+    if (turn.question) return turn.question.depth + 1;
+    return turn.parent ? turn.parent.depth + 1 : 0;
+}
+
+// Feuille de l'historique envoyé au modèle (avant la question)
+function chatTurnHistoryLeaf(turn) {
+    return turn.question ? turn.question.parent_id : turn.parent?.id || null;
+}
+
+// Sur une autre branche, le résumé doit porter sur le chemin de cette branche
+async function prepareChatTurnMemory(chat, turn) {
+    if (!turn.fork) return chat;
+    return syncChatSummaryWithPath(chat, await loadChatPath(chat.id, chatTurnHistoryLeaf(turn)));
+}
+
+// ========== CHAT MEMORY (RÉSUMÉ GLISSANT) ==========
+// Les tours qui sortent de la fenêtre MAX_HISTORY_GEMINI sont repliés dans
+// chats.summary (ajouté au contexte) et indexés dans messages.embedding pour
+// être rappelés quand une question y fait référence.
+
+// `leafId` : dernier message de la branche à laquelle la question fait suite
+async function buildChatMemory(chat, leafId, query, organizationId, attribution = {}) {
+    const history = await loadChatHistory(chat.id, leafId, chat.summary_until);
+
+    // Rien n'a encore été résumé → pas d'ancien message à rappeler
+    const recalled = chat.summary ? await recallChatMessages(chat.id, leafId, query, organizationId, attribution) : [];
+
+    return { history, summary: chat.summary || null, recalled };
+}
+
+// Anciens messages (déjà résumés) de la branche les plus proches de la question
+async function recallChatMessages(chatId, leafId, query, organizationId, attribution = {}) {
+    try {
+        const queryEmbedding = await generateEmbedding(query, organizationId, { ...attribution, feature: 'chat_recall' });
+
+        const { data, error } = await supabase.rpc('match_chat_messages', {
+            p_chat_id: chatId,
+            p_query_embedding: queryEmbedding,
+            p_match_count: CHAT_CONFIG.MEMORY_RECALL_TOP_K,
+            p_leaf_id: leafId
+        });
+
+        if (error) throw error;
+
+        return (data || []).filter(m => m.similarity >= CHAT_CONFIG.MEMORY_RECALL_MIN_SCORE);
+    } catch (error) {
+        console.error('⚠️ Chat memory recall error:', error);
+        return [];
+    }
+}
+
+// Ajoute résumé + extraits rappelés à l'instruction système
+function withChatMemory(systemInstruction, memory) {
+    let block = '';
+
+    if (memory.summary) {
+        block += `\n\nRÉSUMÉ DES ÉCHANGES PRÉCÉDENTS DE CETTE CONVERSATION :\n${memory.summary}`;
+    }
+
+    if (memory.recalled.length > 0) {
+        const excerpts = memory.recalled
+            .map(m => `[${m.role === 'user' ? 'Utilisateur' : 'Assistant'}] ${m.content}`)
+            .join('\n\n---\n\n');
+        block += `\n\nEXTRAITS ANTÉRIEURS PERTINENTS DE CETTE CONVERSATION :\n${excerpts}`;
+    }
+
+    return systemInstruction + block;
+}
+
+// Messages non résumés à replier : aucun tant que moins d'un lot dépasse la
+// fenêtre, sinon tout ce qui précède la fenêtre (qui doit commencer par un tour user)
+function summaryFoldCount(pending) {
+    let foldCount = pending.length - CHAT_CONFIG.MAX_HISTORY_GEMINI;
+    if (foldCount < CHAT_CONFIG.SUMMARY_BATCH) return 0;
+
+    while (foldCount < pending.length && pending[foldCount].role !== 'user') {
+        foldCount++;
+    }
+
+    return foldCount;
+}
+
+// Replie les messages de la branche active sortis de la fenêtre dans le résumé
+// du chat. Ne lève jamais : appelé sans await après chaque réponse.
+async function updateChatSummary(chatId, organizationId, attribution = {}) {
+    try {
+        const { data: chat, error: chatError } = await supabase
+            .from('chats')
+            .select('summary, summary_until, active_message_id')
+            .eq('id', chatId)
+            .single();
+
+        if (chatError) throw chatError;
+
+        const pending = await loadChatPath(chatId, chat.active_message_id, { after: chat.summary_until });
+
+        const foldCount = summaryFoldCount(pending);
+        if (foldCount === 0) return;
+
+        const toFold = pending.slice(0, foldCount);
+        console.log(`🧠 Résumé chat ${chatId}: repli de ${toFold.length} messages`);
+
+        const transcript = toFold
+            .map(m => `${m.role === 'user' ? 'Utilisateur' : 'Assistant'} : ${m.content.slice(0, 4000)}`)
+            .join('\n\n');
+
+        const result = await generateText('background', {
+            messages: [{
+                role: 'user',
+                parts: [{ text: `Tu maintiens la mémoire d'une conversation entre un collaborateur d'un cabinet d'expertise comptable et un assistant IA.
+
+Mets à jour le résumé ci-dessous avec les nouveaux échanges.
+- Conserve TOUS les faits précis : clients, personnes, chiffres, montants, dates, décisions, questions en suspens
+- Supprime les formules de politesse et les répétitions
+- Listes à puces, 400 mots maximum
+
+Réponds uniquement avec le résumé mis à jour.
+
+RÉSUMÉ ACTUEL :
+${chat.summary || '(aucun)'}
+
+NOUVEAUX ÉCHANGES :
+${transcript}` }]
+            }],
+            temperature: 0.2,
+            maxOutputTokens: 2000
+        }, organizationId, { ...attribution, feature: 'chat_summary' });
+
+        const newSummary = result.text.trim();
+        if (!newSummary) return;
+
+        // Indexer les messages repliés pour le rappel
+        await Promise.all(toFold.map(async (m) => {
+            const embedding = await generateEmbedding(m.content.slice(0, 8000), organizationId, {
+                ...attribution,
+                feature: 'chat_summary'
+            });
+            await supabase
+                .from('messages')
+                .update({ embedding })
+                .eq('id', m.id);
+        }));
+
+        // Mise à jour conditionnelle : ignore si une autre requête a déjà résumé
+        let update = supabase
+            .from('chats')
+            .update({
+                summary: newSummary,
+                summary_until: toFold[toFold.length - 1].created_at
+            })
+            .eq('id', chatId);
+
+        update = chat.summary_until
+            ? update.eq('summary_until', chat.summary_until)
+            : update.is('summary_until', null);
+
+        const { error: updateError } = await update;
+        if (updateError) throw updateError;
+
+        console.log(`✅ Résumé chat ${chatId} mis à jour`);
+    } catch (error) {
+        console.error('⚠️ Chat summary error:', error);
+    }
+}
+
+// ========== PERMISSIONS API ==========
+
+// POST /api/chat
+app.post('/api/chat', authenticateUser, requirePermission('chat'), checkQuota, async (req, res) => {
+    try {
+        const { 
+            forceRAG = false,
+            chatId = null,
+            parent_message_id: parentMessageId = null,
+            edit_message_id: editMessageId = null,
+            regenerate_message_id: regenerateMessageId = null
+        } = req.body;
+
+        if (!chatId || (!req.body.message && !regenerateMessageId)) {
+            return res.status(400).json({ error: 'Message et chatId requis' });
+        }
+
+        const chatAccess = await getChatAccess(chatId, req);
+        if (!chatAccess) {
+            return res.status(404).json({ error: 'Chat introuvable' });
+        }
+        if (chatAccess.access === 'viewer') {
+            return res.status(403).json({ error: 'Ce chat est partagé avec vous en lecture seule' });
+        }
+
+        // 🌿 Branche : suite de la branche active, nouvelle version d'un message ou d'une réponse
+        const turn = await resolveChatTurn(chatAccess.chat, { parentMessageId, editMessageId, regenerateMessageId });
+        if (turn.error) {
+            return res.status(400).json({ error: turn.error });
+        }
+        const chatRow = await prepareChatTurnMemory(chatAccess.chat, turn);
+        const message = turn.question ? turn.question.content : req.body.message;
+
+        let uiMessage = null;
+
+        // Seul le chemin de la branche compte (les autres versions n'entrent pas dans le contexte)
+        const messageCount = chatTurnPathLength(turn);
+        
+        if (messageCount >= CHAT_CONFIG.MAX_MESSAGES_PER_CHAT) {
+            return res.status(400).json({ 
+                error: 'chat_limit_reached',
+                message: `Ce chat a atteint la limite de ${CHAT_CONFIG.MAX_MESSAGES_PER_CHAT} messages. Créez un nouveau chat pour continuer.`,
+                messageCount: messageCount
+            });
+        }
+        
+        if (messageCount >= CHAT_CONFIG.SUGGEST_NEW_CHAT_AT && messageCount < CHAT_CONFIG.SUGGEST_NEW_CHAT_AT + 2) {
+            uiMessage = {
+                type: 'warning',
+                text: `💡 Ce chat a ${messageCount} messages. Pour un nouveau sujet, créez un nouveau chat.`,
+                count: messageCount
+            };
+        }
+        else if (messageCount >= CHAT_CONFIG.WARN_LONG_CHAT_AT && messageCount < CHAT_CONFIG.WARN_LONG_CHAT_AT + 2) {
+            uiMessage = {
+                type: 'info',
+                text: `ℹ️ Chat long (${messageCount} messages). Les échanges les plus anciens sont résumés pour rester dans le contexte.`,
+                count: messageCount
+            };
+        }
+
+        const organizationId = await resolveOrganizationId(req);
+        const llm = await getLLM('chat', organizationId);
+        const attribution = { userId: req.user.id, chatId, route: req.route.path };
+
+        // Historique de la branche reconstruit depuis Supabase + résumé et rappel des anciens échanges
+        const memory = await buildChatMemory(chatRow, chatTurnHistoryLeaf(turn), message, organizationId, attribution);
+        const history = memory.history;
+
+        // Vérifier permission RAG
+        const canUseRag = hasPermission(await loadUserAccess(req), 'chat:rag');
+
+        if (forceRAG && !canUseRag) {
+            return res.status(403).json({
+                error: 'Accès RAG désactivé pour votre compte'
+            });
+        }
+
+        // 🔍 Routage : contexte documentaire ou connaissances générales
+        const { context, sources, routing } = await routeRetrieval({
+            message,
+            organizationId,
+            forceRAG,
+            canUseRag,
+            attribution
+        });
+        console.log(`🔍 RAG ${routing.mode}: ${routing.decision} (top score: ${routing.topScore ?? '-'})`);
+
+        let enhancedMessage = message;
+        if (context) {
+            enhancedMessage = `CONTEXTE DOCUMENTAIRE :\n${context}\n\n---\n\nQUESTION : ${message}\n\nUtilise le contexte ci-dessus pour répondre avec précision et cite chaque fait tiré d'un extrait avec son numéro entre crochets, par exemple [1] ou [1][3].`;
+        }
+
+        // 💾 Persister le tour user avant l'appel (conservé même si le modèle échoue) ;
+        // une régénération répond à la question existante
+        let userMessage = turn.question;
+        if (!userMessage) {
+            userMessage = await saveChatMessage(chatId, turn.parent, {
+                role: 'user',
+                user_id: req.user.id,
+                content: message,
+                model: llm.model,
+                used_rag: !!context
+            });
+            autoTitleChatIfNeeded(chatId, message);
+        }
+
+        const request = {
+            model: llm.model,
+            messages: [...history, { role: 'user', parts: [{ text: enhancedMessage }] }],
+            temperature: 0.7,
+            maxOutputTokens: 8000,
+            system: withChatMemory(`Tu es un assistant IA professionnel pour un cabinet d'expertise comptable.
+
+Tu as accès à une base documentaire contenant :
+- Informations clients (CA, résultats, projets, etc.)
+- Données internes du cabinet
+
+RÈGLES :
+1. Si CONTEXTE DOCUMENTAIRE fourni → utilise-le pour faits/chiffres précis, en citant l'extrait [n] juste après chaque fait
+2. Pour questions générales (moyennes secteur, conseils) → utilise tes connaissances
+3. COMBINE les deux quand pertinent : données clients + expertise comptable
+
+FORMATAGE Markdown systématique :
+- **Gras** pour chiffres importants
+- Tables pour comparaisons
+- Listes pour énumérations
+
+Sois précis, professionnel et pédagogique.`, memory)
+        };
+
+        const stream = wantsStream(req);
+        const startedAt = Date.now();
+        let aiResponse;
+        let usage;
+        let aborted = false;
+
+        if (stream) {
+            initSSE(res);
+            const streamed = await streamLLMToClient(res, (options) =>
+                llm.provider.stream({ ...request, ...options })
+            );
+            ({ text: aiResponse, usage, aborted } = streamed);
+
+            if (aborted && !aiResponse) {
+                return res.end();
+            }
+        } else {
+            ({ text: aiResponse, usage } = await llm.provider.generate(request));
+        }
+
+        // 📊 Logger usage + décompte quota
+        logLLMUsage(llm, usage, {
+            ...attribution,
+            organizationId,
+            feature: 'chat',
+            usedRag: !!context,
+            latencyMs: Date.now() - startedAt,
+            aborted
+        });
+        const quota = await settleQuota(req, llm, usageOrEstimate(usage, request, aiResponse));
+
+        // 💾 Persister le tour assistant (texte partiel si stream interrompu)
+        const assistantMessage = await saveChatMessage(chatId, userMessage, {
+            role: 'assistant',
+            content: aiResponse,
+            ...messageUsageFields(llm, usage),
+            used_rag: !!context,
+            sources: sources.length > 0 ? sources : null
+        });
+
+        // 🧠 Replier les tours sortis de la fenêtre dans le résumé (asynchrone)
+        updateChatSummary(chatId, organizationId, attribution);
+
+        // 🏷️ Titre modèle après la première réponse (événement `title` après `done`)
+        const titlePromise = titleChatAfterFirstAnswer(chatId, organizationId, attribution);
+
+        const payload = {
+            response: aiResponse,
+            chatId: chatId,
+            userMessageId: userMessage.id,
+            messageId: assistantMessage.id,
+            hasContext: !!context,
+            sources: sources,
+            routing: routing,
+            uiMessage: uiMessage,
+            quota
+        };
+
+        if (stream) {
+            sendSSE(res, 'done', { ...payload, aborted });
+            const title = await titlePromise;
+            if (title) sendSSE(res, 'title', { chatId, title });
+            return res.end();
+        }
+
+        res.json(payload);
+
+    } catch (error) {
+        console.error('LLM API Error:', error);
+        sendStreamError(res, 500, { 
+            error: 'Erreur serveur', 
+            details: error.message 
+        });
+    }
+});
+
+// POST /api/chat-with-file
+app.post('/api/chat-with-file', authenticateUser, requirePermission('chat'), upload.single('file'), checkQuota, async (req, res) => {
+    try {
+        const { message, chatId = null, parent_message_id: parentMessageId = null } = req.body;
+        const file = req.file;
+
+        if (!message || !file || !chatId) {
+            return res.status(400).json({ error: 'Message, fichier et chatId requis' });
+        }
+
+        const chatAccess = await getChatAccess(chatId, req);
+        if (!chatAccess) {
+            return res.status(404).json({ error: 'Chat introuvable' });
+        }
+        if (chatAccess.access === 'viewer') {
+            return res.status(403).json({ error: 'Ce chat est partagé avec vous en lecture seule' });
+        }
+
+        const turn = await resolveChatTurn(chatAccess.chat, { parentMessageId });
+        if (turn.error) {
+            return res.status(400).json({ error: turn.error });
+        }
+        const chatRow = await prepareChatTurnMemory(chatAccess.chat, turn);
+
+        console.log(`💬 Chat with file: ${file.originalname}`);
+
+        let uiMessage = null;
+        
+        const messageCount = chatTurnPathLength(turn);
+        
+        if (messageCount >= CHAT_CONFIG.MAX_MESSAGES_PER_CHAT) {
+            return res.status(400).json({ 
+                error: 'chat_limit_reached',
+                message: `Ce chat a atteint la limite de ${CHAT_CONFIG.MAX_MESSAGES_PER_CHAT} messages.`,
+                messageCount: messageCount
+            });
+        }
+
+        const organizationId = await resolveOrganizationId(req);
+        const llm = await getLLM('chat', organizationId);
+        const attribution = { userId: req.user.id, chatId, route: req.route.path };
+
+        // Historique de la branche reconstruit depuis Supabase + résumé et rappel des anciens échanges
+        const memory = await buildChatMemory(chatRow, chatTurnHistoryLeaf(turn), message, organizationId, attribution);
+        const history = memory.history;
+
+        const fileContent = await prepareFileContent(file);
+
+        if (fileContent.inlineData && !llm.provider.supportsInput(fileContent.inlineData.mimeType)) {
+            return res.status(400).json({
+                error: 'FILE_TYPE_NOT_SUPPORTED',
+                message: `Le modèle ${llm.id} ne prend pas en charge les fichiers ${fileContent.inlineData.mimeType}`
+            });
+        }
+
+        const messageParts = [fileContent];
+        
+        if (message && message.trim()) {
+            messageParts.push({ text: message });
+        }
+
+        const request = {
+            model: llm.model,
+            messages: [...history, { role: 'user', parts: messageParts }],
+            temperature: 0.7,
+            maxOutputTokens: 8000,
+            system: withChatMemory(`Tu es un assistant IA professionnel pour un cabinet d'expertise comptable.
+
+Quand on te fournit un fichier (image, audio, vidéo, PDF) :
+- ANALYSE le contenu avec précision
+- EXTRAIS les informations clés
+- STRUCTURE ta réponse clairement
+- Pour audio/vidéo : TRANSCRIS puis RÉSUME les points importants
+
+Formatage Markdown :
+- **Gras** pour infos critiques
+- Listes pour énumérations
+- Tables si pertinent
+
+Sois précis et professionnel.`, memory)
+        };
+
+        // 💾 Persister le tour user (même format que l'affichage client : "📎 fichier\ntexte")
+        const userContent = `${FILE_MESSAGE_PREFIX}${file.originalname}\n${message}`;
+        const userMessage = await saveChatMessage(chatId, turn.parent, {
+            role: 'user',
+            user_id: req.user.id,
+            content: userContent,
+            model: llm.model,
+            used_rag: false
+        });
+        autoTitleChatIfNeeded(chatId, message);
+
+        const stream = wantsStream(req);
+        const startedAt = Date.now();
+        let aiResponse;
+        let usage;
+        let aborted = false;
+
+        if (stream) {
+            initSSE(res);
+            const streamed = await streamLLMToClient(res, (options) =>
+                llm.provider.stream({ ...request, ...options })
+            );
+            ({ text: aiResponse, usage, aborted } = streamed);
+
+            if (aborted && !aiResponse) {
+                return res.end();
+            }
+        } else {
+            ({ text: aiResponse, usage } = await llm.provider.generate(request));
+        }
+
+        // 📊 Logger usage + décompte quota
+        logLLMUsage(llm, usage, {
+            ...attribution,
+            organizationId,
+            feature: 'chat_file',
+            latencyMs: Date.now() - startedAt,
+            aborted
+        });
+        const quota = await settleQuota(req, llm, usageOrEstimate(usage, request, aiResponse));
+
+        // 💾 Persister le tour assistant
+        const assistantMessage = await saveChatMessage(chatId, userMessage, {
+            role: 'assistant',
+            content: aiResponse,
+            ...messageUsageFields(llm, usage),
+            used_rag: false
+        });
+
+        // 🧠 Replier les tours sortis de la fenêtre dans le résumé (asynchrone)
+        updateChatSummary(chatId, organizationId, attribution);
+
+        // 🏷️ Titre modèle après la première réponse (événement `title` après `done`)
+        const titlePromise = titleChatAfterFirstAnswer(chatId, organizationId, attribution);
+
+        const payload = {
+            response: aiResponse,
+            chatId: chatId,
+            userMessageId: userMessage.id,
+            messageId: assistantMessage.id,
+            fileName: file.originalname,
+            uiMessage: uiMessage,
+            quota
+        };
+
+        if (stream) {
+            sendSSE(res, 'done', { ...payload, aborted });
+            const title = await titlePromise;
+            if (title) sendSSE(res, 'title', { chatId, title });
+            return res.end();
+        }
+
+        res.json(payload);
+
+    } catch (error) {
+        console.error('Chat with file error:', error);
+        sendStreamError(res, 500, { 
+            error: 'Erreur traitement fichier', 
+            details: error.message 
+        });
+    }
+});
+
+// POST /api/upload-file - Ingestion en arrière-plan : 202 + id de job
+app.post('/api/upload-file', authenticateUser, requireOrganization, requirePermission('documents:upload'), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Aucun fichier uploadé' });
+        }
+
+        const { originalname } = req.file;
+        const ext = originalname.toLowerCase().split('.').pop();
+
+        if (!PARSABLE_EXTENSIONS.includes(ext)) {
+            return res.status(400).json({ error: `Format non supporté: .${ext}` });
+        }
+
+        const docId = `file-${Date.now()}-${originalname.replace(/[^a-z0-9.]/gi, '-')}`;
+        
+        console.log(`📄 Queuing file: ${originalname}`);
+
+        const job = await enqueueIngestJob({
+            organizationId: req.user.organization_id,
+            userId: req.user.id,
+            docId,
+            file: req.file
+        });
+
+        await recordAudit(req, {
+            action: 'document.upload',
+            targetType: 'document',
+            targetId: docId,
+            after: { filename: originalname, size_bytes: req.file.size, job_id: job.id }
+        });
+
+        res.status(202).json({
+            success: true,
+            id: docId,
+            jobId: job.id,
+            job: ingestJobResponse(job),
+            message: `Fichier "${originalname}" en cours d'indexation`
+        });
+
+    } catch (error) {
+        console.error('File upload error:', error);
+        res.status(500).json({ 
+            error: 'Erreur upload fichier', 
+            details: error.message 
+        });
+    }
+});
+
+// ========== INGEST JOBS ENDPOINTS ==========
+
+// GET /api/ingest-jobs/run - Cron (serverless) : traite la file pendant CRON_BUDGET_MS
+app.get('/api/ingest-jobs/run', async (req, res) => {
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        return res.status(401).json({ error: 'Non autorisé' });
+    }
+
+    try {
+        const processed = await drainIngestQueue(Date.now() + INGEST_CONFIG.CRON_BUDGET_MS);
+        res.json({ success: true, processed });
+    } catch (error) {
+        console.error('Ingest cron error:', error);
+        res.status(500).json({ error: 'Erreur traitement jobs', details: error.message });
+    }
+});
+
+// GET /api/ingest-jobs/:id - Étape, progression et erreur
+app.get('/api/ingest-jobs/:id', authenticateUser, requireOrganization, requirePermission('documents:read'), async (req, res) => {
+    try {
+        const { data: job, error } = await supabase
+            .from('ingest_jobs')
+            .select('*')
+            .eq('organization_id', req.user.organization_id)
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!job) {
+            return res.status(404).json({ error: 'Job non trouvé' });
+        }
+
+        res.json(ingestJobResponse(job));
+
+    } catch (error) {
+        console.error('Get ingest job error:', error);
+        res.status(500).json({ error: 'Erreur récupération job', details: error.message });
+    }
+});
+
+// POST /api/ingest-jobs/:id/retry - Relance un job échoué (chunks déjà embeddés réutilisés)
+app.post('/api/ingest-jobs/:id/retry', authenticateUser, requireOrganization, requirePermission('documents:upload'), async (req, res) => {
+    try {
+        const { data: job, error } = await supabase
+            .from('ingest_jobs')
+            .update({
+                status: 'queued',
+                attempts: 0,
+                error: null,
+                run_after: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('organization_id', req.user.organization_id)
+            .eq('id', req.params.id)
+            .eq('status', 'failed')
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!job) {
+            return res.status(409).json({ error: 'Seul un job échoué peut être relancé' });
+        }
+
+        await supabase
+            .from('documents')
+            .update({ status: 'processing', error: null, updated_at: new Date().toISOString() })
+            .eq('organization_id', job.organization_id)
+            .eq('id', job.document_id)
+            .eq('current_version', 0);
+
+        kickIngestWorker();
+
+        res.json(ingestJobResponse(job));
+
+    } catch (error) {
+        console.error('Retry ingest job error:', error);
+        res.status(500).json({ error: 'Erreur relance job', details: error.message });
+    }
+});
+
+// POST /api/upload-document
+app.post('/api/upload-document', authenticateUser, requireOrganization, requirePermission('documents:upload'), async (req, res) => {
+    try {
+        const { id, text, source = 'manual' } = req.body;
+
+        if (!id || !text) {
+            return res.status(400).json({ error: 'id et text requis' });
+        }
+
+        // Création uniquement : une nouvelle version passe par PUT /api/documents/:id
+        // (permission documents:edit et verrou de version)
+        if (await getOrgDocument(req.user.organization_id, id)) {
+            return res.status(409).json({
+                error: 'document_exists',
+                message: 'Un document porte déjà cet identifiant. Utilisez PUT /api/documents/:id pour le modifier.'
+            });
+        }
+
+        console.log(`📄 Uploading document: ${id}`);
+
+        const uploadedIds = await ingestDocument({
+            organizationId: req.user.organization_id,
+            userId: req.user.id,
+            docId: id,
+            filename: source,
+            mimeType: 'text/plain',
+            content: text,
+            text,
+            format: 'text',
+            expectedVersion: 0
+        });
+        
+        console.log(`✅ Document uploaded: ${uploadedIds.join(', ')}`);
+
+        await recordAudit(req, {
+            action: 'document.upload',
+            targetType: 'document',
+            targetId: id,
+            after: { filename: source, chunks: uploadedIds.length }
+        });
+
+        res.json({
+            success: true,
+            id: id,
+            ids: uploadedIds,
+            chunks: uploadedIds.length,
+            message: uploadedIds.length > 1 
+                ? `Document divisé en ${uploadedIds.length} morceaux et indexé`
+                : 'Document indexé'
+        });
+
+    } catch (error) {
+        // Créé entre-temps par une autre requête (23505 : ligne documents déjà insérée)
+        if (isVersionConflict(error) || error.code === '23505') {
+            return res.status(409).json({
+                error: 'document_exists',
+                message: 'Un document porte déjà cet identifiant. Utilisez PUT /api/documents/:id pour le modifier.'
+            });
+        }
+
+        console.error('Upload error:', error);
+        res.status(500).json({ 
+            error: 'Erreur upload', 
+            details: error.message 
+        });
+    }
+});
+
+// GET /api/documents?page=1&limit=20&sort=uploadedAt&order=desc&search=
+app.get('/api/documents', authenticateUser, requireOrganization, requirePermission('documents:read'), async (req, res) => {
+    try {
+        const { page, limit } = documentListPage(req.query);
+        const { data, count, error } = await documentListQuery(req.user.organization_id, req.query);
+
+        if (error) throw error;
+
+        console.log(`📋 Listed ${data.length}/${count} documents (page ${page})`);
+
+        res.json({
+            documents: data.map(documentResponse),
+            total: count,
+            page,
+            limit,
+            totalPages: Math.ceil(count / limit)
+        });
+        
+    } catch (error) {
+        console.error('List documents error:', error);
+        res.status(500).json({ 
+            error: 'Erreur liste documents', 
+            details: error.message 
+        });
+    }
+});
+
+// GET /api/documents/:id
+app.get('/api/documents/:id', authenticateUser, requireOrganization, requirePermission('documents:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        console.log(`📖 Getting document: ${id}`);
+        
+        const doc = await getOrgDocument(req.user.organization_id, id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Document non trouvé' });
+        }
+
+        const { data: chunks, error } = await supabase
+            .from('document_chunks')
+            .select('chunk_index, text, overlap_chars, section, page, sheet')
+            .eq('organization_id', req.user.organization_id)
+            .eq('document_id', id)
+            .order('chunk_index', { ascending: true });
+
+        if (error) throw error;
+
+        const fullText = joinChunks(chunks.map(chunk => ({
+            text: chunk.text,
+            overlapChars: chunk.overlap_chars
+        })));
+
+        // Position de chaque chunk dans le texte (surlignage des citations)
+        let offset = 0;
+        const chunkRanges = chunks.map(chunk => {
+            const length = chunk.text.length - chunk.overlap_chars;
+            const range = {
+                chunkIndex: chunk.chunk_index,
+                start: offset,
+                end: offset + length,
+                section: chunk.section,
+                page: chunk.page,
+                sheet: chunk.sheet
+            };
+            offset += length;
+            return range;
+        });
+        
+        console.log(`✅ Retrieved document: ${id} (${chunks.length} chunks)`);
+        
+        res.json({ 
+            ...documentResponse(doc),
+            text: fullText,
+            chunks: chunkRanges
+        });
+        
+    } catch (error) {
+        console.error('Get document error:', error);
+        res.status(500).json({ 
+            error: 'Erreur récupération document', 
+            details: error.message 
+        });
+    }
+});
+
+// PUT /api/documents/:id - Nouvelle version { text, source?, baseVersion? }
+app.put('/api/documents/:id', authenticateUser, requireOrganization, requirePermission('documents:edit'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { text, source, baseVersion } = req.body;
+
+        if (!text || !text.trim()) {
+            return res.status(400).json({ error: 'text requis' });
+        }
+
+        const doc = await getOrgDocument(req.user.organization_id, id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Document non trouvé' });
+        }
+
+        // Le texte modifié garde le type et le découpage du document (PDF, Markdown...)
+        const current = await getDocumentVersion(req.user.organization_id, id, doc.current_version);
+
+        console.log(`✏️ Updating document: ${id} (base v${baseVersion ?? doc.current_version})`);
+
+        const result = await writeDocumentVersion({
+            organizationId: req.user.organization_id,
+            userId: req.user.id,
+            docId: id,
+            filename: source || doc.filename,
+            mimeType: doc.mime_type,
+            content: text,
+            text,
+            format: current?.chunk_format || chunkFormatFor(doc.filename),
+            expectedVersion: baseVersion ?? doc.current_version
+        });
+
+        await recordAudit(req, {
+            action: 'document.update',
+            targetType: 'document',
+            targetId: id,
+            before: { filename: doc.filename, version: doc.current_version },
+            after: { filename: source || doc.filename, version: result.version }
+        });
+
+        res.json({
+            success: true,
+            id,
+            version: result.version,
+            chunks: result.ids.length,
+            embedded: result.embedded,
+            reused: result.reused,
+            message: `Document mis à jour (version ${result.version}, ${result.embedded} morceaux ré-indexés)`
+        });
+
+    } catch (error) {
+        if (isVersionConflict(error)) {
+            return res.status(409).json({ 
+                error: 'version_conflict',
+                message: 'Le document a été modifié entre-temps. Rechargez-le avant de l\'enregistrer.'
+            });
+        }
+
+        console.error('Update document error:', error);
+        res.status(500).json({ 
+            error: 'Erreur mise à jour document', 
+            details: error.message 
+        });
+    }
+});
+
+// GET /api/documents/:id/versions - Historique (sans le texte)
+app.get('/api/documents/:id/versions', authenticateUser, requireOrganization, requirePermission('documents:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const doc = await getOrgDocument(req.user.organization_id, id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Document non trouvé' });
+        }
+
+        const { data, error } = await supabase
+            .from('document_versions')
+            .select('version, filename, size_bytes, chunk_count, created_by, created_at')
+            .eq('organization_id', req.user.organization_id)
+            .eq('document_id', id)
+            .order('version', { ascending: false });
+
+        if (error) throw error;
+
+        // Auteurs (emails) pour l'affichage
+        const authorIds = [...new Set(data.map(v => v.created_by).filter(Boolean))];
+        const { data: authors } = authorIds.length > 0
+            ? await supabase.from('users').select('id, email').in('id', authorIds)
+            : { data: [] };
+        const emails = new Map((authors || []).map(user => [user.id, user.email]));
+
+        res.json({
+            currentVersion: doc.current_version,
+            versions: data.map(v => ({
+                version: v.version,
+                filename: v.filename,
+                size: v.size_bytes,
+                chunkCount: v.chunk_count,
+                createdBy: v.created_by,
+                createdByEmail: emails.get(v.created_by) || null,
+                createdAt: v.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('List versions error:', error);
+        res.status(500).json({ 
+            error: 'Erreur historique document', 
+            details: error.message 
+        });
+    }
+});
+
+// GET /api/documents/:id/diff?from=1&to=2 (par défaut : version courante vs précédente)
+app.get('/api/documents/:id/diff', authenticateUser, requireOrganization, requirePermission('documents:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const doc = await getOrgDocument(req.user.organization_id, id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Document non trouvé' });
+        }
+
+        const to = parseInt(req.query.to, 10) || doc.current_version;
+        const from = parseInt(req.query.from, 10) || to - 1;
+
+        const [fromVersion, toVersion] = await Promise.all([
+            getDocumentVersion(req.user.organization_id, id, from),
+            getDocumentVersion(req.user.organization_id, id, to)
+        ]);
+
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({ error: 'Version introuvable' });
+        }
+
+        res.json({
+            from,
+            to,
+            ...unifiedDiff(fromVersion.text, toVersion.text)
+        });
+
+    } catch (error) {
+        console.error('Diff document error:', error);
+        res.status(500).json({ 
+            error: 'Erreur diff document', 
+            details: error.message 
+        });
+    }
+});
+
+// POST /api/documents/:id/versions/:version/restore - Rollback (crée une nouvelle version)
+app.post('/api/documents/:id/versions/:version/restore', authenticateUser, requireOrganization, requirePermission('documents:edit'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const version = parseInt(req.params.version, 10);
+
+        const doc = await getOrgDocument(req.user.organization_id, id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Document non trouvé' });
+        }
+
+        const target = await getDocumentVersion(req.user.organization_id, id, version);
+        if (!target) {
+            return res.status(404).json({ error: 'Version introuvable' });
+        }
+
+        console.log(`⏪ Restoring document ${id} to v${version}`);
+
+        const result = await writeDocumentVersion({
+            organizationId: req.user.organization_id,
+            userId: req.user.id,
+            docId: id,
+            filename: target.filename,
+            mimeType: null,
+            content: target.text,
+            text: target.text,
+            format: target.chunk_format,
+            expectedVersion: doc.current_version
+        });
+
+        await recordAudit(req, {
+            action: 'document.restore',
+            targetType: 'document',
+            targetId: id,
+            before: { filename: doc.filename, version: doc.current_version },
+            after: { filename: target.filename, version: result.version, restored_from: version }
+        });
+
+        res.json({
+            success: true,
+            id,
+            version: result.version,
+            restoredFrom: version,
+            message: `Version ${version} restaurée (nouvelle version ${result.version})`
+        });
+
+    } catch (error) {
+        if (isVersionConflict(error)) {
+            return res.status(409).json({ 
+                error: 'version_conflict',
+                message: 'Le document a été modifié entre-temps. Réessayez.'
+            });
+        }
+
+        console.error('Restore version error:', error);
+        res.status(500).json({ 
+            error: 'Erreur restauration version', 
+            details: error.message 
+        });
+    }
+});
+
+// DELETE /api/documents/:id
+app.delete('/api/documents/:id', authenticateUser, requireOrganization, requirePermission('documents:delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const organizationId = req.user.organization_id;
+        
+        console.log(`🗑️ Deleting document: ${id}`);
+        
+        const doc = await getOrgDocument(organizationId, id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Document non trouvé' });
+        }
+
+        const { data: chunks, error: chunksError } = await supabase
+            .from('document_chunks')
+            .select('id')
+            .eq('organization_id', organizationId)
+            .eq('document_id', id);
+
+        if (chunksError) throw chunksError;
+
+        const chunkIds = chunks.map(chunk => chunk.id);
+        await deleteVectors(organizationId, chunkIds);
+
+        // Jobs d'ingestion inachevés : vecteurs déjà upsertés et fichiers en attente
+        const { data: jobs, error: jobsError } = await supabase
+            .from('ingest_jobs')
+            .select('embedded_ids, storage_path, status')
+            .eq('organization_id', organizationId)
+            .eq('document_id', id);
+
+        if (jobsError) throw jobsError;
+
+        await deleteVectors(organizationId, jobs.flatMap(job => job.embedded_ids));
+
+        const storagePaths = jobs
+            .filter(job => job.status !== 'completed' && job.storage_path)
+            .map(job => job.storage_path);
+        if (storagePaths.length > 0) {
+            await supabase.storage.from(INGEST_CONFIG.BUCKET).remove(storagePaths);
+        }
+
+        // Cascade sur document_chunks
+        const { error } = await supabase
+            .from('documents')
+            .delete()
+            .eq('organization_id', organizationId)
+            .eq('id', id);
+
+        if (error) throw error;
+        
+        console.log(`✅ Deleted ${chunkIds.length} chunks for document: ${id}`);
+
+        await recordAudit(req, {
+            action: 'document.delete',
+            targetType: 'document',
+            targetId: id,
+            before: { filename: doc.filename, version: doc.current_version, chunks: chunkIds.length }
+        });
+        
+        res.json({ 
+            success: true, 
+            deletedChunks: chunkIds.length,
+            message: `Document supprimé (${chunkIds.length} morceaux)` 
+        });
+        
+    } catch (error) {
+        console.error('Delete document error:', error);
+        res.status(500).json({ 
+            error: 'Erreur suppression document', 
+            details: error.message 
+        });
+    }
+});
+
+// GET /api/vector-stats (ancien chemin : /api/pinecone-stats)
+app.get(['/api/vector-stats', '/api/pinecone-stats'], authenticateUser, requireOrganization, requirePermission('documents:read'), async (req, res) => {
+    try {
+        const store = await getOrgVectorStore(req.user.organization_id);
+        const stats = await store.stats(req.user.organization_id);
+
+        // Ne jamais exposer les vecteurs des autres organisations
+        res.json({
+            store: store.name,
+            dimension: stats.dimension,
+            recordCount: stats.recordCount
+        });
+    } catch (error) {
+        console.error('Stats error:', error);
+        res.json({ error: 'Erreur stats' });
+    }
+});
+
+// ========== RAG SETTINGS ENDPOINTS ==========
+
+// GET /api/organizations/me/rag-settings
+app.get('/api/organizations/me/rag-settings', authenticateUser, requireOrganization, requirePermission('org:settings'), async (req, res) => {
+    try {
+        res.json(await getOrgRagSettings(req.user.organization_id));
+    } catch (error) {
+        console.error('Get RAG settings error:', error);
+        res.status(500).json({ error: 'Erreur paramètres RAG' });
+    }
+});
+
+// PATCH /api/organizations/me/rag-settings
+app.patch('/api/organizations/me/rag-settings', authenticateUser, requireOrganization, requirePermission('org:settings'), async (req, res) => {
+    try {
+        const {
+            rag_mode, rag_min_score, rag_borderline_margin, rag_classifier_enabled,
+            rag_top_k, rag_vector_weight, rag_keyword_weight, rag_rerank_enabled
+        } = req.body;
+        const updates = {};
+
+        if (rag_mode !== undefined) {
+            if (!['keywords', 'adaptive'].includes(rag_mode)) {
+                return res.status(400).json({ error: 'rag_mode invalide (keywords, adaptive)' });
+            }
+            updates.rag_mode = rag_mode;
+        }
+
+        for (const [key, value] of Object.entries({ rag_min_score, rag_borderline_margin })) {
+            if (value === undefined) continue;
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0 || number > 1) {
+                return res.status(400).json({ error: `${key} doit être entre 0 et 1` });
+            }
+            updates[key] = number;
+        }
+
+        if (rag_top_k !== undefined) {
+            const topK = Number(rag_top_k);
+            if (!Number.isInteger(topK) || topK < 1 || topK > 10) {
+                return res.status(400).json({ error: 'rag_top_k doit être un entier entre 1 et 10' });
+            }
+            updates.rag_top_k = topK;
+        }
+
+        for (const [key, value] of Object.entries({ rag_vector_weight, rag_keyword_weight })) {
+            if (value === undefined) continue;
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0 || number > 5) {
+                return res.status(400).json({ error: `${key} doit être entre 0 et 5` });
+            }
+            updates[key] = number;
+        }
+
+        for (const [key, value] of Object.entries({ rag_classifier_enabled, rag_rerank_enabled })) {
+            if (value !== undefined) updates[key] = !!value;
+        }
+
+        // Valeurs effectives avant modification (cache ignoré)
+        ragSettingsCache.delete(req.user.organization_id);
+        const before = await getOrgRagSettings(req.user.organization_id);
+
+        const { error } = await supabase
+            .from('organizations')
+            .update(updates)
+            .eq('id', req.user.organization_id);
+
+        if (error) throw error;
+
+        ragSettingsCache.delete(req.user.organization_id);
+        await recordAudit(req, {
+            action: 'organization.rag_settings.update',
+            targetType: 'organization',
+            targetId: req.user.organization_id,
+            before: pickFields(before, Object.keys(updates)),
+            after: updates
+        });
+
+        console.log(`✅ RAG settings updated: ${req.user.organization_id}`);
+        res.json({ success: true, settings: await getOrgRagSettings(req.user.organization_id) });
+    } catch (error) {
+        console.error('Update RAG settings error:', error);
+        res.status(500).json({ error: 'Erreur mise à jour paramètres RAG' });
+    }
+});
+
+// ========== LLM SETTINGS ENDPOINTS ==========
+
+function llmSettingsResponse(settings) {
+    return {
+        llm_chat_model: settings.llm_chat_model,
+        llm_embedding_model: settings.llm_embedding_model,
+        defaults: { chat: LLM_DEFAULTS.chat, embedding: LLM_DEFAULTS.embedding },
+        providers: Object.keys(LLM_PROVIDERS)
+    };
+}
+
+// GET /api/organizations/me/llm-settings
+app.get('/api/organizations/me/llm-settings', authenticateUser, requireOrganization, requirePermission('org:settings'), async (req, res) => {
+    try {
+        res.json(llmSettingsResponse(await getOrgLLMSettings(req.user.organization_id)));
+    } catch (error) {
+        console.error('Get LLM settings error:', error);
+        res.status(500).json({ error: 'Erreur paramètres modèles' });
+    }
+});
+
+// PATCH /api/organizations/me/llm-settings - { llm_chat_model, llm_embedding_model } ("fournisseur:modèle", null = défaut)
+app.patch('/api/organizations/me/llm-settings', authenticateUser, requireOrganization, requirePermission('org:settings'), async (req, res) => {
+    try {
+        const organizationId = req.user.organization_id;
+        const current = await getOrgLLMSettings(organizationId);
+        const updates = {};
+
+        for (const key of ['llm_chat_model', 'llm_embedding_model']) {
+            const value = req.body[key];
+            if (value === undefined) continue;
+
+            const spec = typeof value === 'string' && value.trim() ? value.trim() : null;
+            if (spec) {
+                try {
+                    resolveModelSpec(spec);
+                } catch (error) {
+                    return res.status(400).json({ error: `${key} : ${error.message}` });
+                }
+            }
+            updates[key] = spec;
+        }
+
+        // Les vecteurs existants ont été calculés avec l'ancien modèle d'embedding
+        if (updates.llm_embedding_model !== undefined) {
+            const before = resolveModelSpec(current.llm_embedding_model || LLM_DEFAULTS.embedding).id;
+            const after = resolveModelSpec(updates.llm_embedding_model || LLM_DEFAULTS.embedding).id;
+
+            if (before !== after) {
+                const { count, error: countError } = await supabase
+                    .from('documents')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('organization_id', organizationId);
+
+                if (countError) throw countError;
+
+                if (count > 0) {
+                    return res.status(409).json({
+                        error: 'reindex_required',
+                        message: `${count} document(s) indexé(s) avec ${before}. Supprimez-les avant de changer de modèle d'embedding.`
+                    });
+                }
+            }
+        }
+
+        const { error } = await supabase
+            .from('organizations')
+            .update(updates)
+            .eq('id', organizationId);
+
+        if (error) throw error;
+
+        llmSettingsCache.delete(organizationId);
+        await recordAudit(req, {
+            action: 'organization.llm_settings.update',
+            targetType: 'organization',
+            targetId: organizationId,
+            before: pickFields(current, Object.keys(updates)),
+            after: updates
+        });
+        console.log(`✅ LLM settings updated: ${organizationId}`);
+        res.json({ success: true, settings: llmSettingsResponse(await getOrgLLMSettings(organizationId)) });
+    } catch (error) {
+        console.error('Update LLM settings error:', error);
+        res.status(500).json({ error: 'Erreur mise à jour paramètres modèles' });
+    }
+});
+
+// ========== ENTITIES ENDPOINTS ==========
+
+// GET /api/entities - Dictionnaire d'entités de l'organisation (Admin only)
+app.get('/api/entities', authenticateUser, requireOrganization, requirePermission('org:settings'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('org_entities')
+            .select('id, name, type, source, document_id, created_at')
+            .eq('organization_id', req.user.organization_id)
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        res.json({ entities: data });
+    } catch (error) {
+        console.error('List entities error:', error);
+        res.status(500).json({ error: 'Erreur liste entités', details: error.message });
+    }
+});
+
+// POST /api/entities - Ajout manuel { name, type }
+app.post('/api/entities', authenticateUser, requireOrganization, requirePermission('org:settings'), async (req, res) => {
+    try {
+        const { name, type = 'other' } = req.body;
+
+        if (!name || normalizeEntity(name).length < 3) {
+            return res.status(400).json({ error: 'Nom requis (3 caractères minimum)' });
+        }
+
+        if (!ENTITY_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Type invalide (${ENTITY_TYPES.join(', ')})` });
+        }
+
+        const [entity] = await addOrgEntities(req.user.organization_id, [{ name, type }], {
+            source: 'manual',
+            created_by: req.user.id
+        });
+
+        if (!entity) {
+            return res.status(409).json({ error: 'Entité déjà présente' });
+        }
+
+        await recordAudit(req, {
+            action: 'entity.create',
+            targetType: 'entity',
+            targetId: entity.id,
+            after: { name: entity.name, type: entity.type }
+        });
+
+        console.log(`🏷️ Entity added: ${entity.name}`);
+        res.json({ success: true, entity });
+    } catch (error) {
+        console.error('Add entity error:', error);
+        res.status(500).json({ error: 'Erreur ajout entité', details: error.message });
+    }
+});
+
+// DELETE /api/entities/:id
+app.delete('/api/entities/:id', authenticateUser, requireOrganization, requirePermission('org:settings'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('org_entities')
+            .delete()
+            .eq('organization_id', req.user.organization_id)
+            .eq('id', req.params.id)
+            .select('id, name, type');
+
+        if (error) throw error;
+
+        if (data.length === 0) {
+            return res.status(404).json({ error: 'Entité introuvable' });
+        }
+
+        entityCache.delete(req.user.organization_id);
+        await recordAudit(req, {
+            action: 'entity.delete',
+            targetType: 'entity',
+            targetId: req.params.id,
+            before: { name: data[0].name, type: data[0].type }
+        });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete entity error:', error);
+        res.status(500).json({ error: 'Erreur suppression entité', details: error.message });
+    }
+});
+
+// ========== CHATS ENDPOINTS ==========
+
+// GET /api/chats : chats de l'utilisateur + chats partagés avec lui
+app.get('/api/chats', authenticateUser, requirePermission('chats:read'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('chats')
+            .select('*')
+            .eq('user_id', req.user.id)
+            .order('updated_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json({ chats: data, shared: await listSharedChats(req) });
+    } catch (error) {
+        console.error('List chats error:', error);
+        res.status(500).json({ error: 'Erreur chargement chats' });
+    }
+});
+
+// Chats d'autres utilisateurs visibles via chat_shares, avec le niveau d'accès
+async function listSharedChats(req) {
+    const organizationId = await resolveOrganizationId(req);
+
+    let query = supabase
+        .from('chat_shares')
+        .select('chat_id, role');
+
+    query = organizationId
+        ? query.or(`shared_with_user_id.eq.${req.user.id},and(shared_with_user_id.is.null,organization_id.eq.${organizationId})`)
+        : query.eq('shared_with_user_id', req.user.id);
+
+    const { data: shares, error } = await query;
+    if (error) throw error;
+
+    const access = new Map();
+    for (const share of shares) {
+        if (access.get(share.chat_id) !== 'contributor') {
+            access.set(share.chat_id, share.role);
+        }
+    }
+    if (access.size === 0) return [];
+
+    const { data: chats, error: chatsError } = await supabase
+        .from('chats')
+        .select('*')
+        .in('id', [...access.keys()])
+        .neq('user_id', req.user.id)
+        .order('updated_at', { ascending: false });
+
+    if (chatsError) throw chatsError;
+    if (chats.length === 0) return [];
+
+    const { data: owners } = await supabase
+        .from('users')
+        .select('id, first_name, email')
+        .in('id', [...new Set(chats.map(chat => chat.user_id))]);
+
+    const ownerNames = new Map((owners || []).map(owner => [owner.id, owner.first_name || owner.email]));
+
+    return chats.map(chat => ({
+        ...chat,
+        access: access.get(chat.id),
+        owner_name: ownerNames.get(chat.user_id) || null
+    }));
+}
+
+// POST /api/chats
+app.post('/api/chats', authenticateUser, requirePermission('chat'), async (req, res) => {
+    try {
+        const { title = DEFAULT_CHAT_TITLE } = req.body;
+
+        const { data, error } = await supabase
+            .from('chats')
+            .insert([{ title, user_id: req.user.id, title_source: title === DEFAULT_CHAT_TITLE ? 'default' : 'user' }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        res.json({ chat: data });
+    } catch (error) {
+        console.error('Create chat error:', error);
+        res.status(500).json({ error: 'Erreur création chat' });
+    }
+});
+
+// GET /api/chats/:id[?leaf=<message_id>] : messages de la branche active, ou de la
+// branche qui passe par `leaf` (consultée sans devenir active). Chaque message
+// porte sibling_ids, ses versions (navigation "2/3").
+app.get('/api/chats/:id', authenticateUser, requirePermission('chats:read'), requireChatAccess('viewer'), async (req, res) => {
+    try {
+        const branch = req.query.leaf
+            ? await loadBranchThrough(req.chat, String(req.query.leaf))
+            : { leafId: req.chat.active_message_id, messages: await loadChatPath(req.chat.id, req.chat.active_message_id) };
+
+        if (!branch) {
+            return res.status(404).json({ error: 'Message introuvable dans ce chat' });
+        }
+
+        res.json({ chat: req.chat, access: req.chatAccess, messages: branch.messages, leaf_id: branch.leafId });
+    } catch (error) {
+        console.error('Get chat error:', error);
+        res.status(500).json({ error: 'Erreur chargement chat' });
+    }
+});
+
+// PUT /api/chats/:id/active-branch { message_id } : rend active la branche qui passe
+// par ce message ; les questions suivantes la prolongent
+app.put('/api/chats/:id/active-branch', authenticateUser, requirePermission('chat'), requireChatAccess('contributor'), async (req, res) => {
+    try {
+        const { message_id: messageId } = req.body;
+
+        if (!messageId) {
+            return res.status(400).json({ error: 'message_id requis' });
+        }
+
+        const branch = await loadBranchThrough(req.chat, String(messageId));
+        if (!branch) {
+            return res.status(404).json({ error: 'Message introuvable dans ce chat' });
+        }
+
+        let chat = req.chat;
+        if (branch.leafId !== chat.active_message_id) {
+            const { data, error } = await supabase
+                .from('chats')
+                .update({ active_message_id: branch.leafId })
+                .eq('id', chat.id)
+                .select()
+                .single();
+
+            if (error) throw error;
+            chat = await syncChatSummaryWithPath(data, branch.messages);
+        }
+
+        res.json({ chat, access: req.chatAccess, messages: branch.messages, leaf_id: branch.leafId });
+    } catch (error) {
+        console.error('Switch chat branch error:', error);
+        res.status(500).json({ error: 'Erreur changement de branche' });
+    }
+});
+
+// PUT /api/chats/:id
+app.put('/api/chats/:id', authenticateUser, requirePermission('chat'), requireChatAccess('owner'), async (req, res) => {
+    try {
+        const { title } = req.body;
+
+        if (!title || typeof title !== 'string') {
+            return res.status(400).json({ error: 'title requis' });
+        }
+
+        const { data, error } = await supabase
+            .from('chats')
+            .update({ title, title_source: 'user' })
+            .eq('id', req.chat.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        res.json({ chat: data });
+    } catch (error) {
+        console.error('Update chat error:', error);
+        res.status(500).json({ error: 'Erreur mise à jour chat' });
+    }
+});
+
+// DELETE /api/chats/:id
+app.delete('/api/chats/:id', authenticateUser, requirePermission('chat'), requireChatAccess('owner'), async (req, res) => {
+    try {
+        const { error } = await supabase
+            .from('chats')
+            .delete()
+            .eq('id', req.chat.id);
+
+        if (error) throw error;
+
+        await recordAudit(req, {
+            action: 'chat.delete',
+            targetType: 'chat',
+            targetId: req.chat.id,
+            before: { title: req.chat.title }
+        });
+
+        res.json({ success: true, message: 'Chat supprimé' });
+    } catch (error) {
+        console.error('Delete chat error:', error);
+        res.status(500).json({ error: 'Erreur suppression chat' });
+    }
+});
+
+// POST /api/chats/:id/messages : ajoute un message à la suite de la branche
+// active (ou de parent_message_id)
+app.post('/api/chats/:id/messages', authenticateUser, requirePermission('chat'), requireChatAccess('contributor'), async (req, res) => {
+    try {
+        const id = req.chat.id;
+        const { role, content, parent_message_id: parentMessageId = null } = req.body;
+
+        if (!role || !content) {
+            return res.status(400).json({ error: 'role et content requis' });
+        }
+
+        if (!['user', 'assistant'].includes(role)) {
+            return res.status(400).json({ error: 'role invalide (user ou assistant)' });
+        }
+
+        if (!postableMessageRoles(req.chatAccess).includes(role)) {
+            return res.status(403).json({ error: 'Seul le propriétaire du chat peut enregistrer une réponse assistant' });
+        }
+
+        const turn = await resolveChatTurn(req.chat, { parentMessageId });
+        if (turn.error) {
+            return res.status(400).json({ error: turn.error });
+        }
+
+        const data = await saveChatMessage(id, turn.parent, {
+            role,
+            content,
+            user_id: role === 'user' ? req.user.id : null
+        });
+
+        // ========== AUTO-TITLE : local au premier message, modèle après la première réponse ==========
+        if (role === 'user') {
+            await autoTitleChatIfNeeded(id, content);
+        } else {
+            titleChatAfterFirstAnswer(id, await resolveOrganizationId(req), {
+                userId: req.user.id,
+                chatId: id,
+                route: req.route.path
+            });
+        }
+
+        res.json({ message: data });
+    } catch (error) {
+        console.error('Add message error:', error);
+        res.status(500).json({ error: 'Erreur ajout message' });
+    }
+});
+
+// POST /api/chats/:id/title : régénère le titre depuis le premier échange
+// (modèle, sinon heuristique locale), même après un renommage
+app.post('/api/chats/:id/title', authenticateUser, requirePermission('chat'), requireChatAccess('owner'), async (req, res) => {
+    try {
+        const exchange = await loadFirstExchange(req.chat.id);
+        if (!exchange.question) {
+            return res.status(400).json({ error: 'Conversation vide : aucun titre à générer' });
+        }
+
+        const { title, source } = await computeChatTitle(exchange, await resolveOrganizationId(req), {
+            userId: req.user.id,
+            chatId: req.chat.id,
+            route: req.route.path
+        });
+
+        const { data, error } = await supabase
+            .from('chats')
+            .update({ title, title_source: source })
+            .eq('id', req.chat.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        res.json({ chat: data, source });
+    } catch (error) {
+        console.error('Regenerate chat title error:', error);
+        res.status(500).json({ error: 'Erreur génération titre' });
+    }
+});
+
+// ========== CHAT EXPORT / IMPORT ==========
+
+const DEFAULT_EXPORT_TIME_ZONE = 'Europe/Paris';
+const CHAT_IMPORT_BATCH_SIZE = 500;
+
+// Fuseau IANA des dates exportées (celui du navigateur), défaut Europe/Paris
+function exportTimeZone(timeZone) {
+    if (!timeZone) return DEFAULT_EXPORT_TIME_ZONE;
+    try {
+        return new Intl.DateTimeFormat('fr-FR', { timeZone }).resolvedOptions().timeZone;
+    } catch {
+        return DEFAULT_EXPORT_TIME_ZONE;
+    }
+}
+
+// Nom de fichier ASCII tiré du titre (accents retirés)
+function exportFileName(title) {
+    const slug = String(title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80);
+    return slug || 'conversation';
+}
+
+// GET /api/chats/:id/export?format=md|pdf|docx|json[&tz=Europe/Paris]
+app.get('/api/chats/:id/export', authenticateUser, requirePermission('chats:read'), requireChatAccess('viewer'), async (req, res) => {
+    try {
+        const format = req.query.format || 'md';
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format doit valoir ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        // Branche active uniquement (les autres versions ne sont pas exportées)
+        const messages = await loadChatPath(req.chat.id, req.chat.active_message_id);
+
+        // Auteurs des tours user (contributeurs d'un chat partagé) et exportateur
+        const authorIds = [...new Set([req.chat.user_id, req.user.id, ...messages.map(m => m.user_id)].filter(Boolean))];
+        const { data: authors } = await supabase
+            .from('users')
+            .select('id, first_name, last_name, email')
+            .in('id', authorIds);
+
+        const names = new Map((authors || []).map(user => [
+            user.id,
+            [user.first_name, user.last_name].filter(Boolean).join(' ') || user.email
+        ]));
+
+        const exported = await renderChatExport(format, {
+            title: req.chat.title || 'Conversation',
+            created_at: req.chat.created_at,
+            updated_at: req.chat.updated_at,
+            exported_at: new Date().toISOString(),
+            exported_by: names.get(req.user.id) || req.user.email,
+            timeZone: exportTimeZone(req.query.tz),
+            messages: messages.map(message => ({
+                ...message,
+                author: message.role === 'user' ? names.get(message.user_id || req.chat.user_id) || null : null
+            }))
+        });
+
+        res.setHeader('Content-Type', exported.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(req.chat.title)}.${exported.extension}"`);
+        res.send(exported.body);
+    } catch (error) {
+        console.error('Export chat error:', error);
+        res.status(500).json({ error: 'Erreur export chat' });
+    }
+});
+
+// POST /api/chats/import (multipart, champ file : export JSON d'un chat)
+// Crée un nouveau chat de l'utilisateur ; les tours user lui sont attribués
+app.post('/api/chats/import', authenticateUser, requirePermission('chat'), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Fichier JSON requis (champ file)' });
+    }
+
+    let imported;
+    try {
+        imported = parseChatImport(JSON.parse(req.file.buffer.toString('utf8')));
+    } catch (error) {
+        return res.status(400).json({ error: error instanceof SyntaxError ? 'JSON invalide' : error.message });
+    }
+
+    try {
+        const { data: chat, error: chatError } = await supabase
+            .from('chats')
+            .insert([{ title: imported.title, user_id: req.user.id, title_source: 'user' }])
+            .select()
+            .single();
+
+        if (chatError) throw chatError;
+
+        // Une seule branche : chaque message est l'enfant du précédent
+        const rows = imported.messages.map((message, index) => ({
+            ...message,
+            id: crypto.randomUUID(),
+            chat_id: chat.id,
+            depth: index,
+            user_id: message.role === 'user' ? req.user.id : null
+        }));
+        rows.forEach((row, index) => {
+            row.parent_id = index > 0 ? rows[index - 1].id : null;
+        });
+
+        for (let i = 0; i < rows.length; i += CHAT_IMPORT_BATCH_SIZE) {
+            const { error } = await supabase
+                .from('messages')
+                .insert(rows.slice(i, i + CHAT_IMPORT_BATCH_SIZE));
+
+            if (error) {
+                // Pas de chat à moitié importé
+                await supabase.from('chats').delete().eq('id', chat.id);
+                throw error;
+            }
+        }
+
+        const { data: importedChat, error: activeError } = await supabase
+            .from('chats')
+            .update({ active_message_id: rows[rows.length - 1].id })
+            .eq('id', chat.id)
+            .select()
+            .single();
+
+        if (activeError) throw activeError;
+
+        await recordAudit(req, {
+            action: 'chat.import',
+            targetType: 'chat',
+            targetId: chat.id,
+            after: { title: chat.title, messages: rows.length }
+        });
+
+        console.log(`📥 Chat importé : ${chat.id} (${rows.length} messages)`);
+        res.json({ chat: importedChat, imported: rows.length });
+    } catch (error) {
+        console.error('Import chat error:', error);
+        res.status(500).json({ error: 'Erreur import chat' });
+    }
+});
+
+// ========== CHAT SEARCH ==========
+
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Requête to_tsquery de search_chats ('client & dupon:*') : mots de keywordTokens
+// (lettres et chiffres uniquement, aucun opérateur de l'utilisateur), le dernier
+// en préfixe. null si rien à chercher.
+function chatSearchQuery(text) {
+    const tokens = keywordTokens(text);
+    if (tokens.length === 0) return null;
+    return tokens.map((token, i) => i === tokens.length - 1 ? `${token}:*` : token).join(' & ');
+}
+
+// GET /api/search?q=&from=&to=&limit=&offset= : titres et messages des chats
+// visibles (les siens et ceux partagés), recherche plein texte française.
+// Le dernier mot est un préfixe (recherche pendant la saisie).
+app.get('/api/search', authenticateUser, requirePermission('chats:read'), async (req, res) => {
+    try {
+        const query = chatSearchQuery(String(req.query.q || ''));
+        const limit = Math.min(parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE, SEARCH_MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        if (!query) {
+            return res.json({ results: [], next_offset: null });
+        }
+
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+        let to = null;
+        if (isDate(req.query.to)) {
+            const end = new Date(`${req.query.to}T00:00:00Z`);
+            end.setUTCDate(end.getUTCDate() + 1);
+            to = end.toISOString();
+        }
+
+        const { data, error } = await supabase.rpc('search_chats', {
+            p_user_id: req.user.id,
+            p_organization_id: await resolveOrganizationId(req),
+            p_query: query,
+            p_from: isDate(req.query.from) ? `${req.query.from}T00:00:00Z` : null,
+            p_to: to,
+            p_limit: limit + 1,
+            p_offset: offset
+        });
+
+        if (error) throw error;
+
+        // Termes trouvés balisés par U+E000 / U+E001 (cf. migration 020)
+        const results = data.slice(0, limit).map(row => ({
+            chat_id: row.chat_id,
+            chat_title: row.chat_title,
+            message_id: row.message_id,
+            role: row.role,
+            created_at: row.created_at,
+            snippet: row.snippet.replace(/[\uE000\uE001]/g, ''),
+            snippet_html: escapeHtml(row.snippet).replace(/\uE000/g, '<mark>').replace(/\uE001/g, '</mark>'),
+            rank: row.rank
+        }));
+
+        res.json({ results, next_offset: data.length > limit ? offset + limit : null });
+    } catch (error) {
+        console.error('Search chats error:', error);
+        res.status(500).json({ error: 'Erreur recherche' });
+    }
+});
+
+// ========== CHAT SHARING ==========
+
+const CHAT_SHARE_ROLES = ['viewer', 'contributor'];
+
+// GET /api/chats/:id/shares : partages actuels + collègues proposables
+app.get('/api/chats/:id/shares', authenticateUser, requireOrganization, requirePermission('chat'), requireChatAccess('owner'), async (req, res) => {
+    try {
+        const [sharesResult, colleaguesResult] = await Promise.all([
+            supabase
+                .from('chat_shares')
+                .select('id, shared_with_user_id, role, created_at')
+                .eq('chat_id', req.chat.id),
+            supabase
+                .from('users')
+                .select('id, first_name, email')
+                .eq('organization_id', req.user.organization_id)
+                .neq('id', req.user.id)
+                .order('first_name')
+        ]);
+
+        if (sharesResult.error) throw sharesResult.error;
+        if (colleaguesResult.error) throw colleaguesResult.error;
+
+        const shares = sharesResult.data;
+
+        res.json({
+            organization: shares.find(share => !share.shared_with_user_id)?.role || null,
+            users: shares
+                .filter(share => share.shared_with_user_id)
+                .map(share => ({ user_id: share.shared_with_user_id, role: share.role })),
+            colleagues: colleaguesResult.data.map(user => ({
+                id: user.id,
+                name: user.first_name || user.email,
+                email: user.email
+            }))
+        });
+    } catch (error) {
+        console.error('List chat shares error:', error);
+        res.status(500).json({ error: 'Erreur chargement partages' });
+    }
+});
+
+// PUT /api/chats/:id/shares : remplace les partages du chat
+// Body : { organization: 'viewer'|'contributor'|null, users: [{ user_id, role }] }
+app.put('/api/chats/:id/shares', authenticateUser, requireOrganization, requirePermission('chat'), requireChatAccess('owner'), async (req, res) => {
+    try {
+        const { organization = null, users = [] } = req.body;
+        const organizationId = req.user.organization_id;
+
+        if (organization !== null && !CHAT_SHARE_ROLES.includes(organization)) {
+            return res.status(400).json({ error: 'organization doit valoir viewer, contributor ou null' });
+        }
+
+        if (!Array.isArray(users) || users.some(share =>
+            !share?.user_id || share.user_id === req.user.id || !CHAT_SHARE_ROLES.includes(share.role))) {
+            return res.status(400).json({ error: 'users : liste de { user_id, role } (viewer ou contributor)' });
+        }
+
+        const userIds = [...new Set(users.map(share => share.user_id))];
+
+        // Partage limité aux membres de l'organisation du propriétaire
+        if (userIds.length > 0) {
+            const { data: members, error: membersError } = await supabase
+                .from('users')
+                .select('id')
+                .eq('organization_id', organizationId)
+                .in('id', userIds);
+
+            if (membersError) throw membersError;
+
+            if (members.length !== userIds.length) {
+                return res.status(400).json({ error: 'Partage possible uniquement avec des membres de votre organisation' });
+            }
+        }
+
+        const rows = [
+            ...(organization ? [{ shared_with_user_id: null, role: organization }] : []),
+            ...userIds.map(userId => ({
+                shared_with_user_id: userId,
+                role: users.find(share => share.user_id === userId).role
+            }))
+        ].map(row => ({
+            ...row,
+            chat_id: req.chat.id,
+            organization_id: organizationId,
+            created_by: req.user.id
+        }));
+
+        const { data: previous, error: previousError } = await supabase
+            .from('chat_shares')
+            .select('shared_with_user_id, role')
+            .eq('chat_id', req.chat.id);
+
+        if (previousError) throw previousError;
+
+        const { error: deleteError } = await supabase
+            .from('chat_shares')
+            .delete()
+            .eq('chat_id', req.chat.id);
+
+        if (deleteError) throw deleteError;
+
+        if (rows.length > 0) {
+            const { error: insertError } = await supabase
+                .from('chat_shares')
+                .insert(rows);
+
+            if (insertError) throw insertError;
+        }
+
+        const sharesSummary = shares => ({
+            organization: shares.find(share => !share.shared_with_user_id)?.role || null,
+            users: shares
+                .filter(share => share.shared_with_user_id)
+                .map(share => ({ user_id: share.shared_with_user_id, role: share.role }))
+        });
+
+        await recordAudit(req, {
+            action: 'chat.shares.update',
+            targetType: 'chat',
+            targetId: req.chat.id,
+            before: sharesSummary(previous),
+            after: sharesSummary(rows)
+        });
+
+        console.log(`🤝 Chat ${req.chat.id} partagé : ${organization ? `organisation (${organization}), ` : ''}${userIds.length} collègue(s)`);
+
+        res.json({
+            success: true,
+            organization,
+            users: rows
+                .filter(row => row.shared_with_user_id)
+                .map(row => ({ user_id: row.shared_with_user_id, role: row.role }))
+        });
+    } catch (error) {
+        console.error('Update chat shares error:', error);
+        res.status(500).json({ error: 'Erreur mise à jour partages' });
+    }
+});
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({ 
+        status: 'ok',
+        llm: {
+            providers: Object.keys(LLM_PROVIDERS),
+            models: LLM_DEFAULTS,
+            embeddingDimensions: EMBEDDING_DIMENSIONS
+        },
+        vectorStore: {
+            default: vectorStores.defaultName,
+            available: vectorStores.available()
+        },
+        pdfSupport: 'native',
+        ragToggle: 'enabled'
+    });
+});
+
+// ========== ADHÉSION AUX ORGANISATIONS ==========
+// Un utilisateur sans organisation en crée une (il en devient propriétaire) ou en
+// rejoint une (migration 017) :
+// - par invitation : jeton à usage unique lié à un email et un rôle (table invitations)
+// - par code organisation, selon organizations.join_mode : 'open' (adhésion directe),
+//   'approval' (demande validée par un admin, table join_requests) ou 'disabled'
+
+const JOIN_MODES = ['open', 'approval', 'disabled'];
+const ORG_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITATION_PREFIX = 'inv_';
+const INVITATION_DEFAULT_DAYS = 7;
+const INVITATION_MAX_DAYS = 30;
+
+function generateOrgCode() {
+    let code = 'ORG-';
+    for (let i = 0; i < 5; i++) {
+        code += ORG_CODE_CHARS[crypto.randomInt(ORG_CODE_CHARS.length)];
+    }
+    return code;
+}
+
+async function generateUniqueOrgCode() {
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const code = generateOrgCode();
+        const { data, error } = await supabase
+            .from('organizations')
+            .select('id')
+            .eq('org_code', code)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return code;
+    }
+    throw new Error('Impossible de générer un code organisation unique');
+}
+
+function hashInvitationToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function invitationStatus(invitation) {
+    if (invitation.accepted_at) return 'accepted';
+    if (invitation.revoked_at) return 'revoked';
+    if (new Date(invitation.expires_at) <= new Date()) return 'expired';
+    return 'pending';
+}
+
+// Profil de l'utilisateur qui crée ou rejoint une organisation
+async function loadJoiningUser(userId) {
+    const { data, error } = await supabase
+        .from('users')
+        .select('id, email, organization_id')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Rattache un utilisateur encore sans organisation ; null s'il en a déjà une
+async function attachUserToOrganization(userId, org, role) {
+    const { data, error } = await supabase
+        .from('users')
+        .update({
+            organization_id: org.id,
+            role: role || org.default_role || 'employee',
+            daily_message_quota: org.default_daily_message_quota ?? 50
+        })
+        .eq('id', userId)
+        .is('organization_id', null)
+        .select('id, role, organization_id')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (data) {
+        // Demande d'adhésion éventuellement en attente ailleurs : devenue sans objet
+        await supabase
+            .from('join_requests')
+            .delete()
+            .eq('user_id', userId)
+            .eq('status', 'pending');
+    }
+    return data;
+}
+
+// Crée une organisation dont l'utilisateur devient propriétaire
+async function createOrganizationForUser(userId, companyName) {
+    const orgCode = await generateUniqueOrgCode();
+
+    const { data: org, error: orgError } = await supabase
+        .from('organizations')
+        .insert([{
+            name: companyName,
+            org_code: orgCode,
+            admin_code_hash: null,
+            default_role: 'employee',
+            default_daily_message_quota: 50,
+            is_active: true
+        }])
+        .select()
+        .single();
+
+    if (orgError) {
+        console.error('Organization creation error:', orgError);
+        throw new Error('Erreur création organisation');
+    }
+
+    const owner = await attachUserToOrganization(userId, { ...org, default_daily_message_quota: 999999 }, 'owner');
+    if (!owner) {
+        await supabase.from('organizations').delete().eq('id', org.id);
+        return { httpStatus: 409, error: 'Compte déjà rattaché à une organisation' };
+    }
+
+    console.log(`✅ Organization created: ${companyName} (${orgCode})`);
+    return { organization: org };
+}
+
+// Adhésion par code : directe ('open') ou demande à valider ('approval').
+// Code inconnu ou désactivé : même réponse
+async function joinWithOrgCode(user, code) {
+    const { data: org, error } = await supabase
+        .from('organizations')
+        .select('id, name, join_mode, default_role, default_daily_message_quota')
+        .eq('org_code', String(code || '').trim().toUpperCase())
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!org || org.join_mode === 'disabled') {
+        return { httpStatus: 404, error: 'Organisation introuvable (code invalide ou désactivé)' };
+    }
+
+    const organization = { id: org.id, name: org.name };
+
+    if (org.join_mode === 'open') {
+        const member = await attachUserToOrganization(user.id, org);
+        if (!member) {
+            return { httpStatus: 409, error: 'Compte déjà rattaché à une organisation' };
+        }
+        console.log(`✅ User ${user.id} joined ${org.id} by code (${member.role})`);
+        return { status: 'joined', organization, role: member.role };
+    }
+
+    const { error: requestError } = await supabase
+        .from('join_requests')
+        .insert([{ organization_id: org.id, user_id: user.id }]);
+
+    if (requestError?.code === '23505') {
+        return { httpStatus: 409, error: 'Une demande d\'adhésion est déjà en attente' };
+    }
+    if (requestError) throw requestError;
+
+    console.log(`📨 Join request: ${user.id} → ${org.id}`);
+    return { status: 'pending', organization };
+}
+
+// Invitation encore utilisable correspondant au jeton, ou null
+async function findPendingInvitation(token) {
+    if (typeof token !== 'string' || !token.startsWith(INVITATION_PREFIX)) return null;
+
+    const { data, error } = await supabase
+        .from('invitations')
+        .select('id, organization_id, email, role, expires_at, accepted_at, revoked_at, organizations (id, name, default_role, default_daily_message_quota)')
+        .eq('token_hash', hashInvitationToken(token))
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data || invitationStatus(data) !== 'pending') return null;
+
+    const org = Array.isArray(data.organizations) ? data.organizations[0] : data.organizations;
+    return { ...data, organization: org };
+}
+
+// Consomme l'invitation (usage unique, y compris en cas d'acceptations concurrentes)
+// puis rattache l'utilisateur avec le rôle prévu
+async function acceptInvitation(user, token) {
+    const invalid = { httpStatus: 404, error: 'Invitation invalide, expirée ou déjà utilisée' };
+    const invitation = await findPendingInvitation(token);
+
+    if (!invitation) return invalid;
+    if (invitation.email !== (user.email || '').toLowerCase()) {
+        return { httpStatus: 403, error: 'Cette invitation est destinée à une autre adresse email' };
+    }
+    if (user.organization_id) {
+        return { httpStatus: 409, error: 'Compte déjà rattaché à une organisation' };
+    }
+
+    const now = new Date().toISOString();
+    const { data: consumed, error } = await supabase
+        .from('invitations')
+        .update({ accepted_at: now, accepted_by: user.id })
+        .eq('id', invitation.id)
+        .is('accepted_at', null)
+        .is('revoked_at', null)
+        .gt('expires_at', now)
+        .select('id')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!consumed) return invalid;
+
+    // Rôle supprimé depuis l'envoi : rôle par défaut de l'organisation
+    const org = invitation.organization;
+    const roles = await listOrganizationRoles(org.id);
+    const role = roles.some(candidate => candidate.key === invitation.role) ? invitation.role : org.default_role;
+
+    const member = await attachUserToOrganization(user.id, org, role);
+    if (!member) {
+        await supabase
+            .from('invitations')
+            .update({ accepted_at: null, accepted_by: null })
+            .eq('id', invitation.id);
+        return { httpStatus: 409, error: 'Compte déjà rattaché à une organisation' };
+    }
+
+    console.log(`✅ Invitation ${invitation.id} accepted by ${user.id} (${member.role})`);
+    return { status: 'joined', organization: { id: org.id, name: org.name }, role: member.role };
+}
+
+// Journal d'audit de l'organisation concernée : adhésion ou demande d'adhésion
+async function recordJoinAudit(req, { status, organization, role }, method) {
+    await recordAudit(req, {
+        action: status === 'pending' ? 'join_request.create' : 'member.join',
+        organizationId: organization.id,
+        targetType: 'user',
+        targetId: req.user.id,
+        after: { method, ...(role ? { role } : {}) }
+    });
+}
+
+async function recordOrganizationCreateAudit(req, organization) {
+    await recordAudit(req, {
+        action: 'organization.create',
+        organizationId: organization.id,
+        targetType: 'organization',
+        targetId: organization.id,
+        after: { name: organization.name }
+    });
+}
+
+// ========== USER MANAGEMENT ==========
+
+// POST /api/organizations/validate - Organisation d'un code (inconnu ou désactivé : invalide)
+app.post('/api/organizations/validate', async (req, res) => {
+    try {
+        const { org_code } = req.body;
+        
+        const { data, error } = await supabase
+            .from('organizations')
+            .select('id, name, join_mode')
+            .eq('org_code', String(org_code || '').trim().toUpperCase())
+            .maybeSingle();
+        
+        if (error || !data || data.join_mode === 'disabled') {
+            return res.json({ valid: false });
+        }
+        
+        res.json({ 
+            valid: true,
+            org_id: data.id,
+            org_name: data.name,
+            requires_approval: data.join_mode === 'approval'
+        });
+    } catch (error) {
+        res.json({ valid: false });
+    }
+});
+
+// POST /api/users/signup - Finalise le profil du compte Auth connecté :
+// création d'organisation (role admin) ou adhésion par invitation / code (role employee)
+app.post('/api/users/signup', authenticateUser, async (req, res) => {
+    try {
+        const { 
+            first_name, 
+            role, 
+            company_name, 
+            org_code,
+            invite_token
+        } = req.body;
+
+        console.log('📝 Signup request:', { user: req.user.id, role, company_name: company_name || 'N/A' });
+
+        // Validation basique
+        if (!first_name || !role) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Données manquantes (first_name, role requis)' 
+            });
+        }
+
+        if (!['admin', 'employee'].includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Rôle invalide (admin ou employee)'
+            });
+        }
+
+        if (role === 'admin' && !company_name?.trim()) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Nom entreprise requis pour créer une organisation' 
+            });
+        }
+
+        if (role === 'employee' && !invite_token && !org_code) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Invitation ou code organisation requis pour employé' 
+            });
+        }
+
+        const user = await loadJoiningUser(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'Profil utilisateur introuvable' });
+        }
+        if (user.organization_id) {
+            return res.status(409).json({ success: false, error: 'Compte déjà rattaché à une organisation' });
+        }
+
+        const { error: profileError } = await supabase
+            .from('users')
+            .update({ first_name })
+            .eq('id', user.id);
+
+        if (profileError) {
+            console.error('User profile update error:', profileError);
+            throw new Error('Erreur mise à jour profil utilisateur');
+        }
+
+        // ============================================
+        // ADMIN : Créer organisation
+        // ============================================
+        if (role === 'admin') {
+            const result = await createOrganizationForUser(user.id, company_name.trim());
+            if (result.error) {
+                return res.status(result.httpStatus).json({ success: false, error: result.error });
+            }
+
+            await recordOrganizationCreateAudit(req, result.organization);
+
+            return res.json({
+                success: true,
+                organization_id: result.organization.id,
+                org_code: result.organization.org_code,
+                message: `Organisation créée : ${result.organization.org_code}`
+            });
+        }
+
+        // ============================================
+        // EMPLOYEE : Invitation ou code organisation
+        // ============================================
+        const result = invite_token
+            ? await acceptInvitation({ ...user, email: req.user.email || user.email }, invite_token)
+            : await joinWithOrgCode(user, org_code);
+
+        if (result.error) {
+            return res.status(result.httpStatus).json({ success: false, error: result.error });
+        }
+
+        await recordJoinAudit(req, result, invite_token ? 'invitation' : 'org_code');
+
+        res.json({
+            success: true,
+            status: result.status,
+            organization_id: result.status === 'joined' ? result.organization.id : null,
+            organization_name: result.organization.name,
+            message: result.status === 'joined'
+                ? 'Compte créé avec succès'
+                : `Demande envoyée à ${result.organization.name} : un administrateur doit la valider`
+        });
+
+    } catch (error) {
+        console.error('Signup error:', error);
+        res.status(500).json({ 
+            success: false,
+            error: error.message || 'Erreur création compte' 
+        });
+    }
+});
+
+// POST /api/organizations/create - Créer son organisation (compte sans organisation)
+app.post('/api/organizations/create', authenticateUser, async (req, res) => {
+    try {
+        const { company_name } = req.body;
+
+        if (!company_name?.trim()) {
+            return res.status(400).json({ error: 'Nom entreprise requis' });
+        }
+
+        const user = await loadJoiningUser(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'Profil utilisateur introuvable' });
+        }
+        if (user.organization_id) {
+            return res.status(409).json({ error: 'Compte déjà rattaché à une organisation' });
+        }
+
+        const result = await createOrganizationForUser(user.id, company_name.trim());
+        if (result.error) {
+            return res.status(result.httpStatus).json({ error: result.error });
+        }
+
+        await recordOrganizationCreateAudit(req, result.organization);
+
+        res.json({
+            success: true,
+            organization: result.organization,
+            org_code: result.organization.org_code
+        });
+
+    } catch (error) {
+        console.error('Create org error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/organizations/join - Rejoindre une organisation par code (directement ou sur demande)
+app.post('/api/organizations/join', authenticateUser, async (req, res) => {
+    try {
+        const { org_code } = req.body;
+
+        if (!org_code) {
+            return res.status(400).json({ error: 'Code organisation requis' });
+        }
+
+        const user = await loadJoiningUser(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'Profil utilisateur introuvable' });
+        }
+        if (user.organization_id) {
+            return res.status(409).json({ error: 'Compte déjà rattaché à une organisation' });
+        }
+
+        const result = await joinWithOrgCode(user, org_code);
+        if (result.error) {
+            return res.status(result.httpStatus).json({ error: result.error });
+        }
+
+        await recordJoinAudit(req, result, 'org_code');
+
+        res.status(result.status === 'pending' ? 202 : 200).json({
+            success: true,
+            status: result.status,
+            organization: result.organization
+        });
+
+    } catch (error) {
+        console.error('Join org error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/organizations/me - Get current user's organization defaults
+app.get('/api/organizations/me', authenticateUser, requirePermission('org:settings'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const { data, error } = await supabase
+            .from('users')
+            .select(`
+                organization_id,
+                organizations (
+                    id,
+                    name,
+                    org_code,
+                    join_mode,
+                    default_role,
+                    default_daily_message_quota
+                )
+            `)
+            .eq('id', userId)
+            .single();
 
-RÈGLES :
-1. Si CONTEXTE DOCUMENTAIRE fourni → utilise-le pour faits/chiffres précis
-2. Pour questions générales (moyennes secteur, conseils) → utilise tes connaissances
-3. COMBINE les deux quand pertinent : données clients + expertise comptable
+        if (error) {
+            console.error('Get organization error:', error);
+            return res.status(500).json({ error: 'Erreur récupération organisation' });
+        }
 
-FORMATAGE Markdown systématique :
-- **Gras** pour chiffres importants
-- Tables pour comparaisons
-- Listes pour énumérations
+        if (!data || !data.organizations) {
+            return res.status(404).json({ error: 'Organisation introuvable' });
+        }
 
-Sois précis, professionnel et pédagogique.`
-        });
+        // Handle both array and object response from Supabase
+        const org = Array.isArray(data.organizations) ? data.organizations[0] : data.organizations;
 
-        const result = await chat.sendMessage(enhancedMessage);
-        const response = await result.response;
-        const aiResponse = response.text();
+        res.json(org);
 
-        // 📊 Logger usage Gemini
-        const inputTokens = response.usageMetadata?.promptTokenCount || 0;
-        const outputTokens = response.usageMetadata?.candidatesTokenCount || 0;
-        const thoughtsTokens = response.usageMetadata?.thoughtsTokenCount || 0;
-        
-        // Log de manière asynchrone (ne bloque pas la réponse)
-        supabase.rpc('log_gemini_usage', {
-            p_date: new Date().toISOString().split('T')[0],
-            p_input_tokens: inputTokens,
-            p_output_tokens: outputTokens,
-            p_thoughts_tokens: thoughtsTokens
-        }).then(({ error }) => {
-            if (error) console.error('⚠️ Failed to log Gemini usage:', error);
-        });
-
-        history.push(
-            { role: 'user', parts: [{ text: message }] },
-            { role: 'model', parts: [{ text: aiResponse }] }
-        );
-        conversations.set(conversationId, history);
+    } catch (error) {
+        console.error('Get organization error:', error);
+        res.status(500).json({ error: error.message || 'Erreur serveur' });
+    }
+});
 
-        // ⭐ Increment daily usage after successful prompt
-        if (req.userDbId && req.usageDate) {
-            incrementDailyUsage(req.userDbId, req.usageDate);
-        }
+// Rôle par défaut (adhésion par code, directe en mode 'open') : attribuable par le
+// demandeur, sans le rôle propriétaire ni aucune permission d'administration
+async function defaultRoleError(role, access) {
+    if (role === 'owner') {
+        return { httpStatus: 400, error: 'Rôle par défaut invalide' };
+    }
 
-        res.json({
-            response: aiResponse,
-            conversationId: conversationId,
-            hasContext: !!context,
-            uiMessage: uiMessage
-        });
+    const roleError = await validateAssignableRole(role, access);
+    if (roleError) return roleError;
 
-    } catch (error) {
-        console.error('Gemini API Error:', error);
-        res.status(500).json({ 
-            error: 'Erreur serveur', 
-            details: error.message 
-        });
+    const permissions = await getRolePermissions(role, access.organizationId);
+    const excluded = permissions.filter(permission => DEFAULT_ROLE_EXCLUDED_PERMISSIONS.includes(permission));
+    if (excluded.length > 0) {
+        return { httpStatus: 400, error: 'Le rôle par défaut ne peut pas porter de permission d\'administration', permissions: excluded };
     }
-});
 
-// POST /api/chat-with-file
-app.post('/api/chat-with-file', upload.single('file'), async (req, res) => {
+    return null;
+}
+
+// PATCH /api/organizations/:id/permissions - Rôle et quota par défaut des nouveaux membres
+app.patch('/api/organizations/:id/permissions', authenticateUser, requirePermission('org:settings'), async (req, res) => {
     try {
-        const { message, conversationId = 'default', chatId = null } = req.body;
-        const file = req.file;
+        const orgId = req.params.id;
+        const { default_role, default_daily_message_quota } = req.body;
 
-        if (!message || !file) {
-            return res.status(400).json({ error: 'Message et fichier requis' });
+        // Verify user belongs to this org
+        if (req.user.organization_id !== orgId) {
+            return res.status(403).json({ error: 'Accès refusé' });
         }
 
-        console.log(`💬 Chat with file: ${file.originalname}`);
+        const updates = {};
 
-        let uiMessage = null;
-        
-        if (chatId) {
-            const { count: messageCount } = await supabase
-                .from('messages')
-                .select('*', { count: 'exact' })
-                .eq('chat_id', chatId);
-            
-            if (messageCount >= CHAT_CONFIG.MAX_MESSAGES_PER_CHAT) {
-                return res.status(400).json({ 
-                    error: 'chat_limit_reached',
-                    message: 'Ce chat a atteint la limite de 200 messages.',
-                    messageCount: messageCount
-                });
+        if (default_role !== undefined) {
+            const roleError = await defaultRoleError(default_role, req.access);
+            if (roleError) {
+                return res.status(roleError.httpStatus).json({ error: roleError.error, permissions: roleError.permissions });
             }
+            updates.default_role = default_role;
         }
 
-        let history = conversations.get(conversationId) || [];
-
-        if (history.length > CHAT_CONFIG.MAX_HISTORY_GEMINI) {
-            const removed = history.length - CHAT_CONFIG.MAX_HISTORY_GEMINI;
-            history = history.slice(-CHAT_CONFIG.MAX_HISTORY_GEMINI);
-            console.log(`📦 Sliding window: gardé ${CHAT_CONFIG.MAX_HISTORY_GEMINI} messages`);
+        if (default_daily_message_quota !== undefined) {
+            if (!Number.isInteger(default_daily_message_quota) || default_daily_message_quota < 1) {
+                return res.status(400).json({ error: 'default_daily_message_quota doit être un entier positif' });
+            }
+            updates.default_daily_message_quota = default_daily_message_quota;
         }
 
-        const fileContent = await prepareGeminiFileContent(file);
-        const messageParts = [fileContent];
-        
-        if (message && message.trim()) {
-            messageParts.push({ text: message });
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'Aucun champ à mettre à jour (default_role, default_daily_message_quota)' });
         }
 
-        const chat = model.startChat({
-            history: history,
-            generationConfig: {
-                temperature: 0.7,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 8000,
-            },
-            systemInstruction: `Tu es un assistant IA professionnel pour un cabinet d'expertise comptable.
-
-Quand on te fournit un fichier (image, audio, vidéo, PDF) :
-- ANALYSE le contenu avec précision
-- EXTRAIS les informations clés
-- STRUCTURE ta réponse clairement
-- Pour audio/vidéo : TRANSCRIS puis RÉSUME les points importants
-
-Formatage Markdown :
-- **Gras** pour infos critiques
-- Listes pour énumérations
-- Tables si pertinent
+        const { data: before, error: beforeError } = await supabase
+            .from('organizations')
+            .select('default_role, default_daily_message_quota')
+            .eq('id', orgId)
+            .single();
 
-Sois précis et professionnel.`
-        });
+        if (beforeError) throw beforeError;
 
-        const result = await chat.sendMessage(messageParts);
-        const response = await result.response;
-        const aiResponse = response.text();
+        const { error } = await supabase
+            .from('organizations')
+            .update(updates)
+            .eq('id', orgId);
 
-        // 📊 Logger usage Gemini
-        const inputTokens = response.usageMetadata?.promptTokenCount || 0;
-        const outputTokens = response.usageMetadata?.candidatesTokenCount || 0;
-        const thoughtsTokens = response.usageMetadata?.thoughtsTokenCount || 0;
-        
-        supabase.rpc('log_gemini_usage', {
-            p_date: new Date().toISOString().split('T')[0],
-            p_input_tokens: inputTokens,
-            p_output_tokens: outputTokens,
-            p_thoughts_tokens: thoughtsTokens
-        }).then(({ error }) => {
-            if (error) console.error('⚠️ Failed to log Gemini usage:', error);
-        });
-
-        history.push(
-            { 
-                role: 'user', 
-                parts: [{ text: `[Fichier: ${file.originalname}] ${message}` }] 
-            },
-            { role: 'model', parts: [{ text: aiResponse }] }
-        );
-        conversations.set(conversationId, history);
+        if (error) {
+            console.error('Update org permissions error:', error);
+            throw error;
+        }
 
-        res.json({
-            response: aiResponse,
-            conversationId: conversationId,
-            fileName: file.originalname,
-            uiMessage: uiMessage
+        await recordAudit(req, {
+            action: 'organization.defaults.update',
+            organizationId: orgId,
+            targetType: 'organization',
+            targetId: orgId,
+            before: pickFields(before, Object.keys(updates)),
+            after: updates
         });
 
+        console.log(`✅ Organization defaults updated: ${orgId}`, updates);
+        res.json({ success: true, ...updates });
+
     } catch (error) {
-        console.error('Chat with file error:', error);
-        res.status(500).json({ 
-            error: 'Erreur traitement fichier', 
-            details: error.message 
-        });
+        console.error('Update org permissions error:', error);
+        res.status(500).json({ error: 'Erreur mise à jour permissions' });
     }
 });
 
-// DELETE /api/chat/:id
-app.delete('/api/chat/:id', (req, res) => {
-    const { id } = req.params;
-    conversations.delete(id);
-    res.json({ message: 'Historique supprimé' });
-});
+// ========== USAGE ANALYTICS ==========
+// Agrégats de llm_calls pour l'organisation de l'admin (jamais la plateforme entière)
 
-// POST /api/upload-file
-app.post('/api/upload-file', upload.single('file'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'Aucun fichier uploadé' });
-        }
+const USAGE_GROUPS = ['day', 'user', 'feature', 'model', 'chat'];
+const USAGE_CSV_COLUMNS = ['key', 'label', 'calls', 'input_tokens', 'output_tokens', 'thoughts_tokens', 'cost_usd', 'avg_latency_ms', 'rag_calls'];
 
-        const { originalname, buffer } = req.file;
-        const docId = `file-${Date.now()}-${originalname.replace(/[^a-z0-9.]/gi, '-')}`;
-        
-        console.log(`📄 Parsing file: ${originalname}`);
+// Période en dates UTC incluses (?from=YYYY-MM-DD&to=YYYY-MM-DD), défaut : mois en cours
+function usagePeriod(query) {
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    const today = new Date().toISOString().split('T')[0];
+    const from = isDate(query.from) ? query.from : today.slice(0, 8) + '01';
+    const to = isDate(query.to) ? query.to : today;
 
-        const text = await parseFile(buffer, originalname);
-        
-        if (!text || text.trim().length === 0) {
-            return res.status(400).json({ error: 'Fichier vide ou illisible' });
-        }
+    const end = new Date(`${to}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + 1);
 
-        console.log(`✅ Extracted ${text.length} characters from ${originalname}`);
+    return { from, to, fromTs: `${from}T00:00:00Z`, toTs: end.toISOString() };
+}
 
-        const MAX_CHUNK_SIZE = 8000;
-        const chunks = [];
-        
-        if (text.length > MAX_CHUNK_SIZE) {
-            for (let i = 0; i < text.length; i += MAX_CHUNK_SIZE) {
-                chunks.push(text.slice(i, i + MAX_CHUNK_SIZE));
-            }
-            console.log(`📦 Document split into ${chunks.length} chunks`);
-        } else {
-            chunks.push(text);
-        }
+async function getUsageBreakdown(organizationId, period, group) {
+    const { data, error } = await supabase.rpc('llm_usage_breakdown', {
+        p_organization_id: organizationId,
+        p_from: period.fromTs,
+        p_to: period.toTs,
+        p_group: group
+    });
 
-        const uploadPromises = chunks.map(async (chunk, chunkIndex) => {
-            const chunkId = chunks.length > 1 ? `${docId}-chunk-${chunkIndex + 1}` : docId;
-            
-            const embedding = await generateEmbedding(chunk);
-            
-            await index.namespace('').upsert([
-                {
-                    id: chunkId,
-                    values: embedding,
-                    metadata: {
-                        text: chunk,
-                        source: originalname,
-                        uploadedAt: new Date().toISOString(),
-                        chunkIndex: chunkIndex,
-                        totalChunks: chunks.length
-                    }
-                }
-            ]);
-            
-            return chunkId;
-        });
+    if (error) throw error;
+
+    const rows = (data || []).map(row => ({
+        key: row.key,
+        label: row.key,
+        calls: Number(row.calls),
+        input_tokens: Number(row.input_tokens),
+        output_tokens: Number(row.output_tokens),
+        thoughts_tokens: Number(row.thoughts_tokens),
+        cost_usd: Number(Number(row.cost_usd).toFixed(6)),
+        avg_latency_ms: row.avg_latency_ms === null ? null : Number(row.avg_latency_ms),
+        rag_calls: Number(row.rag_calls)
+    }));
+
+    // Libellés lisibles pour les employés et les chats
+    const ids = rows.map(row => row.key).filter(Boolean);
+
+    if (group === 'user') {
+        const { data: users, error: usersError } = ids.length > 0
+            ? await supabase.from('users').select('id, first_name, email').in('id', ids)
+            : { data: [] };
+        if (usersError) throw usersError;
+
+        const byId = new Map(users.map(user => [user.id, user.first_name || user.email]));
+        rows.forEach(row => { row.label = row.key ? byId.get(row.key) || 'Compte supprimé' : 'Tâches de fond'; });
+    } else if (group === 'chat') {
+        const { data: chats, error: chatsError } = ids.length > 0
+            ? await supabase.from('chats').select('id, title').in('id', ids)
+            : { data: [] };
+        if (chatsError) throw chatsError;
+
+        const byId = new Map(chats.map(chat => [chat.id, chat.title]));
+        rows.forEach(row => { row.label = row.key ? byId.get(row.key) || 'Chat supprimé' : 'Hors chat'; });
+    }
 
-        const uploadedIds = await Promise.all(uploadPromises);
-        
-        console.log(`✅ File uploaded: ${uploadedIds.join(', ')}`);
+    return rows;
+}
 
-        res.json({
-            success: true,
-            ids: uploadedIds,
-            chunks: chunks.length,
-            message: `Fichier "${originalname}" ajouté (${chunks.length} chunks, ${text.length} caractères)`
-        });
+function toCSV(columns, rows) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
 
-    } catch (error) {
-        console.error('File upload error:', error);
-        res.status(500).json({ 
-            error: 'Erreur upload fichier', 
-            details: error.message 
-        });
-    }
-});
+    // BOM : accents corrects à l'ouverture dans Excel
+    return '\uFEFF' + [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+}
 
-// POST /api/upload-document
-app.post('/api/upload-document', authenticateUser, async (req, res) => {
+// GET /api/usage/breakdown?group=day|user|feature|model|chat&from=&to=[&format=csv] (admins)
+app.get('/api/usage/breakdown', authenticateUser, requireOrganization, requirePermission('stats:view'), async (req, res) => {
     try {
-        const { id, text, source = 'manual' } = req.body;
-
-        if (!id || !text) {
-            return res.status(400).json({ error: 'id et text requis' });
+        const group = req.query.group || 'day';
+        if (!USAGE_GROUPS.includes(group)) {
+            return res.status(400).json({ error: `group doit valoir ${USAGE_GROUPS.join(', ')}` });
         }
 
-        console.log(`📄 Uploading document: ${id}`);
+        const period = usagePeriod(req.query);
+        const rows = await getUsageBreakdown(req.user.organization_id, period, group);
 
-        const MAX_CHUNK_SIZE = 8000;
-        const chunks = [];
-        
-        if (text.length > MAX_CHUNK_SIZE) {
-            for (let i = 0; i < text.length; i += MAX_CHUNK_SIZE) {
-                chunks.push(text.slice(i, i + MAX_CHUNK_SIZE));
-            }
-            console.log(`📦 Document split into ${chunks.length} chunks`);
-        } else {
-            chunks.push(text);
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="usage-${group}-${period.from}-${period.to}.csv"`);
+            return res.send(toCSV(USAGE_CSV_COLUMNS, rows));
         }
 
-        const uploadPromises = chunks.map(async (chunk, chunkIndex) => {
-            const chunkId = chunks.length > 1 ? `${id}-chunk-${chunkIndex + 1}` : id;
-            
-            const embedding = await generateEmbedding(chunk);
-            
-            await index.namespace('').upsert([
-                {
-                    id: chunkId,
-                    values: embedding,
-                    metadata: {
-                        text: chunk,
-                        source: source,
-                        uploadedAt: new Date().toISOString(),
-                        chunkIndex: chunkIndex,
-                        totalChunks: chunks.length
-                    }
-                }
-            ]);
-            
-            return chunkId;
-        });
-
-        const uploadedIds = await Promise.all(uploadPromises);
-        
-        console.log(`✅ Document uploaded: ${uploadedIds.join(', ')}`);
-
-        res.json({
-            success: true,
-            ids: uploadedIds,
-            chunks: chunks.length,
-            message: chunks.length > 1 
-                ? `Document divisé en ${chunks.length} morceaux et ajouté à Pinecone`
-                : 'Document ajouté à Pinecone'
-        });
-
+        res.json({ group, from: period.from, to: period.to, rows });
     } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({ 
-            error: 'Erreur upload', 
-            details: error.message 
-        });
+        console.error('Usage breakdown error:', error);
+        res.status(500).json({ error: 'Erreur statistiques d\'utilisation' });
     }
 });
 
-// GET /api/documents
-app.get('/api/documents', async (req, res) => {
+// GET /api/stats/gemini - Statistiques d'utilisation IA de l'organisation (Admin only)
+app.get('/api/stats/gemini', authenticateUser, requireOrganization, requirePermission('stats:view'), async (req, res) => {
     try {
-        const queryResponse = await index.namespace('').query({
-            vector: new Array(768).fill(0),
-            topK: 10000,
-            includeMetadata: true
-        });
-        
-        const documentsMap = new Map();
-        
-        queryResponse.matches.forEach(match => {
-            const baseId = match.id.replace(/-chunk-\d+$/, '');
-            
-            if (!documentsMap.has(baseId)) {
-                documentsMap.set(baseId, {
-                    id: baseId,
-                    source: match.metadata?.source || 'Unknown',
-                    uploadedAt: match.metadata?.uploadedAt || new Date().toISOString(),
-                    chunks: []
-                });
+        const organizationId = req.user.organization_id;
+        const today = new Date().toISOString().split('T')[0];
+        const days = await getUsageBreakdown(organizationId, usagePeriod({}), 'day');
+
+        const totals = rows => rows.reduce((acc, day) => ({
+            requests: acc.requests + day.calls,
+            input_tokens: acc.input_tokens + day.input_tokens,
+            output_tokens: acc.output_tokens + day.output_tokens,
+            thoughts_tokens: acc.thoughts_tokens + day.thoughts_tokens,
+            cost: acc.cost + day.cost_usd
+        }), { requests: 0, input_tokens: 0, output_tokens: 0, thoughts_tokens: 0, cost: 0 });
+
+        const todayTotals = totals(days.filter(day => day.key === today));
+        const monthTotals = totals(days);
+
+        const chatModel = (await getOrgLLMSettings(organizationId)).llm_chat_model || LLM_DEFAULTS.chat;
+        const chatPricing = llmPricing(chatModel);
+
+        res.json({
+            today: { ...todayTotals, cost: todayTotals.cost.toFixed(6) },
+            month: { ...monthTotals, cost: monthTotals.cost.toFixed(4) },
+            model: {
+                name: chatModel,
+                input_limit: 1048576,
+                output_limit: 65536,
+                pricing: {
+                    input: `$${chatPricing.input} / 1M tokens`,
+                    output: `$${chatPricing.output} / 1M tokens`
+                }
+            },
+            limits: {
+                rpm: '1,000 requêtes/minute',
+                rpd: '10,000 requêtes/jour',
+                tpm: '1M tokens/minute'
             }
-            
-            documentsMap.get(baseId).chunks.push({
-                id: match.id,
-                chunkIndex: match.metadata?.chunkIndex || 0
-            });
-        });
-        
-        const documents = Array.from(documentsMap.values()).map(doc => ({
-            ...doc,
-            chunkCount: doc.chunks.length
-        }));
-        
-        console.log(`📋 Listed ${documents.length} documents`);
-        
-        res.json({ documents });
-        
-    } catch (error) {
-        console.error('List documents error:', error);
-        res.status(500).json({ 
-            error: 'Erreur liste documents', 
-            details: error.message 
         });
-    }
-});
 
-// GET /api/documents/:id
-app.get('/api/documents/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        
-        console.log(`📖 Getting document: ${id}`);
-        
-        const queryResponse = await index.namespace('').query({
-            vector: new Array(768).fill(0),
-            topK: 10000,
-            includeMetadata: true
-        });
-        
-        const chunks = queryResponse.matches
-            .filter(match => match.id === id || match.id.startsWith(`${id}-chunk-`))
-            .sort((a, b) => (a.metadata?.chunkIndex || 0) - (b.metadata?.chunkIndex || 0));
-        
-        if (chunks.length === 0) {
-            return res.status(404).json({ error: 'Document non trouvé' });
-        }
-        
-        const fullText = chunks.map(chunk => chunk.metadata?.text || '').join('');
-        const source = chunks[0].metadata?.source || 'Unknown';
-        const uploadedAt = chunks[0].metadata?.uploadedAt || new Date().toISOString();
-        
-        console.log(`✅ Retrieved document: ${id} (${chunks.length} chunks)`);
-        
-        res.json({ 
-            id,
-            source,
-            uploadedAt,
-            text: fullText,
-            chunkCount: chunks.length
-        });
-        
     } catch (error) {
-        console.error('Get document error:', error);
-        res.status(500).json({ 
-            error: 'Erreur récupération document', 
-            details: error.message 
-        });
+        console.error('Gemini stats error:', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
-// DELETE /api/documents/:id
-app.delete('/api/documents/:id', authenticateUser, async (req, res) => {
-    try {
-        const { id } = req.params;
-        
-        console.log(`🗑️ Deleting document: ${id}`);
-        
-        const queryResponse = await index.namespace('').query({
-            vector: new Array(768).fill(0),
-            topK: 10000,
-            includeMetadata: true
-        });
-        
-        const chunkIds = queryResponse.matches
-            .filter(match => match.id === id || match.id.startsWith(`${id}-chunk-`))
-            .map(match => match.id);
-        
-        if (chunkIds.length === 0) {
-            return res.status(404).json({ error: 'Document non trouvé' });
-        }
-        
-        await index.namespace('').deleteMany(chunkIds);
-        
-        console.log(`✅ Deleted ${chunkIds.length} chunks for document: ${id}`);
-        
-        res.json({ 
-            success: true, 
-            deletedChunks: chunkIds.length,
-            message: `Document supprimé (${chunkIds.length} morceaux)` 
+
+// ========== QUOTA STATUS & BUDGET ==========
+
+// Consommation du mois en cours d'une organisation : prompts (daily_usage),
+// coût estimé et tokens de tous ses appels modèle (llm_calls, migration 013)
+async function getOrgMonthlyUsage(organizationId) {
+    const today = new Date().toISOString().split('T')[0];
+
+    const [{ data: rows, error }, { data: month, error: monthError }] = await Promise.all([
+        supabase
+            .from('daily_usage')
+            .select('prompts_count')
+            .eq('organization_id', organizationId)
+            .gte('date', today.slice(0, 8) + '01'),
+        supabase
+            .rpc('org_month_usage', { p_organization_id: organizationId, p_date: today })
+            .single()
+    ]);
+
+    if (error) throw error;
+    if (monthError) throw monthError;
+
+    return {
+        prompts: (rows || []).reduce((total, row) => total + row.prompts_count, 0),
+        tokens: Number(month?.tokens || 0),
+        cost_usd: Number(month?.cost_usd || 0)
+    };
+}
+
+// GET /api/users/me/quota - Usage et limites de l'utilisateur courant
+app.get('/api/users/me/quota', authenticateUser, async (req, res) => {
+    try {
+        const organizationId = await resolveOrganizationId(req);
+        const limits = await loadQuotaLimits(req.user.id, organizationId);
+        const today = new Date().toISOString().split('T')[0];
+
+        const { data: rows, error } = await supabase
+            .from('daily_usage')
+            .select('date, prompts_count, input_tokens, output_tokens, thoughts_tokens')
+            .eq('user_id', req.user.id)
+            .gte('date', today.slice(0, 8) + '01');
+
+        if (error) throw error;
+
+        const tokensOf = row => Number(row.input_tokens) + Number(row.output_tokens) + Number(row.thoughts_tokens);
+        const todayRow = (rows || []).find(row => row.date === today);
+
+        res.json({
+            used: todayRow?.prompts_count || 0,
+            limit: limits.dailyPrompts,
+            tokens: {
+                today: todayRow ? tokensOf(todayRow) : 0,
+                daily_limit: limits.dailyTokens,
+                month: (rows || []).reduce((total, row) => total + tokensOf(row), 0),
+                monthly_limit: limits.monthlyTokens
+            }
         });
-        
     } catch (error) {
-        console.error('Delete document error:', error);
-        res.status(500).json({ 
-            error: 'Erreur suppression document', 
-            details: error.message 
-        });
+        console.error('Get quota error:', error);
+        res.status(500).json({ error: 'Erreur lecture quota' });
     }
 });
 
-// GET /api/pinecone-stats
-app.get('/api/pinecone-stats', async (req, res) => {
+// GET /api/organizations/me/budget - Plafond de coût mensuel et consommation (admins)
+app.get('/api/organizations/me/budget', authenticateUser, requireOrganization, requirePermission('org:settings'), async (req, res) => {
     try {
-        const stats = await index.describeIndexStats();
-        res.json(stats);
+        const organizationId = req.user.organization_id;
+        const [{ data: org, error }, usage] = await Promise.all([
+            supabase.from('organizations').select('monthly_cost_limit_usd').eq('id', organizationId).single(),
+            getOrgMonthlyUsage(organizationId)
+        ]);
+
+        if (error) throw error;
+
+        res.json({
+            monthly_cost_limit_usd: org.monthly_cost_limit_usd === null ? null : Number(org.monthly_cost_limit_usd),
+            month: { ...usage, cost_usd: Number(usage.cost_usd.toFixed(4)) }
+        });
     } catch (error) {
-        console.error('Stats error:', error);
-        res.json({ error: 'Erreur stats' });
+        console.error('Get budget error:', error);
+        res.status(500).json({ error: 'Erreur lecture budget' });
     }
 });
 
-// ========== CHATS ENDPOINTS ==========
-
-// GET /api/chats
-app.get('/api/chats', async (req, res) => {
+// PATCH /api/organizations/me/budget - { monthly_cost_limit_usd } (null = illimité)
+app.patch('/api/organizations/me/budget', authenticateUser, requireOrganization, requirePermission('org:settings'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) {
-            return res.status(401).json({ error: 'Non autorisé' });
+        const value = req.body.monthly_cost_limit_usd;
+        const limit = value === null || value === '' ? null : Number(value);
+
+        if (limit !== null && !(Number.isFinite(limit) && limit >= 0)) {
+            return res.status(400).json({ error: 'monthly_cost_limit_usd doit être un montant positif ou null' });
         }
 
-        const token = authHeader.replace('Bearer ', '');
-        const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+        const { data: before, error: beforeError } = await supabase
+            .from('organizations')
+            .select('monthly_cost_limit_usd')
+            .eq('id', req.user.organization_id)
+            .single();
 
-        if (authError || !user) {
-            return res.status(401).json({ error: 'Non autorisé' });
-        }
+        if (beforeError) throw beforeError;
 
-        const { data, error } = await supabase
-            .from('chats')
-            .select('*')
-            .eq('user_id', user.id)
-            .order('updated_at', { ascending: false });
+        const { error } = await supabase
+            .from('organizations')
+            .update({ monthly_cost_limit_usd: limit })
+            .eq('id', req.user.organization_id);
 
         if (error) throw error;
 
-        res.json({ chats: data });
+        await recordAudit(req, {
+            action: 'organization.budget.update',
+            targetType: 'organization',
+            targetId: req.user.organization_id,
+            before,
+            after: { monthly_cost_limit_usd: limit }
+        });
+
+        console.log(`✅ Budget updated: ${req.user.organization_id} → ${limit ?? 'illimité'}`);
+        res.json({ success: true, monthly_cost_limit_usd: limit });
     } catch (error) {
-        console.error('List chats error:', error);
-        res.status(500).json({ error: 'Erreur chargement chats' });
+        console.error('Update budget error:', error);
+        res.status(500).json({ error: 'Erreur mise à jour budget' });
     }
 });
 
-// POST /api/chats
-app.post('/api/chats', async (req, res) => {
+// ========== ROLES ENDPOINTS ==========
+
+// GET /api/organizations/me/members - Membres de l'organisation et leur rôle
+app.get('/api/organizations/me/members', authenticateUser, requireOrganization, requirePermission('users:manage'), async (req, res) => {
     try {
-        const { title = 'Nouvelle conversation' } = req.body;
+        const { data, error } = await supabase
+            .from('users')
+            .select('id, first_name, last_name, email, role, daily_message_quota, daily_token_quota, monthly_token_quota, created_at')
+            .eq('organization_id', req.user.organization_id)
+            .order('created_at', { ascending: true });
 
-        const authHeader = req.headers.authorization;
-        if (!authHeader) {
-            return res.status(401).json({ error: 'Non autorisé' });
-        }
+        if (error) throw error;
 
-        const token = authHeader.replace('Bearer ', '');
-        const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+        res.json({ members: data });
+    } catch (error) {
+        console.error('List members error:', error);
+        res.status(500).json({ error: 'Erreur chargement membres' });
+    }
+});
 
-        if (authError || !user) {
-            return res.status(401).json({ error: 'Non autorisé' });
-        }
+// GET /api/roles - Rôles attribuables, catalogue des permissions, nombre de membres par rôle
+app.get('/api/roles', authenticateUser, requireOrganization, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const organizationId = req.user.organization_id;
+        const roles = await listOrganizationRoles(organizationId);
 
-        const { data, error } = await supabase
-            .from('chats')
-            .insert([{ title, user_id: user.id }])
-            .select()
-            .single();
+        const { data: members, error } = await supabase
+            .from('users')
+            .select('role')
+            .eq('organization_id', organizationId);
 
         if (error) throw error;
 
-        res.json({ chat: data });
+        const counts = members.reduce((acc, member) => {
+            acc[member.role] = (acc[member.role] || 0) + 1;
+            return acc;
+        }, {});
+
+        res.json({
+            permissions: Object.entries(PERMISSIONS).map(([key, label]) => ({ key, label })),
+            roles: roles.map(role => ({ ...role, members: counts[role.key] || 0 }))
+        });
     } catch (error) {
-        console.error('Create chat error:', error);
-        res.status(500).json({ error: 'Erreur création chat' });
+        console.error('List roles error:', error);
+        res.status(500).json({ error: 'Erreur chargement rôles' });
     }
 });
 
-// GET /api/chats/:id
-app.get('/api/chats/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
+// Valide { name, permissions } d'un rôle personnalisé ; renvoie un message d'erreur ou null
+function validateCustomRole({ name, permissions }) {
+    if (!name || typeof name !== 'string' || name.trim().length > 60) {
+        return 'name requis (60 caractères max)';
+    }
 
-        const { data: chat, error: chatError } = await supabase
-            .from('chats')
-            .select('*')
-            .eq('id', id)
-            .single();
+    if (!Array.isArray(permissions) || permissions.some(permission => !PERMISSIONS[permission])) {
+        return `permissions : liste parmi ${Object.keys(PERMISSIONS).join(', ')}`;
+    }
 
-        if (chatError) throw chatError;
+    return null;
+}
 
-        const { data: messages, error: messagesError } = await supabase
-            .from('messages')
-            .select('*')
-            .eq('chat_id', id)
-            .order('created_at', { ascending: true });
+// Pas d'élévation de privilèges : un rôle ne peut accorder que des permissions
+// que le demandeur détient lui-même
+function permissionsNotHeld(access, permissions) {
+    return [...new Set(permissions)].filter(permission => !hasPermission(access, permission));
+}
 
-        if (messagesError) throw messagesError;
+// Rôle attribuable par le demandeur (membre, invitation, adhésion, rôle par défaut) :
+// rôle de l'organisation dont il détient toutes les permissions, le rôle propriétaire
+// par un propriétaire uniquement. null, ou { httpStatus, error, permissions? }
+async function validateAssignableRole(role, access) {
+    if (role === 'owner' && access.role !== 'owner') {
+        return { httpStatus: 403, error: 'Seul un propriétaire peut attribuer le rôle propriétaire' };
+    }
 
-        res.json({ chat, messages });
-    } catch (error) {
-        console.error('Get chat error:', error);
-        res.status(500).json({ error: 'Erreur chargement chat' });
+    const roles = await listOrganizationRoles(access.organizationId);
+    const target = roles.find(candidate => candidate.key === role);
+    if (!target) {
+        return { httpStatus: 400, error: 'Rôle inconnu' };
     }
-});
 
-// PUT /api/chats/:id
-app.put('/api/chats/:id', async (req, res) => {
+    const notHeld = permissionsNotHeld(access, target.permissions);
+    if (notHeld.length > 0) {
+        return { httpStatus: 403, error: 'Ce rôle accorde des permissions que vous ne détenez pas', permissions: notHeld };
+    }
+
+    return null;
+}
+
+// POST /api/roles - Créer un rôle personnalisé  Body : { name, permissions }
+app.post('/api/roles', authenticateUser, requireOrganization, requirePermission('roles:manage'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { title } = req.body;
+        const validationError = validateCustomRole(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
 
-        const { data, error } = await supabase
-            .from('chats')
-            .update({ title })
-            .eq('id', id)
-            .select()
+        const notHeld = permissionsNotHeld(req.access, req.body.permissions);
+        if (notHeld.length > 0) {
+            return res.status(403).json({ error: 'Permissions que vous ne détenez pas', permissions: notHeld });
+        }
+
+        const name = req.body.name.trim();
+        const slug = name
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+            .slice(0, 40) || 'role';
+
+        const { data: role, error } = await supabase
+            .from('roles')
+            .insert([{
+                organization_id: req.user.organization_id,
+                key: `custom-${slug}`,
+                name,
+                permissions: [...new Set(req.body.permissions)]
+            }])
+            .select('key, name, permissions')
             .single();
 
+        if (error?.code === '23505') {
+            return res.status(409).json({ error: 'Un rôle portant ce nom existe déjà' });
+        }
         if (error) throw error;
 
-        res.json({ chat: data });
+        await recordAudit(req, {
+            action: 'role.create',
+            targetType: 'role',
+            targetId: role.key,
+            after: { name: role.name, permissions: role.permissions }
+        });
+
+        console.log(`🛡️ Rôle créé : ${role.key} (${role.permissions.join(', ')})`);
+        res.status(201).json({ role: { ...role, built_in: false } });
     } catch (error) {
-        console.error('Update chat error:', error);
-        res.status(500).json({ error: 'Erreur mise à jour chat' });
+        console.error('Create role error:', error);
+        res.status(500).json({ error: 'Erreur création rôle' });
     }
 });
 
-// DELETE /api/chats/:id
-app.delete('/api/chats/:id', async (req, res) => {
+// PATCH /api/roles/:key - Modifier un rôle personnalisé
+app.patch('/api/roles/:key', authenticateUser, requireOrganization, requirePermission('roles:manage'), async (req, res) => {
     try {
-        const { id } = req.params;
+        if (BUILT_IN_ROLES[req.params.key]) {
+            return res.status(400).json({ error: 'Les rôles intégrés ne sont pas modifiables' });
+        }
 
-        const { error } = await supabase
-            .from('chats')
-            .delete()
-            .eq('id', id);
+        // Son propre rôle : seul le propriétaire (rôle intégré) échappe à la règle
+        if (req.access.role === req.params.key && req.access.role !== 'owner') {
+            return res.status(403).json({ error: 'Vous ne pouvez pas modifier votre propre rôle' });
+        }
+
+        const validationError = validateCustomRole(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { data: before, error: beforeError } = await supabase
+            .from('roles')
+            .select('name, permissions')
+            .eq('organization_id', req.user.organization_id)
+            .eq('key', req.params.key)
+            .maybeSingle();
+
+        if (beforeError) throw beforeError;
+        if (!before) {
+            return res.status(404).json({ error: 'Rôle introuvable' });
+        }
+
+        // Ni accorder ni retirer une permission que le demandeur n'a pas
+        const notHeld = permissionsNotHeld(req.access, [...before.permissions, ...req.body.permissions]);
+        if (notHeld.length > 0) {
+            return res.status(403).json({ error: 'Permissions que vous ne détenez pas', permissions: notHeld });
+        }
+
+        const { data: org, error: orgError } = await supabase
+            .from('organizations')
+            .select('default_role')
+            .eq('id', req.user.organization_id)
+            .single();
+
+        if (orgError) throw orgError;
+
+        const excluded = req.body.permissions.filter(permission => DEFAULT_ROLE_EXCLUDED_PERMISSIONS.includes(permission));
+        if (org.default_role === req.params.key && excluded.length > 0) {
+            return res.status(400).json({ error: 'Le rôle par défaut ne peut pas porter de permission d\'administration', permissions: excluded });
+        }
+
+        const { data: role, error } = await supabase
+            .from('roles')
+            .update({
+                name: req.body.name.trim(),
+                permissions: [...new Set(req.body.permissions)],
+                updated_at: new Date().toISOString()
+            })
+            .eq('organization_id', req.user.organization_id)
+            .eq('key', req.params.key)
+            .select('key, name, permissions')
+            .maybeSingle();
 
         if (error) throw error;
+        if (!role) {
+            return res.status(404).json({ error: 'Rôle introuvable' });
+        }
 
-        res.json({ success: true, message: 'Chat supprimé' });
+        await recordAudit(req, {
+            action: 'role.update',
+            targetType: 'role',
+            targetId: role.key,
+            before,
+            after: { name: role.name, permissions: role.permissions }
+        });
+
+        res.json({ role: { ...role, built_in: false } });
     } catch (error) {
-        console.error('Delete chat error:', error);
-        res.status(500).json({ error: 'Erreur suppression chat' });
+        console.error('Update role error:', error);
+        res.status(500).json({ error: 'Erreur mise à jour rôle' });
     }
 });
 
-// POST /api/chats/:id/messages
-app.post('/api/chats/:id/messages', async (req, res) => {
+// DELETE /api/roles/:key - Supprimer un rôle personnalisé inutilisé
+app.delete('/api/roles/:key', authenticateUser, requireOrganization, requirePermission('roles:manage'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { role, content } = req.body;
+        const organizationId = req.user.organization_id;
+        const { key } = req.params;
 
-        if (!role || !content) {
-            return res.status(400).json({ error: 'role et content requis' });
+        if (BUILT_IN_ROLES[key]) {
+            return res.status(400).json({ error: 'Les rôles intégrés ne sont pas supprimables' });
         }
 
-        const { data, error } = await supabase
-            .from('messages')
-            .insert([{ chat_id: id, role, content }])
-            .select()
-            .single();
+        const [{ count, error: countError }, { data: org, error: orgError }] = await Promise.all([
+            supabase
+                .from('users')
+                .select('id', { count: 'exact', head: true })
+                .eq('organization_id', organizationId)
+                .eq('role', key),
+            supabase
+                .from('organizations')
+                .select('default_role')
+                .eq('id', organizationId)
+                .single()
+        ]);
 
-        if (error) throw error;
+        if (countError) throw countError;
+        if (orgError) throw orgError;
 
-        await supabase
-            .from('chats')
-            .update({ updated_at: new Date().toISOString() })
-            .eq('id', id);
+        if (count > 0) {
+            return res.status(409).json({ error: `Rôle attribué à ${count} membre(s) : réattribuez-les d'abord` });
+        }
+        if (org.default_role === key) {
+            return res.status(409).json({ error: 'Rôle par défaut des nouveaux membres : changez-le d\'abord' });
+        }
 
-        // ========== AUTO-TITLE : Générer titre si premier message user ==========
-        if (role === 'user') {
-            console.log('🔍 Checking if auto-title needed for chat:', id);
-            
-            // Vérifier si c'est le premier message user
-            const { data: messages } = await supabase
-                .from('messages')
-                .select('id')
-                .eq('chat_id', id)
-                .eq('role', 'user')
-                .order('created_at', { ascending: true });
-            
-            console.log('📊 User messages count:', messages?.length);
-            
-            const isFirstUserMessage = messages && messages.length === 1;
-            
-            if (isFirstUserMessage) {
-                console.log('✅ First user message detected');
-                
-                // Vérifier si le chat a encore le titre par défaut
-                const { data: chat } = await supabase
-                    .from('chats')
-                    .select('title')
-                    .eq('id', id)
-                    .single();
-                
-                console.log('📝 Current title:', chat?.title);
-                
-                if (chat && chat.title === 'Nouvelle conversation') {
-                    console.log('🚀 Generating auto-title for:', content.slice(0, 50));
-                    
-                    // Générer titre localement (pas de Gemini = pas de 429)
-                    const newTitle = generateChatTitleLocal(content);
-                    console.log('🎯 Generated title:', newTitle);
-                    
-                    const { error: updateError } = await supabase
-                        .from('chats')
-                        .update({ title: newTitle })
-                        .eq('id', id);
-                    
-                    if (updateError) {
-                        console.error('❌ Title update failed:', updateError);
-                    } else {
-                        console.log(`✅ Chat title updated: "${newTitle}"`);
-                    }
-                } else {
-                    console.log('⏭️ Skipping: title already set to', chat?.title);
-                }
-            } else {
-                console.log('⏭️ Skipping: not first user message');
-            }
+        const { data: deleted, error } = await supabase
+            .from('roles')
+            .delete()
+            .eq('organization_id', organizationId)
+            .eq('key', key)
+            .select('key, name, permissions');
+
+        if (error) throw error;
+        if (deleted.length === 0) {
+            return res.status(404).json({ error: 'Rôle introuvable' });
         }
 
-        res.json({ message: data });
+        await recordAudit(req, {
+            action: 'role.delete',
+            targetType: 'role',
+            targetId: key,
+            before: { name: deleted[0].name, permissions: deleted[0].permissions }
+        });
+
+        res.json({ success: true });
     } catch (error) {
-        console.error('Add message error:', error);
-        res.status(500).json({ error: 'Erreur ajout message' });
+        console.error('Delete role error:', error);
+        res.status(500).json({ error: 'Erreur suppression rôle' });
     }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'ok',
-        model: 'gemini-2.0-flash-lite-001',
-        pdfSupport: 'native',
-        ragToggle: 'enabled'
-    });
-});
-
-// ========== USER MANAGEMENT ==========
+// ========== INVITATIONS ENDPOINTS ==========
+// Le jeton en clair n'est renvoyé qu'à la création ; seul son SHA-256 est stocké.
 
-// Function to generate org code
-function generateOrgCode() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    let code = 'ORG-';
-    for (let i = 0; i < 5; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return code;
-}
+const INVITATION_COLUMNS = 'id, email, role, invited_by, created_at, expires_at, accepted_at, accepted_by, revoked_at';
 
-// POST /api/validate-admin-code
-app.post('/api/validate-admin-code', async (req, res) => {
+// GET /api/invitations - Invitations de l'organisation (200 plus récentes) avec leur statut
+app.get('/api/invitations', authenticateUser, requireOrganization, requirePermission('users:manage'), async (req, res) => {
     try {
-        const { admin_code } = req.body;
-        const ADMIN_SECRET = process.env.ADMIN_SECRET_CODE || 'AIOS-ADMIN-2025';
-        
-        res.json({ valid: admin_code === ADMIN_SECRET });
+        const { data, error } = await supabase
+            .from('invitations')
+            .select(INVITATION_COLUMNS)
+            .eq('organization_id', req.user.organization_id)
+            .order('created_at', { ascending: false })
+            .limit(200);
+
+        if (error) throw error;
+
+        res.json({
+            invitations: data.map(invitation => ({ ...invitation, status: invitationStatus(invitation) }))
+        });
     } catch (error) {
-        res.status(500).json({ valid: false });
+        console.error('List invitations error:', error);
+        res.status(500).json({ error: 'Erreur chargement invitations' });
     }
 });
 
-// POST /api/organizations/validate
-app.post('/api/organizations/validate', async (req, res) => {
+// POST /api/invitations - Inviter une adresse email  Body : { email, role, expires_in_days }
+app.post('/api/invitations', authenticateUser, requireOrganization, requirePermission('users:manage'), async (req, res) => {
     try {
-        const { org_code } = req.body;
-        
-        const { data, error } = await supabase
-            .from('organizations')
-            .select('id, name')
-            .eq('org_code', org_code.trim().toUpperCase())
-            .single();
-        
-        if (error || !data) {
-            return res.json({ valid: false });
+        const organizationId = req.user.organization_id;
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        const role = req.body.role || 'employee';
+        const days = req.body.expires_in_days ?? INVITATION_DEFAULT_DAYS;
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ error: 'Adresse email invalide' });
         }
-        
-        res.json({ 
-            valid: true,
-            org_id: data.id,
-            org_name: data.name
+
+        if (!Number.isInteger(days) || days < 1 || days > INVITATION_MAX_DAYS) {
+            return res.status(400).json({ error: `expires_in_days : entier entre 1 et ${INVITATION_MAX_DAYS}` });
+        }
+
+        const roleError = await validateAssignableRole(role, req.access);
+        if (roleError) {
+            return res.status(roleError.httpStatus).json({ error: roleError.error, permissions: roleError.permissions });
+        }
+
+        const { data: existing, error: memberError } = await supabase
+            .from('users')
+            .select('id')
+            .eq('organization_id', organizationId)
+            .eq('email', email)
+            .limit(1);
+
+        if (memberError) throw memberError;
+        if (existing.length > 0) {
+            return res.status(409).json({ error: 'Cette adresse est déjà membre de l\'organisation' });
+        }
+
+        const token = INVITATION_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+        const { data: invitation, error } = await supabase
+            .from('invitations')
+            .insert([{
+                organization_id: organizationId,
+                email,
+                role,
+                token_hash: hashInvitationToken(token),
+                invited_by: req.user.id,
+                expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+            }])
+            .select(INVITATION_COLUMNS)
+            .single();
+
+        if (error) throw error;
+
+        await recordAudit(req, {
+            action: 'invitation.create',
+            targetType: 'invitation',
+            targetId: invitation.id,
+            after: { email, role, expires_at: invitation.expires_at }
         });
+
+        console.log(`✉️ Invitation created: ${email} (${role}) by ${req.user.id}`);
+        res.status(201).json({ token, invitation: { ...invitation, status: 'pending' } });
     } catch (error) {
-        res.json({ valid: false });
+        console.error('Create invitation error:', error);
+        res.status(500).json({ error: 'Erreur création invitation' });
     }
 });
 
-// POST /api/users/signup
-app.post('/api/users/signup', async (req, res) => {
+// DELETE /api/invitations/:id - Révoquer une invitation encore en attente
+app.delete('/api/invitations/:id', authenticateUser, requireOrganization, requirePermission('users:manage'), async (req, res) => {
     try {
-        const { 
-            auth_user_id,      // 🔑 ID de auth.users (créé par frontend)
-            email, 
-            first_name, 
-            role, 
-            company_name, 
-            admin_code, 
-            org_code,
-            permissions        // 🔑 Permissions JSONB (admin)
-        } = req.body;
-
-        console.log('📝 Signup request:', { email, role, auth_user_id, company_name: company_name || 'N/A' });
-
-        // Validation basique
-        if (!auth_user_id || !email || !first_name || !role) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Données manquantes (auth_user_id, email, first_name, role requis)' 
-            });
-        }
+        const { data, error } = await supabase
+            .from('invitations')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('organization_id', req.user.organization_id)
+            .is('accepted_at', null)
+            .is('revoked_at', null)
+            .select('id, email, role')
+            .maybeSingle();
 
-        if (!['admin', 'employee'].includes(role)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Rôle invalide (admin ou employee)'
-            });
+        if (error && error.code !== '22P02') throw error;
+        if (!data) {
+            return res.status(404).json({ error: 'Invitation introuvable ou déjà utilisée' });
         }
 
-        const ADMIN_SECRET = process.env.ADMIN_CREATION_CODE || process.env.ADMIN_SECRET_CODE || 'AIOS-ADMIN-2025';
-        let organizationId = null;
-        let generatedOrgCode = null;
-        let orgDefaultPermissions = null;
+        await recordAudit(req, {
+            action: 'invitation.revoke',
+            targetType: 'invitation',
+            targetId: data.id,
+            before: { email: data.email, role: data.role }
+        });
 
-        // ============================================
-        // ADMIN : Créer organisation
-        // ============================================
-        if (role === 'admin') {
-            if (!company_name || !admin_code) {
-                return res.status(400).json({ 
-                    success: false,
-                    error: 'Nom entreprise et code admin requis pour administrateur' 
-                });
-            }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({ error: 'Erreur révocation invitation' });
+    }
+});
 
-            if (admin_code !== ADMIN_SECRET) {
-                return res.status(403).json({ 
-                    success: false,
-                    error: 'Code administrateur incorrect' 
-                });
-            }
+// POST /api/invitations/validate - Détails d'une invitation avant inscription (public)
+app.post('/api/invitations/validate', async (req, res) => {
+    try {
+        const invitation = await findPendingInvitation(req.body.token);
 
-            generatedOrgCode = generateOrgCode();
-            
-            let isUnique = false;
-            let attempts = 0;
-            while (!isUnique && attempts < 10) {
-                const { data: existing } = await supabase
-                    .from('organizations')
-                    .select('id')
-                    .eq('org_code', generatedOrgCode)
-                    .single();
-                
-                if (!existing) {
-                    isUnique = true;
-                } else {
-                    generatedOrgCode = generateOrgCode();
-                    attempts++;
-                }
-            }
+        if (!invitation) {
+            return res.json({ valid: false });
+        }
 
-            const { data: org, error: orgError } = await supabase
-                .from('organizations')
-                .insert([{ 
-                    name: company_name,
-                    org_code: generatedOrgCode,
-                    admin_code_hash: null,
-                    default_can_use_rag: false,
-                    default_can_upload_documents: true,
-                    default_can_edit_documents: false,
-                    default_can_delete_documents: false,
-                    default_daily_message_quota: 50,
-                    is_active: true
-                }])
-                .select()
-                .single();
+        const roles = await listOrganizationRoles(invitation.organization_id);
 
-            if (orgError) {
-                console.error('Organization creation error:', orgError);
-                throw new Error('Erreur création organisation');
-            }
+        res.json({
+            valid: true,
+            email: invitation.email,
+            org_name: invitation.organization.name,
+            role: invitation.role,
+            role_name: roles.find(role => role.key === invitation.role)?.name || invitation.role,
+            expires_at: invitation.expires_at
+        });
+    } catch (error) {
+        console.error('Validate invitation error:', error);
+        res.json({ valid: false });
+    }
+});
 
-            organizationId = org.id;
-            console.log(`✅ Organization created: ${company_name} (${generatedOrgCode})`);
+// POST /api/invitations/accept - Rejoindre l'organisation avec une invitation  Body : { token }
+app.post('/api/invitations/accept', authenticateUser, async (req, res) => {
+    try {
+        const user = await loadJoiningUser(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'Profil utilisateur introuvable' });
         }
 
-        // ============================================
-        // EMPLOYEE : Valider code org
-        // ============================================
-        if (role === 'employee') {
-            if (!org_code) {
-                return res.status(400).json({ 
-                    success: false,
-                    error: 'Code organisation requis pour employé' 
-                });
-            }
+        const result = await acceptInvitation({ ...user, email: req.user.email || user.email }, req.body.token);
+        if (result.error) {
+            return res.status(result.httpStatus).json({ error: result.error });
+        }
 
-            const { data: org, error: orgError } = await supabase
-                .from('organizations')
-                .select('id, org_code, default_can_use_rag, default_can_upload_documents, default_can_edit_documents, default_can_delete_documents, default_daily_message_quota')
-                .eq('org_code', org_code.trim().toUpperCase())
-                .single();
+        await recordJoinAudit(req, result, 'invitation');
+        res.json({ success: true, organization: result.organization, role: result.role });
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({ error: 'Erreur acceptation invitation' });
+    }
+});
 
-            if (orgError || !org) {
-                return res.status(404).json({ 
-                    success: false,
-                    error: 'Organisation introuvable (code invalide)' 
-                });
+// ========== JOIN REQUESTS ENDPOINTS ==========
+
+// PATCH /api/organizations/me/join-settings - Mode d'adhésion par code, rotation du code
+// Body : { join_mode?: 'open' | 'approval' | 'disabled', rotate_code?: true }
+app.patch('/api/organizations/me/join-settings', authenticateUser, requireOrganization, requirePermission('org:settings'), async (req, res) => {
+    try {
+        const { join_mode, rotate_code } = req.body;
+        const updates = {};
+
+        if (join_mode !== undefined) {
+            if (!JOIN_MODES.includes(join_mode)) {
+                return res.status(400).json({ error: `join_mode : ${JOIN_MODES.join(', ')}` });
             }
+            updates.join_mode = join_mode;
+        }
 
-            organizationId = org.id;
-            generatedOrgCode = org.org_code;
-            
-            // Charger permissions par défaut de l'organisation
-            orgDefaultPermissions = {
-                can_use_rag: org.default_can_use_rag ?? false,
-                can_upload_documents: org.default_can_upload_documents ?? true,
-                can_edit_documents: org.default_can_edit_documents ?? false,
-                can_delete_documents: org.default_can_delete_documents ?? false,
-                daily_message_quota: org.default_daily_message_quota ?? 50
-            };
-            
-            console.log(`Employee joining org: ${org_code} with default permissions:`, orgDefaultPermissions);
+        if (rotate_code === true) {
+            updates.org_code = await generateUniqueOrgCode();
         }
 
-        // ============================================
-        // Créer profil utilisateur dans public.users
-        // ============================================
-        const defaultPermissions = role === 'admin' 
-            ? {
-                can_use_rag: true,
-                can_upload_documents: true,
-                can_edit_documents: true,
-                can_delete_documents: true,
-                daily_message_quota: 999999
-              }
-            : (orgDefaultPermissions || {
-                can_use_rag: false,
-                can_upload_documents: true,
-                can_edit_documents: false,
-                can_delete_documents: false,
-                daily_message_quota: 50
-              });
-
-        // ✅ UPDATE le user créé par le trigger (JAMAIS INSERT)
-        const { data: user, error: userError} = await supabase
-            .from('users')
-            .update({
-                first_name: first_name,
-                role: role,
-                organization_id: organizationId,
-                ...defaultPermissions
-            })
-            .eq('id', auth_user_id)
-            .select()
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'Aucun champ à mettre à jour (join_mode, rotate_code)' });
+        }
+
+        const { data: before, error: beforeError } = await supabase
+            .from('organizations')
+            .select('join_mode')
+            .eq('id', req.user.organization_id)
             .single();
 
-        if (userError) {
-            console.error('User profile update error:', userError);
-            throw new Error('Erreur mise à jour profil utilisateur');
-        }
+        if (beforeError) throw beforeError;
 
-        console.log(`✅ User profile created: ${email} (${role})`);
+        const { data, error } = await supabase
+            .from('organizations')
+            .update(updates)
+            .eq('id', req.user.organization_id)
+            .select('org_code, join_mode')
+            .single();
 
-        // ============================================
-        // SUCCÈS
-        // ============================================
-        const response = {
-            success: true,
-            user: user,
-            organization_id: organizationId,
-            org_code: generatedOrgCode,
-            message: role === 'admin' 
-                ? `Organisation créée : ${generatedOrgCode}` 
-                : 'Compte créé avec succès'
-        };
+        if (error) throw error;
 
-        res.json(response);
+        // Le code lui-même n'est pas journalisé
+        await recordAudit(req, {
+            action: 'organization.join_settings.update',
+            targetType: 'organization',
+            targetId: req.user.organization_id,
+            before,
+            after: { join_mode: data.join_mode, ...(updates.org_code ? { org_code_rotated: true } : {}) }
+        });
 
+        console.log(`🔑 Join settings updated: ${req.user.organization_id}`, { join_mode: data.join_mode, rotated: !!updates.org_code });
+        res.json({ success: true, ...data });
     } catch (error) {
-        console.error('Signup error:', error);
-        res.status(500).json({ 
-            success: false,
-            error: error.message || 'Erreur création compte' 
-        });
+        console.error('Update join settings error:', error);
+        res.status(500).json({ error: 'Erreur mise à jour adhésion' });
     }
 });
 
-// POST /api/organizations/create - Créer organisation (admin)
-app.post('/api/organizations/create', authenticateUser, async (req, res) => {
+// GET /api/join-requests - Demandes d'adhésion en attente
+app.get('/api/join-requests', authenticateUser, requireOrganization, requirePermission('users:manage'), async (req, res) => {
     try {
-        const { company_name, admin_code } = req.body;
-        const ADMIN_SECRET = process.env.ADMIN_SECRET || 'AIOS-ADMIN-2025';
+        const { data: requests, error } = await supabase
+            .from('join_requests')
+            .select('id, user_id, created_at')
+            .eq('organization_id', req.user.organization_id)
+            .eq('status', 'pending')
+            .order('created_at', { ascending: true });
 
-        if (admin_code !== ADMIN_SECRET) {
-            return res.status(403).json({ error: 'Code admin invalide' });
-        }
+        if (error) throw error;
+
+        const userIds = requests.map(request => request.user_id);
+        const { data: users, error: usersError } = userIds.length > 0
+            ? await supabase.from('users').select('id, first_name, last_name, email').in('id', userIds)
+            : { data: [], error: null };
+
+        if (usersError) throw usersError;
 
-        // Générer code org unique
-        const org_code = `ORG-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+        const usersById = new Map(users.map(user => [user.id, user]));
+        res.json({
+            requests: requests.map(request => ({
+                ...request,
+                first_name: usersById.get(request.user_id)?.first_name || null,
+                last_name: usersById.get(request.user_id)?.last_name || null,
+                email: usersById.get(request.user_id)?.email || null
+            }))
+        });
+    } catch (error) {
+        console.error('List join requests error:', error);
+        res.status(500).json({ error: 'Erreur chargement demandes' });
+    }
+});
+
+// Passe une demande en attente de l'organisation à 'approved' ou 'rejected' ; null si absente
+async function decideJoinRequest(req, status) {
+    const { data, error } = await supabase
+        .from('join_requests')
+        .update({ status, decided_by: req.user.id, decided_at: new Date().toISOString() })
+        .eq('id', req.params.id)
+        .eq('organization_id', req.user.organization_id)
+        .eq('status', 'pending')
+        .select('id, user_id')
+        .maybeSingle();
+
+    if (error && error.code !== '22P02') throw error;
+    return data;
+}
 
+// POST /api/join-requests/:id/approve - Accepter  Body : { role? } (défaut : rôle par défaut)
+app.post('/api/join-requests/:id/approve', authenticateUser, requireOrganization, requirePermission('users:manage'), async (req, res) => {
+    try {
         const { data: org, error: orgError } = await supabase
             .from('organizations')
-            .insert({
-                name: company_name,
-                org_code,
-                admin_code_hash: null,
-                is_active: true
-            })
-            .select()
+            .select('id, default_role, default_daily_message_quota')
+            .eq('id', req.user.organization_id)
             .single();
 
         if (orgError) throw orgError;
 
-        // Mettre à jour user → admin
-        const { error: userError } = await supabase
-            .from('users')
-            .update({
-                organization_id: org.id,
-                role: 'admin',
-                can_use_rag: true,
-                can_upload_documents, can_edit_documents, can_delete_documents: true,
-                
-                
-                daily_message_quota: 999999
-            })
-            .eq('id', req.user.id);
+        const role = req.body.role || org.default_role;
+        const roleError = await validateAssignableRole(role, req.access);
+        if (roleError) {
+            return res.status(roleError.httpStatus).json({ error: roleError.error, permissions: roleError.permissions });
+        }
 
-        if (userError) throw userError;
+        const request = await decideJoinRequest(req, 'approved');
+        if (!request) {
+            return res.status(404).json({ error: 'Demande introuvable ou déjà traitée' });
+        }
 
-        res.json({
-            success: true,
-            organization: org,
-            org_code
+        const member = await attachUserToOrganization(request.user_id, org, role);
+        if (!member) {
+            await supabase.from('join_requests').update({ status: 'rejected' }).eq('id', request.id);
+            return res.status(409).json({ error: 'Cet utilisateur a déjà rejoint une organisation' });
+        }
+
+        await recordAudit(req, {
+            action: 'join_request.approve',
+            targetType: 'user',
+            targetId: request.user_id,
+            after: { role }
         });
 
+        console.log(`✅ Join request approved: ${request.user_id} → ${org.id} (${role})`);
+        res.json({ success: true, user_id: request.user_id, role });
     } catch (error) {
-        console.error('Create org error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Approve join request error:', error);
+        res.status(500).json({ error: 'Erreur validation demande' });
     }
 });
 
-// POST /api/organizations/join - Rejoindre organisation (employé)
-app.post('/api/organizations/join', authenticateUser, async (req, res) => {
+// POST /api/join-requests/:id/reject - Refuser une demande
+app.post('/api/join-requests/:id/reject', authenticateUser, requireOrganization, requirePermission('users:manage'), async (req, res) => {
     try {
-        const { org_code } = req.body;
+        const request = await decideJoinRequest(req, 'rejected');
+        if (!request) {
+            return res.status(404).json({ error: 'Demande introuvable ou déjà traitée' });
+        }
 
-        // Vérifier que org existe
-        const { data: org, error: orgError } = await supabase
-            .from('organizations')
-            .select('id, org_code, default_can_use_rag, default_can_upload_documents, default_can_edit_documents, default_can_delete_documents, default_daily_message_quota')
-            .eq('org_code', org_code.toUpperCase())
-            .single();
+        await recordAudit(req, {
+            action: 'join_request.reject',
+            targetType: 'user',
+            targetId: request.user_id
+        });
 
-        if (orgError || !org) {
-            return res.status(404).json({ error: 'Organisation introuvable' });
-        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Reject join request error:', error);
+        res.status(500).json({ error: 'Erreur refus demande' });
+    }
+});
 
-        // Permissions par défaut de l'organisation
-        const defaultPermissions = {
-            can_use_rag: org.default_can_use_rag ?? false,
-            can_upload_documents: org.default_can_upload_documents ?? true,
-            can_edit_documents: org.default_can_edit_documents ?? false,
-            can_delete_documents: org.default_can_delete_documents ?? false,
-            daily_message_quota: org.default_daily_message_quota ?? 50
-        };
+// ========== API KEYS ENDPOINTS ==========
+// Session obligatoire (routes absentes de API_KEY_ROUTE_SCOPES) : une clé ne peut
+// pas en créer d'autres. La clé en clair n'est renvoyée qu'une fois, à la création.
 
-        // Mettre à jour user → employee avec permissions par défaut
-        const { error: userError } = await supabase
-            .from('users')
-            .update({
-                organization_id: org.id,
-                role: 'employee',
-                ...defaultPermissions
-            })
-            .eq('id', req.user.id);
+const API_KEY_COLUMNS = 'id, user_id, name, prefix, scopes, created_at, last_used_at, expires_at, revoked_at';
+
+// GET /api/api-keys : clés de l'utilisateur ; ?all=true → toutes celles de l'organisation (admins)
+app.get('/api/api-keys', authenticateUser, async (req, res) => {
+    try {
+        let query = supabase
+            .from('api_keys')
+            .select(API_KEY_COLUMNS)
+            .order('created_at', { ascending: false });
+
+        if (req.query.all === 'true') {
+            const access = await loadUserAccess(req);
+
+            if (!hasPermission(access, 'users:manage') || !access.organizationId) {
+                return res.status(403).json({ error: 'Permission refusée', required: 'users:manage' });
+            }
+
+            query = query.eq('organization_id', access.organizationId);
+        } else {
+            query = query.eq('user_id', req.user.id);
+        }
+
+        const { data: keys, error } = await query;
+        if (error) throw error;
 
-        if (userError) throw userError;
+        // Noms des propriétaires (vue organisation)
+        const ownerIds = [...new Set(keys.map(key => key.user_id))];
+        const { data: owners } = ownerIds.length > 0
+            ? await supabase.from('users').select('id, first_name, email').in('id', ownerIds)
+            : { data: [] };
+        const ownerNames = new Map((owners || []).map(owner => [owner.id, owner.first_name || owner.email]));
 
         res.json({
-            success: true,
-            organization: org
+            keys: keys.map(key => ({ ...key, owner_name: ownerNames.get(key.user_id) || null }))
         });
-
     } catch (error) {
-        console.error('Join org error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('List API keys error:', error);
+        res.status(500).json({ error: 'Erreur chargement clés API' });
     }
 });
 
-// GET /api/organizations/me - Get current user's organization defaults
-app.get('/api/organizations/me', authenticateUser, async (req, res) => {
+// POST /api/api-keys  Body : { name, scopes: [...], expires_in_days? }
+app.post('/api/api-keys', authenticateUser, async (req, res) => {
     try {
-        const userId = req.user.id;
+        const { name, scopes, expires_in_days = null } = req.body;
 
-        const { data, error } = await supabase
-            .from('users')
-            .select(`
-                organization_id,
-                organizations (
-                    id,
-                    name,
-                    org_code,
-                    default_can_upload_documents,
-                    default_can_edit_documents,
-                    default_can_delete_documents,
-                    default_can_use_rag,
-                    default_daily_message_quota
-                )
-            `)
-            .eq('id', userId)
-            .single();
+        if (!name || typeof name !== 'string' || name.trim().length > 100) {
+            return res.status(400).json({ error: 'name requis (100 caractères max)' });
+        }
 
-        if (error) {
-            console.error('Get organization error:', error);
-            return res.status(500).json({ error: 'Erreur récupération organisation' });
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+            return res.status(400).json({ error: `scopes : liste parmi ${API_KEY_SCOPES.join(', ')}` });
         }
 
-        if (!data || !data.organizations) {
-            return res.status(404).json({ error: 'Organisation introuvable' });
+        if (expires_in_days !== null && !(Number.isInteger(expires_in_days) && expires_in_days > 0)) {
+            return res.status(400).json({ error: 'expires_in_days doit être un entier positif' });
         }
 
-        // Handle both array and object response from Supabase
-        const org = Array.isArray(data.organizations) ? data.organizations[0] : data.organizations;
+        const requester = await loadUserAccess(req);
 
-        res.json(org);
+        // Scope admin : seulement pour qui détient au moins une permission d'administration
+        if (scopes.includes('admin')
+            && !['org:settings', 'users:manage', 'stats:view'].some(permission => hasPermission(requester, permission))) {
+            return res.status(403).json({ error: 'Le scope admin est réservé aux administrateurs' });
+        }
+
+        const { key, prefix, hash } = generateApiKey();
+
+        const { data: apiKey, error } = await supabase
+            .from('api_keys')
+            .insert([{
+                user_id: req.user.id,
+                organization_id: requester.organizationId,
+                name: name.trim(),
+                prefix,
+                key_hash: hash,
+                scopes: [...new Set(scopes)],
+                created_by: req.user.id,
+                expires_at: expires_in_days
+                    ? new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000).toISOString()
+                    : null
+            }])
+            .select(API_KEY_COLUMNS)
+            .single();
 
+        if (error) throw error;
+
+        await recordAudit(req, {
+            action: 'api_key.create',
+            organizationId: requester.organizationId,
+            targetType: 'api_key',
+            targetId: apiKey.id,
+            after: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes, expires_at: apiKey.expires_at }
+        });
+
+        console.log(`🔑 Clé API créée : ${apiKey.name} (${apiKey.scopes.join(', ')})`);
+
+        res.status(201).json({ key, apiKey });
     } catch (error) {
-        console.error('Get organization error:', error);
-        res.status(500).json({ error: error.message || 'Erreur serveur' });
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Erreur création clé API' });
     }
 });
 
-// PATCH /api/organizations/:id/permissions - Update default permissions
-app.patch('/api/organizations/:id/permissions', authenticateUser, async (req, res) => {
+// DELETE /api/api-keys/:id : révocation (propriétaire ou admin de l'organisation)
+app.delete('/api/api-keys/:id', authenticateUser, async (req, res) => {
     try {
-        const orgId = req.params.id;
-        const updates = req.body;
+        const { data: apiKey, error: keyError } = await supabase
+            .from('api_keys')
+            .select('id, user_id, organization_id, name, prefix, revoked_at')
+            .eq('id', req.params.id)
+            .maybeSingle();
 
-        // Verify user belongs to this org
-        if (req.user.organization_id !== orgId) {
-            return res.status(403).json({ error: 'Accès refusé' });
+        if (keyError && keyError.code !== '22P02') throw keyError;
+        if (!apiKey) {
+            return res.status(404).json({ error: 'Clé API introuvable' });
         }
 
-        const { error } = await supabase
-            .from('organizations')
-            .update(updates)
-            .eq('id', orgId);
+        if (apiKey.user_id !== req.user.id) {
+            const access = await loadUserAccess(req);
 
-        if (error) {
-            console.error('Update org permissions error:', error);
-            throw error;
+            if (!hasPermission(access, 'users:manage') || !apiKey.organization_id
+                || access.organizationId !== apiKey.organization_id) {
+                return res.status(404).json({ error: 'Clé API introuvable' });
+            }
         }
 
-        console.log(`✅ Organization permissions updated: ${orgId}`);
-        res.json({ success: true });
+        if (!apiKey.revoked_at) {
+            const { error } = await supabase
+                .from('api_keys')
+                .update({ revoked_at: new Date().toISOString() })
+                .eq('id', apiKey.id);
+
+            if (error) throw error;
+
+            await recordAudit(req, {
+                action: 'api_key.revoke',
+                organizationId: apiKey.organization_id,
+                targetType: 'api_key',
+                targetId: apiKey.id,
+                before: { name: apiKey.name, prefix: apiKey.prefix, user_id: apiKey.user_id }
+            });
+            console.log(`🔒 Clé API révoquée : ${apiKey.id}`);
+        }
 
+        res.json({ success: true });
     } catch (error) {
-        console.error('Update org permissions error:', error);
-        res.status(500).json({ error: 'Erreur mise à jour permissions' });
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Erreur révocation clé API' });
     }
 });
 
-// GET /api/stats/gemini - Statistiques utilisation Gemini (Admin only)
-app.get('/api/stats/gemini', authenticateUser, async (req, res) => {
+// ========== AUDIT LOG ENDPOINTS ==========
+
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_MAX_PAGE_SIZE = 500;
+const AUDIT_CSV_MAX_ROWS = 10000;
+const AUDIT_CSV_COLUMNS = ['id', 'created_at', 'actor_email', 'actor_id', 'api_key_id', 'action', 'target_type', 'target_id', 'before', 'after', 'ip', 'user_agent'];
+
+// Requête audit_log de l'organisation selon les filtres (?action=document.* : préfixe)
+function auditLogQuery(organizationId, query) {
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+    let request = supabase
+        .from('audit_log')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('id', { ascending: false });
+
+    if (query.action) {
+        request = query.action.endsWith('.*')
+            ? request.like('action', `${query.action.slice(0, -2).replace(/[%_]/g, '')}.%`)
+            : request.eq('action', query.action);
+    }
+    if (query.actor_id) request = request.eq('actor_id', query.actor_id);
+    if (query.target_type) request = request.eq('target_type', query.target_type);
+    if (query.target_id) request = request.eq('target_id', query.target_id);
+    if (isDate(query.from)) request = request.gte('created_at', `${query.from}T00:00:00Z`);
+    if (isDate(query.to)) {
+        const end = new Date(`${query.to}T00:00:00Z`);
+        end.setUTCDate(end.getUTCDate() + 1);
+        request = request.lt('created_at', end.toISOString());
+    }
+
+    return request;
+}
+
+// GET /api/audit-log?action=&actor_id=&target_type=&target_id=&from=&to=&limit=&before=[&format=csv]
+// Plus récent d'abord ; pagination par ?before=<id> (next_cursor)
+app.get('/api/audit-log', authenticateUser, requireOrganization, requirePermission('audit:view'), async (req, res) => {
     try {
-        // Vérifier que l'utilisateur est admin
-        const { data: user } = await supabase
-            .from('users')
-            .select('role')
-            .eq('id', req.user.id)
-            .single();
-            
-        if (user?.role !== 'admin') {
-            return res.status(403).json({ error: 'Accès réservé aux administrateurs' });
+        const organizationId = req.user.organization_id;
+
+        if (req.query.actor_id && !/^[0-9a-f-]{36}$/i.test(req.query.actor_id)) {
+            return res.status(400).json({ error: 'actor_id invalide' });
         }
 
-        const today = new Date().toISOString().split('T')[0];
-        const monthStart = new Date();
-        monthStart.setDate(1);
-        const monthStartStr = monthStart.toISOString().split('T')[0];
+        if (req.query.format === 'csv') {
+            // Pages de 1000 lignes (limite PostgREST), au plus AUDIT_CSV_MAX_ROWS
+            const rows = [];
+            let before = null;
 
-        // Stats du jour
-        const { data: todayStats } = await supabase
-            .from('gemini_usage')
-            .select('*')
-            .eq('date', today)
-            .maybeSingle();
+            while (rows.length < AUDIT_CSV_MAX_ROWS) {
+                let request = auditLogQuery(organizationId, req.query).limit(1000);
+                if (before) request = request.lt('id', before);
 
-        // Stats du mois (tous les jours du mois en cours)
-        const { data: monthStats } = await supabase
-            .from('gemini_usage')
-            .select('*')
-            .gte('date', monthStartStr)
-            .order('date', { ascending: false });
-
-        // Calculer totaux du mois
-        const monthTotals = monthStats?.reduce((acc, day) => ({
-            requests: acc.requests + day.total_requests,
-            input: acc.input + parseInt(day.total_input_tokens || 0),
-            output: acc.output + parseInt(day.total_output_tokens || 0),
-            thoughts: acc.thoughts + parseInt(day.total_thoughts_tokens || 0),
-            cost: acc.cost + parseFloat(day.estimated_cost || 0)
-        }), { requests: 0, input: 0, output: 0, thoughts: 0, cost: 0 }) || { requests: 0, input: 0, output: 0, thoughts: 0, cost: 0 };
+                const { data, error } = await request;
+                if (error) throw error;
 
-        res.json({
-            today: {
-                requests: todayStats?.total_requests || 0,
-                input_tokens: parseInt(todayStats?.total_input_tokens || 0),
-                output_tokens: parseInt(todayStats?.total_output_tokens || 0),
-                thoughts_tokens: parseInt(todayStats?.total_thoughts_tokens || 0),
-                cost: parseFloat(todayStats?.estimated_cost || 0).toFixed(6)
-            },
-            month: {
-                requests: monthTotals.requests,
-                input_tokens: monthTotals.input,
-                output_tokens: monthTotals.output,
-                thoughts_tokens: monthTotals.thoughts,
-                cost: monthTotals.cost.toFixed(4)
-            },
-            model: {
-                name: 'gemini-2.5-flash',
-                input_limit: 1048576,
-                output_limit: 65536,
-                pricing: {
-                    input: '$0.075 / 1M tokens',
-                    output: '$0.30 / 1M tokens'
-                }
-            },
-            limits: {
-                rpm: '1,000 requêtes/minute',
-                rpd: '10,000 requêtes/jour',
-                tpm: '1M tokens/minute'
+                rows.push(...data);
+                if (data.length < 1000) break;
+                before = data[data.length - 1].id;
             }
-        });
 
+            const csvRows = rows.slice(0, AUDIT_CSV_MAX_ROWS).map(row => ({
+                ...row,
+                before: row.before ? JSON.stringify(row.before) : '',
+                after: row.after ? JSON.stringify(row.after) : ''
+            }));
+
+            await recordAudit(req, {
+                action: 'audit_log.export',
+                targetType: 'audit_log',
+                after: { filters: pickFields(req.query, ['action', 'actor_id', 'target_type', 'target_id', 'from', 'to']), rows: csvRows.length }
+            });
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().split('T')[0]}.csv"`);
+            return res.send(toCSV(AUDIT_CSV_COLUMNS, csvRows));
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || AUDIT_PAGE_SIZE, AUDIT_MAX_PAGE_SIZE);
+        let request = auditLogQuery(organizationId, req.query).limit(limit);
+
+        const before = parseInt(req.query.before, 10);
+        if (Number.isInteger(before)) request = request.lt('id', before);
+
+        const { data, error } = await request;
+        if (error) throw error;
+
+        res.json({
+            entries: data,
+            next_cursor: data.length === limit ? data[data.length - 1].id : null
+        });
     } catch (error) {
-        console.error('Gemini stats error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Audit log error:', error);
+        res.status(500).json({ error: 'Erreur lecture journal d\'audit' });
     }
 });
 
-
 /**
  * PATCH /api/users/:id/permissions
- * Modifier les permissions d'un employé (ADMIN uniquement)
+ * Modifier le rôle et les quotas d'un membre (users:manage)
  */
-app.patch('/api/users/:id/permissions', authenticateUser, async (req, res) => {
+app.patch('/api/users/:id/permissions', authenticateUser, requirePermission('users:manage'), async (req, res) => {
     try {
         const targetUserId = req.params.id;
-        const requesterId = req.user.id;
-
-        console.log('--- PATCH /permissions DEBUG ---');
-        console.log('Requester ID:', requesterId);
-        console.log('Target user ID:', targetUserId);
-        console.log('Payload reçu:', req.body);
-
-        // 1. Charger le requester
-        const { data: requester, error: requesterError } = await supabase
-            .from('users')
-            .select('role, organization_id')
-            .eq('id', requesterId)
-            .single();
-
-        if (requesterError || !requester) {
-            console.error('Requester fetch error:', requesterError);
-            return res.status(500).json({ error: 'Erreur vérification requester' });
-        }
-
-        console.log('Requester:', requester);
-
-        // 2. Vérifier admin
-        if (requester.role !== 'admin') {
-            return res.status(403).json({ error: 'Seuls les admins peuvent modifier des permissions' });
-        }
+        const requester = req.access;
+        const { role } = req.body;
 
-        // 3. Charger l'utilisateur cible
+        // 1. Charger l'utilisateur cible
         const { data: targetUser, error: targetError } = await supabase
             .from('users')
-            .select('role, organization_id')
+            .select('email, role, organization_id, daily_message_quota, daily_token_quota, monthly_token_quota')
             .eq('id', targetUserId)
-            .single();
+            .maybeSingle();
 
-        if (targetError || !targetUser) {
-            console.error('Target user fetch error:', targetError);
+        if (targetError && targetError.code !== '22P02') throw targetError;
+
+        // 2. Vérifier même organisation
+        if (!targetUser || !requester.organizationId || targetUser.organization_id !== requester.organizationId) {
             return res.status(404).json({ error: 'Utilisateur cible introuvable' });
         }
 
-        console.log('Target user:', targetUser);
+        // 3. Rôle : jamais le sien ; propriétaires gérés par un propriétaire uniquement ;
+        // ni l'ancien ni le nouveau rôle ne portent de permission que le demandeur n'a pas
+        if (role !== undefined && role !== targetUser.role) {
+            if (targetUserId === req.user.id) {
+                return res.status(403).json({ error: 'Impossible de modifier votre propre rôle' });
+            }
+
+            if ((role === 'owner' || targetUser.role === 'owner') && requester.role !== 'owner') {
+                return res.status(403).json({ error: 'Seul un propriétaire peut attribuer ou retirer le rôle propriétaire' });
+            }
+
+            const roleError = await validateAssignableRole(role, requester);
+            if (roleError) {
+                return res.status(roleError.httpStatus).json({ error: roleError.error, permissions: roleError.permissions });
+            }
 
-        // 4. Vérifier même organisation
-        if (targetUser.organization_id !== requester.organization_id) {
-            return res.status(403).json({ error: 'Organisations différentes' });
+            const notHeld = permissionsNotHeld(requester, await getRolePermissions(targetUser.role, requester.organizationId));
+            if (notHeld.length > 0) {
+                return res.status(403).json({ error: 'Ce membre a des permissions que vous ne détenez pas', permissions: notHeld });
+            }
+        } else if (targetUser.role === 'owner' && requester.role !== 'owner' && targetUserId !== req.user.id) {
+            return res.status(403).json({ error: 'Seul un propriétaire peut modifier un propriétaire' });
         }
 
-        // 5. Interdire modification d'un admin
-        if (targetUser.role === 'admin') {
-            return res.status(403).json({ error: 'Impossible de modifier un administrateur' });
+        // 4. Quotas : entier positif ou null (illimité), borné par le type de colonne
+        for (const [field, max] of Object.entries(USER_QUOTA_MAX)) {
+            const value = req.body[field];
+            if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0 && value <= max)) {
+                return res.status(400).json({ error: `${field} doit être un entier positif (max ${max}) ou null` });
+            }
         }
 
-        // 6. Mise à jour permissions
+        // 5. Mise à jour rôle et quotas (champs absents inchangés)
+        const updates = {
+            role,
+            daily_message_quota: req.body.daily_message_quota,
+            daily_token_quota: req.body.daily_token_quota,
+            monthly_token_quota: req.body.monthly_token_quota
+        };
+
         const { error: updateError } = await supabase
             .from('users')
-            .update({
-                can_use_rag: req.body.can_use_rag,
-                can_upload_documents: req.body.can_upload_documents,
-                can_edit_documents: req.body.can_edit_documents,
-                can_delete_documents: req.body.can_delete_documents,
-                daily_message_quota: req.body.daily_message_quota
-            })
+            .update(updates)
             .eq('id', targetUserId);
 
         if (updateError) {
@@ -2088,7 +7348,16 @@ app.patch('/api/users/:id/permissions', authenticateUser, async (req, res) => {
             return res.status(500).json({ error: 'Erreur mise à jour permissions' });
         }
 
-        console.log(`✅ User permissions updated: ${targetUserId}`);
+        const changed = Object.keys(updates).filter(field => updates[field] !== undefined);
+        await recordAudit(req, {
+            action: 'user.permissions.update',
+            targetType: 'user',
+            targetId: targetUserId,
+            before: { email: targetUser.email, ...pickFields(targetUser, changed) },
+            after: pickFields(updates, changed)
+        });
+
+        console.log(`✅ User permissions updated: ${targetUserId}${role ? ` (rôle ${role})` : ''}`);
         res.json({ success: true });
 
     } catch (error) {
@@ -2101,6 +7370,73 @@ app.patch('/api/users/:id/permissions', authenticateUser, async (req, res) => {
 // Export pour Vercel Serverless
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = app;
+
+    // Logique pure exposée aux tests (test/*.test.js)
+    module.exports.internals = {
+        LLM_DEFAULTS,
+        estimateTokens,
+        createOpenAICompatibleProvider,
+        createMockProvider,
+        resolveModelSpec,
+        getLLM,
+        logLLMUsage,
+        usagePeriod,
+        toCSV,
+        wantsStream,
+        initSSE,
+        sendSSE,
+        streamLLMToClient,
+        sendStreamError,
+        CHAT_CONFIG,
+        toModelHistory,
+        messageUsageFields,
+        summaryFoldCount,
+        withChatMemory,
+        API_KEY_SCOPES,
+        API_KEY_ROUTE_SCOPES,
+        apiKeyScopeError,
+        PERMISSIONS,
+        BUILT_IN_ROLES,
+        requirePermission,
+        validateCustomRole,
+        permissionsNotHeld,
+        validateAssignableRole,
+        defaultRoleError,
+        requireOrganization,
+        chunkFormatFor,
+        chunkDocument,
+        joinChunks,
+        chunkSourceLabel,
+        getOrgVectorStore,
+        documentListPage,
+        documentListQuery,
+        documentResponse,
+        chunkIds,
+        citationSource,
+        contextExcerpt,
+        normalizeEntity,
+        isValidSiren,
+        documentSirens,
+        containsSpecificEntityNames,
+        RAG_DEFAULTS,
+        retrievalDecision,
+        keywordTokens,
+        exactTokens,
+        fuseRankings,
+        routeRetrieval,
+        INGEST_CONFIG,
+        mapWithConcurrency,
+        ingestRetryDelay,
+        CHAT_ACCESS_LEVELS,
+        shareAccess,
+        postableMessageRoles,
+        generateOrgCode,
+        hashInvitationToken,
+        invitationStatus,
+        auditLogQuery,
+        chatSearchQuery,
+        sanitizeChatTitle
+    };
 }
 
 // Listen
@@ -2110,8 +7446,13 @@ if (!isServerless) {
     app.listen(PORT, '0.0.0.0', () => {
         console.log(`🚀 Server running on port ${PORT}`);
         console.log(`📄 PDF support: Gemini native (no pdf-parse)`);
-        console.log(`🤖 Model: gemini-2.0-flash-lite-001`);
+        console.log(`🤖 Models: chat ${LLM_DEFAULTS.chat}, embedding ${LLM_DEFAULTS.embedding} (providers: ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+        console.log(`🧭 Vector store: ${vectorStores.defaultName} (${EMBEDDING_DIMENSIONS} dimensions)`);
         console.log(`🔍 RAG Toggle: Manual + Auto detection`);
         console.log(`💾 Chat limits: ${CHAT_CONFIG.MAX_MESSAGES_PER_CHAT} messages/chat, ${CHAT_CONFIG.MAX_HISTORY_GEMINI} context window`);
     });
+
+    // ⚙️ Jobs d'ingestion : reprise des jobs en attente ou abandonnés
+    kickIngestWorker();
+    setInterval(kickIngestWorker, INGEST_CONFIG.POLL_INTERVAL_MS).unref();
 }
\ No newline at end of file
@@ -0,0 +1,13 @@
+-- Persistance serveur des conversations : métadonnées par message
+-- (/api/chat et /api/chat-with-file écrivent eux-mêmes les tours user + assistant)
+
+alter table public.messages
+    add column if not exists model text,
+    add column if not exists input_tokens integer not null default 0,
+    add column if not exists output_tokens integer not null default 0,
+    add column if not exists thoughts_tokens integer not null default 0,
+    add column if not exists used_rag boolean not null default false;
+
+-- Reconstruction de l'historique : derniers messages d'un chat
+create index if not exists messages_chat_id_created_at_idx
+    on public.messages (chat_id, created_at desc);
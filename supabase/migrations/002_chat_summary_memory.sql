@@ -0,0 +1,39 @@
+-- Mémoire longue des chats : résumé glissant + rappel des anciens messages
+-- (les tours sortis de la fenêtre MAX_HISTORY_GEMINI sont repliés dans chats.summary)
+
+create extension if not exists vector;
+
+alter table public.chats
+    add column if not exists summary text,
+    add column if not exists summary_until timestamptz;
+
+-- text-embedding-004 → 768 dimensions
+alter table public.messages
+    add column if not exists embedding vector(768);
+
+-- Rappel : anciens messages d'un chat les plus proches de la question
+create or replace function public.match_chat_messages(
+    p_chat_id uuid,
+    p_query_embedding vector(768),
+    p_match_count integer default 3
+)
+returns table (
+    id uuid,
+    role text,
+    content text,
+    created_at timestamptz,
+    similarity double precision
+)
+language sql stable
+as $$
+    select m.id, m.role, m.content, m.created_at,
+           1 - (m.embedding <=> p_query_embedding) as similarity
+    from public.messages m
+    where m.chat_id = p_chat_id
+      and m.embedding is not null
+    order by m.embedding <=> p_query_embedding
+    limit p_match_count;
+$$;
+
+-- Appelée par le serveur (service role) uniquement : la clé anon est publique
+revoke execute on function public.match_chat_messages(uuid, vector, integer) from public, anon, authenticated;
@@ -0,0 +1,50 @@
+-- Registre des documents : source de vérité pour lister / relire / supprimer
+-- (Pinecone ne sert plus qu'à la recherche vectorielle)
+
+create table if not exists public.documents (
+    organization_id uuid not null references public.organizations(id) on delete cascade,
+    id text not null,
+    uploaded_by uuid references public.users(id) on delete set null,
+    filename text not null,
+    mime_type text,
+    size_bytes bigint not null default 0,
+    content_hash text,
+    chunk_count integer not null default 0,
+    status text not null default 'processing'
+        check (status in ('processing', 'ready', 'failed')),
+    error text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    primary key (organization_id, id)
+);
+
+create index if not exists documents_org_created_at_idx
+    on public.documents (organization_id, created_at desc);
+
+create index if not exists documents_org_filename_idx
+    on public.documents (organization_id, filename);
+
+-- Un enregistrement par vecteur Pinecone (id = id du vecteur)
+create table if not exists public.document_chunks (
+    organization_id uuid not null,
+    id text not null,
+    document_id text not null,
+    chunk_index integer not null,
+    text text not null,
+    overlap_chars integer not null default 0,
+    section text,
+    page integer,
+    sheet text,
+    primary key (organization_id, id),
+    foreign key (organization_id, document_id)
+        references public.documents (organization_id, id) on delete cascade
+);
+
+create index if not exists document_chunks_document_idx
+    on public.document_chunks (organization_id, document_id, chunk_index);
+
+-- Lus et écrits par le serveur seul (service role). La clé anon du frontend est
+-- publique : sans RLS, PostgREST exposerait le texte des documents.
+alter table public.documents enable row level security;
+alter table public.document_chunks enable row level security;
+revoke all on public.documents, public.document_chunks from anon, authenticated;
@@ -0,0 +1,5 @@
+-- Citations RAG : extraits [n] utilisés pour une réponse assistant
+-- [{ n, documentId, chunkId, filename, chunkIndex, section, page, sheet, score }]
+
+alter table public.messages
+    add column if not exists sources jsonb;
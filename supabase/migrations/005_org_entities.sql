@@ -0,0 +1,20 @@
+-- Dictionnaire d'entités par organisation (détection auto-RAG)
+-- Alimenté à l'ingestion (source 'auto') ou par un admin (source 'manual')
+
+create table if not exists public.org_entities (
+    id uuid primary key default gen_random_uuid(),
+    organization_id uuid not null references public.organizations(id) on delete cascade,
+    name text not null,
+    normalized text not null,  -- minuscules, sans accents ni ponctuation
+    type text not null default 'other'
+        check (type in ('company', 'person', 'siren', 'other')),
+    source text not null default 'manual'
+        check (source in ('auto', 'manual')),
+    document_id text,
+    created_by uuid references public.users(id) on delete set null,
+    created_at timestamptz not null default now(),
+    unique (organization_id, normalized)
+);
+
+alter table public.org_entities enable row level security;
+revoke all on public.org_entities from anon, authenticated;
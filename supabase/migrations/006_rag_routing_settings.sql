@@ -0,0 +1,10 @@
+-- Routage RAG par organisation
+-- 'keywords' : RAG seulement si forcé ou entité citée
+-- 'adaptive' : recherche systématique, contexte injecté si score >= rag_min_score
+
+alter table public.organizations
+    add column if not exists rag_mode text not null default 'adaptive'
+        check (rag_mode in ('keywords', 'adaptive')),
+    add column if not exists rag_min_score real not null default 0.75,
+    add column if not exists rag_borderline_margin real not null default 0.1,
+    add column if not exists rag_classifier_enabled boolean not null default false;
@@ -0,0 +1,52 @@
+-- Recherche hybride : index plein texte sur les chunks + réglages par organisation
+-- Configuration 'simple' : pas de racinisation, les tokens exacts (401000,
+-- numéros de facture, SIRET, années) sont indexés tels quels.
+
+alter table public.document_chunks
+    add column if not exists tsv tsvector
+        generated always as (to_tsvector('simple', coalesce(section, '') || ' ' || text)) stored;
+
+create index if not exists document_chunks_tsv_idx
+    on public.document_chunks using gin (tsv);
+
+-- p_query : tokens séparés par ' | ' (construit côté serveur)
+create or replace function public.search_document_chunks(
+    p_organization_id uuid,
+    p_query text,
+    p_match_count integer default 20
+)
+returns table (
+    id text,
+    document_id text,
+    chunk_index integer,
+    text text,
+    section text,
+    page integer,
+    sheet text,
+    filename text,
+    rank real
+)
+language sql stable
+as $$
+    select c.id, c.document_id, c.chunk_index, c.text, c.section, c.page, c.sheet,
+           d.filename,
+           ts_rank_cd(c.tsv, q, 1) as rank
+    from public.document_chunks c
+    join public.documents d
+      on d.organization_id = c.organization_id and d.id = c.document_id
+    cross join to_tsquery('simple', p_query) as q
+    where c.organization_id = p_organization_id
+      and d.status = 'ready'
+      and c.tsv @@ q
+    order by rank desc
+    limit p_match_count;
+$$;
+
+alter table public.organizations
+    add column if not exists rag_top_k integer not null default 3
+        check (rag_top_k between 1 and 10),
+    add column if not exists rag_vector_weight real not null default 1,
+    add column if not exists rag_keyword_weight real not null default 1,
+    add column if not exists rag_rerank_enabled boolean not null default false;
+
+revoke execute on function public.search_document_chunks(uuid, text, integer) from public, anon, authenticated;
@@ -0,0 +1,122 @@
+-- Versions de documents : historique complet + bascule atomique des chunks
+
+alter table public.documents
+    add column if not exists current_version integer not null default 0;
+
+create table if not exists public.document_versions (
+    organization_id uuid not null,
+    document_id text not null,
+    version integer not null,
+    text text not null,
+    chunk_format text not null default 'text',  -- format de découpage (text, pdf, xlsx, csv)
+    filename text not null,
+    content_hash text,
+    size_bytes bigint not null default 0,
+    chunk_count integer not null default 0,
+    created_by uuid references public.users(id) on delete set null,
+    created_at timestamptz not null default now(),
+    primary key (organization_id, document_id, version),
+    foreign key (organization_id, document_id)
+        references public.documents (organization_id, id) on delete cascade
+);
+
+-- Documents existants : leur contenu actuel devient la version 1
+insert into public.document_versions
+    (organization_id, document_id, version, text, chunk_format, filename, content_hash, size_bytes, chunk_count, created_by, created_at)
+select d.organization_id, d.id, 1,
+       coalesce((
+           select string_agg(substr(c.text, c.overlap_chars + 1), '' order by c.chunk_index)
+           from public.document_chunks c
+           where c.organization_id = d.organization_id and c.document_id = d.id
+       ), ''),
+       case
+           when d.filename ~* '\.(xlsx|xls)$' then 'xlsx'
+           when d.filename ~* '\.csv$' then 'csv'
+           when d.filename ~* '\.pdf$' then 'pdf'
+           else 'text'
+       end,
+       d.filename, d.content_hash, d.size_bytes, d.chunk_count, d.uploaded_by, d.created_at
+from public.documents d
+where d.status = 'ready'
+on conflict do nothing;
+
+update public.documents set current_version = 1
+where status = 'ready' and current_version = 0;
+
+-- Publie une version : document, historique et chunks dans une seule transaction.
+-- p_expected_version non null → 'version_conflict' si le document a changé entre-temps.
+create or replace function public.commit_document_version(
+    p_organization_id uuid,
+    p_document_id text,
+    p_filename text,
+    p_mime_type text,
+    p_size_bytes bigint,
+    p_content_hash text,
+    p_text text,
+    p_chunk_format text,
+    p_user_id uuid,
+    p_expected_version integer,
+    p_chunks jsonb
+)
+returns integer
+language plpgsql
+as $$
+declare
+    v_current integer;
+    v_version integer;
+    v_chunk_count integer := jsonb_array_length(p_chunks);
+begin
+    select current_version into v_current
+    from public.documents
+    where organization_id = p_organization_id and id = p_document_id
+    for update;
+
+    if p_expected_version is not null and coalesce(v_current, 0) <> p_expected_version then
+        raise exception 'version_conflict: document % en version %, attendu %',
+            p_document_id, coalesce(v_current, 0), p_expected_version;
+    end if;
+
+    v_version := coalesce(v_current, 0) + 1;
+
+    insert into public.documents as d
+        (organization_id, id, uploaded_by, filename, mime_type, size_bytes, content_hash,
+         chunk_count, status, current_version)
+    values
+        (p_organization_id, p_document_id, p_user_id, p_filename, p_mime_type, p_size_bytes,
+         p_content_hash, v_chunk_count, 'ready', v_version)
+    on conflict (organization_id, id) do update set
+        filename = excluded.filename,
+        mime_type = coalesce(excluded.mime_type, d.mime_type),
+        size_bytes = excluded.size_bytes,
+        content_hash = excluded.content_hash,
+        chunk_count = excluded.chunk_count,
+        status = 'ready',
+        error = null,
+        current_version = excluded.current_version,
+        updated_at = now();
+
+    insert into public.document_versions
+        (organization_id, document_id, version, text, chunk_format, filename, content_hash,
+         size_bytes, chunk_count, created_by)
+    values
+        (p_organization_id, p_document_id, v_version, p_text, p_chunk_format, p_filename,
+         p_content_hash, p_size_bytes, v_chunk_count, p_user_id);
+
+    delete from public.document_chunks
+    where organization_id = p_organization_id and document_id = p_document_id;
+
+    insert into public.document_chunks
+        (organization_id, id, document_id, chunk_index, text, overlap_chars, section, page, sheet)
+    select p_organization_id, c->>'id', p_document_id, (c->>'chunk_index')::integer, c->>'text',
+           (c->>'overlap_chars')::integer, c->>'section', (c->>'page')::integer, c->>'sheet'
+    from jsonb_array_elements(p_chunks) as c;
+
+    return v_version;
+end;
+$$;
+
+-- Historique et publication : serveur uniquement
+alter table public.document_versions enable row level security;
+revoke all on public.document_versions from anon, authenticated;
+revoke execute on function public.commit_document_version(uuid, text, text, text, bigint, text, text, text, uuid, integer, jsonb)
+    from public, anon, authenticated;
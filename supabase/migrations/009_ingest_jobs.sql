@@ -0,0 +1,71 @@
+-- Jobs d'ingestion en arrière-plan (upload de fichiers) avec suivi de progression
+
+-- Fichiers en attente de traitement (supprimés une fois le job terminé)
+insert into storage.buckets (id, name, public)
+values ('ingest-uploads', 'ingest-uploads', false)
+on conflict (id) do nothing;
+
+create table if not exists public.ingest_jobs (
+    id uuid primary key default gen_random_uuid(),
+    organization_id uuid not null,
+    user_id uuid references public.users(id) on delete set null,
+    document_id text not null,
+    filename text not null,
+    mime_type text,
+    size_bytes bigint not null default 0,
+    content_hash text,
+    storage_path text,
+    chunk_format text not null default 'text',
+    text text,                                      -- texte extrait (un retry ne re-parse pas)
+    status text not null default 'queued'
+        check (status in ('queued', 'running', 'completed', 'failed')),
+    stage text not null default 'queued'
+        check (stage in ('queued', 'parsing', 'chunking', 'embedding', 'indexing', 'done')),
+    progress integer not null default 0,            -- pourcentage 0..100
+    chunks_total integer,
+    chunks_done integer not null default 0,
+    embedded_ids text[] not null default '{}',      -- vecteurs déjà upsertés (conservés entre tentatives)
+    attempts integer not null default 0,
+    max_attempts integer not null default 3,
+    error text,
+    run_after timestamptz not null default now(),
+    locked_until timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    completed_at timestamptz,
+    foreign key (organization_id, document_id)
+        references public.documents (organization_id, id) on delete cascade
+);
+
+create index if not exists ingest_jobs_pending_idx
+    on public.ingest_jobs (status, run_after)
+    where status in ('queued', 'running');
+
+create index if not exists ingest_jobs_document_idx
+    on public.ingest_jobs (organization_id, document_id);
+
+-- Réserve le prochain job prêt (ou un job 'running' dont le worker a disparu)
+create or replace function public.claim_ingest_job(p_lock_seconds integer default 300)
+returns setof public.ingest_jobs
+language sql
+as $$
+    update public.ingest_jobs
+    set status = 'running',
+        attempts = attempts + 1,
+        locked_until = now() + make_interval(secs => p_lock_seconds),
+        updated_at = now()
+    where id = (
+        select id from public.ingest_jobs
+        where (status = 'queued' and run_after <= now())
+           or (status = 'running' and locked_until < now())
+        order by created_at
+        for update skip locked
+        limit 1
+    )
+    returning *;
+$$;
+
+-- Texte extrait et état des jobs : serveur uniquement
+alter table public.ingest_jobs enable row level security;
+revoke all on public.ingest_jobs from anon, authenticated;
+revoke execute on function public.claim_ingest_job(integer) from public, anon, authenticated;
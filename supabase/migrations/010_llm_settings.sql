@@ -0,0 +1,4 @@
+-- Modèles choisis par organisation ("fournisseur:modèle", null = défaut serveur)
+alter table public.organizations
+    add column if not exists llm_chat_model text,
+    add column if not exists llm_embedding_model text;
@@ -0,0 +1,46 @@
+-- Vector store pgvector (données gardées dans Supabase) + choix du backend par organisation
+
+create extension if not exists vector;
+
+-- Vecteurs des chunks de documents (768 dimensions = EMBEDDING_DIMENSIONS)
+create table if not exists public.document_vectors (
+    organization_id uuid not null,
+    id text not null,
+    embedding vector(768) not null,
+    metadata jsonb not null default '{}'::jsonb,
+    primary key (organization_id, id)
+);
+
+create index if not exists document_vectors_embedding_idx
+    on public.document_vectors using hnsw (embedding vector_cosine_ops);
+
+-- Plus proches voisins dans les vecteurs de l'organisation
+create or replace function public.match_document_vectors(
+    p_organization_id uuid,
+    p_query_embedding vector(768),
+    p_match_count integer default 20
+)
+returns table (
+    id text,
+    metadata jsonb,
+    similarity double precision
+)
+language sql stable
+as $$
+    select v.id, v.metadata,
+           1 - (v.embedding <=> p_query_embedding) as similarity
+    from public.document_vectors v
+    where v.organization_id = p_organization_id
+    order by v.embedding <=> p_query_embedding
+    limit p_match_count;
+$$;
+
+-- Backend des vecteurs de l'organisation (null = VECTOR_STORE du serveur).
+-- À changer avec `npm run migrate:vectors -- --switch` pour copier les vecteurs.
+alter table public.organizations
+    add column if not exists vector_store text
+        check (vector_store in ('pinecone', 'pgvector', 'file'));
+
+alter table public.document_vectors enable row level security;
+revoke all on public.document_vectors from anon, authenticated;
+revoke execute on function public.match_document_vectors(uuid, vector, integer) from public, anon, authenticated;
@@ -0,0 +1,170 @@
+-- Moteur de quotas : prompts/jour, tokens jour/mois par utilisateur,
+-- plafond de coût mensuel par organisation. Compteurs dans daily_usage.
+
+-- Doublons (user_id, date) créés par l'ancien read-then-write : fusionnés
+-- avant la contrainte d'unicité
+with dupes as (
+    select user_id, date, max(ctid) as keep, sum(prompts_count) as total
+    from public.daily_usage
+    group by user_id, date
+    having count(*) > 1
+), kept as (
+    update public.daily_usage u
+    set prompts_count = d.total
+    from dupes d
+    where u.ctid = d.keep
+)
+delete from public.daily_usage u
+using dupes d
+where u.user_id = d.user_id and u.date = d.date and u.ctid <> d.keep;
+
+create unique index if not exists daily_usage_user_date_idx
+    on public.daily_usage (user_id, date);
+
+alter table public.daily_usage
+    add column if not exists organization_id uuid,
+    add column if not exists input_tokens bigint not null default 0,
+    add column if not exists output_tokens bigint not null default 0,
+    add column if not exists thoughts_tokens bigint not null default 0,
+    add column if not exists cost_usd numeric(12, 6) not null default 0;
+
+update public.daily_usage du
+set organization_id = u.organization_id
+from public.users u
+where u.id = du.user_id and du.organization_id is null;
+
+create index if not exists daily_usage_org_date_idx
+    on public.daily_usage (organization_id, date);
+
+-- null = illimité
+alter table public.users
+    add column if not exists daily_token_quota bigint,
+    add column if not exists monthly_token_quota bigint;
+
+alter table public.organizations
+    add column if not exists monthly_cost_limit_usd numeric(12, 2);
+
+-- Vérifie les limites puis réserve un prompt, atomiquement : la ligne du jour
+-- est verrouillée, les réservations concurrentes d'un utilisateur passent une à une.
+-- Les limites de tokens et de coût portent sur la consommation déjà enregistrée.
+create or replace function public.reserve_quota(
+    p_user_id uuid,
+    p_organization_id uuid,
+    p_date date,
+    p_daily_prompts integer,
+    p_daily_tokens bigint,
+    p_monthly_tokens bigint,
+    p_monthly_cost numeric
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_usage public.daily_usage%rowtype;
+    v_month_start date := date_trunc('month', p_date)::date;
+    v_daily_tokens bigint;
+    v_monthly_tokens bigint;
+    v_monthly_cost numeric;
+begin
+    insert into public.daily_usage (user_id, organization_id, date, prompts_count)
+    values (p_user_id, p_organization_id, p_date, 0)
+    on conflict (user_id, date) do nothing;
+
+    select * into v_usage
+    from public.daily_usage
+    where user_id = p_user_id and date = p_date
+    for update;
+
+    if p_daily_prompts is not null and v_usage.prompts_count >= p_daily_prompts then
+        return jsonb_build_object('allowed', false, 'limit_type', 'daily_prompts',
+            'limit', p_daily_prompts, 'used', v_usage.prompts_count);
+    end if;
+
+    v_daily_tokens := v_usage.input_tokens + v_usage.output_tokens + v_usage.thoughts_tokens;
+
+    if p_daily_tokens is not null and v_daily_tokens >= p_daily_tokens then
+        return jsonb_build_object('allowed', false, 'limit_type', 'daily_tokens',
+            'limit', p_daily_tokens, 'used', v_daily_tokens);
+    end if;
+
+    if p_monthly_tokens is not null then
+        select coalesce(sum(input_tokens + output_tokens + thoughts_tokens), 0) into v_monthly_tokens
+        from public.daily_usage
+        where user_id = p_user_id and date between v_month_start and p_date;
+
+        if v_monthly_tokens >= p_monthly_tokens then
+            return jsonb_build_object('allowed', false, 'limit_type', 'monthly_tokens',
+                'limit', p_monthly_tokens, 'used', v_monthly_tokens);
+        end if;
+    end if;
+
+    if p_monthly_cost is not null and p_organization_id is not null then
+        select coalesce(sum(cost_usd), 0) into v_monthly_cost
+        from public.daily_usage
+        where organization_id = p_organization_id and date between v_month_start and p_date;
+
+        if v_monthly_cost >= p_monthly_cost then
+            return jsonb_build_object('allowed', false, 'limit_type', 'monthly_cost',
+                'limit', p_monthly_cost, 'used', v_monthly_cost);
+        end if;
+    end if;
+
+    update public.daily_usage
+    set prompts_count = prompts_count + 1,
+        organization_id = coalesce(p_organization_id, organization_id)
+    where user_id = p_user_id and date = p_date
+    returning * into v_usage;
+
+    return jsonb_build_object(
+        'allowed', true,
+        'prompts', v_usage.prompts_count,
+        'daily_tokens', v_daily_tokens,
+        'monthly_tokens', v_monthly_tokens,
+        'monthly_cost', v_monthly_cost
+    );
+end;
+$$;
+
+-- Rend un prompt réservé dont l'appel au modèle n'a rien produit
+create or replace function public.release_quota(p_user_id uuid, p_date date)
+returns void
+language sql
+as $$
+    update public.daily_usage
+    set prompts_count = greatest(prompts_count - 1, 0)
+    where user_id = p_user_id and date = p_date;
+$$;
+
+-- Ajoute la consommation réelle d'un appel (incrément atomique).
+-- p_prompts = 1 si la réservation a déjà été rendue (client déconnecté en cours de stream)
+create or replace function public.record_quota_usage(
+    p_user_id uuid,
+    p_organization_id uuid,
+    p_date date,
+    p_input_tokens bigint,
+    p_output_tokens bigint,
+    p_thoughts_tokens bigint,
+    p_cost_usd numeric,
+    p_prompts integer default 0
+)
+returns void
+language sql
+as $$
+    insert into public.daily_usage (user_id, organization_id, date, prompts_count,
+        input_tokens, output_tokens, thoughts_tokens, cost_usd)
+    values (p_user_id, p_organization_id, p_date, p_prompts,
+        p_input_tokens, p_output_tokens, p_thoughts_tokens, p_cost_usd)
+    on conflict (user_id, date) do update
+    set prompts_count = public.daily_usage.prompts_count + excluded.prompts_count,
+        input_tokens = public.daily_usage.input_tokens + excluded.input_tokens,
+        output_tokens = public.daily_usage.output_tokens + excluded.output_tokens,
+        thoughts_tokens = public.daily_usage.thoughts_tokens + excluded.thoughts_tokens,
+        cost_usd = public.daily_usage.cost_usd + excluded.cost_usd,
+        organization_id = coalesce(excluded.organization_id, public.daily_usage.organization_id);
+$$;
+
+-- Compteurs modifiés par le serveur seul : un client ne doit ni s'accorder des
+-- prompts ni gonfler la consommation d'un autre
+revoke execute on function public.reserve_quota(uuid, uuid, date, integer, bigint, bigint, numeric) from public, anon, authenticated;
+revoke execute on function public.release_quota(uuid, date) from public, anon, authenticated;
+revoke execute on function public.record_quota_usage(uuid, uuid, date, bigint, bigint, bigint, numeric, integer) from public, anon, authenticated;
@@ -0,0 +1,175 @@
+-- Journal des appels modèle, attribués (organisation, utilisateur, chat, route, fonctionnalité)
+
+create table if not exists public.llm_calls (
+    id bigint generated always as identity primary key,
+    created_at timestamptz not null default now(),
+    organization_id uuid,
+    user_id uuid references public.users(id) on delete set null,
+    chat_id uuid references public.chats(id) on delete set null,
+    route text not null,                -- route HTTP ou 'ingestion'
+    feature text not null,              -- chat, chat_file, generate, rag_search, rag_rerank...
+    provider text not null,
+    model text not null,
+    input_tokens integer not null default 0,
+    output_tokens integer not null default 0,
+    thoughts_tokens integer not null default 0,
+    cost_usd numeric(12, 6) not null default 0,
+    latency_ms integer,
+    used_rag boolean not null default false,
+    aborted boolean not null default false
+);
+
+create index if not exists llm_calls_org_created_idx
+    on public.llm_calls (organization_id, created_at)
+    include (cost_usd, input_tokens, output_tokens, thoughts_tokens);
+
+-- Agrégats d'une organisation sur [p_from, p_to[ par jour (UTC), employé,
+-- fonctionnalité, modèle ou chat
+create or replace function public.llm_usage_breakdown(
+    p_organization_id uuid,
+    p_from timestamptz,
+    p_to timestamptz,
+    p_group text
+)
+returns table (
+    key text,
+    calls bigint,
+    input_tokens bigint,
+    output_tokens bigint,
+    thoughts_tokens bigint,
+    cost_usd numeric,
+    avg_latency_ms numeric,
+    rag_calls bigint
+)
+language sql
+stable
+as $$
+    select
+        case p_group
+            when 'day' then to_char(c.created_at at time zone 'UTC', 'YYYY-MM-DD')
+            when 'user' then c.user_id::text
+            when 'feature' then c.feature
+            when 'model' then c.provider || ':' || c.model
+            when 'chat' then c.chat_id::text
+        end as key,
+        count(*),
+        sum(c.input_tokens),
+        sum(c.output_tokens),
+        sum(c.thoughts_tokens),
+        sum(c.cost_usd),
+        round(avg(c.latency_ms)),
+        count(*) filter (where c.used_rag)
+    from public.llm_calls c
+    where c.organization_id = p_organization_id
+      and c.created_at >= p_from
+      and c.created_at < p_to
+    group by 1
+    order by 1;
+$$;
+
+-- Coût et tokens d'une organisation depuis le début du mois (UTC) de p_date
+create or replace function public.org_month_usage(
+    p_organization_id uuid,
+    p_date date
+)
+returns table (
+    cost_usd numeric,
+    tokens bigint
+)
+language sql
+stable
+as $$
+    select coalesce(sum(c.cost_usd), 0),
+           coalesce(sum(c.input_tokens::bigint + c.output_tokens + c.thoughts_tokens), 0)
+    from public.llm_calls c
+    where c.organization_id = p_organization_id
+      and c.created_at >= (date_trunc('month', p_date)::date)::timestamp at time zone 'UTC'
+      and c.created_at < (p_date + 1)::timestamp at time zone 'UTC';
+$$;
+
+-- Plafond de coût mensuel calculé sur llm_calls : tous les appels modèle de
+-- l'organisation comptent (embeddings, rerank, classifieur, résumés, titres,
+-- extraction PDF...), pas seulement les routes soumises au quota.
+-- Identique à 012, sauf la limite de coût qui lit org_month_usage
+create or replace function public.reserve_quota(
+    p_user_id uuid,
+    p_organization_id uuid,
+    p_date date,
+    p_daily_prompts integer,
+    p_daily_tokens bigint,
+    p_monthly_tokens bigint,
+    p_monthly_cost numeric
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_usage public.daily_usage%rowtype;
+    v_month_start date := date_trunc('month', p_date)::date;
+    v_daily_tokens bigint;
+    v_monthly_tokens bigint;
+    v_monthly_cost numeric;
+begin
+    insert into public.daily_usage (user_id, organization_id, date, prompts_count)
+    values (p_user_id, p_organization_id, p_date, 0)
+    on conflict (user_id, date) do nothing;
+
+    select * into v_usage
+    from public.daily_usage
+    where user_id = p_user_id and date = p_date
+    for update;
+
+    if p_daily_prompts is not null and v_usage.prompts_count >= p_daily_prompts then
+        return jsonb_build_object('allowed', false, 'limit_type', 'daily_prompts',
+            'limit', p_daily_prompts, 'used', v_usage.prompts_count);
+    end if;
+
+    v_daily_tokens := v_usage.input_tokens + v_usage.output_tokens + v_usage.thoughts_tokens;
+
+    if p_daily_tokens is not null and v_daily_tokens >= p_daily_tokens then
+        return jsonb_build_object('allowed', false, 'limit_type', 'daily_tokens',
+            'limit', p_daily_tokens, 'used', v_daily_tokens);
+    end if;
+
+    if p_monthly_tokens is not null then
+        select coalesce(sum(input_tokens + output_tokens + thoughts_tokens), 0) into v_monthly_tokens
+        from public.daily_usage
+        where user_id = p_user_id and date between v_month_start and p_date;
+
+        if v_monthly_tokens >= p_monthly_tokens then
+            return jsonb_build_object('allowed', false, 'limit_type', 'monthly_tokens',
+                'limit', p_monthly_tokens, 'used', v_monthly_tokens);
+        end if;
+    end if;
+
+    if p_monthly_cost is not null and p_organization_id is not null then
+        select u.cost_usd into v_monthly_cost
+        from public.org_month_usage(p_organization_id, p_date) u;
+
+        if v_monthly_cost >= p_monthly_cost then
+            return jsonb_build_object('allowed', false, 'limit_type', 'monthly_cost',
+                'limit', p_monthly_cost, 'used', v_monthly_cost);
+        end if;
+    end if;
+
+    update public.daily_usage
+    set prompts_count = prompts_count + 1,
+        organization_id = coalesce(p_organization_id, organization_id)
+    where user_id = p_user_id and date = p_date
+    returning * into v_usage;
+
+    return jsonb_build_object(
+        'allowed', true,
+        'prompts', v_usage.prompts_count,
+        'daily_tokens', v_daily_tokens,
+        'monthly_tokens', v_monthly_tokens,
+        'monthly_cost', v_monthly_cost
+    );
+end;
+$$;
+
+-- Journal lu par les routes admin du serveur (service role) uniquement
+alter table public.llm_calls enable row level security;
+revoke all on public.llm_calls from anon, authenticated;
+revoke execute on function public.llm_usage_breakdown(uuid, timestamptz, timestamptz, text) from public, anon, authenticated;
+revoke execute on function public.org_month_usage(uuid, date) from public, anon, authenticated;
@@ -0,0 +1,32 @@
+-- Partage de chats : avec un collègue précis ou toute l'organisation du propriétaire
+-- 'viewer' : lecture seule ; 'contributor' : peut aussi poser des questions dans le chat
+
+create table if not exists public.chat_shares (
+    id uuid primary key default gen_random_uuid(),
+    chat_id uuid not null references public.chats(id) on delete cascade,
+    organization_id uuid not null,
+    shared_with_user_id uuid references public.users(id) on delete cascade,  -- null = toute l'organisation
+    role text not null check (role in ('viewer', 'contributor')),
+    created_by uuid references public.users(id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create unique index if not exists chat_shares_user_idx
+    on public.chat_shares (chat_id, shared_with_user_id)
+    where shared_with_user_id is not null;
+
+create unique index if not exists chat_shares_org_idx
+    on public.chat_shares (chat_id)
+    where shared_with_user_id is null;
+
+create index if not exists chat_shares_recipient_idx
+    on public.chat_shares (shared_with_user_id);
+
+create index if not exists chat_shares_organization_idx
+    on public.chat_shares (organization_id)
+    where shared_with_user_id is null;
+
+-- Écrit par PUT /api/chats/:id/shares uniquement : un partage inséré via la clé
+-- anon donnerait accès au chat (getChatAccess)
+alter table public.chat_shares enable row level security;
+revoke all on public.chat_shares from anon, authenticated;
@@ -0,0 +1,30 @@
+-- Clés API personnelles (scripts, outils internes). Seul le SHA-256 de la clé
+-- est stocké ; `prefix` (début de la clé) sert à la reconnaître dans l'interface.
+
+create table if not exists public.api_keys (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users(id) on delete cascade,
+    organization_id uuid,
+    name text not null,
+    prefix text not null,
+    key_hash text not null unique,
+    scopes text[] not null
+        check (scopes <@ array['chat', 'documents:read', 'documents:write', 'admin']::text[]
+               and cardinality(scopes) > 0),
+    created_by uuid references public.users(id) on delete set null,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    expires_at timestamptz,
+    revoked_at timestamptz
+);
+
+create index if not exists api_keys_user_idx
+    on public.api_keys (user_id);
+
+create index if not exists api_keys_organization_idx
+    on public.api_keys (organization_id);
+
+-- authenticateApiKey fait confiance à toute ligne dont le hash correspond : la
+-- table n'est accessible qu'au serveur (service role), jamais via la clé anon
+alter table public.api_keys enable row level security;
+revoke all on public.api_keys from anon, authenticated;
@@ -0,0 +1,98 @@
+-- Rôles et permissions. users.role contient la clé d'un rôle intégré (owner, admin,
+-- manager, employee, read-only : matrice dans server.js) ou d'un rôle personnalisé
+-- de l'organisation (table roles). Les booléens can_* ne sont plus lus ; les
+-- colonnes sont conservées pour un éventuel retour arrière.
+
+create table if not exists public.roles (
+    id uuid primary key default gen_random_uuid(),
+    organization_id uuid not null references public.organizations(id) on delete cascade,
+    key text not null,
+    name text not null,
+    permissions text[] not null default '{}',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (organization_id, key)
+);
+
+alter table public.roles enable row level security;
+revoke all on public.roles from anon, authenticated;
+
+alter table public.users drop constraint if exists users_role_check;
+
+alter table public.organizations
+    add column if not exists default_role text not null default 'employee';
+
+-- Le premier admin de chaque organisation en devient propriétaire
+update public.users
+set role = 'owner'
+where id in (
+    select distinct on (organization_id) id
+    from public.users
+    where role = 'admin' and organization_id is not null
+    order by organization_id, created_at
+);
+
+-- Profils hérités (employés et défauts d'organisation) : combinaison des booléens
+create temporary table legacy_profiles as
+select
+    u.id as user_id,
+    u.organization_id,
+    coalesce(u.can_use_rag, false) as rag,
+    coalesce(u.can_upload_documents, false) as upload,
+    coalesce(u.can_edit_documents, false) as edit,
+    coalesce(u.can_delete_documents, false) as del
+from public.users u
+where u.role = 'employee' and u.organization_id is not null
+union all
+select
+    null,
+    o.id,
+    coalesce(o.default_can_use_rag, false),
+    coalesce(o.default_can_upload_documents, true),
+    coalesce(o.default_can_edit_documents, false),
+    coalesce(o.default_can_delete_documents, false)
+from public.organizations o;
+
+alter table legacy_profiles add column role_key text;
+
+-- Même droits que le rôle intégré 'employee' : rôle intégré, sinon rôle
+-- personnalisé reprenant exactement les anciens droits (personne n'en gagne ni n'en perd)
+update legacy_profiles
+set role_key = case
+    when rag and upload and not edit and not del then 'employee'
+    else 'legacy-' || rag::int || upload::int || edit::int || del::int
+end;
+
+insert into public.roles (organization_id, key, name, permissions)
+select distinct
+    organization_id,
+    role_key,
+    'Profil importé (' || concat_ws(', ',
+        case when rag then 'RAG' end,
+        case when upload then 'upload' end,
+        case when edit then 'édition' end,
+        case when del then 'suppression' end,
+        case when not (rag or upload or edit or del) then 'chat seul' end
+    ) || ')',
+    array_remove(array[
+        'chat', 'chats:read', 'documents:read',
+        case when rag then 'chat:rag' end,
+        case when upload then 'documents:upload' end,
+        case when edit then 'documents:edit' end,
+        case when del then 'documents:delete' end
+    ], null)
+from legacy_profiles
+where role_key <> 'employee'
+on conflict (organization_id, key) do nothing;
+
+update public.users u
+set role = p.role_key
+from legacy_profiles p
+where p.user_id = u.id and p.role_key <> 'employee';
+
+update public.organizations o
+set default_role = p.role_key
+from legacy_profiles p
+where p.user_id is null and p.organization_id = o.id;
+
+drop table legacy_profiles;
@@ -0,0 +1,48 @@
+-- Invitations nominatives (jeton à usage unique, lié à un email et un rôle) et
+-- demandes d'adhésion par code organisation. Le code devient rotatif et son usage
+-- réglable : 'open' (adhésion directe), 'approval' (validée par un admin), 'disabled'.
+
+alter table public.organizations
+    add column if not exists join_mode text not null default 'approval'
+        check (join_mode in ('open', 'approval', 'disabled'));
+
+create table if not exists public.invitations (
+    id uuid primary key default gen_random_uuid(),
+    organization_id uuid not null references public.organizations(id) on delete cascade,
+    email text not null,                    -- en minuscules
+    role text not null,
+    token_hash text not null unique,        -- SHA-256 du jeton (jamais le jeton en clair)
+    invited_by uuid references public.users(id) on delete set null,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    accepted_at timestamptz,
+    accepted_by uuid references public.users(id) on delete set null,
+    revoked_at timestamptz
+);
+
+create index if not exists invitations_org_created_idx
+    on public.invitations (organization_id, created_at desc);
+
+create table if not exists public.join_requests (
+    id uuid primary key default gen_random_uuid(),
+    organization_id uuid not null references public.organizations(id) on delete cascade,
+    user_id uuid not null references public.users(id) on delete cascade,
+    status text not null default 'pending'
+        check (status in ('pending', 'approved', 'rejected')),
+    created_at timestamptz not null default now(),
+    decided_by uuid references public.users(id) on delete set null,
+    decided_at timestamptz
+);
+
+-- Une seule demande en attente par utilisateur
+create unique index if not exists join_requests_pending_user_idx
+    on public.join_requests (user_id)
+    where status = 'pending';
+
+create index if not exists join_requests_org_status_idx
+    on public.join_requests (organization_id, status, created_at);
+
+-- Invitations et demandes passent par le serveur (jeton, rôle attribuable)
+alter table public.invitations enable row level security;
+alter table public.join_requests enable row level security;
+revoke all on public.invitations, public.join_requests from anon, authenticated;
@@ -0,0 +1,68 @@
+-- Journal d'audit en ajout seul : qui a fait quoi, sur quoi, avec quelles valeurs
+-- avant/après, depuis quelle IP et quand. Pas de clé étrangère : une ligne survit
+-- à la suppression de son acteur, de sa cible ou de son organisation.
+
+create table if not exists public.audit_log (
+    id bigint generated always as identity primary key,
+    created_at timestamptz not null default now(),
+    organization_id uuid,
+    actor_id uuid,
+    actor_email text,
+    api_key_id uuid,                    -- requête authentifiée par clé API
+    action text not null,               -- ex. user.permissions.update, document.delete, auth.login
+    target_type text,                   -- user, organization, document, chat, role...
+    target_id text,
+    before jsonb,
+    after jsonb,
+    ip text,
+    user_agent text
+);
+
+-- Écrit et lu par le serveur seul : ni lecture ni entrée forgée via la clé anon
+alter table public.audit_log enable row level security;
+revoke all on public.audit_log from anon, authenticated;
+
+create index if not exists audit_log_org_created_idx
+    on public.audit_log (organization_id, created_at desc);
+
+create index if not exists audit_log_org_action_idx
+    on public.audit_log (organization_id, action, created_at desc);
+
+create index if not exists audit_log_org_actor_idx
+    on public.audit_log (organization_id, actor_id, created_at desc);
+
+-- Modification et suppression refusées, y compris pour le rôle service
+create or replace function public.audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+    raise exception 'audit_log est en ajout seul (% refusé)', tg_op;
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on public.audit_log;
+create trigger audit_log_append_only
+    before update or delete on public.audit_log
+    for each row execute function public.audit_log_append_only();
+
+drop trigger if exists audit_log_no_truncate on public.audit_log;
+create trigger audit_log_no_truncate
+    before truncate on public.audit_log
+    for each statement execute function public.audit_log_append_only();
+
+-- Connexions journalisées par le serveur : la première requête authentifiée d'une
+-- session Supabase (claim session_id du JWT) écrit `auth.login`. La clé primaire
+-- garantit une seule entrée par session, même avec plusieurs instances du serveur.
+create table if not exists public.auth_sessions (
+    session_id uuid primary key,
+    user_id uuid not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists auth_sessions_user_idx
+    on public.auth_sessions (user_id, created_at desc);
+
+-- Une session insérée via la clé anon supprimerait l'entrée de connexion
+alter table public.auth_sessions enable row level security;
+revoke all on public.auth_sessions from anon, authenticated;
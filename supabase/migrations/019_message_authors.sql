@@ -0,0 +1,10 @@
+-- Auteur des tours user : dans un chat partagé, un contributeur écrit aussi.
+-- Les messages existants sont attribués au propriétaire du chat.
+
+alter table public.messages
+    add column if not exists user_id uuid references public.users(id) on delete set null;
+
+update public.messages m
+set user_id = c.user_id
+from public.chats c
+where c.id = m.chat_id and m.role = 'user' and m.user_id is null;
@@ -0,0 +1,80 @@
+-- Recherche plein texte dans les chats d'un utilisateur (titres et messages).
+-- Configuration 'french' : racinisation (« factures » trouve « facture »),
+-- mots vides ignorés.
+
+-- Index sur expression (pas de colonne tsvector : les select('*') des chats et
+-- messages restent inchangés) ; les requêtes reprennent la même expression.
+create index if not exists messages_content_fts_idx
+    on public.messages using gin (to_tsvector('french', coalesce(content, '')));
+
+create index if not exists chats_title_fts_idx
+    on public.chats using gin (to_tsvector('french', coalesce(title, '')));
+
+-- Chats visibles : les siens et ceux partagés (avec lui ou son organisation).
+-- p_query : syntaxe to_tsquery construite côté serveur ('client & dupon:*').
+-- Extraits : termes trouvés entre U+E000 et U+E001 (mis en forme par le serveur).
+-- Une ligne par message trouvé, plus une par titre trouvé (message_id null).
+create or replace function public.search_chats(
+    p_user_id uuid,
+    p_organization_id uuid,
+    p_query text,
+    p_from timestamptz default null,
+    p_to timestamptz default null,
+    p_limit integer default 20,
+    p_offset integer default 0
+)
+returns table (
+    chat_id uuid,
+    chat_title text,
+    message_id text,
+    role text,
+    created_at timestamptz,
+    snippet text,
+    rank real
+)
+language sql stable
+as $$
+    with q as (
+        select to_tsquery('french', p_query) as query
+    ), accessible as (
+        select c.id, c.title, c.updated_at
+        from public.chats c
+        where c.user_id = p_user_id
+        union
+        select c.id, c.title, c.updated_at
+        from public.chats c
+        join public.chat_shares s on s.chat_id = c.id
+        where s.shared_with_user_id = p_user_id
+           or (s.shared_with_user_id is null and s.organization_id = p_organization_id)
+    ), hits as (
+        select a.id as chat_id, a.title as chat_title, null::text as message_id, null::text as role,
+               a.updated_at as created_at, a.title as body,
+               ts_rank_cd(to_tsvector('french', coalesce(a.title, '')), q.query) * 2 as rank
+        from accessible a, q
+        where to_tsvector('french', coalesce(a.title, '')) @@ q.query
+          and (p_from is null or a.updated_at >= p_from)
+          and (p_to is null or a.updated_at < p_to)
+        union all
+        select a.id, a.title, m.id::text, m.role, m.created_at, m.content,
+               ts_rank_cd(to_tsvector('french', coalesce(m.content, '')), q.query)
+        from public.messages m
+        join accessible a on a.id = m.chat_id, q
+        where to_tsvector('french', coalesce(m.content, '')) @@ q.query
+          and (p_from is null or m.created_at >= p_from)
+          and (p_to is null or m.created_at < p_to)
+        order by rank desc, created_at desc
+        limit p_limit offset p_offset
+    )
+    -- ts_headline sur la seule page demandée (coûteux)
+    select h.chat_id, h.chat_title, h.message_id, h.role, h.created_at,
+           ts_headline('french', h.body, q.query,
+               format('StartSel=%s, StopSel=%s, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "',
+                      chr(57344), chr(57345))),
+           h.rank
+    from hits h, q
+    order by h.rank desc, h.created_at desc;
+$$;
+
+-- p_user_id est choisi par l'appelant : réservé au serveur, qui passe req.user.id
+revoke execute on function public.search_chats(uuid, uuid, text, timestamptz, timestamptz, integer, integer)
+    from public, anon, authenticated;
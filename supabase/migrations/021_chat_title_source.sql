@@ -0,0 +1,13 @@
+-- Origine du titre d'un chat : 'default' (Nouvelle conversation), 'heuristic'
+-- (mots-clés du premier message), 'model' (généré après la première réponse) ou
+-- 'user' (renommé, importé). Seuls 'default' et 'heuristic' sont remplacés
+-- automatiquement.
+
+alter table public.chats
+    add column if not exists title_source text not null default 'default'
+        check (title_source in ('default', 'heuristic', 'model', 'user'));
+
+-- Titres existants conservés tels quels (régénérables à la demande)
+update public.chats
+set title_source = 'user'
+where title is distinct from 'Nouvelle conversation' and title_source = 'default';
@@ -0,0 +1,169 @@
+-- Branches de conversation : modifier un message user ou régénérer une réponse
+-- crée un message frère (même parent) au lieu d'écraser l'existant. Les messages
+-- forment un arbre (parent_id) ; chats.active_message_id désigne la feuille de la
+-- branche affichée, et le contexte du modèle suit le chemin racine → feuille.
+
+alter table public.messages
+    add column if not exists parent_id uuid references public.messages(id) on delete cascade,
+    add column if not exists depth integer not null default 0;   -- position dans le chemin (racine = 0)
+
+create index if not exists messages_chat_parent_idx
+    on public.messages (chat_id, parent_id, created_at);
+
+alter table public.chats
+    add column if not exists active_message_id uuid references public.messages(id) on delete set null;
+
+-- Chats existants : une seule branche, dans l'ordre chronologique
+with ordered as (
+    select id,
+           lag(id) over w as parent_id,
+           (row_number() over w - 1)::integer as depth
+    from public.messages
+    window w as (partition by chat_id order by created_at, id)
+)
+update public.messages m
+set parent_id = o.parent_id, depth = o.depth
+from ordered o
+where o.id = m.id and m.parent_id is null and o.parent_id is not null;
+
+update public.chats c
+set active_message_id = (
+    select m.id
+    from public.messages m
+    where m.chat_id = c.id
+    order by m.created_at desc, m.id desc
+    limit 1
+)
+where c.active_message_id is null;
+
+-- Chemin racine → p_leaf_id, avec les versions de chaque message (frères du même
+-- parent, ordre de création). p_after : messages postérieurs (chats.summary_until) ;
+-- p_limit : les N derniers du chemin.
+create or replace function public.chat_message_path(
+    p_chat_id uuid,
+    p_leaf_id uuid,
+    p_after timestamptz default null,
+    p_limit integer default null
+)
+returns table (
+    id uuid,
+    parent_id uuid,
+    role text,
+    content text,
+    created_at timestamptz,
+    model text,
+    input_tokens integer,
+    output_tokens integer,
+    thoughts_tokens integer,
+    used_rag boolean,
+    sources jsonb,
+    user_id uuid,
+    depth integer,
+    sibling_ids uuid[]
+)
+language sql stable
+as $$
+    with recursive path as (
+        select m.id, m.parent_id
+        from public.messages m
+        where m.id = p_leaf_id and m.chat_id = p_chat_id
+        union all
+        select m.id, m.parent_id
+        from public.messages m
+        join path on m.id = path.parent_id
+    ), page as (
+        select m.*
+        from public.messages m
+        join path on path.id = m.id
+        where p_after is null or m.created_at > p_after
+        order by m.depth desc
+        limit p_limit
+    )
+    select p.id, p.parent_id, p.role, p.content, p.created_at, p.model,
+           p.input_tokens, p.output_tokens, p.thoughts_tokens, p.used_rag, p.sources,
+           p.user_id, p.depth,
+           array(
+               select s.id
+               from public.messages s
+               where s.chat_id = p_chat_id
+                 and (s.parent_id = p.parent_id or (p.parent_id is null and s.parent_id is null))
+               order by s.created_at, s.id
+           )
+    from page p
+    order by p.depth;
+$$;
+
+-- Feuille de la branche qui passe par p_message_id : on descend par le dernier
+-- enfant créé. Null si le message n'appartient pas au chat.
+create or replace function public.chat_branch_leaf(
+    p_chat_id uuid,
+    p_message_id uuid
+)
+returns uuid
+language sql stable
+as $$
+    with recursive descent(id, step) as (
+        select m.id, 0
+        from public.messages m
+        where m.id = p_message_id and m.chat_id = p_chat_id
+        union all
+        select (
+                   select c.id
+                   from public.messages c
+                   where c.chat_id = p_chat_id and c.parent_id = d.id
+                   order by c.created_at desc, c.id desc
+                   limit 1
+               ),
+               d.step + 1
+        from descent d
+        where d.id is not null
+    )
+    select id
+    from descent
+    where id is not null
+    order by step desc
+    limit 1;
+$$;
+
+-- Rappel limité au chemin de la branche active (p_leaf_id), les autres versions
+-- ne sont pas des échanges de cette conversation
+drop function if exists public.match_chat_messages(uuid, vector, integer);
+
+create or replace function public.match_chat_messages(
+    p_chat_id uuid,
+    p_query_embedding vector(768),
+    p_match_count integer default 3,
+    p_leaf_id uuid default null
+)
+returns table (
+    id uuid,
+    role text,
+    content text,
+    created_at timestamptz,
+    similarity double precision
+)
+language sql stable
+as $$
+    with recursive path as (
+        select m.id, m.parent_id
+        from public.messages m
+        where m.id = p_leaf_id and m.chat_id = p_chat_id
+        union all
+        select m.id, m.parent_id
+        from public.messages m
+        join path on m.id = path.parent_id
+    )
+    select m.id, m.role, m.content, m.created_at,
+           1 - (m.embedding <=> p_query_embedding) as similarity
+    from public.messages m
+    where m.chat_id = p_chat_id
+      and m.embedding is not null
+      and (p_leaf_id is null or m.id in (select path.id from path))
+    order by m.embedding <=> p_query_embedding
+    limit p_match_count;
+$$;
+
+-- Contenu des chats : fonctions appelées par le serveur seul
+revoke execute on function public.chat_message_path(uuid, uuid, timestamptz, integer) from public, anon, authenticated;
+revoke execute on function public.chat_branch_leaf(uuid, uuid) from public, anon, authenticated;
+revoke execute on function public.match_chat_messages(uuid, vector, integer, uuid) from public, anon, authenticated;
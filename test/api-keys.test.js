@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, listRoutes } = require('./helpers/server');
+
+const { API_KEY_SCOPES, API_KEY_ROUTE_SCOPES, apiKeyScopeError } = internals;
+
+const routes = listRoutes();
+const findRoute = (method, path) => routes.find(route => route.method === method && route.path === path);
+
+// req tel que le voit authenticateUser pour une route déclarée
+const requestFor = (method, path) => ({ method, route: findRoute(method, path).route });
+
+test('chaque route de API_KEY_ROUTE_SCOPES existe et passe par authenticateUser', () => {
+    for (const [key, scope] of Object.entries(API_KEY_ROUTE_SCOPES)) {
+        const [method, path] = key.split(' ');
+        const route = findRoute(method, path);
+
+        assert.ok(route, `${key} : route absente`);
+        assert.ok(route.middlewares.includes('authenticateUser'), `${key} : non authentifiée`);
+        assert.ok(API_KEY_SCOPES.includes(scope), `${key} : scope inconnu ${scope}`);
+    }
+});
+
+test('une clé sans le scope de la route est refusée', () => {
+    const key = { scopes: ['chat'] };
+
+    assert.equal(apiKeyScopeError(key, requestFor('POST', '/api/chat')), null);
+    assert.deepEqual(apiKeyScopeError(key, requestFor('GET', '/api/documents')), {
+        error: 'Scope manquant pour cette clé API',
+        required: 'documents:read'
+    });
+    assert.equal(apiKeyScopeError(key, requestFor('PATCH', '/api/users/:id/permissions')).required, 'admin');
+});
+
+test('les scopes ne s\'impliquent pas entre eux', () => {
+    const key = { scopes: ['admin', 'documents:write'] };
+
+    assert.equal(apiKeyScopeError(key, requestFor('DELETE', '/api/documents/:id')), null);
+    assert.equal(apiKeyScopeError(key, requestFor('GET', '/api/documents')).required, 'documents:read');
+    assert.equal(apiKeyScopeError(key, requestFor('POST', '/api/chat')).required, 'chat');
+});
+
+test('les routes hors API_KEY_ROUTE_SCOPES exigent une session', () => {
+    const key = { scopes: [...API_KEY_SCOPES] };
+
+    for (const [method, path] of [['GET', '/api/api-keys'], ['POST', '/api/api-keys']]) {
+        assert.deepEqual(apiKeyScopeError(key, requestFor(method, path)), {
+            error: 'Route non accessible avec une clé API'
+        });
+    }
+});
+
+test('une route à plusieurs chemins utilise le scope du premier', () => {
+    const request = requestFor('GET', '/api/vector-stats');
+
+    assert.deepEqual(request.route.path, ['/api/vector-stats', '/api/pinecone-stats']);
+    assert.equal(apiKeyScopeError({ scopes: ['documents:read'] }, request), null);
+    assert.equal(apiKeyScopeError({ scopes: ['chat'] }, request).required, 'documents:read');
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { auditLogQuery } = internals;
+
+const ORG_ID = '00000000-0000-4000-8000-0000000000f1';
+
+let db;
+
+before(async () => {
+    db = await createDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+async function insertEntry(action, actorId = null) {
+    const { rows: [row] } = await db.query(
+        `insert into public.audit_log (organization_id, actor_id, action, target_type, target_id, before, after)
+         values ($1, $2, $3, 'user', 'u1', '{"role": "employee"}', '{"role": "manager"}') returning id`,
+        [ORG_ID, actorId, action]);
+    return row.id;
+}
+
+// Filtres PostgREST de la requête construite (jamais envoyée)
+function filtersOf(query) {
+    return [...auditLogQuery(ORG_ID, query).url.searchParams];
+}
+
+test('audit_log : modification, suppression et vidage refusés', async () => {
+    const id = await insertEntry('user.permissions.update');
+
+    await assert.rejects(db.query('update public.audit_log set action = $1 where id = $2', ['user.view', id]), /ajout seul \(UPDATE/);
+    await assert.rejects(db.query('delete from public.audit_log where id = $1', [id]), /ajout seul \(DELETE/);
+    await assert.rejects(db.query('truncate public.audit_log'), /ajout seul \(TRUNCATE/);
+
+    const { rows: [row] } = await db.query('select action, before, after from public.audit_log where id = $1', [id]);
+    assert.deepEqual(row, { action: 'user.permissions.update', before: { role: 'employee' }, after: { role: 'manager' } });
+});
+
+test('audit_log : une entrée survit à la suppression de son acteur', async () => {
+    const { rows: [actor] } = await db.query(
+        `insert into public.users (email, role) values ('ancien@cabinet.fr', 'admin') returning id`);
+    const id = await insertEntry('document.delete', actor.id);
+
+    await db.query('delete from public.users where id = $1', [actor.id]);
+
+    const { rows } = await db.query('select actor_id from public.audit_log where id = $1', [id]);
+    assert.deepEqual(rows, [{ actor_id: actor.id }]);
+});
+
+test('auth_sessions : une seule connexion journalisée par session', async () => {
+    const session = ['00000000-0000-4000-8000-0000000000e1', '00000000-0000-4000-8000-0000000000a1'];
+    const login = () => db.query(
+        'insert into public.auth_sessions (session_id, user_id) values ($1, $2) on conflict do nothing returning session_id',
+        session);
+
+    assert.equal((await login()).rows.length, 1);
+    assert.equal((await login()).rows.length, 0);
+});
+
+test('auditLogQuery : organisation, ordre et filtres exacts', () => {
+    const filters = filtersOf({ action: 'user.permissions.update', actor_id: 'a1', target_type: 'document', target_id: '42' });
+
+    assert.deepEqual(filters, [
+        ['select', '*'],
+        ['organization_id', `eq.${ORG_ID}`],
+        ['order', 'id.desc'],
+        ['action', 'eq.user.permissions.update'],
+        ['actor_id', 'eq.a1'],
+        ['target_type', 'eq.document'],
+        ['target_id', 'eq.42']
+    ]);
+});
+
+test('auditLogQuery : action en préfixe sans joker injecté', () => {
+    assert.deepEqual(filtersOf({ action: 'document.*' }).at(-1), ['action', 'like.document.%']);
+    assert.deepEqual(filtersOf({ action: 'doc%_.*' }).at(-1), ['action', 'like.doc.%']);
+});
+
+test('auditLogQuery : période en jours entiers, dates invalides ignorées', () => {
+    assert.deepEqual(filtersOf({ from: '2026-03-01', to: '2026-03-31' }).slice(3), [
+        ['created_at', 'gte.2026-03-01T00:00:00Z'],
+        ['created_at', 'lt.2026-04-01T00:00:00.000Z']
+    ]);
+    assert.equal(filtersOf({ from: 'hier', to: '2026-3-1' }).length, 3);
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase } = require('./helpers/database');
+
+const USER_ID = '00000000-0000-4000-8000-0000000000a1';
+const LEGACY_CHAT_ID = '00000000-0000-4000-8000-0000000000c1';
+
+// Chat linéaire d'avant la migration 022 (pas de parent_id)
+const LEGACY_SEED = `
+    insert into public.users (id, email, role) values ('${USER_ID}', 'marie@cabinet.fr', 'employee');
+    insert into public.chats (id, user_id, title) values ('${LEGACY_CHAT_ID}', '${USER_ID}', 'Ancien chat');
+    insert into public.messages (chat_id, role, content, created_at) values
+        ('${LEGACY_CHAT_ID}', 'assistant', 'réponse', '2026-01-01T09:00:01Z'),
+        ('${LEGACY_CHAT_ID}', 'user', 'question', '2026-01-01T09:00:00Z'),
+        ('${LEGACY_CHAT_ID}', 'user', 'suite', '2026-01-01T09:00:02Z');
+`;
+
+let db;
+let chatId;
+let tree;
+
+before(async () => {
+    db = await createDatabase({ seeds: { '022_message_branches.sql': LEGACY_SEED } });
+
+    chatId = (await db.query(
+        'insert into public.chats (user_id, title) values ($1, $2) returning id', [USER_ID, 'Branches'])).rows[0].id;
+
+    // q1 → a1 → q2 → a2 ; q1b : q1 modifiée → a1b ; a1c : a1 régénérée
+    // (embedding : valeur constante, la similarité ne départage pas)
+    let second = 0;
+    const add = async (role, content, parent = null) => {
+        const { rows: [row] } = await db.query(
+            `insert into public.messages (chat_id, role, content, parent_id, depth, created_at, embedding)
+             values ($1, $2, $3, $4, $5, $6, array_fill(0.1::real, array[768])::vector)
+             returning id, depth`,
+            [chatId, role, content, parent?.id || null, parent ? parent.depth + 1 : 0,
+                new Date(Date.UTC(2026, 0, 2, 9, 0, second++)).toISOString()]
+        );
+        return row;
+    };
+
+    const q1 = await add('user', 'q1');
+    const a1 = await add('assistant', 'a1', q1);
+    const q2 = await add('user', 'q2', a1);
+    const a2 = await add('assistant', 'a2', q2);
+    const q1b = await add('user', 'q1b');
+    const a1b = await add('assistant', 'a1b', q1b);
+    const a1c = await add('assistant', 'a1c', q1);
+    tree = { q1, a1, q2, a2, q1b, a1b, a1c };
+});
+
+after(async () => {
+    await db.close();
+});
+
+async function path(leafId, { after = null, limit = null } = {}) {
+    const { rows } = await db.query(
+        'select * from public.chat_message_path($1, $2, $3, $4)', [chatId, leafId, after, limit]);
+    return rows;
+}
+
+async function branchLeaf(messageId, chat = chatId) {
+    const { rows: [row] } = await db.query('select public.chat_branch_leaf($1, $2) as leaf', [chat, messageId]);
+    return row.leaf;
+}
+
+test('022 : un chat existant devient une seule branche, dans l\'ordre chronologique', async () => {
+    const { rows } = await db.query(
+        `select m.id, m.content, m.parent_id, m.depth
+         from public.messages m where m.chat_id = $1 order by m.depth`, [LEGACY_CHAT_ID]);
+    const { rows: [chat] } = await db.query('select active_message_id from public.chats where id = $1', [LEGACY_CHAT_ID]);
+
+    assert.deepEqual(rows.map(m => [m.content, m.depth]), [['question', 0], ['réponse', 1], ['suite', 2]]);
+    assert.equal(rows[0].parent_id, null);
+    assert.equal(rows[1].parent_id, rows[0].id);
+    assert.equal(rows[2].parent_id, rows[1].id);
+    assert.equal(chat.active_message_id, rows[2].id);
+});
+
+test('chat_message_path suit le chemin racine → feuille, sans les autres branches', async () => {
+    assert.deepEqual((await path(tree.a2.id)).map(m => m.content), ['q1', 'a1', 'q2', 'a2']);
+    assert.deepEqual((await path(tree.a1b.id)).map(m => m.content), ['q1b', 'a1b']);
+    assert.deepEqual((await path(tree.a1c.id)).map(m => m.content), ['q1', 'a1c']);
+});
+
+test('chat_message_path : versions de chaque message dans l\'ordre de création', async () => {
+    const [q1, a1c] = await path(tree.a1c.id);
+
+    assert.deepEqual(q1.sibling_ids, [tree.q1.id, tree.q1b.id]);
+    assert.deepEqual(a1c.sibling_ids, [tree.a1.id, tree.a1c.id]);
+});
+
+test('chat_message_path : p_limit garde les derniers, p_after les plus récents', async () => {
+    assert.deepEqual((await path(tree.a2.id, { limit: 2 })).map(m => m.content), ['q2', 'a2']);
+
+    const a1 = (await path(tree.a1.id))[1];
+    assert.deepEqual((await path(tree.a2.id, { after: a1.created_at })).map(m => m.content), ['q2', 'a2']);
+});
+
+test('chat_message_path : feuille d\'un autre chat ou absente → vide', async () => {
+    const { rows: [legacy] } = await db.query(
+        'select id from public.messages where chat_id = $1 limit 1', [LEGACY_CHAT_ID]);
+
+    assert.deepEqual(await path(legacy.id), []);
+    assert.deepEqual(await path(null), []);
+});
+
+test('chat_branch_leaf descend par le dernier enfant créé', async () => {
+    assert.equal(await branchLeaf(tree.q1.id), tree.a1c.id);
+    assert.equal(await branchLeaf(tree.a1.id), tree.a2.id);
+    assert.equal(await branchLeaf(tree.q1b.id), tree.a1b.id);
+    assert.equal(await branchLeaf(tree.a2.id), tree.a2.id);
+    assert.equal(await branchLeaf(tree.q1.id, LEGACY_CHAT_ID), null);
+});
+
+test('match_chat_messages se limite au chemin de la branche active', async () => {
+    const recall = async leafId => (await db.query(
+        `select content from public.match_chat_messages($1, array_fill(0.1::real, array[768])::vector, 10, $2)`,
+        [chatId, leafId])).rows.map(m => m.content).sort();
+
+    assert.deepEqual(await recall(tree.a1b.id), ['a1b', 'q1b']);
+    assert.deepEqual(await recall(tree.a2.id), ['a1', 'a2', 'q1', 'q2']);
+    assert.equal((await recall(null)).length, 7);
+});
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { toModelHistory, messageUsageFields } = internals;
+
+let db;
+
+before(async () => {
+    db = await createDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+test('toModelHistory : rôles du modèle, contenu dans parts', () => {
+    assert.deepEqual(toModelHistory([
+        { role: 'user', content: 'Quel taux de TVA ?' },
+        { role: 'assistant', content: '20 %' }
+    ]), [
+        { role: 'user', parts: [{ text: 'Quel taux de TVA ?' }] },
+        { role: 'assistant', parts: [{ text: '20 %' }] }
+    ]);
+});
+
+test('toModelHistory : la fenêtre commence toujours par un tour user', () => {
+    const history = toModelHistory([
+        { role: 'assistant', content: 'réponse coupée par la fenêtre' },
+        { role: 'assistant', content: 'encore' },
+        { role: 'user', content: 'question' }
+    ]);
+
+    assert.deepEqual(history.map(turn => turn.role), ['user']);
+    assert.deepEqual(toModelHistory([{ role: 'assistant', content: 'seul' }]), []);
+});
+
+test('messageUsageFields : modèle et tokens, zéro sans usage', () => {
+    const llm = { model: 'gemini-2.5-flash' };
+
+    assert.deepEqual(messageUsageFields(llm, { inputTokens: 120, outputTokens: 40, thoughtsTokens: 8 }), {
+        model: 'gemini-2.5-flash', input_tokens: 120, output_tokens: 40, thoughts_tokens: 8
+    });
+    assert.deepEqual(messageUsageFields(llm, null), {
+        model: 'gemini-2.5-flash', input_tokens: 0, output_tokens: 0, thoughts_tokens: 0
+    });
+});
+
+test('messages : colonnes d\'usage à zéro pour un message user', async () => {
+    const { rows: [user] } = await db.query(`insert into public.users (email, role) values ('marie@cabinet.fr', 'employee') returning id`);
+    const { rows: [chat] } = await db.query('insert into public.chats (user_id) values ($1) returning id', [user.id]);
+
+    const { rows: [message] } = await db.query(
+        `insert into public.messages (chat_id, role, content) values ($1, 'user', 'Bonjour')
+         returning model, input_tokens, output_tokens, thoughts_tokens, used_rag`,
+        [chat.id]);
+
+    assert.deepEqual(message, { model: null, input_tokens: 0, output_tokens: 0, thoughts_tokens: 0, used_rag: false });
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { CHAT_CONFIG, summaryFoldCount, withChatMemory } = internals;
+
+const WINDOW = CHAT_CONFIG.MAX_HISTORY_GEMINI;
+const BATCH = CHAT_CONFIG.SUMMARY_BATCH;
+
+let db;
+
+before(async () => {
+    db = await createDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+// Tours alternés user / assistant
+const turns = count => Array.from({ length: count }, (_, i) => ({ role: i % 2 === 0 ? 'user' : 'assistant' }));
+
+// Embedding de 768 dimensions orienté sur l'axe `axis`
+const axisVector = axis => `[${Array.from({ length: 768 }, (_, i) => (i === axis ? 1 : 0)).join(',')}]`;
+
+test('summaryFoldCount : rien tant que moins d\'un lot dépasse la fenêtre', () => {
+    assert.equal(summaryFoldCount(turns(WINDOW)), 0);
+    assert.equal(summaryFoldCount(turns(WINDOW + BATCH - 1)), 0);
+    assert.equal(summaryFoldCount(turns(WINDOW + BATCH)), BATCH);
+});
+
+test('summaryFoldCount : la fenêtre restante commence par un tour user', () => {
+    const pending = turns(WINDOW + BATCH + 1);
+    const foldCount = summaryFoldCount(pending);
+
+    assert.equal(foldCount, BATCH + 2);
+    assert.equal(pending[foldCount].role, 'user');
+});
+
+test('withChatMemory : résumé puis extraits rappelés ajoutés à l\'instruction', () => {
+    const instruction = withChatMemory('Tu es un assistant.', {
+        summary: '- Client : SARL Martin',
+        recalled: [{ role: 'user', content: 'Bilan 2024 ?' }, { role: 'assistant', content: 'Clôture au 31/12' }]
+    });
+
+    assert.equal(instruction, 'Tu es un assistant.'
+        + '\n\nRÉSUMÉ DES ÉCHANGES PRÉCÉDENTS DE CETTE CONVERSATION :\n- Client : SARL Martin'
+        + '\n\nEXTRAITS ANTÉRIEURS PERTINENTS DE CETTE CONVERSATION :\n'
+        + '[Utilisateur] Bilan 2024 ?\n\n---\n\n[Assistant] Clôture au 31/12');
+
+    assert.equal(withChatMemory('Tu es un assistant.', { summary: null, recalled: [] }), 'Tu es un assistant.');
+});
+
+test('match_chat_messages : messages indexés du chat, du plus proche au plus lointain', async () => {
+    const { rows: [user] } = await db.query(`insert into public.users (email, role) values ('paul@cabinet.fr', 'employee') returning id`);
+    const chat = async () => (await db.query('insert into public.chats (user_id) values ($1) returning id', [user.id])).rows[0].id;
+    const [chatId, otherChatId] = [await chat(), await chat()];
+
+    const add = (id, content, axis) => db.query(
+        'insert into public.messages (chat_id, role, content, embedding) values ($1, $2, $3, $4::vector)',
+        [id, 'user', content, axis === null ? null : axisVector(axis)]);
+
+    await add(chatId, 'loin', 1);
+    await add(chatId, 'proche', 0);
+    await add(chatId, 'non indexé', null);
+    await add(otherChatId, 'autre chat', 0);
+
+    const { rows } = await db.query('select content, similarity from public.match_chat_messages($1, $2::vector, 5)',
+        [chatId, axisVector(0)]);
+
+    assert.deepEqual(rows.map(row => row.content), ['proche', 'loin']);
+    assert.equal(rows[0].similarity, 1);
+});
@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { CHAT_ACCESS_LEVELS, shareAccess, postableMessageRoles } = internals;
+
+let db;
+let ids;
+
+before(async () => {
+    db = await createDatabase();
+
+    const { rows: [org] } = await db.query(`insert into public.organizations (name) values ('Cabinet') returning id`);
+    const user = async email => (await db.query(
+        'insert into public.users (email, role, organization_id) values ($1, $2, $3) returning id',
+        [email, 'employee', org.id])).rows[0].id;
+
+    ids = { org: org.id, marie: await user('marie@cabinet.fr'), paul: await user('paul@cabinet.fr') };
+});
+
+after(async () => {
+    await db.close();
+});
+
+async function createChat() {
+    return (await db.query(
+        'insert into public.chats (user_id, title) values ($1, $2) returning id', [ids.marie, 'Dossier'])).rows[0].id;
+}
+
+function share(chatId, role, userId = null) {
+    return db.query(
+        'insert into public.chat_shares (chat_id, organization_id, shared_with_user_id, role, created_by) values ($1, $2, $3, $4, $5)',
+        [chatId, ids.org, userId, role, ids.marie]);
+}
+
+test('shareAccess : le partage le plus large l\'emporte, aucun partage → null', () => {
+    assert.equal(shareAccess([]), null);
+    assert.equal(shareAccess([{ role: 'viewer' }]), 'viewer');
+    assert.equal(shareAccess([{ role: 'viewer' }, { role: 'contributor' }]), 'contributor');
+});
+
+test('les niveaux d\'accès sont ordonnés viewer < contributor < owner', () => {
+    assert.ok(CHAT_ACCESS_LEVELS.viewer < CHAT_ACCESS_LEVELS.contributor);
+    assert.ok(CHAT_ACCESS_LEVELS.contributor < CHAT_ACCESS_LEVELS.owner);
+});
+
+test('seul le propriétaire peut poster une réponse assistant', () => {
+    assert.deepEqual(postableMessageRoles('owner'), ['user', 'assistant']);
+    assert.deepEqual(postableMessageRoles('contributor'), ['user']);
+    assert.deepEqual(postableMessageRoles('viewer'), ['user']);
+});
+
+test('chat_shares : un partage par collègue et un seul partage organisation par chat', async () => {
+    const chatId = await createChat();
+
+    await share(chatId, 'viewer', ids.paul);
+    await share(chatId, 'contributor');
+
+    await assert.rejects(share(chatId, 'contributor', ids.paul), /chat_shares_user_idx/);
+    await assert.rejects(share(chatId, 'viewer'), /chat_shares_org_idx/);
+    await assert.rejects(share(await createChat(), 'owner', ids.paul), /check/);
+});
+
+test('chat_shares : supprimer le chat ou le collègue retire ses partages', async () => {
+    const chatId = await createChat();
+    await share(chatId, 'viewer', ids.paul);
+    await share(chatId, 'viewer');
+
+    const { rows: [intern] } = await db.query(
+        `insert into public.users (email, role, organization_id) values ('stagiaire@cabinet.fr', 'employee', $1) returning id`,
+        [ids.org]);
+    await share(chatId, 'contributor', intern.id);
+    await db.query('delete from public.users where id = $1', [intern.id]);
+
+    const count = async () => Number((await db.query(
+        'select count(*) from public.chat_shares where chat_id = $1', [chatId])).rows[0].count);
+    assert.equal(await count(), 2);
+
+    await db.query('delete from public.chats where id = $1', [chatId]);
+    assert.equal(await count(), 0);
+});
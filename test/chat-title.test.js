@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+
+const { sanitizeChatTitle } = internals;
+
+test('balises HTML retirées, y compris non fermées', () => {
+    assert.equal(sanitizeChatTitle('Bilan <img src=x onerror=alert(1)> 2025'), 'Bilan 2025');
+    assert.equal(sanitizeChatTitle('<b>TVA</b> intracommunautaire'), 'TVA intracommunautaire');
+    assert.equal(sanitizeChatTitle('Liasse <script'), 'Liasse');
+});
+
+test('Markdown ramené au texte', () => {
+    assert.equal(sanitizeChatTitle('**Clôture** _SARL_ `Dupont`'), 'Clôture SARL Dupont');
+    assert.equal(sanitizeChatTitle('[Facture 42](https://exemple.fr) ## relance'), 'Facture 42 relance');
+});
+
+test('caractères de contrôle et espaces multiples', () => {
+    assert.equal(sanitizeChatTitle('  Paie\u0000 de\tjanvier  '), 'Paie de janvier');
+});
+
+test('titre fait uniquement de balises : vide (repli sur l\'heuristique)', () => {
+    assert.equal(sanitizeChatTitle('<br/> ** ##'), '');
+});
+
+test('texte ordinaire inchangé', () => {
+    assert.equal(sanitizeChatTitle('Déclaration 2031 — SCI Les Tilleuls'), 'Déclaration 2031 — SCI Les Tilleuls');
+});
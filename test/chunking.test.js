@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+
+const { chunkFormatFor, chunkDocument, joinChunks, chunkSourceLabel } = internals;
+
+const paragraph = (word, count) => Array.from({ length: count }, (_, i) => `${word} ${i + 1} du contrat.`).join(' ');
+
+test('chunkFormatFor : format de découpage selon l\'extension', () => {
+    assert.equal(chunkFormatFor('Bilan.XLSX'), 'xlsx');
+    assert.equal(chunkFormatFor('grand-livre.csv'), 'csv');
+    assert.equal(chunkFormatFor('statuts.pdf'), 'pdf');
+    assert.equal(chunkFormatFor('note.docx'), 'text');
+});
+
+test('texte : sections par titre, recouvrement et reconstruction exacte', () => {
+    const text = `# Objet\n${paragraph('Clause', 30)}\n\nARTICLE 2 - DURÉE\n${paragraph('Durée', 30)}\n`;
+    const chunks = chunkDocument(text, 'text', { chunkSize: 300, overlap: 80 });
+
+    assert.ok(chunks.length > 2);
+    assert.ok(chunks.every(chunk => chunk.text.length <= 300 + 80));
+    assert.equal(joinChunks(chunks), text);
+
+    assert.equal(chunks[0].section, 'Objet');
+    assert.equal(chunks.at(-1).section, 'ARTICLE 2 - DURÉE');
+    assert.equal(chunks[0].overlapChars, 0);
+    assert.ok(chunks[1].overlapChars > 0);
+});
+
+test('texte : le recouvrement ne déborde pas sur la section précédente', () => {
+    const text = `TITRE UN\n${paragraph('Un', 5)}\nTITRE DEUX\n${paragraph('Deux', 5)}`;
+    const chunks = chunkDocument(text, 'text', { chunkSize: 1000, overlap: 200 });
+
+    assert.deepEqual(chunks.map(chunk => [chunk.section, chunk.overlapChars]), [['TITRE UN', 0], ['TITRE DEUX', 0]]);
+});
+
+test('texte : coupure en fin de phrase plutôt qu\'au milieu d\'un mot', () => {
+    const chunks = chunkDocument(paragraph('Phrase', 40), 'text', { chunkSize: 200, overlap: 0 });
+
+    for (const chunk of chunks.slice(0, -1)) {
+        assert.match(chunk.text, /\.\s*$/);
+    }
+});
+
+test('pdf : numéro de page par chunk, jamais de chunk à cheval sur deux pages', () => {
+    const text = `[[PAGE 1]]\nBILAN ACTIF\n${paragraph('Actif', 3)}\n[[PAGE 2]]\n${paragraph('Suite', 3)}\n`;
+    const chunks = chunkDocument(text, 'pdf', { chunkSize: 1000 });
+
+    assert.deepEqual(chunks.map(chunk => chunk.page), [1, 2]);
+    // La section de la page précédente se poursuit
+    assert.deepEqual(chunks.map(chunk => chunk.section), ['BILAN ACTIF', 'BILAN ACTIF']);
+    assert.ok(!chunks[0].text.includes('Suite'));
+});
+
+test('tableur : lignes entières, en-tête répété, une feuille par chunk', () => {
+    const rows = Array.from({ length: 20 }, (_, i) => `401${String(i).padStart(3, '0')};Fournisseur ${i};${i * 100}`);
+    const text = `=== Balance ===\nCompte;Libellé;Solde\n${rows.join('\n')}\n=== Notes ===\nN°;Texte\n1;Aucune\n`;
+    const chunks = chunkDocument(text, 'xlsx', { chunkSize: 200 });
+
+    const balance = chunks.filter(chunk => chunk.sheet === 'Balance');
+    assert.ok(balance.length > 1);
+    for (const chunk of balance) {
+        assert.ok(chunk.text.startsWith('=== Balance ===\nCompte;Libellé;Solde\n'));
+    }
+    assert.deepEqual(balance.flatMap(chunk => chunk.text.split('\n').slice(2).filter(Boolean)), rows);
+    assert.equal(balance[0].overlapChars, 0);
+    assert.equal(balance[1].overlapChars, '=== Balance ===\nCompte;Libellé;Solde\n'.length);
+
+    assert.deepEqual(chunks.filter(chunk => chunk.sheet === 'Notes').map(chunk => chunk.section), ['Notes']);
+});
+
+test('csv : en-tête répété sans feuille', () => {
+    const text = ['date;montant', ...Array.from({ length: 10 }, (_, i) => `2026-01-${10 + i};${i}`)].join('\n');
+    const chunks = chunkDocument(text, 'csv', { chunkSize: 60 });
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.text.startsWith('date;montant\n') && !chunk.sheet));
+});
+
+test('chunkSourceLabel : fichier, feuille ou section, page', () => {
+    assert.equal(chunkSourceLabel({ source: 'statuts.pdf', section: 'Article 3', page: 2 }), 'statuts.pdf — Article 3, p. 2');
+    assert.equal(chunkSourceLabel({ source: 'balance.xlsx', sheet: 'Balance', section: 'Balance' }), 'balance.xlsx — feuille Balance');
+    assert.equal(chunkSourceLabel({ source: 'note.txt' }), 'note.txt');
+    assert.equal(chunkSourceLabel(), 'Unknown');
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { citationSource, contextExcerpt } = internals;
+
+const MATCH = {
+    id: 'file-bilan-3f2a9c0d1e4b5a6f',
+    vectorScore: 0.83,
+    keywordScore: 0.4,
+    metadata: {
+        documentId: 'file-bilan',
+        source: 'bilan-2025.pdf',
+        chunkIndex: 4,
+        section: 'ACTIF',
+        page: 2,
+        text: 'Total actif : 1 250 000 €'
+    }
+};
+
+let db;
+
+before(async () => {
+    db = await createDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+test('citationSource : document, extrait et position citables', () => {
+    assert.deepEqual(citationSource(MATCH, 2), {
+        n: 2,
+        documentId: 'file-bilan',
+        chunkId: 'file-bilan-3f2a9c0d1e4b5a6f',
+        filename: 'bilan-2025.pdf',
+        chunkIndex: 4,
+        section: 'ACTIF',
+        page: 2,
+        sheet: null,
+        score: 0.83,
+        keywordScore: 0.4
+    });
+});
+
+test('citationSource : score de re-ranking seulement s\'il existe', () => {
+    assert.equal(citationSource({ ...MATCH, rerankScore: 0.9 }, 1).rerankScore, 0.9);
+    assert.ok(!('rerankScore' in citationSource(MATCH, 1)));
+});
+
+test('citationSource : ancien vecteur sans documentId → id du document déduit', () => {
+    const source = citationSource({ id: 'file-ancien-chunk-12', metadata: {} }, 1);
+
+    assert.equal(source.documentId, 'file-ancien');
+    assert.equal(source.filename, 'Unknown');
+    assert.deepEqual([source.score, source.keywordScore], [null, null]);
+});
+
+test('contextExcerpt : même numéro [n] que la source citée', () => {
+    assert.equal(contextExcerpt(MATCH, 2), '[2] Source: bilan-2025.pdf — ACTIF, p. 2\nTotal actif : 1 250 000 €');
+});
+
+test('messages.sources : citations stockées avec la réponse', async () => {
+    const { rows: [user] } = await db.query(`insert into public.users (email, role) values ('marie@cabinet.fr', 'employee') returning id`);
+    const { rows: [chat] } = await db.query('insert into public.chats (user_id) values ($1) returning id', [user.id]);
+    const sources = [citationSource(MATCH, 1)];
+
+    const { rows: [message] } = await db.query(
+        `insert into public.messages (chat_id, role, content, sources) values ($1, 'assistant', 'Total [1]', $2) returning sources`,
+        [chat.id, JSON.stringify(sources)]);
+
+    assert.deepEqual(message.sources, sources);
+});
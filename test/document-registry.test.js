@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { documentListPage, documentListQuery, documentResponse } = internals;
+
+const ORG_ID = '00000000-0000-4000-8000-0000000000f1';
+
+let db;
+let org;
+
+before(async () => {
+    db = await createDatabase();
+    org = (await db.query(`insert into public.organizations (name) values ('Cabinet') returning id`)).rows[0].id;
+});
+
+after(async () => {
+    await db.close();
+});
+
+// Filtres PostgREST de la requête construite (jamais envoyée)
+const filtersOf = query => Object.fromEntries(documentListQuery(ORG_ID, query).url.searchParams);
+
+async function createDocument(id, fields = {}) {
+    await db.query(
+        `insert into public.documents (organization_id, id, filename, status, chunk_count) values ($1, $2, $3, $4, 1)`,
+        [org, id, fields.filename || `${id}.pdf`, fields.status || 'ready']);
+    await db.query(
+        `insert into public.document_chunks (organization_id, id, document_id, chunk_index, text) values ($1, $2, $3, 0, 'texte')`,
+        [org, `${id}-0`, id]);
+}
+
+test('documentListPage : page et taille bornées', () => {
+    assert.deepEqual(documentListPage({}), { page: 1, limit: 20 });
+    assert.deepEqual(documentListPage({ page: '0', limit: '500' }), { page: 1, limit: 100 });
+    assert.deepEqual(documentListPage({ page: '3', limit: 'abc' }), { page: 3, limit: 20 });
+});
+
+test('documentListQuery : organisation, tri, pagination et total', () => {
+    const request = documentListQuery(ORG_ID, { page: '2', limit: '10', sort: 'size', order: 'asc' });
+    const filters = Object.fromEntries(request.url.searchParams);
+
+    assert.equal(filters.organization_id, `eq.${ORG_ID}`);
+    assert.equal(filters.order, 'size_bytes.asc');
+    assert.deepEqual([filters.offset, filters.limit], ['10', '10']);
+    assert.match(request.headers.get('Prefer'), /count=exact/);
+});
+
+test('documentListQuery : tri inconnu → plus récents d\'abord', () => {
+    assert.equal(filtersOf({ sort: 'organization_id' }).order, 'created_at.desc');
+});
+
+test('documentListQuery : recherche sur le nom, jokers échappés', () => {
+    assert.equal(filtersOf({ search: ' 50%_off ' }).filename, 'ilike.%50\\%\\_off%');
+    assert.equal(filtersOf({ search: '   ' }).filename, undefined);
+});
+
+test('documentResponse : format API d\'une ligne documents', () => {
+    const row = {
+        id: 'file-1', filename: 'bilan.pdf', mime_type: 'application/pdf', size_bytes: 2048,
+        content_hash: 'abc', status: 'ready', error: null, chunk_count: 4, current_version: 2,
+        uploaded_by: 'u1', created_at: '2026-03-01T09:00:00Z', updated_at: '2026-03-02T09:00:00Z',
+        organization_id: ORG_ID
+    };
+
+    assert.deepEqual(documentResponse(row), {
+        id: 'file-1', source: 'bilan.pdf', mimeType: 'application/pdf', size: 2048, hash: 'abc',
+        status: 'ready', error: null, chunkCount: 4, currentVersion: 2, uploadedBy: 'u1',
+        uploadedAt: '2026-03-01T09:00:00Z', updatedAt: '2026-03-02T09:00:00Z'
+    });
+});
+
+test('documents : même id permis dans deux organisations, unique dans une', async () => {
+    const other = (await db.query(`insert into public.organizations (name) values ('Autre') returning id`)).rows[0].id;
+    await createDocument('file-commun');
+    await db.query(`insert into public.documents (organization_id, id, filename) values ($1, 'file-commun', 'x.pdf')`, [other]);
+
+    await assert.rejects(createDocument('file-commun'), /documents_pkey/);
+});
+
+test('documents : statut contrôlé, chunks supprimés avec le document', async () => {
+    await assert.rejects(createDocument('file-bad', { status: 'deleted' }), /check/);
+
+    await createDocument('file-supprime');
+    await db.query(`delete from public.documents where organization_id = $1 and id = 'file-supprime'`, [org]);
+
+    const { rows } = await db.query(`select id from public.document_chunks where document_id = 'file-supprime'`);
+    assert.deepEqual(rows, []);
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { chunkIds } = internals;
+
+const DOC_ID = 'doc-contrat';
+
+let db;
+let org;
+
+before(async () => {
+    db = await createDatabase();
+    org = (await db.query(`insert into public.organizations (name) values ('Cabinet') returning id`)).rows[0].id;
+});
+
+after(async () => {
+    await db.close();
+});
+
+function chunksOf(docId, texts) {
+    const ids = chunkIds(docId, texts.map(text => ({ text })));
+    return texts.map((text, index) => ({ id: ids[index], chunk_index: index, text, overlap_chars: 0 }));
+}
+
+async function commit(docId, texts, expectedVersion) {
+    const { rows: [row] } = await db.query(
+        `select public.commit_document_version($1, $2, 'contrat.txt', 'text/plain', 10, null, $3, 'text', null, $4, $5)
+         as version`,
+        [org, docId, texts.join(''), expectedVersion, JSON.stringify(chunksOf(docId, texts))]
+    );
+    return row.version;
+}
+
+// Requête de relecture de deleteUnpublishedVectors
+async function publishedIds(docId, ids) {
+    const { rows } = await db.query(
+        'select id from public.document_chunks where organization_id = $1 and document_id = $2 and id = any($3)',
+        [org, docId, ids]);
+    return rows.map(row => row.id).sort();
+}
+
+test('chunkIds : même contenu, mêmes ids ; les doublons sont numérotés', () => {
+    const chunks = [{ text: 'Article 1' }, { text: 'Article 2' }, { text: 'Article 1' }];
+    const ids = chunkIds(DOC_ID, chunks);
+
+    assert.deepEqual(chunkIds(DOC_ID, chunks), ids);
+    assert.equal(ids[2], `${ids[0]}-2`);
+    assert.notEqual(chunkIds(DOC_ID, [{ text: 'Article 1', section: 'Titre' }])[0], ids[0]);
+});
+
+test('commit_document_version : versions successives, historique et chunks remplacés', async () => {
+    const docId = 'doc-versions';
+
+    assert.equal(await commit(docId, ['Article 1', 'Article 2'], 0), 1);
+    assert.equal(await commit(docId, ['Article 1', 'Article 3'], 1), 2);
+
+    const { rows: versions } = await db.query(
+        'select version, text from public.document_versions where document_id = $1 order by version', [docId]);
+    assert.deepEqual(versions.map(row => row.text), ['Article 1Article 2', 'Article 1Article 3']);
+
+    const { rows: [doc] } = await db.query(
+        'select current_version, chunk_count from public.documents where id = $1', [docId]);
+    assert.deepEqual(doc, { current_version: 2, chunk_count: 2 });
+
+    const { rows: chunks } = await db.query(
+        'select text from public.document_chunks where document_id = $1 order by chunk_index', [docId]);
+    assert.deepEqual(chunks.map(row => row.text), ['Article 1', 'Article 3']);
+});
+
+test('commit_document_version : version_conflict si le document a changé entre-temps', async () => {
+    const docId = 'doc-conflit';
+    await commit(docId, ['Article 1'], 0);
+    await commit(docId, ['Article 1 modifié'], 1);
+
+    await assert.rejects(commit(docId, ['Article 1 concurrent'], 1), /version_conflict/);
+
+    const { rows: [doc] } = await db.query('select current_version from public.documents where id = $1', [docId]);
+    assert.equal(doc.current_version, 2);
+});
+
+test('deux écritures identiques concurrentes : le perdant ne retire pas les vecteurs du gagnant', async () => {
+    const docId = 'doc-identique';
+    await commit(docId, ['Version initiale'], 0);
+
+    // Les deux éditions préparent les mêmes chunks (mêmes ids) depuis la version 1
+    const edit = ['Clause A', 'Clause B'];
+    const toEmbed = chunksOf(docId, edit).map(chunk => chunk.id);
+
+    assert.equal(await commit(docId, edit, 1), 2);
+    await assert.rejects(commit(docId, edit, 1), /version_conflict/);
+
+    // Nettoyage du perdant : tous ses ids sont référencés par la version publiée
+    const published = await publishedIds(docId, toEmbed);
+    assert.deepEqual(published, [...toEmbed].sort());
+    assert.deepEqual(toEmbed.filter(id => !published.includes(id)), []);
+});
+
+test('écriture concurrente différente : seuls les ids non publiés sont à supprimer', async () => {
+    const docId = 'doc-partiel';
+    await commit(docId, ['Préambule'], 0);
+
+    const winner = ['Préambule', 'Clause gagnante'];
+    const loser = chunksOf(docId, ['Préambule', 'Clause perdante']).map(chunk => chunk.id);
+
+    await commit(docId, winner, 1);
+    await assert.rejects(commit(docId, ['Préambule', 'Clause perdante'], 1), /version_conflict/);
+
+    const published = await publishedIds(docId, loser);
+    assert.deepEqual(loser.filter(id => !published.includes(id)), [loser[1]]);
+});
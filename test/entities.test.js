@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { normalizeEntity, isValidSiren, documentSirens, containsSpecificEntityNames } = internals;
+
+const ORG_ID = '00000000-0000-4000-8000-0000000000f1';
+
+// Dictionnaire servi par PostgREST (fetch intercepté)
+let entityRequests = 0;
+const realFetch = globalThis.fetch;
+let db;
+
+before(async () => {
+    globalThis.fetch = async url => {
+        assert.match(String(url), /\/rest\/v1\/org_entities\?select=normalized&organization_id=eq\./);
+        entityRequests++;
+        return new Response(JSON.stringify([{ normalized: 'boulangerie martin' }, { normalized: '732829320' }]), {
+            status: 200,
+            headers: { 'content-type': 'application/json' }
+        });
+    };
+    db = await createDatabase();
+});
+
+after(async () => {
+    globalThis.fetch = realFetch;
+    await db.close();
+});
+
+test('normalizeEntity : minuscules, sans accents ni ponctuation, chiffres regroupés', () => {
+    assert.equal(normalizeEntity('  Société GÉNÉRALE, S.A. '), 'societe generale s a');
+    assert.equal(normalizeEntity('L’Oréal'), "l'oreal");
+    assert.equal(normalizeEntity('SIREN 732 829 320'), 'siren 732829320');
+    assert.equal(normalizeEntity('732.829.320'), '732829320');
+});
+
+test('isValidSiren : clé de Luhn sur 9 chiffres', () => {
+    assert.equal(isValidSiren('732829320'), true);
+    assert.equal(isValidSiren('732829321'), false);
+    assert.equal(isValidSiren('73282932'), false);
+    assert.equal(isValidSiren('7328293200'), false);
+});
+
+test('documentSirens : SIREN valides du texte, une seule fois chacun', () => {
+    const text = 'SIREN 732 829 320, rappel 732.829.320 ; faux 123 456 789 ; tél 0612345678';
+    assert.deepEqual(documentSirens(text), ['732829320']);
+});
+
+test('containsSpecificEntityNames : formule du cabinet, sans dictionnaire', async () => {
+    assert.equal(await containsSpecificEntityNames('Quel est notre CA cette année ?', null), true);
+    assert.equal(await containsSpecificEntityNames('Quel est le taux de TVA ?', null), false);
+    assert.equal(entityRequests, 0);
+});
+
+test('containsSpecificEntityNames : entité de l\'organisation citée en mots entiers', async () => {
+    assert.equal(await containsSpecificEntityNames('Bilan de la Boulangerie Martin ?', ORG_ID), true);
+    assert.equal(await containsSpecificEntityNames('Dossier du SIREN 732 829 320', ORG_ID), true);
+    assert.equal(await containsSpecificEntityNames('Les boulangeries martiniquaises', ORG_ID), false);
+
+    // Dictionnaire mis en cache par organisation
+    assert.equal(entityRequests, 1);
+});
+
+test('org_entities : un nom normalisé par organisation, type contrôlé', async () => {
+    const org = (await db.query(`insert into public.organizations (name) values ('Cabinet') returning id`)).rows[0].id;
+    const add = (name, type = 'company') => db.query(
+        'insert into public.org_entities (organization_id, name, normalized, type) values ($1, $2, $3, $4)',
+        [org, name, normalizeEntity(name), type]);
+
+    await add('Boulangerie Martin');
+    await assert.rejects(add('BOULANGERIE MARTIN'), /org_entities_organization_id_normalized_key/);
+    await assert.rejects(add('Jean Dupont', 'client'), /check/);
+});
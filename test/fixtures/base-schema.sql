@@ -0,0 +1,66 @@
+-- Tables créées avant les migrations (projet Supabase initial), réduites aux
+-- colonnes dont dépendent supabase/migrations et les tests
+
+-- Rôles de l'API PostgREST et droits par défaut de Supabase : tout objet créé
+-- dans public est accessible à la clé anon tant qu'une migration ne le retire pas
+create role anon nologin;
+create role authenticated nologin;
+
+alter default privileges in schema public grant all on tables to anon, authenticated;
+alter default privileges in schema public grant all on functions to anon, authenticated;
+
+-- Supabase Storage (buckets de fichiers)
+create schema if not exists storage;
+
+create table storage.buckets (
+    id text primary key,
+    name text not null,
+    public boolean not null default false
+);
+
+create table public.organizations (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    default_can_use_rag boolean,            -- droits hérités, repris en rôles par 016
+    default_can_upload_documents boolean,
+    default_can_edit_documents boolean,
+    default_can_delete_documents boolean,
+    created_at timestamptz not null default now()
+);
+
+create table public.users (
+    id uuid primary key default gen_random_uuid(),
+    email text,
+    first_name text,
+    role text,
+    organization_id uuid references public.organizations(id),
+    daily_message_quota integer,
+    can_use_rag boolean,
+    can_upload_documents boolean,
+    can_edit_documents boolean,
+    can_delete_documents boolean,
+    created_at timestamptz not null default now()
+);
+
+create table public.chats (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid references public.users(id) on delete cascade,
+    title text not null default 'Nouvelle conversation',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table public.messages (
+    id uuid primary key default gen_random_uuid(),
+    chat_id uuid not null references public.chats(id) on delete cascade,
+    role text not null,
+    content text not null,
+    created_at timestamptz not null default now()
+);
+
+create table public.daily_usage (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users(id) on delete cascade,
+    date date not null default current_date,
+    prompts_count integer not null default 0
+);
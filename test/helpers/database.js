@@ -0,0 +1,31 @@
+// Base Postgres en mémoire (PGlite + pgvector) : schéma initial de
+// test/fixtures puis toutes les migrations de supabase/migrations, dans l'ordre.
+// seeds : { '016_rbac.sql': sql } exécute sql juste avant cette migration
+// (données existantes à reprendre)
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { vector } = require('@electric-sql/pglite/vector');
+
+const ROOT = path.join(__dirname, '..', '..');
+const MIGRATIONS_DIR = path.join(ROOT, 'supabase', 'migrations');
+
+async function createDatabase({ seeds = {} } = {}) {
+    const db = await PGlite.create({ extensions: { vector } });
+
+    await db.exec(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'base-schema.sql'), 'utf8'));
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith('.sql')).sort()) {
+        try {
+            if (seeds[file]) await db.exec(seeds[file]);
+            await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+        } catch (error) {
+            error.message = `${file} : ${error.message}`;
+            throw error;
+        }
+    }
+
+    return db;
+}
+
+module.exports = { createDatabase };
@@ -0,0 +1,26 @@
+// server.js chargé sans démarrer l'écoute (VERCEL) ni joindre de service :
+// les clients Supabase / Pinecone sont créés mais jamais appelés par ces tests
+Object.assign(process.env, {
+    VERCEL: '1',
+    GEMINI_API_KEY: 'test',
+    PINECONE_API_KEY: 'test',
+    PINECONE_INDEX_HOST: 'http://localhost',
+    SUPABASE_URL: 'http://localhost:1',
+    SUPABASE_SERVICE_ROLE_KEY: 'test'
+});
+
+const app = require('../../server');
+
+// Routes déclarées : { method, path (premier chemin), route, middlewares (noms) }
+function listRoutes() {
+    return app._router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+            method: method.toUpperCase(),
+            path: [].concat(layer.route.path)[0],
+            route: layer.route,
+            middlewares: layer.route.stack.map(handler => handler.name)
+        })));
+}
+
+module.exports = { app, internals: app.internals, listRoutes };
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { RAG_DEFAULTS, keywordTokens, exactTokens, fuseRankings } = internals;
+
+let db;
+let org;
+let otherOrg;
+
+before(async () => {
+    db = await createDatabase();
+    const organization = async name => (await db.query(
+        'insert into public.organizations (name) values ($1) returning id', [name])).rows[0].id;
+    [org, otherOrg] = [await organization('Cabinet'), await organization('Concurrent')];
+
+    const documentWith = async (organizationId, id, status, chunks) => {
+        await db.query('insert into public.documents (organization_id, id, filename, status) values ($1, $2, $3, $4)',
+            [organizationId, id, `${id}.pdf`, status]);
+        for (const [index, [text, section]] of chunks.entries()) {
+            await db.query(
+                `insert into public.document_chunks (organization_id, id, document_id, chunk_index, text, section)
+                 values ($1, $2, $3, $4, $5, $6)`,
+                [organizationId, `${id}-${index}`, id, index, text, section || null]);
+        }
+    };
+
+    await documentWith(org, 'grand-livre', 'ready', [
+        ['Compte 401000 fournisseurs : solde 12 400', 'Balance'],
+        ['Compte 512000 banque : solde 3 100'],
+        ['Facture FA-2024-0042 réglée le 12/03']
+    ]);
+    await documentWith(org, 'brouillon', 'processing', [['Compte 401000 brouillon']]);
+    await documentWith(otherOrg, 'concurrent', 'ready', [['Compte 401000 concurrent']]);
+});
+
+after(async () => {
+    await db.close();
+});
+
+async function search(organizationId, query) {
+    const { rows } = await db.query('select * from public.search_document_chunks($1, $2, 20)', [organizationId, query]);
+    return rows;
+}
+
+test('keywordTokens : mots significatifs, sans mots vides ni doublons', () => {
+    assert.deepEqual(keywordTokens('Quel est le solde du compte 401000 ? Le compte 401000 !'), ['solde', 'compte', '401000']);
+    assert.deepEqual(keywordTokens('Est-ce que la TVA a changé ?'), ['tva', 'changé']);
+    assert.deepEqual(keywordTokens('?'), []);
+});
+
+test('exactTokens : références d\'au moins 5 chiffres, groupes recollés', () => {
+    assert.deepEqual(exactTokens('Facture FA-2024-0042 du SIREN 732 829 320 en 2024'), ['fa-2024-0042', '732829320']);
+    assert.deepEqual(exactTokens('Bilan 2024 et compte 401'), []);
+});
+
+test('fuseRankings : un chunk trouvé par les deux méthodes passe devant', () => {
+    const vector = [{ id: 'a', metadata: {}, vectorScore: 0.9 }, { id: 'b', metadata: {}, vectorScore: 0.8 }];
+    const keyword = [{ id: 'b', metadata: {}, keywordScore: 0.3 }, { id: 'c', metadata: {}, keywordScore: 0.2 }];
+
+    const fused = fuseRankings(vector, keyword, RAG_DEFAULTS);
+
+    assert.deepEqual(fused.map(match => match.id), ['b', 'a', 'c']);
+    assert.equal(fused[0].vectorScore, 0.8);
+    assert.equal(fused[0].keywordScore, 0.3);
+    assert.equal(fused[1].keywordScore, undefined);
+});
+
+test('fuseRankings : les poids de l\'organisation départagent les méthodes', () => {
+    const vector = [{ id: 'a', metadata: {} }];
+    const keyword = [{ id: 'c', metadata: {} }];
+
+    assert.equal(fuseRankings(vector, keyword, { rag_vector_weight: 1, rag_keyword_weight: 2 })[0].id, 'c');
+    assert.equal(fuseRankings(vector, keyword, { rag_vector_weight: 2, rag_keyword_weight: 1 })[0].id, 'a');
+});
+
+test('search_document_chunks : tokens exacts, documents publiés de l\'organisation seulement', async () => {
+    const rows = await search(org, '401000');
+
+    assert.deepEqual(rows.map(row => [row.id, row.filename, row.section]), [['grand-livre-0', 'grand-livre.pdf', 'Balance']]);
+    assert.ok(rows[0].rank > 0);
+});
+
+test('search_document_chunks : tokens alternatifs, meilleur rang d\'abord', async () => {
+    const rows = await search(org, 'compte | banque');
+
+    assert.deepEqual(rows.map(row => row.id), ['grand-livre-1', 'grand-livre-0']);
+    assert.deepEqual((await search(org, 'balance')).map(row => row.id), ['grand-livre-0']);
+});
+
+test('organizations : rag_top_k borné entre 1 et 10', async () => {
+    await assert.rejects(db.query('update public.organizations set rag_top_k = 11 where id = $1', [org]), /check/);
+    const { rows: [row] } = await db.query('select rag_top_k from public.organizations where id = $1', [org]);
+    assert.equal(row.rag_top_k, 3);
+});
@@ -0,0 +1,147 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { INGEST_CONFIG, mapWithConcurrency, ingestRetryDelay } = internals;
+
+let db;
+let org;
+
+before(async () => {
+    db = await createDatabase();
+    org = (await db.query(`insert into public.organizations (name) values ('Cabinet') returning id`)).rows[0].id;
+});
+
+after(async () => {
+    await db.close();
+});
+
+// Chaque test part d'une file vide
+beforeEach(async () => {
+    await db.query('delete from public.ingest_jobs');
+});
+
+let documentCount = 0;
+
+async function enqueue(fields = {}) {
+    const docId = `doc-${++documentCount}`;
+    await db.query(
+        `insert into public.documents (organization_id, id, filename, status) values ($1, $2, 'bilan.pdf', 'processing')`,
+        [org, docId]);
+
+    const columns = ['organization_id', 'document_id', 'filename', ...Object.keys(fields)];
+    const values = [org, docId, 'bilan.pdf', ...Object.values(fields)];
+    const { rows: [job] } = await db.query(
+        `insert into public.ingest_jobs (${columns.join(', ')})
+         values (${values.map((_, i) => `$${i + 1}`).join(', ')}) returning id`,
+        values);
+    return job.id;
+}
+
+async function claim(lockSeconds = 300) {
+    const { rows } = await db.query('select * from public.claim_ingest_job($1)', [lockSeconds]);
+    return rows[0] || null;
+}
+
+test('claim_ingest_job : le plus ancien job prêt, verrouillé et compté comme tentative', async () => {
+    const first = await enqueue({ created_at: '2026-03-01T09:00:00Z' });
+    const second = await enqueue({ created_at: '2026-03-01T10:00:00Z' });
+
+    const job = await claim();
+    assert.equal(job.id, first);
+    assert.equal(job.status, 'running');
+    assert.equal(job.attempts, 1);
+    assert.ok(new Date(job.locked_until) > new Date());
+
+    assert.equal((await claim()).id, second);
+    assert.equal(await claim(), null);
+});
+
+test('claim_ingest_job : un job replanifié attend run_after', async () => {
+    await enqueue({ run_after: new Date(Date.now() + 60000).toISOString() });
+    assert.equal(await claim(), null);
+
+    await db.query(`update public.ingest_jobs set run_after = now() - interval '1 second'`);
+    assert.ok(await claim());
+});
+
+test('claim_ingest_job : reprend un job dont le worker a disparu, sans perdre sa progression', async () => {
+    const id = await enqueue({
+        status: 'running',
+        attempts: 1,
+        locked_until: new Date(Date.now() - 1000).toISOString(),
+        text: 'Texte déjà extrait',
+        embedded_ids: ['doc-a', 'doc-b'],
+        chunks_done: 2
+    });
+    await enqueue({ status: 'running', attempts: 1, locked_until: new Date(Date.now() + 60000).toISOString() });
+
+    const job = await claim();
+    assert.equal(job.id, id);
+    assert.equal(job.attempts, 2);
+    assert.equal(job.text, 'Texte déjà extrait');
+    assert.deepEqual(job.embedded_ids, ['doc-a', 'doc-b']);
+    assert.equal(job.chunks_done, 2);
+
+    // Le job verrouillé par un worker vivant n'est pas repris
+    assert.equal(await claim(), null);
+});
+
+test('claim_ingest_job : jobs terminés ou échoués ignorés', async () => {
+    await enqueue({ status: 'completed' });
+    await enqueue({ status: 'failed' });
+    assert.equal(await claim(), null);
+});
+
+test('supprimer le document supprime son job', async () => {
+    const id = await enqueue();
+    const { rows: [job] } = await db.query('select document_id from public.ingest_jobs where id = $1', [id]);
+
+    await db.query('delete from public.documents where organization_id = $1 and id = $2', [org, job.document_id]);
+    assert.equal((await db.query('select id from public.ingest_jobs where id = $1', [id])).rows.length, 0);
+});
+
+test('ingestRetryDelay : délais croissants puis échec définitif', () => {
+    const error = new Error('Gemini 503');
+    const job = attempts => ({ attempts, max_attempts: 3 });
+
+    assert.equal(ingestRetryDelay(job(1), error), INGEST_CONFIG.RETRY_DELAYS_MS[0]);
+    assert.equal(ingestRetryDelay(job(2), error), INGEST_CONFIG.RETRY_DELAYS_MS[1]);
+    assert.equal(ingestRetryDelay(job(3), error), null);
+    assert.equal(ingestRetryDelay({ attempts: 9, max_attempts: 10 }, error), INGEST_CONFIG.RETRY_DELAYS_MS.at(-1));
+});
+
+test('ingestRetryDelay : une erreur non récupérable échoue dès la première tentative', () => {
+    const error = Object.assign(new Error('Fichier vide ou illisible'), { retryable: false });
+    assert.equal(ingestRetryDelay({ attempts: 1, max_attempts: 3 }, error), null);
+});
+
+test('mapWithConcurrency : au plus `limit` appels simultanés', async () => {
+    let running = 0;
+    let peak = 0;
+    const seen = [];
+
+    await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (item, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setImmediate(resolve));
+        seen.push([item, index]);
+        running--;
+    });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(seen.sort((a, b) => a[0] - b[0]), [[1, 0], [2, 1], [3, 2], [4, 3], [5, 4]]);
+});
+
+test('mapWithConcurrency : plus aucun lot lancé après une erreur, relancée à la fin', async () => {
+    const started = [];
+
+    await assert.rejects(mapWithConcurrency([1, 2, 3, 4, 5], 2, async item => {
+        started.push(item);
+        await new Promise(resolve => setImmediate(resolve));
+        if (item === 2) throw new Error('lot 2');
+    }), /lot 2/);
+
+    assert.deepEqual(started, [1, 2, 3]);
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { generateOrgCode, hashInvitationToken, invitationStatus } = internals;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = days => new Date(Date.now() + days * DAY_MS).toISOString();
+
+let db;
+let org;
+
+before(async () => {
+    db = await createDatabase();
+    org = (await db.query(`insert into public.organizations (name) values ('Cabinet') returning id`)).rows[0].id;
+});
+
+after(async () => {
+    await db.close();
+});
+
+async function createUser(email, organizationId = null) {
+    return (await db.query(
+        `insert into public.users (email, role, organization_id) values ($1, 'employee', $2) returning id`,
+        [email, organizationId])).rows[0].id;
+}
+
+async function invite(email, { token = `inv_${email}`, expiresAt = inDays(7) } = {}) {
+    return (await db.query(
+        `insert into public.invitations (organization_id, email, role, token_hash, expires_at)
+         values ($1, $2, 'manager', $3, $4) returning id`,
+        [org, email, hashInvitationToken(token), expiresAt])).rows[0].id;
+}
+
+// Consommation de acceptInvitation : une seule acceptation réussit
+function consume(invitationId, userId) {
+    return db.query(
+        `update public.invitations set accepted_at = now(), accepted_by = $2
+         where id = $1 and accepted_at is null and revoked_at is null and expires_at > now()
+         returning id`,
+        [invitationId, userId]);
+}
+
+test('invitationStatus : acceptée, puis révoquée, puis expirée', () => {
+    const pending = { accepted_at: null, revoked_at: null, expires_at: inDays(1) };
+
+    assert.equal(invitationStatus(pending), 'pending');
+    assert.equal(invitationStatus({ ...pending, expires_at: inDays(-1) }), 'expired');
+    assert.equal(invitationStatus({ ...pending, revoked_at: inDays(-2), expires_at: inDays(-1) }), 'revoked');
+    assert.equal(invitationStatus({ ...pending, accepted_at: inDays(-2), revoked_at: inDays(-1) }), 'accepted');
+});
+
+test('hashInvitationToken : SHA-256 hexadécimal, seul stocké en base', () => {
+    const hash = hashInvitationToken('inv_abc');
+
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(hashInvitationToken('inv_abc'), hash);
+    assert.notEqual(hashInvitationToken('inv_abd'), hash);
+});
+
+test('generateOrgCode : ORG- et 5 caractères sans ambiguïté (ni 0/O ni 1/I)', () => {
+    for (let i = 0; i < 50; i++) {
+        assert.match(generateOrgCode(), /^ORG-[A-HJ-NP-Z2-9]{5}$/);
+    }
+});
+
+test('invitation à usage unique, même en cas d\'acceptations concurrentes', async () => {
+    const id = await invite('claire@cabinet.fr');
+    const claire = await createUser('claire@cabinet.fr');
+
+    const [first, second] = await Promise.all([consume(id, claire), consume(id, claire)]);
+    assert.equal(first.rows.length + second.rows.length, 1);
+});
+
+test('invitation expirée ou révoquée : non consommable', async () => {
+    const user = await createUser('x@cabinet.fr');
+    const expired = await invite('expire@cabinet.fr', { expiresAt: inDays(-1) });
+    const revoked = await invite('revoque@cabinet.fr');
+    await db.query('update public.invitations set revoked_at = now() where id = $1', [revoked]);
+
+    assert.equal((await consume(expired, user)).rows.length, 0);
+    assert.equal((await consume(revoked, user)).rows.length, 0);
+});
+
+test('un jeton ne désigne qu\'une invitation', async () => {
+    await invite('a@cabinet.fr', { token: 'inv_same' });
+    await assert.rejects(invite('b@cabinet.fr', { token: 'inv_same' }), /invitations_token_hash_key/);
+});
+
+test('join_requests : une seule demande en attente par utilisateur', async () => {
+    const other = (await db.query(`insert into public.organizations (name) values ('Autre') returning id`)).rows[0].id;
+    const paul = await createUser('paul@cabinet.fr');
+    const request = organizationId => db.query(
+        'insert into public.join_requests (organization_id, user_id) values ($1, $2) returning id', [organizationId, paul]);
+
+    const { rows: [first] } = await request(org);
+    await assert.rejects(request(other), /join_requests_pending_user_idx/);
+
+    // Demande refusée : une nouvelle demande est possible
+    await db.query(`update public.join_requests set status = 'rejected', decided_at = now() where id = $1`, [first.id]);
+    await request(other);
+});
+
+test('organizations.join_mode : approval par défaut, valeurs contrôlées', async () => {
+    const { rows: [row] } = await db.query('select join_mode from public.organizations where id = $1', [org]);
+    assert.equal(row.join_mode, 'approval');
+
+    await assert.rejects(
+        db.query(`update public.organizations set join_mode = 'public' where id = $1`, [org]), /check/);
+});
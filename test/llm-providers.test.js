@@ -0,0 +1,148 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const {
+    LLM_DEFAULTS,
+    estimateTokens,
+    createOpenAICompatibleProvider,
+    createMockProvider,
+    resolveModelSpec,
+    getLLM
+} = internals;
+
+const REQUEST = {
+    model: 'gpt-4o-mini',
+    system: 'Tu es expert-comptable.',
+    messages: [{ role: 'user', parts: [{ text: 'Taux de TVA réduit ?' }] }],
+    temperature: 0.2,
+    maxOutputTokens: 100
+};
+
+// Appels HTTP du fournisseur compatible OpenAI (fetch intercepté)
+const calls = [];
+let reply;
+const realFetch = globalThis.fetch;
+let db;
+
+before(async () => {
+    globalThis.fetch = async (url, init) => {
+        calls.push({ url: String(url), headers: init.headers, body: JSON.parse(init.body) });
+        return reply();
+    };
+    db = await createDatabase();
+});
+
+after(async () => {
+    globalThis.fetch = realFetch;
+    await db.close();
+});
+
+beforeEach(() => {
+    calls.length = 0;
+});
+
+const openai = () => createOpenAICompatibleProvider({ name: 'openai', baseUrl: 'https://llm.test/v1', apiKey: 'sk-test' });
+
+test('estimateTokens : ~4 caractères par token, instruction système comprise', () => {
+    assert.equal(estimateTokens({ system: 'abcd', messages: [{ parts: [{ text: 'efgh' }, { inlineData: {} }] }] }), 2);
+    assert.equal(estimateTokens({ messages: [{ parts: [{ text: 'a' }] }] }), 1);
+});
+
+test('resolveModelSpec : "fournisseur:modèle", Gemini par défaut', () => {
+    const llm = resolveModelSpec('gemini:gemini-2.5-flash');
+    assert.equal(llm.provider.name, 'gemini');
+    assert.equal(llm.model, 'gemini-2.5-flash');
+
+    assert.equal(resolveModelSpec('gemini-2.5-pro').id, 'gemini:gemini-2.5-pro');
+    assert.equal(resolveModelSpec('gemini:tuned:v2').model, 'tuned:v2');
+    assert.throws(() => resolveModelSpec('anthropic:claude'), /Fournisseur LLM non configuré : anthropic/);
+});
+
+test('getLLM : défaut serveur par usage sans organisation', async () => {
+    assert.equal((await getLLM('fast')).id, LLM_DEFAULTS.fast);
+    assert.equal((await getLLM('embedding')).id, LLM_DEFAULTS.embedding);
+});
+
+test('compatible OpenAI : instruction système, JSON et usage normalisé', async () => {
+    reply = () => Response.json({
+        choices: [{ message: { content: '{"taux": 5.5}' } }],
+        usage: { prompt_tokens: 30, completion_tokens: 8, completion_tokens_details: { reasoning_tokens: 2 } }
+    });
+
+    const result = await openai().generate({ ...REQUEST, json: true });
+
+    assert.deepEqual(result, { text: '{"taux": 5.5}', usage: { inputTokens: 30, outputTokens: 8, thoughtsTokens: 2 } });
+    assert.equal(calls[0].url, 'https://llm.test/v1/chat/completions');
+    assert.equal(calls[0].headers.Authorization, 'Bearer sk-test');
+    assert.deepEqual(calls[0].body, {
+        model: 'gpt-4o-mini',
+        messages: [
+            { role: 'system', content: 'Tu es expert-comptable.' },
+            { role: 'user', content: 'Taux de TVA réduit ?' }
+        ],
+        temperature: 0.2,
+        max_tokens: 100,
+        response_format: { type: 'json_object' }
+    });
+});
+
+test('compatible OpenAI : stream SSE découpé en morceaux, usage en dernier', async () => {
+    const lines = [
+        'data: {"choices":[{"delta":{"content":"5,5"}}]}\n',
+        'data: {"choices":[{"delta":{"content":" %"}}]}\n\ndata: {"choices":[],"usage":{"prompt_tokens":30,"completion_tokens":2}}\n',
+        'data: [DONE]\n'
+    ];
+    // Lignes coupées au milieu pour vérifier le tampon
+    const body = lines.join('');
+    reply = () => new Response(new ReadableStream({
+        start(controller) {
+            for (let i = 0; i < body.length; i += 17) controller.enqueue(new TextEncoder().encode(body.slice(i, i + 17)));
+            controller.close();
+        }
+    }));
+
+    const events = [];
+    for await (const event of openai().stream(REQUEST)) events.push(event);
+
+    assert.deepEqual(events, [
+        { text: '5,5' },
+        { text: ' %' },
+        { usage: { inputTokens: 30, outputTokens: 2, thoughtsTokens: 0 } }
+    ]);
+    assert.equal(calls[0].body.stream, true);
+});
+
+test('compatible OpenAI : erreur HTTP remontée avec le fournisseur et le statut', async () => {
+    reply = () => new Response('rate limited', { status: 429 });
+    await assert.rejects(openai().generate(REQUEST), /^Error: openai 429: rate limited$/);
+});
+
+test('mock : réponses et embeddings déterministes, hors réseau', async () => {
+    const mock = createMockProvider();
+
+    const { text, usage } = await mock.generate({ ...REQUEST, model: 'echo' });
+    assert.equal(text, '[mock:echo] Taux de TVA réduit ?');
+    assert.equal(usage.inputTokens, estimateTokens(REQUEST));
+    assert.equal((await mock.generate({ ...REQUEST, json: true })).text, '{}');
+
+    const streamed = [];
+    for await (const event of mock.stream({ ...REQUEST, model: 'echo' })) streamed.push(event);
+    assert.equal(streamed.filter(event => event.text).map(event => event.text).join(''), text);
+    assert.deepEqual(streamed.at(-1), { usage });
+
+    const [bilan, bilanBis, paie] = await mock.embed(['bilan comptable 2025', 'bilan comptable', 'bulletin de paie']);
+    const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+    assert.ok(Math.abs(cosine(bilan, bilan) - 1) < 1e-9);
+    assert.ok(cosine(bilan, bilanBis) > cosine(bilan, paie));
+    assert.equal(calls.length, 0);
+});
+
+test('organizations : modèles par organisation, défaut serveur si null', async () => {
+    const { rows: [org] } = await db.query(
+        `insert into public.organizations (name, llm_chat_model) values ('Cabinet', 'openai:gpt-4o-mini')
+         returning llm_chat_model, llm_embedding_model`);
+
+    assert.deepEqual(org, { llm_chat_model: 'openai:gpt-4o-mini', llm_embedding_model: null });
+});
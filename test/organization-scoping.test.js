@@ -0,0 +1,89 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createVectorStores } = require('../vector-store');
+
+const { requireOrganization, getOrgVectorStore } = internals;
+
+// Requêtes HTTP sortantes (Pinecone, PostgREST) interceptées : { url, body }
+const requests = [];
+let respond;
+const realFetch = globalThis.fetch;
+
+before(() => {
+    globalThis.fetch = async (url, init = {}) => {
+        const request = { url: String(url), body: init.body ? JSON.parse(init.body) : null };
+        requests.push(request);
+        return new Response(JSON.stringify(respond(request)), {
+            status: 200,
+            headers: { 'content-type': 'application/json' }
+        });
+    };
+});
+
+after(() => {
+    globalThis.fetch = realFetch;
+});
+
+beforeEach(() => {
+    requests.length = 0;
+    respond = () => ({});
+});
+
+const pinecone = () => createVectorStores({
+    supabase: null,
+    dimension: 3,
+    env: { PINECONE_API_KEY: 'test', PINECONE_INDEX_HOST: 'https://index.pinecone.test' }
+}).get('pinecone');
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.payload = payload; }
+    };
+}
+
+test('Pinecone : chaque requête vise le namespace de l\'organisation', async () => {
+    const store = pinecone();
+    respond = () => ({ matches: [{ id: 'doc-1', score: 0.92, metadata: { text: 'Bilan' } }] });
+
+    const matches = await store.query('cabinet-a', { vector: [1, 0, 0], topK: 3 });
+    await store.upsert('cabinet-a', [{ id: 'doc-1', values: [1, 0, 0], metadata: { text: 'Bilan' } }]);
+    await store.deleteMany('cabinet-b', ['doc-2']);
+
+    assert.deepEqual(matches, [{ id: 'doc-1', score: 0.92, metadata: { text: 'Bilan' } }]);
+    assert.deepEqual(requests.map(request => [new URL(request.url).pathname, request.body.namespace]), [
+        ['/query', 'org-cabinet-a'],
+        ['/vectors/upsert', 'org-cabinet-a'],
+        ['/vectors/delete', 'org-cabinet-b']
+    ]);
+});
+
+test('sans organisation, aucune requête n\'atteint un store', async () => {
+    const store = pinecone();
+
+    await assert.rejects(store.query(null, { vector: [1, 0, 0], topK: 3 }), /organization_id requis/);
+    await assert.rejects(store.upsert(undefined, [{ id: 'x', values: [1, 0, 0] }]), /organization_id requis/);
+    await assert.rejects(getOrgVectorStore(null), /organization_id requis/);
+    assert.equal(requests.length, 0);
+});
+
+test('requireOrganization : organisation du JWT acceptée sans requête', async () => {
+    let nextCalled = false;
+    await requireOrganization({ user: { id: 'u1', organization_id: 'cabinet-a' } }, fakeResponse(), () => { nextCalled = true; });
+
+    assert.equal(nextCalled, true);
+    assert.equal(requests.length, 0);
+});
+
+test('requireOrganization : compte sans organisation refusé (403)', async () => {
+    respond = () => ({ organization_id: null });
+    const res = fakeResponse();
+    const req = { user: { id: '00000000-0000-4000-8000-0000000000a1' } };
+
+    await requireOrganization(req, res, () => assert.fail('next appelé'));
+
+    assert.equal(res.statusCode, 403);
+    assert.match(requests[0].url, /\/rest\/v1\/users\?select=organization_id&id=eq\./);
+});
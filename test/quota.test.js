@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase } = require('./helpers/database');
+
+const TODAY = '2026-03-15';
+const LAST_MONTH = '2026-02-27';
+
+let db;
+
+before(async () => {
+    db = await createDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+async function createOrganization() {
+    const { rows: [org] } = await db.query(`insert into public.organizations (name) values ('Cabinet') returning id`);
+    return org.id;
+}
+
+async function createUser(organizationId) {
+    const { rows: [user] } = await db.query(
+        `insert into public.users (email, role, organization_id) values ('a@cabinet.fr', 'employee', $1) returning id`,
+        [organizationId]
+    );
+    return user.id;
+}
+
+async function reserve(userId, organizationId, limits = {}) {
+    const { rows: [row] } = await db.query(
+        'select public.reserve_quota($1, $2, $3, $4, $5, $6, $7) as result',
+        [userId, organizationId, limits.date || TODAY, limits.dailyPrompts ?? null,
+            limits.dailyTokens ?? null, limits.monthlyTokens ?? null, limits.monthlyCost ?? null]
+    );
+    return row.result;
+}
+
+async function recordUsage(userId, organizationId, { date = TODAY, input = 0, output = 0, cost = 0 }) {
+    await db.query(
+        'select public.record_quota_usage($1, $2, $3, $4, $5, 0, $6)',
+        [userId, organizationId, date, input, output, cost]
+    );
+}
+
+async function logCall(organizationId, { feature, cost, tokens = 0, at = `${TODAY}T10:00:00Z`, userId = null }) {
+    await db.query(
+        `insert into public.llm_calls (organization_id, user_id, route, feature, provider, model, input_tokens, cost_usd, created_at)
+         values ($1, $2, 'internal', $3, 'gemini', 'gemini-2.5-flash', $4, $5, $6)`,
+        [organizationId, userId, feature, tokens, cost, at]
+    );
+}
+
+test('reserve_quota refuse au-delà du nombre de prompts du jour', async () => {
+    const org = await createOrganization();
+    const user = await createUser(org);
+
+    assert.equal((await reserve(user, org, { dailyPrompts: 2 })).allowed, true);
+    assert.equal((await reserve(user, org, { dailyPrompts: 2 })).allowed, true);
+
+    const refused = await reserve(user, org, { dailyPrompts: 2 });
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.limit_type, 'daily_prompts');
+    assert.equal(refused.used, 2);
+});
+
+test('release_quota rend un prompt réservé sans descendre sous zéro', async () => {
+    const org = await createOrganization();
+    const user = await createUser(org);
+
+    await reserve(user, org, { dailyPrompts: 1 });
+    await db.query('select public.release_quota($1, $2)', [user, TODAY]);
+    await db.query('select public.release_quota($1, $2)', [user, TODAY]);
+
+    const { rows: [usage] } = await db.query(
+        'select prompts_count from public.daily_usage where user_id = $1 and date = $2', [user, TODAY]);
+    assert.equal(usage.prompts_count, 0);
+    assert.equal((await reserve(user, org, { dailyPrompts: 1 })).allowed, true);
+});
+
+test('record_quota_usage cumule les tokens ; la limite du jour porte sur la consommation enregistrée', async () => {
+    const org = await createOrganization();
+    const user = await createUser(org);
+
+    await recordUsage(user, org, { input: 600, output: 300 });
+    assert.equal((await reserve(user, org, { dailyTokens: 1000 })).allowed, true);
+
+    await recordUsage(user, org, { input: 100 });
+    const refused = await reserve(user, org, { dailyTokens: 1000 });
+    assert.equal(refused.limit_type, 'daily_tokens');
+    assert.equal(refused.used, 1000);
+});
+
+test('la limite mensuelle de tokens ignore le mois précédent', async () => {
+    const org = await createOrganization();
+    const user = await createUser(org);
+
+    await recordUsage(user, org, { date: LAST_MONTH, input: 5000 });
+    await recordUsage(user, org, { date: '2026-03-02', input: 400 });
+    assert.equal((await reserve(user, org, { monthlyTokens: 500 })).allowed, true);
+
+    await recordUsage(user, org, { input: 100 });
+    const refused = await reserve(user, org, { monthlyTokens: 500 });
+    assert.equal(refused.limit_type, 'monthly_tokens');
+    assert.equal(Number(refused.used), 500);
+});
+
+test('le plafond de coût compte les appels de fond de llm_calls', async () => {
+    const org = await createOrganization();
+    const otherOrg = await createOrganization();
+    const user = await createUser(org);
+
+    await logCall(org, { feature: 'chat', cost: 0.5, userId: user });
+    await logCall(org, { feature: 'document_embedding', cost: 0.25 });
+    await logCall(otherOrg, { feature: 'chat', cost: 10 });
+    await logCall(org, { feature: 'chat', cost: 10, at: `${LAST_MONTH}T10:00:00Z` });
+
+    assert.equal((await reserve(user, org, { monthlyCost: 1 })).allowed, true);
+
+    await logCall(org, { feature: 'rag_rerank', cost: 0.125 });
+    await logCall(org, { feature: 'chat_summary', cost: 0.125 });
+
+    const refused = await reserve(user, org, { monthlyCost: 1 });
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.limit_type, 'monthly_cost');
+    assert.equal(Number(refused.used), 1);
+});
+
+test('org_month_usage : coût et tokens du mois de l\'organisation', async () => {
+    const org = await createOrganization();
+
+    await logCall(org, { feature: 'pdf_extraction', cost: 0.2, tokens: 1200, at: '2026-03-01T00:00:00Z' });
+    await logCall(org, { feature: 'chat_title', cost: 0.05, tokens: 80 });
+    await logCall(org, { feature: 'chat', cost: 3, tokens: 9000, at: '2026-02-28T23:59:59Z' });
+    await logCall(org, { feature: 'chat', cost: 3, tokens: 9000, at: '2026-03-16T00:00:00Z' });
+
+    const { rows: [usage] } = await db.query('select * from public.org_month_usage($1, $2)', [org, TODAY]);
+    assert.equal(Number(usage.cost_usd), 0.25);
+    assert.equal(Number(usage.tokens), 1280);
+});
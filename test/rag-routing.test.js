@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { RAG_DEFAULTS, retrievalDecision, routeRetrieval } = internals;
+
+const settings = { ...RAG_DEFAULTS, rag_min_score: 0.75, rag_borderline_margin: 0.1 };
+const found = (topScore, exactMatch = false) => ({ topScore, exactMatch });
+const decide = (retrieved, options = {}, overrides = {}) => retrievalDecision(
+    retrieved, { ...settings, ...overrides }, { forceRAG: false, mentionsEntity: false, ...options });
+
+let db;
+
+before(async () => {
+    db = await createDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+test('retrievalDecision : forcé, puis entité citée, quel que soit le score', () => {
+    assert.equal(decide(found(0.1), { forceRAG: true, mentionsEntity: true }), 'forced');
+    assert.equal(decide(found(0.1), { mentionsEntity: true }), 'entity');
+});
+
+test('retrievalDecision : référence exacte retrouvée, puis seuil de score', () => {
+    assert.equal(decide(found(0.2, true)), 'exact_token');
+    assert.equal(decide(found(0.75)), 'score');
+    assert.equal(decide(found(0.74)), 'general');
+});
+
+test('retrievalDecision : zone grise soumise au classifieur seulement s\'il est activé', () => {
+    assert.equal(decide(found(0.66), {}, { rag_classifier_enabled: true }), 'borderline');
+    assert.equal(decide(found(0.64), {}, { rag_classifier_enabled: true }), 'general');
+    assert.equal(decide(found(0.66), {}, { rag_classifier_enabled: false }), 'general');
+});
+
+test('routeRetrieval : sans permission RAG, aucune recherche', async () => {
+    const result = await routeRetrieval({ message: 'Bilan SARL Martin', organizationId: null, forceRAG: true, canUseRag: false });
+
+    assert.deepEqual(result, {
+        context: '',
+        sources: [],
+        routing: { mode: 'adaptive', decision: 'no_permission', usedContext: false, topScore: null, threshold: RAG_DEFAULTS.rag_min_score }
+    });
+});
+
+test('routeRetrieval : rien trouvé → no_match, sans contexte', async () => {
+    const result = await routeRetrieval({ message: 'notre cabinet', organizationId: null, forceRAG: false, canUseRag: true });
+
+    assert.equal(result.routing.decision, 'no_match');
+    assert.equal(result.context, '');
+});
+
+test('organizations : routage adaptatif par défaut, mode contrôlé', async () => {
+    const { rows: [org] } = await db.query(
+        `insert into public.organizations (name) values ('Cabinet')
+         returning rag_mode, rag_min_score, rag_borderline_margin, rag_classifier_enabled`);
+
+    assert.deepEqual(org, { rag_mode: 'adaptive', rag_min_score: 0.75, rag_borderline_margin: 0.1, rag_classifier_enabled: false });
+    await assert.rejects(db.query(`update public.organizations set rag_mode = 'always'`), /check/);
+});
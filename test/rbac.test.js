@@ -0,0 +1,171 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const {
+    PERMISSIONS,
+    BUILT_IN_ROLES,
+    requirePermission,
+    validateCustomRole,
+    permissionsNotHeld,
+    validateAssignableRole,
+    defaultRoleError
+} = internals;
+
+const ORG_ID = '00000000-0000-4000-8000-000000000001';
+
+// Organisation et membres d'avant la migration 016 (booléens can_*)
+const LEGACY_SEED = `
+    insert into public.organizations (id, name, default_can_use_rag, default_can_upload_documents)
+    values ('${ORG_ID}', 'Cabinet', false, true);
+
+    insert into public.users (id, email, role, organization_id, created_at,
+        can_use_rag, can_upload_documents, can_edit_documents, can_delete_documents)
+    values
+        ('00000000-0000-4000-8000-00000000000a', 'fondateur@cabinet.fr', 'admin', '${ORG_ID}', '2025-01-01', null, null, null, null),
+        ('00000000-0000-4000-8000-00000000000b', 'associe@cabinet.fr', 'admin', '${ORG_ID}', '2025-02-01', null, null, null, null),
+        ('00000000-0000-4000-8000-00000000000c', 'standard@cabinet.fr', 'employee', '${ORG_ID}', '2025-03-01', true, true, false, false),
+        ('00000000-0000-4000-8000-00000000000d', 'editeur@cabinet.fr', 'employee', '${ORG_ID}', '2025-03-01', true, true, true, false);
+`;
+
+let db;
+
+before(async () => {
+    db = await createDatabase({ seeds: { '016_rbac.sql': LEGACY_SEED } });
+});
+
+after(async () => {
+    await db.close();
+});
+
+// Réponse Express minimale : statut et corps JSON
+function recordResponse() {
+    return {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+test('les rôles intégrés sont emboîtés et ne citent que des permissions connues', () => {
+    for (const [key, role] of Object.entries(BUILT_IN_ROLES)) {
+        assert.deepEqual(role.permissions.filter(permission => !PERMISSIONS[permission]), [], key);
+    }
+
+    const chain = ['read-only', 'employee', 'manager', 'admin'];
+    for (let i = 1; i < chain.length; i++) {
+        const access = { permissions: BUILT_IN_ROLES[chain[i]].permissions };
+        assert.deepEqual(permissionsNotHeld(access, BUILT_IN_ROLES[chain[i - 1]].permissions), [], chain[i]);
+    }
+
+    assert.deepEqual(BUILT_IN_ROLES.owner.permissions, Object.keys(PERMISSIONS));
+    assert.ok(!BUILT_IN_ROLES.employee.permissions.includes('documents:delete'));
+    assert.ok(!BUILT_IN_ROLES['read-only'].permissions.includes('chat'));
+});
+
+test('requirePermission laisse passer ou répond 403 avec la permission requise', async () => {
+    const req = { user: { id: 'u1' }, access: { role: 'employee', permissions: BUILT_IN_ROLES.employee.permissions } };
+    let nextCalls = 0;
+
+    await requirePermission('chat:rag')(req, recordResponse(), () => nextCalls++);
+    assert.equal(nextCalls, 1);
+
+    const res = recordResponse();
+    await requirePermission('documents:delete')(req, res, () => nextCalls++);
+    assert.equal(nextCalls, 1);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { error: 'Permission refusée', required: 'documents:delete' });
+});
+
+test('validateCustomRole exige un nom et des permissions connues', () => {
+    assert.equal(validateCustomRole({ name: 'Stagiaire', permissions: ['chat', 'chats:read'] }), null);
+    assert.match(validateCustomRole({ name: '', permissions: [] }), /name requis/);
+    assert.match(validateCustomRole({ name: 'x'.repeat(61), permissions: [] }), /name requis/);
+    assert.match(validateCustomRole({ name: 'Stagiaire', permissions: ['chat', 'root'] }), /^permissions :/);
+    assert.match(validateCustomRole({ name: 'Stagiaire', permissions: 'chat' }), /^permissions :/);
+});
+
+test('permissionsNotHeld liste une fois chaque permission que le demandeur n\'a pas', () => {
+    const manager = { permissions: BUILT_IN_ROLES.manager.permissions };
+
+    assert.deepEqual(permissionsNotHeld(manager, ['chat', 'documents:edit']), []);
+    assert.deepEqual(
+        permissionsNotHeld(manager, ['users:manage', 'chat', 'roles:manage', 'users:manage']),
+        ['users:manage', 'roles:manage']
+    );
+});
+
+// Accès sans organisation : seuls les rôles intégrés sont résolus (pas de base)
+const accessOf = (role, permissions = BUILT_IN_ROLES[role].permissions) => ({ role, organizationId: null, permissions });
+
+test('validateAssignableRole : pas de rôle portant des permissions que le demandeur n\'a pas', async () => {
+    const recruiter = accessOf('recruteur', [...BUILT_IN_ROLES.manager.permissions, 'users:manage']);
+
+    assert.equal(await validateAssignableRole('employee', recruiter), null);
+    assert.equal(await validateAssignableRole('manager', recruiter), null);
+
+    const promotion = await validateAssignableRole('admin', recruiter);
+    assert.equal(promotion.httpStatus, 403);
+    assert.deepEqual(promotion.permissions, ['org:settings', 'roles:manage', 'audit:view']);
+});
+
+test('validateAssignableRole : propriétaire réservé aux propriétaires, rôle inconnu refusé', async () => {
+    assert.equal((await validateAssignableRole('owner', accessOf('admin'))).httpStatus, 403);
+    assert.equal(await validateAssignableRole('owner', accessOf('owner')), null);
+    assert.equal(await validateAssignableRole('admin', accessOf('admin')), null);
+    assert.deepEqual(await validateAssignableRole('root', accessOf('owner')), { httpStatus: 400, error: 'Rôle inconnu' });
+});
+
+test('defaultRoleError : jamais de permission d\'administration dans le rôle par défaut', async () => {
+    assert.equal(await defaultRoleError('employee', accessOf('admin')), null);
+    assert.equal(await defaultRoleError('manager', accessOf('owner')), null);
+
+    const admin = await defaultRoleError('admin', accessOf('owner'));
+    assert.equal(admin.httpStatus, 400);
+    assert.deepEqual(admin.permissions, ['org:settings', 'users:manage', 'roles:manage']);
+
+    assert.equal((await defaultRoleError('owner', accessOf('owner'))).httpStatus, 400);
+    assert.equal((await defaultRoleError('manager', accessOf('employee'))).httpStatus, 403);
+});
+
+test('016 : le premier admin devient propriétaire, les suivants restent admins', async () => {
+    const { rows } = await db.query('select email, role from public.users where role in ($1, $2) order by email', ['owner', 'admin']);
+
+    assert.deepEqual(rows, [
+        { email: 'associe@cabinet.fr', role: 'admin' },
+        { email: 'fondateur@cabinet.fr', role: 'owner' }
+    ]);
+});
+
+test('016 : chaque profil hérité garde exactement ses droits', async () => {
+    const { rows: users } = await db.query(
+        `select u.email, u.role, r.permissions
+         from public.users u
+         left join public.roles r on r.organization_id = u.organization_id and r.key = u.role
+         where u.email in ('standard@cabinet.fr', 'editeur@cabinet.fr')
+         order by u.email`
+    );
+
+    const [editor, standard] = users;
+    assert.equal(standard.role, 'employee');
+    assert.equal(standard.permissions, null);
+
+    assert.equal(editor.role, 'legacy-1110');
+    assert.deepEqual([...editor.permissions].sort(), ['chat', 'chat:rag', 'chats:read', 'documents:edit', 'documents:read', 'documents:upload']);
+
+    const { rows: [org] } = await db.query(
+        `select o.default_role, r.permissions
+         from public.organizations o
+         join public.roles r on r.organization_id = o.id and r.key = o.default_role
+         where o.id = $1`,
+        [ORG_ID]
+    );
+    assert.equal(org.default_role, 'legacy-0100');
+    assert.deepEqual([...org.permissions].sort(), ['chat', 'chats:read', 'documents:read', 'documents:upload']);
+
+    const { rows: roles } = await db.query('select key, permissions from public.roles');
+    for (const role of roles) {
+        assert.deepEqual(role.permissions.filter(permission => !PERMISSIONS[permission]), [], role.key);
+    }
+});
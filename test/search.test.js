@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { chatSearchQuery } = internals;
+
+let db;
+let ids;
+
+before(async () => {
+    db = await createDatabase();
+
+    const { rows: [org] } = await db.query(`insert into public.organizations (name) values ('Cabinet') returning id`);
+    const { rows: [otherOrg] } = await db.query(`insert into public.organizations (name) values ('Concurrent') returning id`);
+    const user = async (email, organizationId) => (await db.query(
+        'insert into public.users (email, role, organization_id) values ($1, $2, $3) returning id',
+        [email, 'employee', organizationId])).rows[0].id;
+    const chat = async (userId, title) => (await db.query(
+        'insert into public.chats (user_id, title) values ($1, $2) returning id', [userId, title])).rows[0].id;
+    const message = (chatId, content) => db.query(
+        `insert into public.messages (chat_id, role, content) values ($1, 'user', $2)`, [chatId, content]);
+
+    ids = {
+        org: org.id,
+        marie: await user('marie@cabinet.fr', org.id),
+        paul: await user('paul@cabinet.fr', org.id),
+        intrus: await user('x@concurrent.fr', otherOrg.id)
+    };
+
+    ids.ownChat = await chat(ids.marie, 'Clôture Dupont');
+    await message(ids.ownChat, 'Les factures du client Dupont sont arrivées');
+
+    ids.sharedChat = await chat(ids.paul, 'TVA');
+    await message(ids.sharedChat, 'Facture Dupontel à relancer');
+    await db.query(
+        `insert into public.chat_shares (chat_id, organization_id, role) values ($1, $2, 'viewer')`,
+        [ids.sharedChat, org.id]
+    );
+
+    ids.privateChat = await chat(ids.paul, 'Notes');
+    await message(ids.privateChat, 'Facture Dupont confidentielle');
+
+    ids.foreignChat = await chat(ids.intrus, 'Dupont');
+    await message(ids.foreignChat, 'Facture Dupont du concurrent');
+});
+
+after(async () => {
+    await db.close();
+});
+
+async function search(userId, text) {
+    const { rows } = await db.query(
+        'select * from public.search_chats($1, $2, $3)',
+        [userId, ids.org, chatSearchQuery(text)]
+    );
+    return rows;
+}
+
+test('mots significatifs reliés par &, le dernier en préfixe', () => {
+    assert.equal(chatSearchQuery('Les factures du client Dupo'), 'factures & client & dupo:*');
+    assert.equal(chatSearchQuery('facture facture FACTURE'), 'facture:*');
+    assert.equal(chatSearchQuery('Société Générale'), 'société & générale:*');
+});
+
+test('rien à chercher : null', () => {
+    assert.equal(chatSearchQuery(''), null);
+    assert.equal(chatSearchQuery('le la de ? !'), null);
+    assert.equal(chatSearchQuery('a b c'), null);
+});
+
+test('opérateurs et ponctuation de l\'utilisateur neutralisés', () => {
+    assert.equal(chatSearchQuery(`dupont | !facture & (tva) <-> 'x':* \\`), 'dupont & facture & tva:*');
+    assert.equal(chatSearchQuery("l'entreprise"), 'entreprise:*');
+});
+
+test('la requête construite est acceptée par to_tsquery et trouve les formes fléchies', async () => {
+    const rows = await search(ids.marie, 'facture dupon');
+    const ownMessage = rows.find(row => row.chat_id === ids.ownChat && row.message_id);
+
+    assert.ok(ownMessage, 'factures / Dupont trouvés');
+    assert.match(ownMessage.snippet, /factures/);
+});
+
+test('seuls les chats visibles sont cherchés : les siens et ceux partagés', async () => {
+    const chats = new Set((await search(ids.marie, 'facture dupon')).map(row => row.chat_id));
+
+    assert.deepEqual([...chats].sort(), [ids.ownChat, ids.sharedChat].sort());
+});
+
+test('titres trouvés : une ligne sans message_id', async () => {
+    const rows = await search(ids.marie, 'clôture');
+
+    assert.deepEqual(rows.map(row => [row.chat_id, row.message_id]), [[ids.ownChat, null]]);
+});
+
+test('saisie hostile : aucune erreur de syntaxe tsquery', async () => {
+    for (const text of ["':*", '!!!', 'dupont)(', "facture' | 'x", '&&& dupont <->']) {
+        const query = chatSearchQuery(text);
+        if (query) await search(ids.marie, text);
+    }
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase } = require('./helpers/database');
+
+// Tables du projet Supabase initial (test/fixtures/base-schema.sql), hors migrations
+const BASE_TABLES = ['organizations', 'users', 'chats', 'messages', 'daily_usage'];
+const CLIENT_ROLES = ['anon', 'authenticated'];
+
+let db;
+
+before(async () => {
+    db = await createDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+test('tables des migrations : RLS activée, aucun droit pour la clé anon', async () => {
+    const { rows: tables } = await db.query(
+        `select c.relname, c.relrowsecurity
+         from pg_class c
+         where c.relnamespace = 'public'::regnamespace and c.relkind = 'r'
+           and not (c.relname = any($1))`,
+        [BASE_TABLES]
+    );
+
+    assert.ok(tables.length > 0);
+    for (const table of tables) {
+        assert.ok(table.relrowsecurity, `${table.relname} : RLS désactivée`);
+
+        for (const role of CLIENT_ROLES) {
+            const { rows: [privileges] } = await db.query(
+                `select has_table_privilege($1, $2, 'select, insert, update, delete') as granted`,
+                [role, `public.${table.relname}`]
+            );
+            assert.equal(privileges.granted, false, `${table.relname} : accessible à ${role}`);
+        }
+    }
+});
+
+test('fonctions des migrations : non appelables via /rest/v1/rpc', async () => {
+    const { rows: functions } = await db.query(
+        `select p.oid::regprocedure::text as signature
+         from pg_proc p
+         where p.pronamespace = 'public'::regnamespace
+           and p.prorettype <> 'trigger'::regtype
+           and not exists (
+               select 1 from pg_depend d
+               where d.classid = 'pg_proc'::regclass and d.objid = p.oid and d.deptype = 'e'
+           )`
+    );
+
+    assert.ok(functions.some(fn => fn.signature.startsWith('match_chat_messages(')));
+    for (const fn of functions) {
+        for (const role of CLIENT_ROLES) {
+            const { rows: [privileges] } = await db.query(
+                `select has_function_privilege($1, $2, 'execute') as granted`, [role, fn.signature]);
+            assert.equal(privileges.granted, false, `${fn.signature} : exécutable par ${role}`);
+        }
+    }
+});
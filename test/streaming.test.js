@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { internals } = require('./helpers/server');
+
+const { wantsStream, initSSE, sendSSE, streamLLMToClient, sendStreamError } = internals;
+
+// Réponse Express minimale : en-têtes, corps écrit et statut
+function fakeResponse() {
+    const res = new EventEmitter();
+    Object.assign(res, {
+        headers: {},
+        body: '',
+        statusCode: 200,
+        headersSent: false,
+        writableEnded: false,
+        destroyed: false,
+        setHeader(name, value) { this.headers[name] = value; },
+        flushHeaders() { this.headersSent = true; },
+        write(chunk) { this.headersSent = true; this.body += chunk; },
+        end() { this.writableEnded = true; },
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.payload = payload; this.headersSent = true; this.writableEnded = true; }
+    });
+    return res;
+}
+
+// Événements SSE écrits : [{ event, data }]
+function eventsOf(res) {
+    return res.body.split('\n\n').filter(Boolean).map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+test('wantsStream : true en JSON ou \'true\' en FormData, rien d\'autre', () => {
+    assert.equal(wantsStream({ body: { stream: true } }), true);
+    assert.equal(wantsStream({ body: { stream: 'true' } }), true);
+    assert.equal(wantsStream({ body: { stream: '1' } }), false);
+    assert.equal(wantsStream({ body: {} }), false);
+    assert.equal(wantsStream({}), false);
+});
+
+test('initSSE : flux text/event-stream non bufferisé', () => {
+    const res = fakeResponse();
+    initSSE(res);
+
+    assert.match(res.headers['Content-Type'], /^text\/event-stream/);
+    assert.equal(res.headers['X-Accel-Buffering'], 'no');
+    assert.equal(res.headersSent, true);
+});
+
+test('sendSSE : un bloc event/data par appel, plus rien après la fin', () => {
+    const res = fakeResponse();
+
+    sendSSE(res, 'delta', { text: 'Bon' });
+    sendSSE(res, 'done', { response: 'Bonjour\n' });
+    res.end();
+    sendSSE(res, 'delta', { text: 'trop tard' });
+
+    assert.equal(res.body, 'event: delta\ndata: {"text":"Bon"}\n\nevent: done\ndata: {"response":"Bonjour\\n"}\n\n');
+});
+
+test('streamLLMToClient : pousse chaque morceau et garde le dernier usage', async () => {
+    const res = fakeResponse();
+
+    const result = await streamLLMToClient(res, async function* () {
+        yield { text: 'Bon' };
+        yield { text: '' };
+        yield { text: 'jour', usage: { inputTokens: 12, outputTokens: 2 } };
+    });
+
+    assert.deepEqual(result, { text: 'Bonjour', usage: { inputTokens: 12, outputTokens: 2 }, aborted: false });
+    assert.deepEqual(eventsOf(res), [
+        { event: 'delta', data: { text: 'Bon' } },
+        { event: 'delta', data: { text: 'jour' } }
+    ]);
+    assert.equal(res.listenerCount('close'), 0);
+});
+
+test('streamLLMToClient : la fermeture par le client annule le modèle et garde le texte reçu', async () => {
+    const res = fakeResponse();
+
+    const result = await streamLLMToClient(res, async function* ({ signal }) {
+        yield { text: 'Début' };
+        res.emit('close');
+        if (signal.aborted) throw new Error('This operation was aborted');
+        yield { text: ' jamais envoyé' };
+    });
+
+    assert.deepEqual(result, { text: 'Début', usage: null, aborted: true });
+});
+
+test('streamLLMToClient : une erreur du modèle sans annulation est relancée', async () => {
+    const res = fakeResponse();
+
+    await assert.rejects(streamLLMToClient(res, async function* () {
+        yield { text: 'x' };
+        throw new Error('503 overloaded');
+    }), /503/);
+});
+
+test('sendStreamError : JSON avant le stream, événement error une fois le stream ouvert', () => {
+    const before = fakeResponse();
+    sendStreamError(before, 429, { error: 'Quota atteint' });
+    assert.equal(before.statusCode, 429);
+    assert.deepEqual(before.payload, { error: 'Quota atteint' });
+
+    const during = fakeResponse();
+    initSSE(during);
+    sendStreamError(during, 500, { error: 'Erreur IA' });
+    assert.deepEqual(eventsOf(during), [{ event: 'error', data: { error: 'Erreur IA' } }]);
+    assert.equal(during.writableEnded, true);
+});
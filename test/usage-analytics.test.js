@@ -0,0 +1,184 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers/server');
+const { createDatabase } = require('./helpers/database');
+
+const { logLLMUsage, usagePeriod, toCSV, resolveModelSpec } = internals;
+
+// Écritures PostgREST de logLLMUsage (fetch intercepté)
+const requests = [];
+const realFetch = globalThis.fetch;
+let db;
+
+before(async () => {
+    globalThis.fetch = async (url, init) => {
+        requests.push({ path: new URL(url).pathname, body: JSON.parse(init.body) });
+        return new Response(null, { status: 204 });
+    };
+    db = await createDatabase();
+});
+
+after(async () => {
+    globalThis.fetch = realFetch;
+    await db.close();
+});
+
+beforeEach(() => {
+    requests.length = 0;
+});
+
+// logLLMUsage n'attend pas ses écritures
+async function flushed(count) {
+    for (let i = 0; i < 50 && requests.length < count; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    return requests;
+}
+
+async function createOrganization() {
+    const { rows: [org] } = await db.query(`insert into public.organizations (name) values ('Cabinet') returning id`);
+    return org.id;
+}
+
+async function createUser(organizationId, firstName) {
+    const { rows: [user] } = await db.query(
+        `insert into public.users (email, first_name, role, organization_id) values ($1, $2, 'employee', $3) returning id`,
+        [`${firstName}@cabinet.fr`, firstName, organizationId]
+    );
+    return user.id;
+}
+
+async function logCall(organizationId, call) {
+    await db.query(
+        `insert into public.llm_calls
+             (organization_id, user_id, chat_id, route, feature, provider, model, input_tokens, output_tokens, cost_usd, latency_ms, used_rag, created_at)
+         values ($1, $2, $3, '/api/chat', $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [organizationId, call.userId || null, call.chatId || null, call.feature || 'chat', call.provider || 'gemini',
+            call.model || 'gemini-2.5-flash', call.input || 0, call.output || 0, call.cost || 0,
+            call.latency ?? null, !!call.rag, call.at || '2026-03-15T10:00:00Z']
+    );
+}
+
+async function breakdown(organizationId, group, from = '2026-03-01T00:00:00Z', to = '2026-04-01T00:00:00Z') {
+    const { rows } = await db.query('select * from public.llm_usage_breakdown($1, $2, $3, $4)', [organizationId, from, to, group]);
+    return rows;
+}
+
+test('usagePeriod : dates incluses, fin exclusive au lendemain, défaut mois en cours', () => {
+    assert.deepEqual(usagePeriod({ from: '2026-02-01', to: '2026-02-28' }), {
+        from: '2026-02-01',
+        to: '2026-02-28',
+        fromTs: '2026-02-01T00:00:00Z',
+        toTs: '2026-03-01T00:00:00.000Z'
+    });
+
+    const today = new Date().toISOString().split('T')[0];
+    const period = usagePeriod({ from: '01/02/2026', to: 'hier' });
+    assert.equal(period.from, today.slice(0, 8) + '01');
+    assert.equal(period.to, today);
+});
+
+test('toCSV : BOM, en-tête et échappement des séparateurs', () => {
+    const csv = toCSV(['key', 'label', 'calls'], [
+        { key: 'u1', label: 'Dupont, "Jean"', calls: 3 },
+        { key: null, label: 'Tâches de fond', calls: 0 }
+    ]);
+
+    assert.equal(csv, '\uFEFFkey,label,calls\nu1,"Dupont, ""Jean""",3\n,Tâches de fond,0');
+});
+
+test('logLLMUsage : appel attribué et coût estimé dans llm_calls, totaux Gemini en plus', async () => {
+    const llm = resolveModelSpec('gemini:gemini-2.5-flash');
+    logLLMUsage(llm, { inputTokens: 1000, outputTokens: 100, thoughtsTokens: 100 }, {
+        organizationId: 'org-1',
+        userId: 'user-1',
+        chatId: 'chat-1',
+        route: '/api/chat',
+        feature: 'chat',
+        usedRag: true,
+        latencyMs: 850
+    });
+
+    await flushed(2);
+    const byPath = new Map(requests.map(request => [request.path, request.body]));
+
+    assert.deepEqual([...byPath.keys()].sort(), ['/rest/v1/llm_calls', '/rest/v1/rpc/log_gemini_usage']);
+    assert.deepEqual(byPath.get('/rest/v1/llm_calls'), {
+        organization_id: 'org-1',
+        user_id: 'user-1',
+        chat_id: 'chat-1',
+        route: '/api/chat',
+        feature: 'chat',
+        provider: 'gemini',
+        model: 'gemini-2.5-flash',
+        input_tokens: 1000,
+        output_tokens: 100,
+        thoughts_tokens: 100,
+        cost_usd: (1000 * 0.30 + 200 * 2.50) / 1e6,
+        latency_ms: 850,
+        used_rag: true,
+        aborted: false
+    });
+    assert.equal(byPath.get('/rest/v1/rpc/log_gemini_usage').p_input_tokens, 1000);
+});
+
+test('logLLMUsage : appel de fond hors Gemini, sans attribution ni totaux plateforme', async () => {
+    logLLMUsage({ id: 'local:llama3', model: 'llama3', provider: { name: 'local' } }, null);
+
+    const [call] = await flushed(2);
+
+    assert.equal(requests.length, 1);
+    assert.equal(call.path, '/rest/v1/llm_calls');
+    assert.equal(call.body.organization_id, null);
+    assert.equal(call.body.route, 'internal');
+    assert.equal(call.body.feature, 'other');
+    assert.equal(call.body.input_tokens, 0);
+    assert.equal(call.body.cost_usd, 0);
+});
+
+test('llm_usage_breakdown : regroupements de la période, organisation seule', async () => {
+    const org = await createOrganization();
+    const other = await createOrganization();
+    const alice = await createUser(org, 'alice');
+
+    await logCall(org, { userId: alice, input: 100, output: 10, cost: 0.5, latency: 100, rag: true });
+    await logCall(org, { userId: alice, feature: 'rag_rerank', input: 50, cost: 0.25, latency: 201 });
+    await logCall(org, { provider: 'openai', model: 'gpt-4o-mini', feature: 'title', input: 20, at: '2026-03-16T23:59:59Z' });
+    await logCall(org, { input: 999, at: '2026-04-01T00:00:00Z' });
+    await logCall(other, { userId: alice, input: 999 });
+
+    const days = await breakdown(org, 'day');
+    assert.deepEqual(days.map(row => [row.key, Number(row.calls), Number(row.input_tokens)]), [
+        ['2026-03-15', 2, 150],
+        ['2026-03-16', 1, 20]
+    ]);
+    assert.equal(Number(days[0].cost_usd), 0.75);
+    assert.equal(Number(days[0].avg_latency_ms), 151);
+    assert.equal(Number(days[0].rag_calls), 1);
+    assert.equal(days[1].avg_latency_ms, null);
+
+    const users = await breakdown(org, 'user');
+    assert.deepEqual(users.map(row => [row.key, Number(row.calls)]), [[alice, 2], [null, 1]]);
+
+    const models = await breakdown(org, 'model');
+    assert.deepEqual(models.map(row => row.key), ['gemini:gemini-2.5-flash', 'openai:gpt-4o-mini']);
+
+    const features = await breakdown(org, 'feature');
+    assert.deepEqual(features.map(row => row.key), ['chat', 'rag_rerank', 'title']);
+});
+
+test('llm_calls : employé ou chat supprimé, appel conservé sans attribution', async () => {
+    const org = await createOrganization();
+    const bob = await createUser(org, 'bob');
+    const { rows: [chat] } = await db.query(`insert into public.chats (user_id) values ($1) returning id`, [bob]);
+
+    await logCall(org, { userId: bob, chatId: chat.id, cost: 0.1 });
+    assert.equal((await breakdown(org, 'chat'))[0].key, chat.id);
+
+    await db.query('delete from public.users where id = $1', [bob]);
+
+    const [row] = await breakdown(org, 'chat');
+    assert.equal(row.key, null);
+    assert.equal(Number(row.cost_usd), 0.1);
+    assert.equal((await breakdown(org, 'user'))[0].key, null);
+});
@@ -0,0 +1,65 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createVectorStores } = require('../vector-store');
+
+const DIMENSION = 3;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-store-'));
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const storesFor = env => createVectorStores({ supabase: null, dimension: DIMENSION, env });
+
+test('défaut : pinecone si configuré, sinon file en local et pgvector en serverless', () => {
+    assert.equal(storesFor({ PINECONE_API_KEY: 'key' }).defaultName, 'pinecone');
+    assert.equal(storesFor({}).defaultName, 'file');
+    assert.equal(storesFor({ VERCEL: '1' }).defaultName, 'pgvector');
+    assert.equal(storesFor({ AWS_LAMBDA_FUNCTION_NAME: 'api' }).defaultName, 'pgvector');
+    assert.equal(storesFor({ VECTOR_STORE: 'pgvector', PINECONE_API_KEY: 'key' }).defaultName, 'pgvector');
+});
+
+test('VECTOR_STORE=file refusé au démarrage en serverless', () => {
+    assert.throws(() => storesFor({ VERCEL: '1', VECTOR_STORE: 'file' }), /serverless/);
+    assert.throws(() => storesFor({ VECTOR_STORE: 'redis' }), /VECTOR_STORE invalide/);
+});
+
+test('en serverless, file n\'est ni disponible ni instanciable', () => {
+    const stores = storesFor({ VERCEL: '1' });
+
+    assert.deepEqual(stores.available(), ['pgvector']);
+    assert.throws(() => stores.get('file'), /serverless/);
+    assert.deepEqual(storesFor({}).available(), ['pgvector', 'file']);
+});
+
+test('file : upsert, recherche cosinus, pagination et suppression par organisation', async () => {
+    const filePath = path.join(tmpDir, 'vectors.json');
+    const store = storesFor({ VECTOR_STORE_FILE: filePath }).get();
+
+    await store.upsert('org-a', [
+        { id: 'a1', values: [1, 0, 0], metadata: { text: 'bail' } },
+        { id: 'a2', values: [0, 1, 0] },
+        { id: 'a3', values: [1, 1, 0] }
+    ]);
+    await store.upsert('org-b', [{ id: 'b1', values: [1, 0, 0] }]);
+
+    const matches = await store.query('org-a', { vector: [1, 0, 0], topK: 2 });
+    assert.deepEqual(matches.map(match => match.id), ['a1', 'a3']);
+    assert.equal(matches[0].metadata.text, 'bail');
+
+    const first = await store.list('org-a', { limit: 2 });
+    assert.deepEqual(first, { ids: ['a1', 'a2'], cursor: 'a2' });
+    assert.deepEqual(await store.list('org-a', { limit: 2, cursor: first.cursor }), { ids: ['a3'], cursor: null });
+
+    await store.deleteMany('org-a', ['a1', 'b1']);
+    assert.deepEqual(await store.stats('org-a'), { recordCount: 2, dimension: DIMENSION });
+    assert.deepEqual(await store.stats('org-b'), { recordCount: 1, dimension: DIMENSION });
+
+    // Relu depuis le disque par un nouveau processus
+    const reloaded = storesFor({ VECTOR_STORE_FILE: filePath }).get();
+    assert.deepEqual((await reloaded.fetch('org-a', ['a2', 'a1'])).map(record => record.id), ['a2']);
+    await assert.rejects(reloaded.query(null, { vector: [1, 0, 0], topK: 1 }), /organization_id requis/);
+});
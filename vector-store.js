@@ -0,0 +1,368 @@
+// vector-store.js - Stockage des vecteurs de chunks, partagé par server.js et scripts/
+//
+// Chaque backend expose la même interface, cloisonnée par organisation :
+//   upsert(organizationId, records)         records = [{ id, values, metadata }]
+//   query(organizationId, { vector, topK }) → [{ id, score, metadata }] (score = similarité cosinus)
+//   deleteMany(organizationId, ids)
+//   list(organizationId, { limit, cursor }) → { ids, cursor } (cursor null en fin de liste)
+//   fetch(organizationId, ids)              → [{ id, values, metadata }]
+//   stats(organizationId)                   → { recordCount, dimension }
+//
+// Backends : 'pinecone' (namespace org-<id>), 'pgvector' (table document_vectors
+// dans Supabase) et 'file' (JSON local chargé en mémoire, pour le développement ;
+// refusé en serverless, où le disque est en lecture seule ou effacé).
+
+const fs = require('fs');
+const path = require('path');
+
+const VECTOR_STORE_NAMES = ['pinecone', 'pgvector', 'file'];
+
+function requireOrganizationId(organizationId) {
+    if (!organizationId) {
+        throw new Error('organization_id requis pour accéder aux documents');
+    }
+}
+
+// ========== PINECONE ==========
+
+function createPineconeStore({ apiKey, indexName, indexHost, dimension }) {
+    const { Pinecone } = require('@pinecone-database/pinecone');
+    const index = new Pinecone({ apiKey }).index(indexName, indexHost);
+
+    const namespace = organizationId => {
+        requireOrganizationId(organizationId);
+        return index.namespace(`org-${organizationId}`);
+    };
+
+    return {
+        name: 'pinecone',
+
+        async upsert(organizationId, records) {
+            for (let i = 0; i < records.length; i += 100) {
+                await namespace(organizationId).upsert(records.slice(i, i + 100));
+            }
+        },
+
+        async query(organizationId, { vector, topK }) {
+            const response = await namespace(organizationId).query({
+                vector,
+                topK,
+                includeMetadata: true
+            });
+            return response.matches.map(({ id, score, metadata }) => ({ id, score, metadata }));
+        },
+
+        // deleteMany accepte au plus 1000 ids
+        async deleteMany(organizationId, ids) {
+            for (let i = 0; i < ids.length; i += 1000) {
+                await namespace(organizationId).deleteMany(ids.slice(i, i + 1000));
+            }
+        },
+
+        async list(organizationId, { limit = 100, cursor = null } = {}) {
+            const page = await namespace(organizationId).listPaginated({
+                limit,
+                ...(cursor ? { paginationToken: cursor } : {})
+            });
+            return {
+                ids: (page.vectors || []).map(vector => vector.id),
+                cursor: page.pagination?.next || null
+            };
+        },
+
+        async fetch(organizationId, ids) {
+            if (ids.length === 0) return [];
+            const { records } = await namespace(organizationId).fetch(ids);
+            return Object.values(records).map(({ id, values, metadata }) => ({ id, values, metadata }));
+        },
+
+        async stats(organizationId) {
+            requireOrganizationId(organizationId);
+            const stats = await index.describeIndexStats();
+            return {
+                recordCount: stats.namespaces?.[`org-${organizationId}`]?.recordCount || 0,
+                dimension: stats.dimension || dimension
+            };
+        }
+    };
+}
+
+// ========== PGVECTOR (SUPABASE) ==========
+// Table document_vectors + RPC match_document_vectors (migration 011)
+
+function createPgvectorStore({ supabase, dimension }) {
+    // Filtre .in() passé dans l'URL : lots courts
+    const ID_BATCH = 100;
+
+    return {
+        name: 'pgvector',
+
+        async upsert(organizationId, records) {
+            requireOrganizationId(organizationId);
+
+            for (let i = 0; i < records.length; i += ID_BATCH) {
+                const { error } = await supabase
+                    .from('document_vectors')
+                    .upsert(records.slice(i, i + ID_BATCH).map(record => ({
+                        organization_id: organizationId,
+                        id: record.id,
+                        embedding: record.values,
+                        metadata: record.metadata || {}
+                    })), { onConflict: 'organization_id,id' });
+
+                if (error) throw error;
+            }
+        },
+
+        async query(organizationId, { vector, topK }) {
+            requireOrganizationId(organizationId);
+
+            const { data, error } = await supabase.rpc('match_document_vectors', {
+                p_organization_id: organizationId,
+                p_query_embedding: vector,
+                p_match_count: topK
+            });
+
+            if (error) throw error;
+            return data.map(row => ({ id: row.id, score: row.similarity, metadata: row.metadata }));
+        },
+
+        async deleteMany(organizationId, ids) {
+            requireOrganizationId(organizationId);
+
+            for (let i = 0; i < ids.length; i += ID_BATCH) {
+                const { error } = await supabase
+                    .from('document_vectors')
+                    .delete()
+                    .eq('organization_id', organizationId)
+                    .in('id', ids.slice(i, i + ID_BATCH));
+
+                if (error) throw error;
+            }
+        },
+
+        async list(organizationId, { limit = 100, cursor = null } = {}) {
+            requireOrganizationId(organizationId);
+
+            let query = supabase
+                .from('document_vectors')
+                .select('id')
+                .eq('organization_id', organizationId)
+                .order('id')
+                .limit(limit);
+
+            if (cursor) query = query.gt('id', cursor);
+
+            const { data, error } = await query;
+            if (error) throw error;
+
+            const ids = data.map(row => row.id);
+            return { ids, cursor: ids.length === limit ? ids[ids.length - 1] : null };
+        },
+
+        async fetch(organizationId, ids) {
+            requireOrganizationId(organizationId);
+            const records = [];
+
+            for (let i = 0; i < ids.length; i += ID_BATCH) {
+                const { data, error } = await supabase
+                    .from('document_vectors')
+                    .select('id, embedding, metadata')
+                    .eq('organization_id', organizationId)
+                    .in('id', ids.slice(i, i + ID_BATCH));
+
+                if (error) throw error;
+
+                // pgvector est renvoyé sous forme texte "[0.1,0.2,...]"
+                records.push(...data.map(row => ({
+                    id: row.id,
+                    values: typeof row.embedding === 'string' ? JSON.parse(row.embedding) : row.embedding,
+                    metadata: row.metadata
+                })));
+            }
+
+            return records;
+        },
+
+        async stats(organizationId) {
+            requireOrganizationId(organizationId);
+
+            const { count, error } = await supabase
+                .from('document_vectors')
+                .select('id', { count: 'exact', head: true })
+                .eq('organization_id', organizationId);
+
+            if (error) throw error;
+            return { recordCount: count || 0, dimension };
+        }
+    };
+}
+
+// ========== FICHIER LOCAL ==========
+// Tout est chargé en mémoire ; chaque écriture réécrit le fichier (tmp + rename).
+// Recherche exhaustive : adapté au développement et aux petits volumes.
+
+function createFileStore({ filePath, dimension }) {
+    let organizations = null; // organizationId → Map(id → { values, metadata })
+    let writing = Promise.resolve();
+
+    function load() {
+        if (organizations) return organizations;
+        organizations = new Map();
+
+        if (fs.existsSync(filePath)) {
+            const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            for (const [organizationId, records] of Object.entries(content)) {
+                organizations.set(organizationId, new Map(Object.entries(records)));
+            }
+        }
+
+        return organizations;
+    }
+
+    function namespace(organizationId) {
+        requireOrganizationId(organizationId);
+        const all = load();
+        if (!all.has(organizationId)) all.set(organizationId, new Map());
+        return all.get(organizationId);
+    }
+
+    // Écritures sérialisées : la dernière reflète toujours l'état en mémoire
+    function persist() {
+        writing = writing.then(async () => {
+            const content = {};
+            for (const [organizationId, records] of organizations) {
+                content[organizationId] = Object.fromEntries(records);
+            }
+
+            const tmpPath = `${filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify(content));
+            await fs.promises.rename(tmpPath, filePath);
+        });
+        return writing;
+    }
+
+    function norm(values) {
+        return Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)) || 1;
+    }
+
+    return {
+        name: 'file',
+
+        async upsert(organizationId, records) {
+            const stored = namespace(organizationId);
+            for (const { id, values, metadata } of records) {
+                stored.set(id, { values, metadata: metadata || {} });
+            }
+            await persist();
+        },
+
+        async query(organizationId, { vector, topK }) {
+            const queryNorm = norm(vector);
+
+            return [...namespace(organizationId)]
+                .map(([id, record]) => ({
+                    id,
+                    score: record.values.reduce((sum, value, i) => sum + value * vector[i], 0)
+                        / (norm(record.values) * queryNorm),
+                    metadata: record.metadata
+                }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topK);
+        },
+
+        async deleteMany(organizationId, ids) {
+            const records = namespace(organizationId);
+            ids.forEach(id => records.delete(id));
+            await persist();
+        },
+
+        async list(organizationId, { limit = 100, cursor = null } = {}) {
+            const ids = [...namespace(organizationId).keys()].sort();
+            const start = cursor ? ids.findIndex(id => id > cursor) : 0;
+            const page = start === -1 ? [] : ids.slice(start, start + limit);
+            return {
+                ids: page,
+                cursor: start !== -1 && start + limit < ids.length ? page[page.length - 1] : null
+            };
+        },
+
+        async fetch(organizationId, ids) {
+            const records = namespace(organizationId);
+            return ids
+                .filter(id => records.has(id))
+                .map(id => ({ id, ...records.get(id) }));
+        },
+
+        async stats(organizationId) {
+            return { recordCount: namespace(organizationId).size, dimension };
+        }
+    };
+}
+
+// ========== REGISTRE ==========
+
+// Backends instanciés à la demande (Pinecone seulement si configuré).
+// Défaut sans Pinecone : 'file' en local, 'pgvector' en serverless (Vercel, Lambda).
+function createVectorStores({ supabase, dimension, env = process.env }) {
+    const stores = new Map();
+    const serverless = !!(env.VERCEL || env.AWS_LAMBDA_FUNCTION_NAME);
+    const defaultName = env.VECTOR_STORE
+        || (env.PINECONE_API_KEY ? 'pinecone' : serverless ? 'pgvector' : 'file');
+
+    if (!VECTOR_STORE_NAMES.includes(defaultName)) {
+        throw new Error(`VECTOR_STORE invalide : ${defaultName} (${VECTOR_STORE_NAMES.join(', ')})`);
+    }
+
+    if (defaultName === 'file' && serverless) {
+        throw new Error('VECTOR_STORE=file impossible en serverless (disque éphémère) : utiliser pgvector ou pinecone');
+    }
+
+    function create(name) {
+        switch (name) {
+            case 'pinecone':
+                if (!env.PINECONE_API_KEY) {
+                    throw new Error('Vector store pinecone non configuré (PINECONE_API_KEY)');
+                }
+                return createPineconeStore({
+                    apiKey: env.PINECONE_API_KEY,
+                    indexName: env.PINECONE_INDEX || 'testt',
+                    indexHost: env.PINECONE_INDEX_HOST,
+                    dimension
+                });
+            case 'pgvector':
+                return createPgvectorStore({ supabase, dimension });
+            case 'file':
+                if (serverless) {
+                    throw new Error('Vector store file indisponible en serverless (disque éphémère)');
+                }
+                return createFileStore({
+                    filePath: path.resolve(env.VECTOR_STORE_FILE || '.data/vectors.json'),
+                    dimension
+                });
+            default:
+                throw new Error(`Vector store inconnu : ${name} (${VECTOR_STORE_NAMES.join(', ')})`);
+        }
+    }
+
+    return {
+        defaultName,
+
+        get(name = defaultName) {
+            if (!stores.has(name)) stores.set(name, create(name));
+            return stores.get(name);
+        },
+
+        // Backends utilisables avec la configuration actuelle
+        available() {
+            return VECTOR_STORE_NAMES.filter(name =>
+                (name !== 'pinecone' || !!env.PINECONE_API_KEY) && (name !== 'file' || !serverless));
+        }
+    };
+}
+
+module.exports = {
+    VECTOR_STORE_NAMES,
+    createVectorStores
+};